@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Email-to-Ticket Parser - Local Server
+ * Accepts emails over HTTP (POST /parse, /batch, /inbound) and optionally forwards tickets to a webhook
+ */
+
+'use strict';
+
+const { EmailParser } = require('../js/parser.js');
+const { IngestServer } = require('../server/ingest-server.js');
+const { WebhookForwarder } = require('../server/forwarder.js');
+const { parserOptionDefaults, readParserOption, parserOptionUsage, loadParserOptions } = require('../server/load-options.js');
+
+const EXIT_USAGE = 64;
+
+const USAGE = `Usage: email-to-ticket-server [options]
+
+Endpoints:
+  GET  /health    liveness check
+  POST /parse     one raw email (message/rfc822, text/plain) or JSON { "email": "..." } / { from, subject, text }
+  POST /batch     an mbox file, or JSON { "emails": [...] }
+  POST /inbound   inbound-mail webhooks (Postmark, SendGrid Inbound Parse, Mailgun routes, raw MIME)
+
+Options:
+  -p, --port <port>             Port to listen on (default: 8025)
+      --host <host>             Interface to bind (default: 127.0.0.1)
+      --forward <url>           POST each ticket to this webhook
+      --forward-format <name>   Export format for forwarded tickets (default: json)
+      --retries <n>             Delivery attempts per ticket (default: 5)
+${parserOptionUsage(32)}
+  -h, --help                    Show this help
+
+Environment:
+  EMAIL_TO_TICKET_TOKEN           Require "Authorization: Bearer <token>" (or ?token=) on every request
+  EMAIL_TO_TICKET_WEBHOOK_SECRET  Sign forwarded tickets with HMAC-SHA256 (X-Ticket-Signature)`;
+
+/**
+ * Parse argv into server options
+ */
+function parseArgs(argv) {
+    const options = Object.assign({ port: 8025, host: '127.0.0.1', forward: null, forwardFormat: 'json', retries: 5, help: false }, parserOptionDefaults());
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-p' || arg === '--port') {
+            options.port = Number(value());
+        } else if (arg === '--host') {
+            options.host = value();
+        } else if (arg === '--forward') {
+            options.forward = value();
+        } else if (arg === '--forward-format') {
+            options.forwardFormat = value();
+        } else if (arg === '--retries') {
+            options.retries = Number(value());
+        } else if (readParserOption(arg, value, options)) {
+            // --taxonomy, --sla, ... are shared by both binaries (server/load-options.js)
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('Port must be a number from 0 to 65535');
+    }
+    if (!Number.isInteger(options.retries) || options.retries < 1 || options.retries > 20) {
+        throw new Error('Retries must be a number from 1 to 20');
+    }
+    return options;
+}
+
+async function main(argv) {
+    let options;
+    let forwarder = null;
+    const parser = new EmailParser();
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            process.stdout.write(USAGE + '\n');
+            return;
+        }
+        if (options.forward) {
+            forwarder = new WebhookForwarder({
+                url: options.forward,
+                secret: process.env.EMAIL_TO_TICKET_WEBHOOK_SECRET,
+                format: options.forwardFormat,
+                maxAttempts: options.retries
+            });
+            if (!parser.exporter.formats[options.forwardFormat]) {
+                throw new Error(`Unknown export format: ${options.forwardFormat}`);
+            }
+        }
+    } catch (error) {
+        process.stderr.write(`email-to-ticket-server: ${error.message}\n\n${USAGE}\n`);
+        process.exitCode = EXIT_USAGE;
+        return;
+    }
+
+    let loaded;
+    try {
+        loaded = loadParserOptions(parser, options, message => process.stderr.write(`email-to-ticket-server: ${message}\n`));
+    } catch (error) {
+        process.stderr.write(`email-to-ticket-server: ${error.message}\n`);
+        process.exitCode = EXIT_USAGE;
+        return;
+    }
+
+    const server = new IngestServer(parser, { forwarder, token: process.env.EMAIL_TO_TICKET_TOKEN });
+    const address = await server.listen(options.port, options.host);
+    console.log(`Listening on http://${address.address}:${address.port}`);
+    if (forwarder) {
+        console.log(`Forwarding tickets to ${forwarder.url} as ${forwarder.format}${forwarder.secret ? ' (signed)' : ''}`);
+    }
+
+    // Let queued deliveries finish before exiting
+    const shutdown = () => {
+        console.log('Shutting down...');
+        server.close().then(() => {
+            if (loaded.ticketIdState) loaded.ticketIdState.flush();
+        }).catch((error) => {
+            process.stderr.write(`email-to-ticket-server: ${error.message}\n`);
+        }).then(() => process.exit(0));
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+main(process.argv.slice(2)).catch((error) => {
+    process.stderr.write(`email-to-ticket-server: ${error.message}\n`);
+    process.exitCode = 1;
+});
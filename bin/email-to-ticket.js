@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Email-to-Ticket Parser - Command Line
+ * Parses .eml/mbox files (or stdin) into tickets as JSON, NDJSON or CSV
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { EmailParser } = require('../js/parser.js');
+const { BatchRunner } = require('../js/batch.js');
+const { parserOptionDefaults, readParserOption, parserOptionUsage, loadParserOptions } = require('../server/load-options.js');
+
+// sysexits.h-style codes so mail pipelines can tell bad input from bad usage
+const EXIT_OK = 0;
+const EXIT_PARTIAL = 1;
+const EXIT_FAILED = 2;
+const EXIT_USAGE = 64;
+const EXIT_NO_INPUT = 66;
+
+const FORMATS = ['json', 'ndjson', 'csv'];
+
+const USAGE = `Usage: email-to-ticket [options] [file ...]
+
+Parses .eml files, mbox files or stdin (no files, or "-") into tickets.
+
+Options:
+  -f, --format <json|ndjson|csv>  Output format (default: json)
+  -o, --output <file>             Write to a file instead of stdout
+${parserOptionUsage(34)}
+  -h, --help                      Show this help
+
+Exit codes:
+  0   every message parsed
+  1   some messages failed (tickets for the rest are still written)
+  2   no message could be parsed
+  64  invalid arguments
+  66  an input file could not be read`;
+
+/**
+ * Parse argv into { format, output, files, help } plus the parser options (taxonomy, sla, directory, ...)
+ */
+function parseArgs(argv) {
+    const options = Object.assign({ format: 'json', output: null, files: [], help: false }, parserOptionDefaults());
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-f' || arg === '--format') {
+            options.format = value();
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = value();
+        } else if (readParserOption(arg, value, options)) {
+            // --taxonomy, --sla, ... are shared by both binaries (server/load-options.js)
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option: ${arg}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    if (!FORMATS.includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (use ${FORMATS.join(', ')})`);
+    }
+    return options;
+}
+
+/**
+ * Read every input as { source, text }, stdin when no files are given
+ */
+function readInputs(files) {
+    const names = files.length > 0 ? files : ['-'];
+    return names.map((name) => {
+        const text = name === '-' ? fs.readFileSync(0, 'utf8') : fs.readFileSync(name, 'utf8');
+        return { source: name === '-' ? 'stdin' : path.basename(name), text };
+    });
+}
+
+/**
+ * Render parsed tickets in the chosen format
+ */
+function formatTickets(parser, tickets, format) {
+    if (format === 'ndjson') {
+        return tickets.map(ticket => JSON.stringify(ticket)).join('\n') + (tickets.length > 0 ? '\n' : '');
+    }
+    if (format === 'csv') {
+        return parser.exportAs(tickets, 'csv') + '\r\n';
+    }
+    return JSON.stringify(tickets, null, 2) + '\n';
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`email-to-ticket: ${error.message}\n\n${USAGE}\n`);
+        return EXIT_USAGE;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return EXIT_OK;
+    }
+
+    const parser = new EmailParser();
+    let loaded;
+    try {
+        loaded = loadParserOptions(parser, options, message => process.stderr.write(`email-to-ticket: ${message}\n`));
+    } catch (error) {
+        process.stderr.write(`email-to-ticket: ${error.message}\n`);
+        return EXIT_USAGE;
+    }
+
+    let inputs;
+    try {
+        inputs = readInputs(options.files);
+    } catch (error) {
+        process.stderr.write(`email-to-ticket: cannot read input: ${error.message}\n`);
+        return EXIT_NO_INPUT;
+    }
+
+    // Same mbox splitting as the browser batch import
+    const splitter = new BatchRunner(parser);
+    const messages = [].concat(...inputs.map(input => splitter.splitFile(input.source, input.text)));
+
+    const tickets = [];
+    let failed = 0;
+    for (const message of messages) {
+        try {
+            tickets.push(parser.parse(message.text));
+        } catch (error) {
+            failed++;
+            process.stderr.write(`email-to-ticket: ${message.source}: ${error.message}\n`);
+        }
+    }
+
+    if (loaded.ticketIdState) {
+        try {
+            loaded.ticketIdState.flush();
+        } catch (error) {
+            process.stderr.write(`email-to-ticket: could not save ticket ID state ${options.ticketIdState}: ${error.message}\n`);
+        }
+    }
+
+    const output = formatTickets(parser, tickets, options.format);
+    if (options.output) {
+        fs.writeFileSync(options.output, output);
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (tickets.length === 0) return EXIT_FAILED;
+    return failed > 0 ? EXIT_PARTIAL : EXIT_OK;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Email-to-Ticket Parser - Stand-in Webhook Receiver
+ * Verifies signed ticket deliveries and prints them, so forwarding can be tested offline
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const { WebhookForwarder } = require('../server/forwarder.js');
+
+const EXIT_USAGE = 64;
+
+const USAGE = `Usage: webhook-receiver [options]
+
+Accepts POSTs from email-to-ticket-server --forward and prints one line per ticket.
+
+Options:
+  -p, --port <port>    Port to listen on (default: 8026)
+      --fail <n>       Answer the first n deliveries with 503 to exercise retries
+  -o, --output <file>  Append received payloads to a file (one JSON line each)
+  -h, --help           Show this help
+
+Environment:
+  EMAIL_TO_TICKET_WEBHOOK_SECRET  Reject deliveries without a valid X-Ticket-Signature`;
+
+function parseArgs(argv) {
+    const options = { port: 8026, fail: 0, output: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) {
+                throw new Error(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '-p' || arg === '--port') {
+            options.port = Number(value());
+        } else if (arg === '--fail') {
+            options.fail = Number(value());
+        } else if (arg === '-o' || arg === '--output') {
+            options.output = value();
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!Number.isInteger(options.port) || options.port < 0 || options.port > 65535) {
+        throw new Error('Port must be a number from 0 to 65535');
+    }
+    if (!Number.isInteger(options.fail) || options.fail < 0) {
+        throw new Error('--fail must be a whole number');
+    }
+    return options;
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`webhook-receiver: ${error.message}\n\n${USAGE}\n`);
+        process.exitCode = EXIT_USAGE;
+        return;
+    }
+    if (options.help) {
+        process.stdout.write(USAGE + '\n');
+        return;
+    }
+
+    const secret = process.env.EMAIL_TO_TICKET_WEBHOOK_SECRET || null;
+    let failuresLeft = options.fail;
+    // Retries reuse the delivery id; count each ticket once
+    const seen = new Set();
+
+    const server = http.createServer((request, response) => {
+        const chunks = [];
+        request.on('data', chunk => chunks.push(chunk));
+        request.on('end', () => {
+            const body = Buffer.concat(chunks).toString('utf8');
+            const delivery = request.headers['x-ticket-delivery'] || '-';
+            const attempt = request.headers['x-ticket-attempt'] || '?';
+            const reply = (status, message) => {
+                response.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(message + '\n');
+                console.log(`${status} ${delivery} attempt ${attempt}: ${message}`);
+            };
+
+            if (request.method !== 'POST') {
+                reply(405, 'POST only');
+                return;
+            }
+            if (secret && !WebhookForwarder.verify(secret, request.headers['x-ticket-timestamp'], body, request.headers['x-ticket-signature'])) {
+                reply(401, 'bad or missing signature');
+                return;
+            }
+            if (failuresLeft > 0) {
+                failuresLeft--;
+                reply(503, 'simulated failure');
+                return;
+            }
+            if (seen.has(delivery)) {
+                reply(200, 'duplicate delivery ignored');
+                return;
+            }
+            seen.add(delivery);
+
+            let summary = `${body.length} bytes`;
+            try {
+                const ticket = JSON.parse(body);
+                if (ticket && ticket.ticketId) {
+                    summary = `${ticket.ticketId} [${ticket.category}/${ticket.priority}] ${ticket.subject || ''}`;
+                }
+            } catch (error) {
+                // Non-JSON export formats are logged by size only
+            }
+            if (options.output) {
+                fs.appendFileSync(options.output, JSON.stringify({ delivery, receivedAt: new Date().toISOString(), body }) + '\n');
+            }
+            reply(200, summary);
+        });
+    });
+
+    server.listen(options.port, '127.0.0.1', () => {
+        const address = server.address();
+        console.log(`Receiving on http://${address.address}:${address.port}${secret ? ' (verifying signatures)' : ''}`);
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,230 @@
+/**
+ * Email-to-Ticket Parser - Triage Analytics Panel
+ * Charts the queued tickets (drawn locally as SVG and plain bars) and exports the totals as CSV
+ */
+
+const analyticsPanel = document.getElementById('analyticsPanel');
+const analyticsRange = document.getElementById('analyticsRange');
+const refreshAnalyticsBtn = document.getElementById('refreshAnalyticsBtn');
+const exportAnalyticsBtn = document.getElementById('exportAnalyticsBtn');
+const analyticsStats = document.getElementById('analyticsStats');
+const analyticsTrend = document.getElementById('analyticsTrend');
+const analyticsHours = document.getElementById('analyticsHours');
+const analyticsCategories = document.getElementById('analyticsCategories');
+const analyticsPriorities = document.getElementById('analyticsPriorities');
+const analyticsDomains = document.getElementById('analyticsDomains');
+const analyticsConfidence = document.getElementById('analyticsConfidence');
+const analyticsLowConfidence = document.getElementById('analyticsLowConfidence');
+
+if (!analyticsPanel || !analyticsRange || !refreshAnalyticsBtn || !exportAnalyticsBtn || !analyticsStats || !analyticsTrend ||
+    !analyticsHours || !analyticsCategories || !analyticsPriorities || !analyticsDomains || !analyticsConfidence ||
+    !analyticsLowConfidence) {
+    console.error('Analytics panel elements not found');
+    throw new Error('Failed to initialize: missing analytics panel elements');
+}
+
+const ticketAnalytics = new TicketAnalytics(parser.exporter);
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Chart series colours (match the CSS palette)
+const ANALYTICS_COLORS = { total: '#2563eb', other: '#f59e0b', lowConfidence: '#ef4444' };
+
+// Last summary shown, for the CSV export
+let analyticsSummary = null;
+
+// Queue contents change while the panel is closed, so it reloads each time it opens
+analyticsPanel.addEventListener('toggle', () => {
+    if (analyticsPanel.open) refreshAnalytics();
+});
+analyticsRange.addEventListener('change', refreshAnalytics);
+refreshAnalyticsBtn.addEventListener('click', refreshAnalytics);
+exportAnalyticsBtn.addEventListener('click', exportAnalytics);
+
+function refreshAnalytics() {
+    const days = parseInt(analyticsRange.value, 10);
+    const since = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : undefined;
+
+    return ticketQueue.getAll().then((records) => {
+        analyticsSummary = ticketAnalytics.summarize(records.map(record => record.ticket), { since });
+        renderAnalytics(analyticsSummary);
+    }).catch((error) => {
+        analyticsStats.textContent = 'Analytics unavailable: ' + error.message;
+    });
+}
+
+function renderAnalytics(summary) {
+    const percent = rate => `${Math.round(rate * 100)}%`;
+    analyticsStats.textContent = summary.total === 0
+        ? 'No queued tickets in this period'
+        : `${summary.total} ticket${summary.total === 1 ? '' : 's'} · ${percent(summary.other.rate)} other · ` +
+            `${percent(summary.lowConfidence.rate)} low confidence`;
+
+    renderTrendChart(analyticsTrend, summary.trend);
+    renderHourChart(analyticsHours, summary.hours);
+    renderBars(analyticsCategories, summary.categories, key => parser.formatCategoryName(key));
+    renderBars(analyticsPriorities, summary.priorities, key => key.toUpperCase());
+    renderBars(analyticsDomains, summary.domains, key => key);
+    renderBars(analyticsConfidence, summary.confidence, key => key);
+    renderLowConfidence(summary.lowConfidence.tickets);
+}
+
+function svgElement(name, attributes) {
+    const element = document.createElementNS(SVG_NS, name);
+    Object.keys(attributes || {}).forEach(key => element.setAttribute(key, attributes[key]));
+    return element;
+}
+
+function svgText(x, y, text, anchor) {
+    const element = svgElement('text', { x, y, 'text-anchor': anchor || 'middle' });
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Horizontal bars with counts and shares
+ */
+function renderBars(container, entries, labelFor) {
+    container.textContent = '';
+    const max = Math.max(1, ...entries.map(entry => entry.count));
+    entries.forEach((entry) => {
+        const row = document.createElement('div');
+        row.className = 'analytics-bar';
+
+        const label = document.createElement('span');
+        label.className = 'analytics-bar-label';
+        label.textContent = sanitizeOutput(labelFor(entry.key));
+        label.title = label.textContent;
+
+        const track = document.createElement('span');
+        track.className = 'analytics-bar-track';
+        const fill = document.createElement('span');
+        fill.className = 'analytics-bar-fill';
+        fill.style.width = `${(entry.count / max) * 100}%`;
+        track.appendChild(fill);
+
+        const value = document.createElement('span');
+        value.className = 'analytics-bar-value';
+        value.textContent = `${entry.count} (${Math.round(entry.share * 100)}%)`;
+
+        row.appendChild(label);
+        row.appendChild(track);
+        row.appendChild(value);
+        container.appendChild(row);
+    });
+}
+
+/**
+ * Column per hour of the day (local time)
+ */
+function renderHourChart(container, hours) {
+    const width = 720;
+    const height = 160;
+    const bottom = height - 20;
+    const max = Math.max(1, ...hours.map(hour => hour.count));
+    const slot = width / 24;
+    const busiest = hours.reduce((best, hour) => (hour.count > best.count ? hour : best), hours[0]);
+
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        'aria-label': busiest.count > 0 ? `Busiest hour ${busiest.key}:00 with ${busiest.count} tickets` : 'No tickets'
+    });
+    hours.forEach((hour) => {
+        const barHeight = (hour.count / max) * (bottom - 10);
+        const bar = svgElement('rect', {
+            x: hour.key * slot + 2, y: bottom - barHeight, width: slot - 4, height: barHeight, fill: ANALYTICS_COLORS.total, rx: 2
+        });
+        const title = svgElement('title');
+        title.textContent = `${String(hour.key).padStart(2, '0')}:00 - ${hour.count} ticket${hour.count === 1 ? '' : 's'}`;
+        bar.appendChild(title);
+        svg.appendChild(bar);
+        if (hour.key % 3 === 0) {
+            svg.appendChild(svgText(hour.key * slot + slot / 2, height - 5, String(hour.key).padStart(2, '0')));
+        }
+    });
+
+    container.textContent = '';
+    container.appendChild(svg);
+}
+
+/**
+ * Daily totals with the 'other' and low-confidence counts as separate lines
+ */
+function renderTrendChart(container, trend) {
+    container.textContent = '';
+    if (trend.length === 0) return;
+
+    const width = 720;
+    const height = 180;
+    const left = 30;
+    const bottom = height - 20;
+    const max = Math.max(1, ...trend.map(day => day.total));
+    const x = index => left + (trend.length === 1 ? (width - left) / 2 : index * (width - left - 10) / (trend.length - 1));
+    const y = count => bottom - (count / max) * (bottom - 10);
+
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        role: 'img',
+        'aria-label': `${trend.length} days from ${trend[0].date} to ${trend[trend.length - 1].date}, at most ${max} tickets a day`
+    });
+    svg.appendChild(svgElement('line', { x1: left, y1: bottom, x2: width, y2: bottom, stroke: '#e2e8f0' }));
+    svg.appendChild(svgText(left - 5, y(max) + 4, String(max), 'end'));
+    svg.appendChild(svgText(left - 5, bottom, '0', 'end'));
+
+    ['total', 'other', 'lowConfidence'].forEach((series) => {
+        const points = trend.map((day, index) => `${x(index)},${y(day[series])}`).join(' ');
+        svg.appendChild(svgElement('polyline', { points, fill: 'none', stroke: ANALYTICS_COLORS[series], 'stroke-width': 2 }));
+    });
+    trend.forEach((day, index) => {
+        const dot = svgElement('circle', { cx: x(index), cy: y(day.total), r: 3, fill: ANALYTICS_COLORS.total });
+        const title = svgElement('title');
+        title.textContent = `${day.date}: ${day.total} tickets, ${day.other} other, ${day.lowConfidence} low confidence`;
+        dot.appendChild(title);
+        svg.appendChild(dot);
+    });
+
+    // Label the first, middle and last days
+    Array.from(new Set([0, Math.floor((trend.length - 1) / 2), trend.length - 1])).forEach((index) => {
+        svg.appendChild(svgText(x(index), height - 5, trend[index].date.substring(5)));
+    });
+
+    const legend = document.createElement('div');
+    legend.className = 'analytics-legend';
+    [['total', 'All tickets'], ['other', 'Other'], ['lowConfidence', 'Low confidence']].forEach(([series, label]) => {
+        const item = document.createElement('span');
+        item.style.setProperty('--swatch', ANALYTICS_COLORS[series]);
+        item.textContent = label;
+        legend.appendChild(item);
+    });
+
+    container.appendChild(svg);
+    container.appendChild(legend);
+}
+
+function renderLowConfidence(tickets) {
+    analyticsLowConfidence.textContent = '';
+    tickets.forEach((ticket) => {
+        const row = document.createElement('tr');
+        const cells = [
+            ticket.ticketId,
+            new Date(ticket.received).toLocaleString(),
+            ticket.subject,
+            parser.formatCategoryName(ticket.category),
+            `${Math.round(ticket.confidence * 100)}%`,
+            ticket.candidates.map(name => parser.formatCategoryName(name)).join(', ')
+        ];
+        cells.forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = sanitizeOutput(text).substring(0, 200);
+            row.appendChild(cell);
+        });
+        analyticsLowConfidence.appendChild(row);
+    });
+}
+
+function exportAnalytics() {
+    if (!analyticsSummary) {
+        showError('Open the dashboard first');
+        return;
+    }
+    downloadFile(ticketAnalytics.toCSV(analyticsSummary), 'ticket-analytics.csv', 'text/csv');
+}
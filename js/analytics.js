@@ -0,0 +1,218 @@
+/**
+ * Ticket Analytics
+ * Aggregates parsed tickets by category, priority, requester domain, hour and confidence, with daily trends
+ */
+
+class TicketAnalytics {
+    constructor(exporter) {
+        // CSV quoting comes from the TicketExporter
+        this.exporter = exporter;
+
+        // Upper bounds (exclusive, except the last) of the confidence histogram
+        this.confidenceBuckets = [0.2, 0.4, 0.6, 0.8, 1];
+        // Tickets saved before classifyIssue flagged low confidence are judged by this instead
+        this.lowConfidence = 0.4;
+
+        this.maxDomains = 10;
+        this.maxLowConfidence = 100;
+        this.maxTrendDays = 366;
+        this.priorities = ['low', 'medium', 'high', 'urgent'];
+    }
+
+    /**
+     * Summary of the tickets received since `since` (ms, optional):
+     * { total, categories, priorities, domains, hours, confidence, other, lowConfidence, trend }
+     */
+    summarize(tickets, options) {
+        const since = options && Number.isFinite(options.since) ? options.since : -Infinity;
+        const list = (tickets || [])
+            .filter(ticket => ticket && typeof ticket === 'object')
+            .map(ticket => ({ ticket, received: this.receivedAt(ticket) }))
+            .filter(entry => entry.received >= since);
+
+        const categories = new Map();
+        const priorities = new Map(this.priorities.map(priority => [priority, 0]));
+        const domains = new Map();
+        const hours = new Array(24).fill(0);
+        const confidence = this.confidenceBuckets.map(() => 0);
+        const days = new Map();
+        const lowConfidence = [];
+        let other = 0;
+
+        for (const { ticket, received } of list) {
+            const category = String(ticket.category || 'other');
+            const low = this.isLowConfidence(ticket);
+            const date = new Date(received);
+            const day = this.dayKey(date);
+
+            categories.set(category, (categories.get(category) || 0) + 1);
+            priorities.set(ticket.priority, (priorities.get(ticket.priority) || 0) + 1);
+            const domain = this.domain(ticket);
+            domains.set(domain, (domains.get(domain) || 0) + 1);
+            hours[date.getHours()]++;
+            confidence[this.confidenceBucket(ticket.confidence)]++;
+
+            const trend = days.get(day) || { date: day, total: 0, other: 0, lowConfidence: 0 };
+            trend.total++;
+            if (category === 'other') {
+                other++;
+                trend.other++;
+            }
+            if (low) {
+                trend.lowConfidence++;
+                lowConfidence.push({
+                    ticketId: ticket.ticketId,
+                    received: date.toISOString(),
+                    subject: String(ticket.subject || ''),
+                    category,
+                    confidence: Number(ticket.confidence) || 0,
+                    // The runner-up shows which keywords the taxonomy is missing
+                    candidates: (ticket.candidates || []).slice(0, 3).map(candidate => candidate.name)
+                });
+            }
+            days.set(day, trend);
+        }
+
+        const total = list.length;
+        const share = count => (total > 0 ? Math.round(count / total * 1000) / 1000 : 0);
+        const ranked = counts => Array.from(counts.entries())
+            .filter(([, count]) => count > 0)
+            .map(([key, count]) => ({ key, count, share: share(count) }))
+            .sort((a, b) => b.count - a.count || String(a.key).localeCompare(String(b.key)));
+
+        const domainList = ranked(domains);
+        const topDomains = domainList.slice(0, this.maxDomains);
+        const rest = domainList.slice(this.maxDomains).reduce((sum, entry) => sum + entry.count, 0);
+        if (rest > 0) {
+            topDomains.push({ key: '(other domains)', count: rest, share: share(rest) });
+        }
+
+        return {
+            total,
+            categories: ranked(categories),
+            priorities: this.priorities.map(key => ({ key, count: priorities.get(key), share: share(priorities.get(key)) })),
+            domains: topDomains,
+            hours: hours.map((count, hour) => ({ key: hour, count, share: share(count) })),
+            confidence: confidence.map((count, index) => ({ key: this.bucketLabel(index), count, share: share(count) })),
+            other: { count: other, rate: share(other) },
+            lowConfidence: {
+                count: lowConfidence.length,
+                rate: share(lowConfidence.length),
+                tickets: lowConfidence
+                    .sort((a, b) => a.confidence - b.confidence || b.received.localeCompare(a.received))
+                    .slice(0, this.maxLowConfidence)
+            },
+            trend: this.fillDays(days)
+        };
+    }
+
+    /**
+     * When the email was sent: Date header, else the SLA clock start, else when it was parsed
+     */
+    receivedAt(ticket) {
+        const candidates = [
+            ticket.headers && ticket.headers.date,
+            ticket.sla && ticket.sla.received,
+            ticket.timestamp
+        ];
+        for (const value of candidates) {
+            const time = value ? Date.parse(value) : NaN;
+            if (!isNaN(time)) return time;
+        }
+        return NaN;
+    }
+
+    /**
+     * Sender's domain, from the directory lookup or the From line
+     */
+    domain(ticket) {
+        const address = (ticket.requester && ticket.requester.email) ||
+            (ticket.headers && ticket.headers.from && ticket.headers.from[0] && ticket.headers.from[0].address) ||
+            String(ticket.from || '');
+        const match = String(address).match(/@([a-z0-9.-]+\.[a-z]{2,})/i);
+        return match ? match[1].toLowerCase() : '(unknown)';
+    }
+
+    isLowConfidence(ticket) {
+        if (typeof ticket.lowConfidence === 'boolean') return ticket.lowConfidence;
+        return ticket.category === 'other' || !(Number(ticket.confidence) >= this.lowConfidence);
+    }
+
+    confidenceBucket(value) {
+        const confidence = Math.max(0, Math.min(1, Number(value) || 0));
+        const index = this.confidenceBuckets.findIndex(limit => confidence < limit);
+        return index === -1 ? this.confidenceBuckets.length - 1 : index;
+    }
+
+    bucketLabel(index) {
+        const low = index === 0 ? 0 : this.confidenceBuckets[index - 1];
+        return `${Math.round(low * 100)}-${Math.round(this.confidenceBuckets[index] * 100)}%`;
+    }
+
+    /**
+     * Local calendar day as YYYY-MM-DD
+     */
+    dayKey(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * One entry per day from the first to the last ticket (quiet days count as zero), newest maxTrendDays kept
+     */
+    fillDays(days) {
+        const keys = Array.from(days.keys()).sort();
+        if (keys.length === 0) return [];
+
+        const last = keys[keys.length - 1].split('-').map(Number);
+        const trend = [];
+        for (let offset = 0; offset < this.maxTrendDays; offset++) {
+            const key = this.dayKey(new Date(last[0], last[1] - 1, last[2] - offset));
+            if (key < keys[0]) break;
+            trend.unshift(days.get(key) || { date: key, total: 0, other: 0, lowConfidence: 0 });
+        }
+        return trend;
+    }
+
+    /**
+     * Every table in the summary as `section,key,count,share` rows, then the low-confidence tickets
+     */
+    toCSV(summary) {
+        const cell = value => this.exporter.csvCell(value);
+        const rows = [['section', 'key', 'count', 'share'].join(',')];
+        const sections = {
+            category: summary.categories,
+            priority: summary.priorities,
+            domain: summary.domains,
+            hour: summary.hours,
+            confidence: summary.confidence
+        };
+        for (const [section, entries] of Object.entries(sections)) {
+            for (const entry of entries) {
+                rows.push([section, entry.key, entry.count, entry.share].map(cell).join(','));
+            }
+        }
+        rows.push(['rate', 'other', summary.other.count, summary.other.rate].map(cell).join(','));
+        rows.push(['rate', 'low_confidence', summary.lowConfidence.count, summary.lowConfidence.rate].map(cell).join(','));
+        for (const day of summary.trend) {
+            rows.push(['day', day.date, day.total, ''].map(cell).join(','));
+            rows.push(['day_other', day.date, day.other, ''].map(cell).join(','));
+            rows.push(['day_low_confidence', day.date, day.lowConfidence, ''].map(cell).join(','));
+        }
+
+        rows.push('');
+        rows.push(['ticketId', 'received', 'subject', 'category', 'confidence', 'candidates'].join(','));
+        for (const ticket of summary.lowConfidence.tickets) {
+            rows.push([ticket.ticketId, ticket.received, ticket.subject, ticket.category, ticket.confidence, ticket.candidates.join(' ')]
+                .map(cell).join(','));
+        }
+        return rows.join('\r\n');
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TicketAnalytics };
+} else {
+    self.TicketAnalytics = TicketAnalytics;
+}
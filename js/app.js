@@ -5,29 +5,79 @@
 // Initialize parser
 const parser = new EmailParser();
 
+// Apply the team's saved categories/keywords, if any
+const taxonomyStore = new TaxonomyStore();
+taxonomyStore.apply(parser, taxonomyStore.load());
+
+// Remember tickets across sessions so follow-ups and duplicates are recognized
+parser.threads = new ThreadIndex(localStorage, parser.scoring);
+
 // DOM Elements
 const emailInput = document.getElementById('emailInput');
 const parseBtn = document.getElementById('parseBtn');
 const clearBtn = document.getElementById('clearBtn');
 const exampleBtn = document.getElementById('exampleBtn');
 const resultsSection = document.getElementById('resultsSection');
-const copyJsonBtn = document.getElementById('copyJsonBtn');
-const copyTextBtn = document.getElementById('copyTextBtn');
 
 // Result display elements
 const resultFrom = document.getElementById('resultFrom');
+const resultRequesterItem = document.getElementById('resultRequesterItem');
+const resultRequester = document.getElementById('resultRequester');
 const resultSubject = document.getElementById('resultSubject');
 const resultTicketId = document.getElementById('resultTicketId');
+const resultThreadId = document.getElementById('resultThreadId');
+const resultRelatedItem = document.getElementById('resultRelatedItem');
+const resultRelated = document.getElementById('resultRelated');
 const resultCategory = document.getElementById('resultCategory');
 const resultPriority = document.getElementById('resultPriority');
 const resultConfidence = document.getElementById('resultConfidence');
+const resultLanguageItem = document.getElementById('resultLanguageItem');
+const resultLanguage = document.getElementById('resultLanguage');
+const resultToneItem = document.getElementById('resultToneItem');
+const resultTone = document.getElementById('resultTone');
+const resultSecurityItem = document.getElementById('resultSecurityItem');
+const resultSecurity = document.getElementById('resultSecurity');
+const resultSlaCard = document.getElementById('resultSlaCard');
+const resultRespondBy = document.getElementById('resultRespondBy');
+const resultResolveBy = document.getElementById('resultResolveBy');
+const resultSlaNote = document.getElementById('resultSlaNote');
 const resultBody = document.getElementById('resultBody');
+const resultRedactionBar = document.getElementById('resultRedactionBar');
+const resultRedactionSummary = document.getElementById('resultRedactionSummary');
+const showOriginalToggle = document.getElementById('showOriginalToggle');
+const resultChildrenCard = document.getElementById('resultChildrenCard');
+const resultChildren = document.getElementById('resultChildren');
+const splitAllChildrenBtn = document.getElementById('splitAllChildrenBtn');
 const resultInsights = document.getElementById('resultInsights');
+const resultReplyCard = document.getElementById('resultReplyCard');
+const resultArticles = document.getElementById('resultArticles');
+const resultReplySubject = document.getElementById('resultReplySubject');
+const resultReplyBody = document.getElementById('resultReplyBody');
+const copyReplyBtn = document.getElementById('copyReplyBtn');
+const mailtoReplyBtn = document.getElementById('mailtoReplyBtn');
+const resultCategoryEvidence = document.getElementById('resultCategoryEvidence');
+const resultPriorityEvidence = document.getElementById('resultPriorityEvidence');
+const resultEntitiesCard = document.getElementById('resultEntitiesCard');
+const resultEntities = document.getElementById('resultEntities');
+const resultAttachmentsCard = document.getElementById('resultAttachmentsCard');
+const resultAttachments = document.getElementById('resultAttachments');
+const resultContextCard = document.getElementById('resultContextCard');
+const resultQuotedDetails = document.getElementById('resultQuotedDetails');
+const resultQuoted = document.getElementById('resultQuoted');
+const resultSignatureDetails = document.getElementById('resultSignatureDetails');
+const resultSignature = document.getElementById('resultSignature');
 
 // Validate required DOM elements exist
 if (!emailInput || !parseBtn || !clearBtn || !exampleBtn || !resultsSection ||
-    !copyJsonBtn || !copyTextBtn || !resultFrom || !resultSubject || !resultTicketId ||
-    !resultCategory || !resultPriority || !resultConfidence || !resultBody || !resultInsights) {
+    !resultFrom || !resultRequesterItem || !resultRequester || !resultSubject || !resultTicketId ||
+    !resultThreadId || !resultRelatedItem || !resultRelated ||
+    !resultCategory || !resultPriority || !resultConfidence || !resultLanguageItem || !resultLanguage || !resultBody || !resultInsights ||
+    !resultToneItem || !resultTone || !resultSecurityItem || !resultSecurity ||
+    !resultSlaCard || !resultRespondBy || !resultResolveBy || !resultSlaNote ||
+    !resultRedactionBar || !resultRedactionSummary || !showOriginalToggle || !resultChildrenCard || !resultChildren || !splitAllChildrenBtn ||
+    !resultCategoryEvidence || !resultPriorityEvidence || !resultEntitiesCard || !resultEntities || !resultAttachmentsCard || !resultAttachments ||
+    !resultContextCard || !resultQuotedDetails || !resultQuoted || !resultSignatureDetails || !resultSignature ||
+    !resultReplyCard || !resultArticles || !resultReplySubject || !resultReplyBody || !copyReplyBtn || !mailtoReplyBtn) {
     console.error('Required DOM elements not found');
     throw new Error('Failed to initialize: missing required DOM elements');
 }
@@ -36,6 +86,9 @@ if (!emailInput || !parseBtn || !clearBtn || !exampleBtn || !resultsSection ||
 let currentResult = null;
 let parseTimeout = null;
 
+// Panels that act on every newly parsed ticket (see onTicketParsed)
+const ticketParsedListeners = [];
+
 // Rate limiting
 const rateLimiter = {
     attempts: [],
@@ -81,8 +134,23 @@ Marketing Manager`;
 parseBtn.addEventListener('click', parseEmail);
 clearBtn.addEventListener('click', clearForm);
 exampleBtn.addEventListener('click', loadExample);
-copyJsonBtn.addEventListener('click', copyAsJSON);
-copyTextBtn.addEventListener('click', copyAsText);
+showOriginalToggle.addEventListener('change', () => {
+    if (currentResult) displayDescription(currentResult);
+});
+copyReplyBtn.addEventListener('click', () => {
+    copyToClipboard(resultReplyBody.value, 'Reply copied to clipboard!');
+});
+mailtoReplyBtn.addEventListener('click', openReplyDraft);
+splitAllChildrenBtn.addEventListener('click', () => {
+    if (!currentResult) return;
+    (currentResult.childTickets || []).filter(child => !child.status).forEach(splitChildTicket);
+});
+
+// Drop .eml exports straight onto the textarea
+emailInput.addEventListener('dragover', (e) => {
+    e.preventDefault();
+});
+emailInput.addEventListener('drop', loadDroppedEmail);
 
 // Allow Enter key in textarea (Ctrl+Enter to parse)
 emailInput.addEventListener('keydown', (e) => {
@@ -108,20 +176,27 @@ function parseEmail() {
         return;
     }
 
-    try {
-        // Parse email
-        currentResult = parser.parse(emailText);
+    // Parse email, taking a ticket ID no other open tab is issuing at the same time
+    parser.exclusive(() => parser.parse(emailText)).then((result) => {
+        currentResult = result;
 
         // Display results
         displayResults(currentResult);
+        ticketParsedListeners.forEach(listener => listener(currentResult));
 
         // Show results section with animation
         resultsSection.style.display = 'block';
         resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-
-    } catch (error) {
+    }).catch((error) => {
         showError('Error parsing email: ' + error.message);
-    }
+    });
+}
+
+/**
+ * Call listener(result) after each email parsed from the input box, and for each child ticket split off from it
+ */
+function onTicketParsed(listener) {
+    ticketParsedListeners.push(listener);
 }
 
 /**
@@ -131,26 +206,474 @@ function displayResults(result) {
     // Sanitize all user inputs to prevent XSS
     // Using textContent already provides protection, but validate data types
     resultFrom.textContent = sanitizeOutput(result.from);
-    resultSubject.textContent = sanitizeOutput(result.subject);
     resultTicketId.textContent = sanitizeOutput(result.ticketId);
+    displayRequester(result.requester);
+    displayThread(result);
 
-    // Classification
-    resultCategory.textContent = sanitizeOutput(result.categoryLabel);
+    // Classification - badges are selects so agents can correct them
+    const categoryNames = Object.keys(parser.categories).concat('other');
+    if (!categoryNames.includes(result.category)) {
+        categoryNames.push(result.category);
+    }
+    fillSelect(resultCategory, categoryNames, result.category, name => parser.formatCategoryName(name));
     resultCategory.className = 'value badge';
 
     // Validate priority is one of expected values
     const validPriorities = ['low', 'medium', 'high', 'urgent'];
     const safePriority = validPriorities.includes(result.priority) ? result.priority : 'medium';
-    resultPriority.textContent = safePriority.toUpperCase();
+    fillSelect(resultPriority, validPriorities, safePriority, level => level.toUpperCase());
     resultPriority.className = `value badge ${safePriority}`;
 
     resultConfidence.textContent = `${(result.confidence * 100).toFixed(0)}%`;
-
-    // Description
-    resultBody.textContent = sanitizeOutput(result.body);
+    const pack = parser.languages && result.language ? parser.languages.get(result.language) : null;
+    resultLanguage.textContent = sanitizeOutput(pack ? `${pack.name} (${result.language})` : result.language);
+    resultLanguageItem.style.display = result.language ? '' : 'none';
+    displayTone(result.tone);
+    displaySecurity(result.security);
+    displaySla(result);
+
+    // New tickets always open redacted
+    showOriginalToggle.checked = false;
+    displayDescription(result);
+    displayChildTickets(result);
+    displayEvidence(result);
+
+    displayEntities(result.entities);
+    displayAttachments(result.attachments);
+
+    // Quoted history and signature are kept out of the description but still viewable
+    resultQuoted.textContent = sanitizeOutput(result.quotedText);
+    resultSignature.textContent = sanitizeOutput(result.signature);
+    resultQuotedDetails.style.display = result.quotedText ? 'block' : 'none';
+    resultSignatureDetails.style.display = result.signature ? 'block' : 'none';
+    resultContextCard.style.display = (result.quotedText || result.signature) ? 'block' : 'none';
 
     // Insights
     resultInsights.textContent = sanitizeOutput(result.insights);
+    displaySuggestedReply(result);
+}
+
+/**
+ * Other issues raised in the same email, each waiting to be split off or kept in this ticket
+ */
+function displayChildTickets(result) {
+    const children = Array.isArray(result.childTickets) ? result.childTickets : [];
+    resultChildrenCard.style.display = children.length > 0 ? 'block' : 'none';
+    resultChildren.textContent = '';
+
+    children.forEach((child) => {
+        const item = document.createElement('li');
+        item.className = 'child-ticket';
+
+        const summary = document.createElement('div');
+        summary.className = 'child-ticket-summary';
+        const heading = document.createElement('strong');
+        heading.textContent = sanitizeOutput(`${child.categoryLabel} · ${String(child.priority).toUpperCase()}`);
+        const snippet = document.createElement('span');
+        snippet.className = 'child-ticket-snippet';
+        snippet.textContent = sanitizeOutput(child.snippet);
+        summary.appendChild(heading);
+        summary.appendChild(snippet);
+        item.appendChild(summary);
+
+        if (child.status) {
+            const status = document.createElement('span');
+            status.className = 'child-ticket-status';
+            status.textContent = sanitizeOutput(child.status === 'split' ? `Split off as ${child.ticketId}` : 'Kept in this ticket');
+            item.appendChild(status);
+        } else {
+            item.appendChild(createChildButton('✂️ Split Off', `Split off ${child.categoryLabel} as its own ticket`, () => splitChildTicket(child)));
+            item.appendChild(createChildButton('🔗 Keep Together', `Keep ${child.categoryLabel} in this ticket`, () => keepChildTicket(child)));
+        }
+        resultChildren.appendChild(item);
+    });
+
+    splitAllChildrenBtn.disabled = !children.some(child => !child.status);
+}
+
+function createChildButton(label, ariaLabel, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-btn small-btn';
+    button.textContent = label;
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Open a suggested issue as its own ticket; the panels (e.g. the queue) get it like a newly parsed email
+ */
+function splitChildTicket(child) {
+    if (!currentResult || child.status) return;
+
+    const ticket = parser.createChildTicket(currentResult, child);
+    child.status = 'split';
+    child.ticketId = ticket.ticketId;
+    ticketParsedListeners.forEach(listener => listener(ticket));
+    displayChildTickets(currentResult);
+}
+
+/**
+ * Leave a suggested issue in this ticket
+ */
+function keepChildTicket(child) {
+    if (!currentResult || child.status) return;
+
+    child.status = 'merged';
+    displayChildTickets(currentResult);
+}
+
+/**
+ * Matching knowledge base articles and the drafted reply (editable before copying or sending)
+ */
+function displaySuggestedReply(result) {
+    const reply = result.suggestedReply;
+    resultReplyCard.style.display = reply ? 'block' : 'none';
+    if (!reply) return;
+
+    resultArticles.textContent = '';
+    (result.articles || []).forEach((article) => {
+        const item = document.createElement('li');
+        // Links were checked to be http(s) when the article was saved
+        const title = document.createElement(article.url ? 'a' : 'span');
+        title.textContent = sanitizeOutput(article.title);
+        if (article.url) {
+            title.href = article.url;
+            title.target = '_blank';
+            title.rel = 'noopener noreferrer';
+        }
+        const score = document.createElement('span');
+        score.className = 'article-score';
+        score.textContent = `score ${article.score}` + (article.id === reply.articleId ? ' · used for the reply' : '');
+        item.appendChild(title);
+        item.appendChild(score);
+        resultArticles.appendChild(item);
+    });
+    if (!result.articles || result.articles.length === 0) {
+        const item = document.createElement('li');
+        item.textContent = 'No matching knowledge base article - using the generic reply';
+        resultArticles.appendChild(item);
+    }
+
+    resultReplySubject.value = reply.subject;
+    resultReplyBody.value = reply.body;
+}
+
+/**
+ * Open the reply in the default mail app
+ */
+function openReplyDraft() {
+    if (!currentResult || !currentResult.suggestedReply) return;
+
+    // Only a plain address goes before the "?" - anything else could add headers
+    const to = String(currentResult.suggestedReply.to || '');
+    const address = /^[^\s@<>?&#%,;:"]+@[^\s@<>?&#%,;:"]+$/.test(to) ? to : '';
+    const url = `mailto:${address}?subject=${encodeURIComponent(resultReplySubject.value)}&body=${encodeURIComponent(resultReplyBody.value)}`;
+    if (url.length > 8000) {
+        showError('Reply is too long to open as an email draft - copy it instead');
+        return;
+    }
+    window.location.href = url;
+}
+
+/**
+ * Who the sender is according to the directory, or a warning for unknown external senders
+ */
+function displayRequester(requester) {
+    const shown = Boolean(requester && (requester.known || requester.unknownExternal));
+    resultRequesterItem.style.display = shown ? '' : 'none';
+    if (!shown) return;
+
+    resultRequester.textContent = sanitizeOutput(requester.known
+        ? [requester.name, requester.title, requester.department, requester.organization].filter(Boolean).join(', ') +
+            (requester.tier ? ` (${requester.tier} tier)` : '') + (requester.vip ? ' ⭐ VIP' : '')
+        : '❔ Unknown external sender');
+    resultRequester.className = requester.unknownExternal ? 'value unknown-sender' : 'value';
+}
+
+/**
+ * Frustration and escalation risk; calm emails show nothing
+ */
+function displayTone(tone) {
+    const shown = Boolean(tone && tone.escalationRisk !== 'low');
+    resultToneItem.style.display = shown ? '' : 'none';
+    if (!shown) return;
+
+    resultTone.textContent = sanitizeOutput(`${tone.escalationRisk === 'high' ? '🔥 High' : '😟 Medium'} escalation risk ` +
+        `(frustration ${Math.round(tone.frustration * 100)}%)`);
+    resultTone.className = `value tone-${tone.escalationRisk === 'high' ? 'high' : 'medium'}`;
+}
+
+/**
+ * Phishing risk; emails that pass the screen show nothing
+ */
+function displaySecurity(security) {
+    const shown = Boolean(security && security.suspicious);
+    resultSecurityItem.style.display = shown ? '' : 'none';
+    if (!shown) return;
+
+    resultSecurity.textContent = sanitizeOutput(`🎣 ${security.level === 'high' ? 'High' : 'Medium'} phishing risk ` +
+        `(${Math.round(security.risk * 100)}%)`);
+    resultSecurity.className = `value tone-${security.level === 'high' ? 'high' : 'medium'}`;
+    resultSecurity.title = security.signals.map(signal => signal.description).join('\n');
+}
+
+/**
+ * Thread ID plus any earlier tickets this one replies to or duplicates
+ */
+function displayThread(result) {
+    const threadId = result.threadId || result.ticketId;
+    resultThreadId.textContent = sanitizeOutput(threadId === result.ticketId ? `${threadId} (new thread)` : threadId);
+
+    const related = Array.isArray(result.relatedTickets) ? result.relatedTickets : [];
+    const links = related.map(ticket =>
+        sanitizeOutput(`${ticket.ticketId} (${ticket.relation === 'reply' ? 'earlier message' : 'possible duplicate'}, ${Math.round(ticket.similarity * 100)}% similar)`)
+    );
+    if (result.parentTicketId) {
+        links.unshift(sanitizeOutput(`${result.parentTicketId} (split from)`));
+    }
+    resultRelated.textContent = links.join(', ');
+    resultRelatedItem.style.display = links.length > 0 ? '' : 'none';
+}
+
+/**
+ * Respond-by and resolve-by times in the SLA time zone, flagged once they have passed
+ */
+function displaySla(result) {
+    const sla = result.sla;
+    resultSlaCard.style.display = sla ? '' : 'none';
+    if (!sla) return;
+
+    const now = Date.now();
+    const format = value => (parser.sla ? parser.sla.format(value) : new Date(value).toLocaleString());
+    [[resultRespondBy, result.respondBy], [resultResolveBy, result.resolveBy]].forEach(([element, value]) => {
+        const overdue = Date.parse(value) < now;
+        element.textContent = sanitizeOutput(format(value)) + (overdue ? ' (overdue)' : '');
+        element.className = overdue ? 'value overdue' : 'value';
+    });
+
+    const within = hours => (hours < 1 ? `${Math.round(hours * 60)} min` : `${hours} h`);
+    const calendar = sla.calendar === '24x7' ? 'around the clock' : `business hours, ${sla.timezone}`;
+    resultSlaNote.textContent = sanitizeOutput(
+        `${String(sla.priority).toUpperCase()} target: respond within ${within(sla.respondHours)}, resolve within ${within(sla.resolveHours)} (${calendar}).` +
+        (sla.requestedBy ? ` Requester asked for "${sla.requestedBy.value}".` : '') +
+        (sla.tightenedFrom ? ` Priority raised from ${sla.tightenedFrom.toUpperCase()} to meet it.` : '')
+    );
+}
+
+/**
+ * Subject and description with evidence and redactions highlighted, masked or original
+ * (masks are the same length as what they hide, so spans line up either way)
+ */
+function displayDescription(result) {
+    const redactions = Array.isArray(result.redactions) ? result.redactions : [];
+    const canPreview = redactions.length > 0 && Boolean(result.original);
+    const source = canPreview && showOriginalToggle.checked ? result.original : result;
+
+    resultRedactionBar.style.display = redactions.length > 0 ? 'flex' : 'none';
+    showOriginalToggle.disabled = !canPreview;
+    resultRedactionSummary.textContent = `🔒 ${redactions.length} value${redactions.length === 1 ? '' : 's'} redacted: ` +
+        Array.from(new Set(redactions.map(entry => sanitizeOutput(entry.label)))).join(', ');
+
+    const spans = collectEvidence(result).concat(redactions.map(entry => Object.assign({ kind: 'redacted', description: entry.label }, entry)));
+    highlightText(resultSubject, sanitizeOutput(source.subject), spans.filter(item => item.field === 'subject'));
+    highlightText(resultBody, sanitizeOutput(source.body), spans.filter(item => item.field === 'body'));
+}
+
+/**
+ * Replace a select's options, marking one as selected
+ */
+function fillSelect(select, values, selected, labelFor) {
+    select.textContent = '';
+    values.forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = sanitizeOutput(labelFor(value));
+        option.selected = value === selected;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Flatten category and priority evidence into highlightable spans
+ */
+function collectEvidence(result) {
+    const evidence = result.evidence || {};
+    const spans = [];
+
+    (evidence.category || []).forEach((item) => {
+        spans.push(Object.assign({ kind: item.negated ? 'negated' : 'category' }, item));
+    });
+    (evidence.priority || []).forEach((item) => {
+        if (item.field) {
+            spans.push(Object.assign({ kind: item.negated ? 'negated' : 'priority' }, item));
+        }
+    });
+
+    return spans.filter(item => Number.isInteger(item.start) && Number.isInteger(item.end) && item.end > item.start);
+}
+
+/**
+ * Render text with <mark> elements around evidence spans (DOM only, no innerHTML)
+ */
+function highlightText(element, text, spans) {
+    element.textContent = '';
+
+    // Overlapping spans keep the first one
+    const sorted = spans.slice().sort((a, b) => a.start - b.start);
+    let cursor = 0;
+
+    sorted.forEach((span) => {
+        if (span.start < cursor || span.end > text.length) return;
+
+        element.appendChild(document.createTextNode(text.substring(cursor, span.start)));
+        const mark = document.createElement('mark');
+        mark.className = `evidence-${span.kind}`;
+        mark.textContent = text.substring(span.start, span.end);
+        mark.title = span.description || `"${span.keyword}" ${span.contribution >= 0 ? '+' : ''}${span.contribution}`;
+        element.appendChild(mark);
+        cursor = span.end;
+    });
+
+    element.appendChild(document.createTextNode(text.substring(cursor)));
+}
+
+/**
+ * List each keyword/rule with where it matched and what it contributed
+ */
+function displayEvidence(result) {
+    const evidence = result.evidence || {};
+
+    resultCategoryEvidence.textContent = '';
+    const categoryItems = evidence.category || [];
+    categoryItems.forEach((item) => {
+        const li = document.createElement('li');
+        const where = item.field === 'attachments' ? 'attachment name' : item.field;
+        const effect = item.negated ? 'ignored (negated)' : `${item.contribution >= 0 ? '+' : ''}${item.contribution}`;
+        li.textContent = `"${sanitizeOutput(item.keyword)}" in ${where}: ${effect}`;
+        li.className = item.negated ? 'negated' : '';
+        resultCategoryEvidence.appendChild(li);
+    });
+    if (categoryItems.length === 0) {
+        const li = document.createElement('li');
+        li.textContent = 'No category keywords matched strongly enough - filed as Other';
+        resultCategoryEvidence.appendChild(li);
+    }
+
+    resultPriorityEvidence.textContent = '';
+    (evidence.priority || []).forEach((item) => {
+        const li = document.createElement('li');
+        li.textContent = sanitizeOutput(item.description);
+        li.className = item.negated ? 'negated' : '';
+        resultPriorityEvidence.appendChild(li);
+    });
+}
+
+/**
+ * List attachments with a local download button for each
+ */
+function displayAttachments(attachments) {
+    resultAttachments.textContent = '';
+    const list = Array.isArray(attachments) ? attachments : [];
+    resultAttachmentsCard.style.display = list.length > 0 ? 'block' : 'none';
+
+    list.forEach((attachment) => {
+        const item = document.createElement('li');
+        item.className = 'attachment-item';
+
+        const name = document.createElement('span');
+        name.className = 'attachment-name';
+        name.textContent = sanitizeOutput(attachment.filename);
+
+        const meta = document.createElement('span');
+        meta.className = 'attachment-meta';
+        meta.textContent = `${sanitizeOutput(attachment.contentType)} · ${formatBytes(attachment.size)}` +
+            (attachment.inline ? ' · inline' : '');
+        meta.title = sanitizeOutput(attachment.checksum);
+
+        const button = document.createElement('button');
+        button.className = 'secondary-btn small-btn';
+        button.textContent = '⬇️ Download';
+        button.setAttribute('aria-label', `Download ${attachment.filename}`);
+        button.addEventListener('click', () => downloadAttachment(attachment));
+
+        item.append(name, meta, button);
+        resultAttachments.appendChild(item);
+    });
+}
+
+/**
+ * Extracted entities, one row per type
+ */
+function displayEntities(entities) {
+    resultEntities.textContent = '';
+    const list = Array.isArray(entities) ? entities : [];
+    resultEntitiesCard.style.display = list.length > 0 ? 'block' : 'none';
+
+    const labels = parser.entityExtractor.labels;
+    const groups = new Map();
+    list.forEach((entity) => {
+        const value = entity.resolved
+            ? `${entity.value} (${new Date(entity.resolved).toLocaleString()})`
+            : entity.value;
+        if (!groups.has(entity.type)) groups.set(entity.type, []);
+        groups.get(entity.type).push(value);
+    });
+
+    groups.forEach((values, type) => {
+        const item = document.createElement('li');
+        item.className = 'entity-item';
+
+        const label = document.createElement('span');
+        label.className = 'entity-type';
+        label.textContent = sanitizeOutput(labels[type] || type);
+
+        const text = document.createElement('span');
+        text.className = 'entity-values';
+        text.textContent = values.map(value => sanitizeOutput(value)).join(', ');
+
+        item.append(label, text);
+        resultEntities.appendChild(item);
+    });
+}
+
+/**
+ * Save an attachment to disk without opening it in the page
+ */
+function downloadAttachment(attachment) {
+    if (!attachment.content) {
+        showError('Attachment content is not available');
+        return;
+    }
+
+    // Always octet-stream so the browser never renders attachment HTML/SVG in our origin
+    downloadFile(attachment.content, attachment.filename, 'application/octet-stream');
+}
+
+/**
+ * Save data as a local file via a temporary object URL
+ */
+function downloadFile(data, filename, type) {
+    const blob = new Blob([data], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Format a byte count for display
+ */
+function formatBytes(bytes) {
+    const size = Number(bytes) || 0;
+    if (size < 1024) return `${size} B`;
+    if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+    return `${(size / (1024 * 1024)).toFixed(1)} MB`;
 }
 
 /**
@@ -191,29 +714,31 @@ function loadExample() {
 }
 
 /**
- * Copy results as JSON
+ * Load a dropped .eml file into the textarea and parse it
  */
-function copyAsJSON() {
-    if (!currentResult) {
-        showError('No results to copy');
-        return;
+function loadDroppedEmail(event) {
+    const files = event.dataTransfer && event.dataTransfer.files;
+    if (!files || files.length === 0) {
+        return; // Plain text drop - let the browser insert it
     }
+    event.preventDefault();
 
-    const json = parser.toJSON(currentResult);
-    copyToClipboard(json, 'JSON copied to clipboard!');
-}
-
-/**
- * Copy results as plain text
- */
-function copyAsText() {
-    if (!currentResult) {
-        showError('No results to copy');
+    const file = files[0];
+    if (!/\.(eml|txt)$/i.test(file.name) && file.type !== 'message/rfc822') {
+        showError('Please drop an .eml or .txt file');
+        return;
+    }
+    if (file.size > parser.maxMessageLength) {
+        showError('File too large (max 10MB)');
         return;
     }
 
-    const text = parser.toText(currentResult);
-    copyToClipboard(text, 'Text copied to clipboard!');
+    file.text().then((text) => {
+        emailInput.value = text;
+        parseEmail();
+    }).catch((err) => {
+        showError('Could not read file: ' + err.message);
+    });
 }
 
 /**
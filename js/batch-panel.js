@@ -0,0 +1,262 @@
+/**
+ * Email-to-Ticket Parser - Batch Import Panel
+ * Drag-and-drop mbox/.eml import with a sortable, filterable ticket table
+ */
+
+const batchDropZone = document.getElementById('batchDropZone');
+const batchFileInput = document.getElementById('batchFileInput');
+const batchStatus = document.getElementById('batchStatus');
+const batchResults = document.getElementById('batchResults');
+const batchFilterText = document.getElementById('batchFilterText');
+const batchFilterCategory = document.getElementById('batchFilterCategory');
+const batchFilterPriority = document.getElementById('batchFilterPriority');
+const batchFilterErrors = document.getElementById('batchFilterErrors');
+const batchExportBtn = document.getElementById('batchExportBtn');
+const batchClearBtn = document.getElementById('batchClearBtn');
+const batchQueueBtn = document.getElementById('batchQueueBtn');
+const batchTable = document.getElementById('batchTable');
+const batchTableBody = document.getElementById('batchTableBody');
+
+if (!batchDropZone || !batchFileInput || !batchStatus || !batchResults || !batchFilterText ||
+    !batchFilterCategory || !batchFilterPriority || !batchFilterErrors || !batchExportBtn ||
+    !batchClearBtn || !batchQueueBtn || !batchTable || !batchTableBody) {
+    console.error('Batch panel elements not found');
+    throw new Error('Failed to initialize: missing batch panel elements');
+}
+
+const batchRunner = new BatchRunner(parser);
+const PRIORITY_ORDER = { low: 0, medium: 1, high: 2, urgent: 3 };
+
+// Rows: { index, source, result, error }
+let batchRows = [];
+let batchSort = { key: 'index', direction: 1 };
+let batchRunning = false;
+
+batchDropZone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    batchDropZone.classList.add('dragging');
+});
+batchDropZone.addEventListener('dragleave', () => {
+    batchDropZone.classList.remove('dragging');
+});
+batchDropZone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    batchDropZone.classList.remove('dragging');
+    startBatch(e.dataTransfer && e.dataTransfer.files);
+});
+batchFileInput.addEventListener('change', () => {
+    startBatch(batchFileInput.files);
+    batchFileInput.value = '';
+});
+[batchFilterText, batchFilterCategory, batchFilterPriority, batchFilterErrors].forEach((control) => {
+    control.addEventListener('input', renderBatchTable);
+    control.addEventListener('change', renderBatchTable);
+});
+batchTable.querySelectorAll('th[data-sort]').forEach((header) => {
+    header.addEventListener('click', () => sortBatch(header.dataset.sort));
+});
+batchExportBtn.addEventListener('click', exportBatch);
+batchClearBtn.addEventListener('click', clearBatch);
+batchQueueBtn.addEventListener('click', queueBatch);
+
+/**
+ * Read the files and parse every message in them
+ */
+function startBatch(files) {
+    if (!files || files.length === 0) return;
+    if (batchRunning) {
+        batchStatus.textContent = 'A batch is already running - wait for it to finish.';
+        return;
+    }
+
+    batchRunning = true;
+    batchRows = [];
+    let batchNotice = '';
+    batchStatus.textContent = 'Reading files...';
+
+    batchRunner.readFiles(files).then((messages) => {
+        const total = messages.length;
+        batchStatus.textContent = `Parsing 0 of ${total}...`;
+        batchResults.style.display = 'block';
+
+        const config = {
+            taxonomy: taxonomyStore.fromParser(parser),
+            examples: parser.learner ? parser.learner.examples : [],
+            threads: parser.threads ? parser.threads.entries : [],
+            sla: parser.sla ? parser.sla.config : null,
+            directory: parser.directory ? parser.directory.data : null,
+            languages: parser.languages ? parser.languages.userPacks : null,
+            articles: parser.knowledgeBase ? parser.knowledgeBase.articles : null
+        };
+
+        return batchRunner.run(messages, config, (row) => {
+            batchRows.push(row);
+            batchStatus.textContent = `Parsing ${batchRows.length} of ${total}...`;
+            // Redraw every few rows so large batches stay responsive
+            if (batchRows.length % 25 === 0 || batchRows.length === total) {
+                renderBatchTable();
+            }
+        }, (notice) => {
+            batchNotice = notice;
+        }).then(() => {
+            const failed = batchRows.filter(row => row.error).length;
+            batchStatus.textContent = `Parsed ${batchRows.length - failed} of ${total} messages` +
+                (failed > 0 ? ` - ${failed} failed (see rows marked ❌)` : '') +
+                (batchNotice ? `. ${batchNotice}` : '');
+            renderBatchFilters();
+            renderBatchTable();
+        });
+    }).catch((error) => {
+        batchStatus.textContent = 'Batch failed: ' + error.message;
+    }).then(() => {
+        batchRunning = false;
+    });
+}
+
+/**
+ * Fill the category filter with the categories present in the batch
+ */
+function renderBatchFilters() {
+    const selected = batchFilterCategory.value;
+    const categories = Array.from(new Set(batchRows.filter(row => row.result).map(row => row.result.category))).sort();
+    fillSelect(batchFilterCategory, [''].concat(categories), selected, name => (name ? parser.formatCategoryName(name) : 'All categories'));
+}
+
+/**
+ * Sort by a column; clicking the same column flips direction
+ */
+function sortBatch(key) {
+    batchSort = { key, direction: batchSort.key === key ? -batchSort.direction : 1 };
+    renderBatchTable();
+}
+
+/**
+ * Value used to sort a row by a column
+ */
+function batchSortValue(row, key) {
+    const result = row.result || {};
+    switch (key) {
+        case 'priority': return row.error ? -1 : PRIORITY_ORDER[result.priority];
+        case 'confidence': return row.error ? -1 : result.confidence;
+        case 'status': return row.error ? 1 : 0;
+        case 'source': return row.source.toLowerCase();
+        case 'index': return row.index;
+        default: return String(result[key] || '').toLowerCase();
+    }
+}
+
+/**
+ * Rows matching the current filters, in the current sort order
+ */
+function visibleBatchRows() {
+    const text = batchFilterText.value.trim().toLowerCase();
+    const category = batchFilterCategory.value;
+    const priority = batchFilterPriority.value;
+    const errorsOnly = batchFilterErrors.checked;
+
+    return batchRows.filter((row) => {
+        if (errorsOnly && !row.error) return false;
+        if (category && (!row.result || row.result.category !== category)) return false;
+        if (priority && (!row.result || row.result.priority !== priority)) return false;
+        if (text) {
+            const haystack = `${row.source} ${row.error || ''} ${row.result ? `${row.result.from} ${row.result.subject}` : ''}`.toLowerCase();
+            if (!haystack.includes(text)) return false;
+        }
+        return true;
+    }).sort((a, b) => {
+        const left = batchSortValue(a, batchSort.key);
+        const right = batchSortValue(b, batchSort.key);
+        if (left < right) return -batchSort.direction;
+        if (left > right) return batchSort.direction;
+        return a.index - b.index;
+    });
+}
+
+/**
+ * Draw the ticket table
+ */
+function renderBatchTable() {
+    batchTableBody.textContent = '';
+
+    batchTable.querySelectorAll('th[data-sort]').forEach((header) => {
+        const active = header.dataset.sort === batchSort.key;
+        header.setAttribute('aria-sort', active ? (batchSort.direction > 0 ? 'ascending' : 'descending') : 'none');
+    });
+
+    visibleBatchRows().forEach((row) => {
+        const tr = document.createElement('tr');
+        const result = row.result;
+        const cells = result
+            ? [
+                String(row.index + 1),
+                row.source,
+                result.from,
+                result.subject,
+                result.categoryLabel,
+                String(result.priority).toUpperCase(),
+                `${(result.confidence * 100).toFixed(0)}%`,
+                '✅'
+            ]
+            : [String(row.index + 1), row.source, '', '', '', '', '', `❌ ${row.error}`];
+
+        cells.forEach((text) => {
+            const td = document.createElement('td');
+            td.textContent = sanitizeOutput(text).substring(0, 200);
+            tr.appendChild(td);
+        });
+        if (row.error) {
+            tr.className = 'error-row';
+        }
+
+        const actions = document.createElement('td');
+        if (result) {
+            actions.appendChild(createRowButton('👁️', `View ticket ${result.ticketId}`, () => viewBatchResult(result), false));
+        }
+        tr.appendChild(actions);
+
+        batchTableBody.appendChild(tr);
+    });
+}
+
+/**
+ * Open one batch ticket in the main results view
+ */
+function viewBatchResult(result) {
+    currentResult = result;
+    displayResults(result);
+    resultsSection.style.display = 'block';
+    resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Download the parsed tickets (and errors) as JSON
+ */
+function exportBatch() {
+    const rows = visibleBatchRows().map(row => (row.result ? row.result : { source: row.source, error: row.error }));
+    downloadFile(JSON.stringify(rows, null, 2), 'ticket-batch.json', 'application/json');
+}
+
+/**
+ * Add the shown tickets to the ticket queue (failed rows and tickets already queued are skipped)
+ */
+function queueBatch() {
+    const results = visibleBatchRows().filter(row => row.result).map(row => row.result);
+    if (results.length === 0) {
+        showError('No parsed tickets to add');
+        return;
+    }
+
+    queueTickets(results).then((added) => {
+        if (!added) return;
+        showSuccess(`Added ${added.length} of ${results.length} ticket${results.length === 1 ? '' : 's'} to the queue`);
+    });
+}
+
+/**
+ * Forget the current batch
+ */
+function clearBatch() {
+    batchRows = [];
+    batchResults.style.display = 'none';
+    batchStatus.textContent = '';
+}
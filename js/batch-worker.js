@@ -0,0 +1,60 @@
+/**
+ * Email-to-Ticket Parser - Batch Worker
+ * Parses queued messages off the main thread
+ */
+
+// Parser modules register themselves on the worker global
+importScripts('checksum.js', 'mime.js', 'body-cleaner.js', 'entities.js', 'redaction.js', 'exporters.js', 'scoring.js', 'tone.js', 'knowledge-base.js', 'phishing.js', 'issue-splitter.js', 'ticket-ids.js', 'taxonomy.js', 'threading.js', 'sla.js', 'directory.js', 'languages.js', 'classifier.js', 'parser.js');
+
+const parser = new EmailParser();
+
+self.onmessage = (event) => {
+    const message = event.data || {};
+
+    if (message.type === 'configure') {
+        // Mirror the page's taxonomy and corrections so batch results match single parses
+        try {
+            new TaxonomyStore(null).apply(parser, message.taxonomy);
+            const learner = new CorrectionLearner(parser.scoring);
+            learner.train(message.examples || []);
+            parser.learner = learner;
+            // Seed with the page's remembered tickets; the page adds the batch's entries when it finishes
+            parser.threads.entries = Array.isArray(message.threads) ? message.threads.slice() : [];
+            if (message.sla) {
+                parser.sla.apply(message.sla);
+            } else {
+                parser.sla = null;
+            }
+            if (message.languages) {
+                parser.languages.apply(message.languages);
+            } else {
+                parser.setLanguages(null);
+            }
+            if (message.directory) {
+                parser.directory.apply(message.directory);
+            } else {
+                parser.directory = null;
+            }
+            if (message.articles) {
+                parser.knowledgeBase.setArticles(message.articles);
+            } else {
+                parser.knowledgeBase = null;
+            }
+        } catch (error) {
+            self.postMessage({ type: 'error', error: 'Could not configure worker: ' + error.message });
+        }
+        return;
+    }
+
+    if (message.type === 'parse') {
+        try {
+            const result = parser.parse(message.text);
+            // The entry link() just added, for the page's thread index
+            const entries = parser.threads.entries;
+            const thread = entries.length > 0 && entries[entries.length - 1].ticketId === result.ticketId ? entries[entries.length - 1] : null;
+            self.postMessage({ type: 'result', id: message.id, result, thread });
+        } catch (error) {
+            self.postMessage({ type: 'result', id: message.id, error: String(error.message || error).substring(0, 200) });
+        }
+    }
+};
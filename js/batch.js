@@ -0,0 +1,193 @@
+/**
+ * Batch Runner
+ * Splits mbox/.eml files into messages and parses them in a Web Worker
+ */
+
+class BatchRunner {
+    constructor(parser) {
+        this.parser = parser;
+        this.workerUrl = 'js/batch-worker.js';
+        this.maxMessages = 1000;
+        this.maxFileSize = 50 * 1024 * 1024;
+
+        // Main-thread fallback yields to the UI between chunks
+        this.chunkSize = 10;
+    }
+
+    /**
+     * Turn one file's text into messages ({ source, text })
+     */
+    splitFile(name, text) {
+        const mime = this.parser.mime;
+        if (mime && mime.isMbox(text)) {
+            return mime.splitMbox(text).map((message, index) => ({ source: `${name} #${index + 1}`, text: message }));
+        }
+        return [{ source: name, text }];
+    }
+
+    /**
+     * Read and split a list of File objects
+     */
+    readFiles(files) {
+        const list = Array.from(files || []);
+        return Promise.all(list.map((file) => {
+            if (file.size > this.maxFileSize) {
+                return [{ source: file.name, text: '', error: `File too large (max ${this.maxFileSize / (1024 * 1024)}MB)` }];
+            }
+            return file.text()
+                .then(text => this.splitFile(file.name, text))
+                .catch(error => [{ source: file.name, text: '', error: 'Could not read file: ' + error.message }]);
+        })).then((groups) => {
+            const messages = [].concat(...groups);
+            if (messages.length > this.maxMessages) {
+                throw new Error(`Too many messages in one batch (max ${this.maxMessages})`);
+            }
+            return messages;
+        });
+    }
+
+    /**
+     * Parse messages, calling onResult({ index, source, result, error }) as each finishes
+     * onNotice(text), if given, hears about problems with the batch as a whole (the worker fell back to the page)
+     */
+    run(messages, config, onResult, onNotice) {
+        const pending = messages.map((message, index) => Object.assign({ index }, message));
+
+        // Read/size errors never reach the parser
+        const queued = [];
+        for (const message of pending) {
+            if (message.error) {
+                onResult({ index: message.index, source: message.source, result: null, error: message.error });
+            } else {
+                queued.push(message);
+            }
+        }
+
+        let worker = null;
+        try {
+            worker = typeof Worker !== 'undefined' ? new Worker(this.workerUrl) : null;
+        } catch (error) {
+            // file:// pages and strict browsers refuse workers - parse on the main thread
+            worker = null;
+        }
+
+        return worker ? this.runInWorker(worker, queued, config, onResult, onNotice || (() => {})) : this.runInline(queued, onResult);
+    }
+
+    /**
+     * Hand messages to the worker and resolve when every one has answered
+     */
+    runInWorker(worker, queued, config, onResult, onNotice) {
+        return new Promise((resolve) => {
+            let remaining = queued.length;
+            const byId = new Map(queued.map(message => [message.index, message]));
+            // The worker's IDs are placeholders; the page's scheme owns the counters
+            const renamed = new Map();
+            // The worker's thread entries, added to the page's index so later parses link to this batch
+            const threadEntries = [];
+            // Results are renumbered one at a time, in the order they arrive
+            let reissued = Promise.resolve();
+
+            const finish = () => {
+                worker.terminate();
+                this.rememberThreads(threadEntries);
+                resolve();
+            };
+            // Parse whatever the worker hasn't answered on the main thread instead
+            const fallBack = () => {
+                worker.terminate();
+                const rest = Array.from(byId.values());
+                byId.clear();
+                reissued.then(() => {
+                    this.rememberThreads(threadEntries);
+                    return this.runInline(rest, onResult);
+                }).then(resolve);
+            };
+            if (remaining === 0) {
+                finish();
+                return;
+            }
+
+            worker.onmessage = (event) => {
+                const data = event.data || {};
+                if (data.type === 'error') {
+                    // The worker couldn't take the page's settings; its results would not match single parses
+                    onNotice(`${data.error} - parsed on the page instead`);
+                    fallBack();
+                    return;
+                }
+                if (data.type !== 'result' || !byId.has(data.id)) return;
+
+                const message = byId.get(data.id);
+                byId.delete(data.id);
+                reissued = reissued
+                    .then(() => this.parser.exclusive(() => (data.result ? this.parser.reissueTicketId(data.result, renamed) : null)))
+                    .then(result => ({ result, error: data.error || null }))
+                    .catch(reissueError => ({ result: null, error: String(reissueError.message || reissueError).substring(0, 200) }))
+                    .then(({ result, error }) => {
+                        if (result && data.thread) {
+                            threadEntries.push(Object.assign({}, data.thread, { ticketId: result.ticketId, threadId: result.threadId }));
+                        }
+                        onResult({ index: message.index, source: message.source, result, error });
+                        if (--remaining === 0) finish();
+                    });
+            };
+
+            // Worker failed to load: finish the rest on the main thread
+            worker.onerror = (event) => {
+                event.preventDefault();
+                fallBack();
+            };
+
+            worker.postMessage({ type: 'configure', taxonomy: config.taxonomy, examples: config.examples, threads: config.threads, sla: config.sla, directory: config.directory, languages: config.languages, articles: config.articles });
+            for (const message of queued) {
+                worker.postMessage({ type: 'parse', id: message.index, text: message.text });
+            }
+        });
+    }
+
+    /**
+     * Parse on the main thread in small chunks
+     */
+    runInline(queued, onResult) {
+        return new Promise((resolve) => {
+            let position = 0;
+
+            const step = () => {
+                const end = Math.min(position + this.chunkSize, queued.length);
+                for (; position < end; position++) {
+                    const message = queued[position];
+                    try {
+                        onResult({ index: message.index, source: message.source, result: this.parser.parse(message.text), error: null });
+                    } catch (error) {
+                        onResult({ index: message.index, source: message.source, result: null, error: String(error.message || error).substring(0, 200) });
+                    }
+                }
+            };
+            const next = () => {
+                if (position < queued.length) {
+                    setTimeout(() => this.parser.exclusive(step).then(next), 0);
+                } else {
+                    resolve();
+                }
+            };
+            next();
+        });
+    }
+
+    /**
+     * Add thread entries from the worker to the page's thread index
+     */
+    rememberThreads(entries) {
+        if (this.parser.threads && entries.length > 0) {
+            this.parser.threads.remember(entries.splice(0));
+        }
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BatchRunner };
+} else {
+    self.BatchRunner = BatchRunner;
+}
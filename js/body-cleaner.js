@@ -0,0 +1,350 @@
+/**
+ * Body Cleaner
+ * Converts HTML bodies to text and separates the new message from quoted history and signature
+ */
+
+class BodyCleaner {
+    constructor() {
+        // Elements that end a line of text
+        this.blockTags = ['p', 'div', 'section', 'article', 'header', 'footer', 'table', 'tr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'hr', 'address'];
+
+        // Elements whose content is never shown
+        this.hiddenTags = ['script', 'style', 'head', 'title', 'template', 'noscript', 'xml'];
+
+        // Lines that introduce quoted history
+        this.quoteHeaders = [
+            /^On\s.{1,250}\swrote:$/i,
+            /^-{2,}\s*Original Message\s*-{2,}$/i,
+            /^-{2,}\s*Reply message\s*-{2,}$/i,
+            /^_{10,}$/
+        ];
+
+        // Sign-off lines that start a signature block
+        this.signOffs = [
+            /^(best|kind|warm|many)?\s*regards\b.{0,40}$/i,
+            /^(thanks|thank you|many thanks|thx|cheers|sincerely|best|br)\b[\s,!.]{0,3}[^\s]{0,20}$/i,
+            /^thanks (again|in advance)\b.{0,20}$/i,
+            /^sent from my\s.{1,60}$/i,
+            /^get outlook for\s.{1,40}$/i
+        ];
+
+        this.maxSignatureLines = 10;
+
+        // Optional LanguagePacks adding localized quote headers, Outlook labels and sign-offs (set by the parser)
+        this.languages = null;
+    }
+
+    /**
+     * Check whether text is an HTML document or fragment rather than plain text
+     */
+    looksLikeHtml(text) {
+        const sample = String(text).substring(0, 5000);
+        if (/^\s*(<!doctype html|<html\b)/i.test(sample)) return true;
+        const tags = sample.match(/<\/?(p|div|br|span|table|td|a|b|ul|li|body)\b[^>]{0,500}>/gi);
+        return Boolean(tags) && tags.length >= 3;
+    }
+
+    /**
+     * Convert HTML to readable text, keeping lists, links and blockquotes
+     */
+    htmlToText(html) {
+        // An unterminated comment runs to the end of the document, as in browsers
+        const source = String(html).replace(/<!--[\s\S]*?(?:-->|$)/g, '');
+        const tagPattern = /<(\/?)([a-zA-Z][a-zA-Z0-9]{0,20})\b([^>]{0,2000})>/g;
+        const lists = [];
+        const links = [];
+        let quoteDepth = 0;
+        let preDepth = 0;
+        let hidden = null;
+        let lastIndex = 0;
+        let match;
+
+        // Finished lines plus the line being written, so each step only touches the current line
+        const lines = [];
+        let line = '';
+        let lineStart = true;      // nothing but the quote prefix on the current line yet
+        let previousBlank = false; // the last finished line had nothing but its quote prefix
+        let written = 0;           // characters in finished lines, newlines included
+
+        const prefix = () => '> '.repeat(quoteDepth);
+        const newline = () => {
+            const finished = line.replace(/[ \t]+$/, '');
+            lines.push(finished);
+            written += finished.length + 1;
+            previousBlank = lineStart;
+            line = prefix();
+            lineStart = true;
+        };
+        const blankLine = () => {
+            if (!(lineStart && previousBlank)) {
+                newline();
+                newline();
+            }
+        };
+        const append = (text) => {
+            if (!text) return;
+            line += text;
+            lineStart = false;
+        };
+        const appendText = (text) => {
+            let decoded = this.decodeEntities(text);
+            if (preDepth > 0) {
+                const parts = decoded.split('\n');
+                parts.forEach((part, i) => {
+                    if (i > 0) newline();
+                    append(part);
+                });
+                return;
+            }
+            decoded = decoded.replace(/\s+/g, ' ');
+            // Drop whitespace at the start of a line
+            if (lineStart) {
+                decoded = decoded.replace(/^ /, '');
+            }
+            append(decoded);
+        };
+
+        while ((match = tagPattern.exec(source)) !== null) {
+            const [, closing, rawName, attributes] = match;
+            const name = rawName.toLowerCase();
+
+            if (hidden) {
+                if (closing && name === hidden) hidden = null;
+                lastIndex = tagPattern.lastIndex;
+                continue;
+            }
+
+            appendText(source.substring(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            if (this.hiddenTags.includes(name)) {
+                if (!closing && !/\/\s*$/.test(attributes)) hidden = name;
+                continue;
+            }
+
+            if (name === 'br') {
+                newline();
+            } else if (name === 'blockquote') {
+                quoteDepth = closing ? Math.max(0, quoteDepth - 1) : quoteDepth + 1;
+                newline();
+            } else if (name === 'ul' || name === 'ol') {
+                if (closing) lists.pop();
+                else lists.push({ ordered: name === 'ol', index: 0 });
+                newline();
+            } else if (name === 'li' && !closing) {
+                const list = lists[lists.length - 1] || { ordered: false, index: 0 };
+                list.index++;
+                newline();
+                append('  '.repeat(Math.max(0, lists.length - 1)) + (list.ordered ? `${list.index}. ` : '- '));
+            } else if (name === 'a') {
+                if (!closing) {
+                    const href = attributes.match(/\bhref\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i);
+                    links.push({ href: href ? this.decodeEntities(href[2] || href[3] || href[4] || '') : '', line: lines.length, column: line.length, start: written + line.length });
+                } else if (links.length > 0) {
+                    const link = links.pop();
+                    const href = link.href.replace(/^mailto:/i, '');
+                    // Only show safe, informative targets; a label much longer than the target can't match it, so it isn't rebuilt
+                    if (/^(https?:|mailto:)/i.test(link.href)) {
+                        const long = written + line.length - link.start > href.length + 100;
+                        const label = long ? null : lines.slice(link.line).concat(line).join('\n').substring(link.column).trim();
+                        if (label !== href) append(` (${href})`);
+                    }
+                }
+            } else if (name === 'td' || name === 'th') {
+                if (closing) append('\t');
+            } else if (name === 'pre') {
+                preDepth = closing ? Math.max(0, preDepth - 1) : preDepth + 1;
+                newline();
+            } else if (name === 'img' && !closing) {
+                const alt = attributes.match(/\balt\s*=\s*("([^"]*)"|'([^']*)')/i);
+                if (alt && (alt[2] || alt[3])) append(`[${this.decodeEntities(alt[2] || alt[3])}]`);
+            } else if (name === 'p' || /^h[1-6]$/.test(name)) {
+                blankLine();
+            } else if (this.blockTags.includes(name)) {
+                newline();
+            }
+        }
+
+        if (!hidden) {
+            appendText(source.substring(lastIndex));
+        }
+        lines.push(line);
+
+        const result = lines
+            .map(entry => entry.replace(/[ \t]+$/, ''))
+            // Collapse runs of blank (or blank quoted) lines into one
+            .filter((entry, i, all) => !(/^[> ]*$/.test(entry) && i > 0 && /^[> ]*$/.test(all[i - 1])));
+        // Drop empty quote lines at the end
+        while (result.length > 1 && /^[> ]*$/.test(result[result.length - 1])) {
+            result.pop();
+        }
+        return result.join('\n').trim();
+    }
+
+    /**
+     * Links in an HTML body as [{ text, href }] (visible text with tags stripped), for link checks
+     */
+    extractLinks(html, max) {
+        const source = String(html).replace(/<!--[\s\S]*?-->/g, '');
+        const pattern = /<a\b([^>]{0,2000})>([\s\S]{0,2000}?)<\/a\s*>/gi;
+        const links = [];
+        let match;
+        while ((match = pattern.exec(source)) !== null && links.length < (max || 100)) {
+            const href = match[1].match(/\bhref\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+))/i);
+            if (!href) continue;
+            links.push({
+                text: this.decodeEntities(match[2].replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim(),
+                href: this.decodeEntities(href[2] || href[3] || href[4] || '').trim()
+            });
+        }
+        return links;
+    }
+
+    /**
+     * Decode named and numeric HTML entities
+     */
+    decodeEntities(text) {
+        const entities = Object.create(null);
+        Object.assign(entities, {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+            ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘',
+            rdquo: '”', ldquo: '“', bull: '•', copy: '©', reg: '®', trade: '™'
+        });
+
+        return String(text).replace(/&(#x[0-9a-f]{1,6}|#[0-9]{1,7}|[a-z]{2,8});/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+                return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+            }
+            return entities[code.toLowerCase()] || entity;
+        });
+    }
+
+    /**
+     * Split a plain-text body into the new message, quoted history and signature
+     */
+    split(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const quoteStart = this.findQuoteStart(lines);
+
+        const head = quoteStart === -1 ? lines : lines.slice(0, quoteStart);
+        const quoted = quoteStart === -1 ? [] : lines.slice(quoteStart);
+
+        // Interleaved '>' lines in the new message are quoted history too
+        const messageLines = [];
+        const inlineQuotes = [];
+        for (const line of head) {
+            if (/^\s*>/.test(line)) inlineQuotes.push(line);
+            else messageLines.push(line);
+        }
+
+        const signatureStart = this.findSignatureStart(messageLines);
+        const message = (signatureStart === -1 ? messageLines : messageLines.slice(0, signatureStart)).join('\n').trim();
+        const signature = signatureStart === -1 ? '' : messageLines.slice(signatureStart).join('\n').trim();
+
+        return {
+            message,
+            quoted: inlineQuotes.concat(quoted).join('\n').trim(),
+            signature
+        };
+    }
+
+    /**
+     * Find the first line of quoted history ("On ... wrote:", Original Message, Outlook header block)
+     */
+    findQuoteStart(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+
+            // "On Mon, ... <x@y>\nwrote:" is often wrapped over two lines
+            const joined = i + 1 < lines.length ? `${line} ${lines[i + 1].trim()}` : line;
+            if (this.isQuoteHeader(line) ||
+                (this.replyIntro().test(line) && this.replyWrote().test(joined) && joined.length <= 300)) {
+                return i;
+            }
+
+            // Outlook's From/Sent/To/Subject block (Von/Gesendet/An/Betreff, De/Envoyé/À/Objet, ...)
+            if (this.isOutlookHeader(line, ['from'])) {
+                const following = lines.slice(i + 1, i + 6).map(l => l.trim());
+                const hasSent = following.some(l => this.isOutlookHeader(l, ['sent']));
+                const hasTo = following.some(l => this.isOutlookHeader(l, ['to', 'subject']));
+                if (hasSent && hasTo) {
+                    return i;
+                }
+            }
+        }
+
+        return -1;
+    }
+
+    isQuoteHeader(line) {
+        return this.quoteHeaders.some(pattern => pattern.test(line)) ||
+            Boolean(this.languages && this.languages.quoteHeaders.some(pattern => pattern.test(line)));
+    }
+
+    replyIntro() {
+        return this.languages && this.languages.replyIntroPattern ? this.languages.replyIntroPattern : /^On\s/i;
+    }
+
+    replyWrote() {
+        return this.languages && this.languages.replyWrotePattern ? this.languages.replyWrotePattern : /\swrote:$/i;
+    }
+
+    isOutlookHeader(line, fields) {
+        if (this.languages) {
+            return this.languages.isHeader(line, fields);
+        }
+        const english = { from: /^\*?From:\*?\s/i, sent: /^\*?(Sent|Date):\*?\s/i, to: /^\*?To:\*?\s/i, subject: /^\*?Subject:\*?\s/i };
+        return fields.some(field => english[field].test(line));
+    }
+
+    isSignOff(line) {
+        return this.signOffs.some(pattern => pattern.test(line)) ||
+            Boolean(this.languages && this.languages.signOffPattern && this.languages.signOffPattern.test(line));
+    }
+
+    /**
+     * Find where the signature begins ("-- " delimiter or a sign-off near the end)
+     */
+    findSignatureStart(lines) {
+        for (let i = 0; i < lines.length; i++) {
+            if (/^--\s*$/.test(lines[i])) {
+                return i;
+            }
+        }
+
+        // Sign-offs only count near the end, so "Thanks for the quick fix" mid-message survives
+        const firstCandidate = Math.max(1, lines.length - this.maxSignatureLines);
+        for (let i = firstCandidate; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (line.length > 0 && line.length <= 60 && this.isSignOff(line)) {
+                return i;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Full pipeline: optional HTML conversion, then message/quote/signature split
+     */
+    clean(content, type) {
+        const isHtml = type === 'text/html' || (!type && this.looksLikeHtml(content));
+        const text = isHtml ? this.htmlToText(content) : String(content).replace(/\r\n?/g, '\n').trim();
+        const parts = this.split(text);
+
+        return {
+            body: parts.message || text,
+            quotedText: parts.message ? parts.quoted : '',
+            signature: parts.message ? parts.signature : ''
+        };
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { BodyCleaner };
+} else {
+    self.BodyCleaner = BodyCleaner;
+}
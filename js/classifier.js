@@ -0,0 +1,193 @@
+/**
+ * Correction Learner
+ * Naive Bayes models trained on agent corrections, run alongside the keyword rules
+ */
+
+class NaiveBayesModel {
+    constructor() {
+        this.labelCounts = Object.create(null);
+        this.tokenCounts = Object.create(null);
+        this.tokenTotals = Object.create(null);
+        this.vocabulary = new Set();
+        this.total = 0;
+    }
+
+    /**
+     * Add one labeled token list
+     */
+    learn(tokens, label) {
+        if (!this.labelCounts[label]) {
+            this.labelCounts[label] = 0;
+            this.tokenCounts[label] = Object.create(null);
+            this.tokenTotals[label] = 0;
+        }
+
+        this.labelCounts[label]++;
+        this.total++;
+        for (const token of tokens) {
+            this.tokenCounts[label][token] = (this.tokenCounts[label][token] || 0) + 1;
+            this.tokenTotals[label]++;
+            this.vocabulary.add(token);
+        }
+    }
+
+    /**
+     * Labels seen in training
+     */
+    labels() {
+        return Object.keys(this.labelCounts);
+    }
+
+    /**
+     * Posterior probability per label, best first (Laplace smoothing, log space)
+     */
+    predict(tokens) {
+        const labels = this.labels();
+        if (labels.length === 0) return [];
+
+        const vocabularySize = this.vocabulary.size + 1;
+        const logScores = labels.map((label) => {
+            let score = Math.log(this.labelCounts[label] / this.total);
+            const denominator = this.tokenTotals[label] + vocabularySize;
+            for (const token of tokens) {
+                score += Math.log(((this.tokenCounts[label][token] || 0) + 1) / denominator);
+            }
+            return { label, score };
+        });
+
+        // Softmax back to probabilities
+        const max = Math.max(...logScores.map(entry => entry.score));
+        const exp = logScores.map(entry => ({ label: entry.label, value: Math.exp(entry.score - max) }));
+        const sum = exp.reduce((total, entry) => total + entry.value, 0);
+
+        return exp
+            .map(entry => ({ label: entry.label, probability: entry.value / sum }))
+            .sort((a, b) => b.probability - a.probability);
+    }
+}
+
+class CorrectionLearner {
+    constructor(scoring) {
+        this.scoring = scoring;
+
+        // Models stay silent until they have seen enough corrections
+        this.minExamples = 5;
+        this.maxWeight = 0.6;
+        this.weightRamp = 30;
+
+        // Every Nth example (by creation order) is held out to measure accuracy
+        this.holdoutEvery = 5;
+
+        this.stopwords = new Set([
+            'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'her', 'was', 'one', 'our',
+            'has', 'have', 'had', 'this', 'that', 'with', 'from', 'they', 'will', 'would', 'there',
+            'their', 'what', 'about', 'which', 'when', 'your', 'been', 'please', 'thanks', 'hi', 'hello'
+        ]);
+
+        this.examples = [];
+        this.categoryModel = new NaiveBayesModel();
+        this.priorityModel = new NaiveBayesModel();
+    }
+
+    /**
+     * Stemmed content tokens for an example or parse input
+     */
+    tokens(subject, body) {
+        const text = `${subject || ''} ${subject || ''} ${String(body || '').substring(0, 5000)}`;
+        return this.scoring.tokenize(text)
+            .map(token => token.stem)
+            .filter(stem => stem.length > 1 && !this.stopwords.has(stem) && !/^\d+$/.test(stem));
+    }
+
+    /**
+     * Retrain both models from scratch
+     */
+    train(examples) {
+        this.examples = Array.isArray(examples) ? examples.slice() : [];
+        this.categoryModel = this.buildModel(this.examples, 'category');
+        this.priorityModel = this.buildModel(this.examples, 'priority');
+    }
+
+    /**
+     * Build a model for one label field
+     */
+    buildModel(examples, field) {
+        const model = new NaiveBayesModel();
+        for (const example of examples) {
+            if (example && typeof example[field] === 'string') {
+                model.learn(this.tokens(example.subject, example.body), example[field]);
+            }
+        }
+        return model;
+    }
+
+    /**
+     * How much the model's vote counts against the keyword rules (grows with data)
+     */
+    weight() {
+        const count = this.examples.length;
+        if (count < this.minExamples) return 0;
+        return Math.min(this.maxWeight, count / (count + this.weightRamp));
+    }
+
+    /**
+     * Predict a category; null until trained on at least two categories
+     */
+    predictCategory(subject, body) {
+        return this.predictWith(this.categoryModel, subject, body);
+    }
+
+    /**
+     * Predict a priority; null until trained on at least two priorities
+     */
+    predictPriority(subject, body) {
+        return this.predictWith(this.priorityModel, subject, body);
+    }
+
+    /**
+     * Shared prediction guard
+     */
+    predictWith(model, subject, body) {
+        if (this.weight() === 0 || model.labels().length < 2) return null;
+
+        const ranked = model.predict(this.tokens(subject, body));
+        return ranked.length > 0
+            ? { label: ranked[0].label, probability: ranked[0].probability, ranked, weight: this.weight() }
+            : null;
+    }
+
+    /**
+     * Accuracy on held-out examples, training on the rest
+     */
+    evaluate(examples) {
+        const sorted = (Array.isArray(examples) ? examples : this.examples)
+            .slice()
+            .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+        const train = sorted.filter((example, index) => index % this.holdoutEvery !== this.holdoutEvery - 1);
+        const test = sorted.filter((example, index) => index % this.holdoutEvery === this.holdoutEvery - 1);
+
+        const result = { trained: train.length, tested: test.length, category: null, priority: null };
+        if (test.length === 0) return result;
+
+        for (const field of ['category', 'priority']) {
+            const model = this.buildModel(train, field);
+            if (model.labels().length === 0) continue;
+
+            const correct = test.filter((example) => {
+                const ranked = model.predict(this.tokens(example.subject, example.body));
+                return ranked.length > 0 && ranked[0].label === example[field];
+            }).length;
+            result[field] = correct / test.length;
+        }
+
+        return result;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NaiveBayesModel, CorrectionLearner };
+} else {
+    self.NaiveBayesModel = NaiveBayesModel;
+    self.CorrectionLearner = CorrectionLearner;
+}
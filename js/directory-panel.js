@@ -0,0 +1,95 @@
+/**
+ * Email-to-Ticket Parser - Sender Directory Panel
+ * CSV/vCard contact import, escalation rules and internal domains
+ */
+
+const directoryFileInput = document.getElementById('directoryFileInput');
+const exportDirectoryBtn = document.getElementById('exportDirectoryBtn');
+const clearDirectoryBtn = document.getElementById('clearDirectoryBtn');
+const directoryStats = document.getElementById('directoryStats');
+const directoryRulesInput = document.getElementById('directoryRulesInput');
+const saveDirectoryRulesBtn = document.getElementById('saveDirectoryRulesBtn');
+
+if (!directoryFileInput || !exportDirectoryBtn || !clearDirectoryBtn || !directoryStats ||
+    !directoryRulesInput || !saveDirectoryRulesBtn) {
+    console.error('Sender directory panel elements not found');
+    throw new Error('Failed to initialize: missing sender directory panel elements');
+}
+
+// Persist the directory in this browser
+parser.directory = new SenderDirectory(localStorage);
+parser.directory.apply(parser.directory.load());
+
+directoryFileInput.addEventListener('change', importDirectory);
+exportDirectoryBtn.addEventListener('click', exportDirectory);
+clearDirectoryBtn.addEventListener('click', clearDirectory);
+saveDirectoryRulesBtn.addEventListener('click', saveDirectoryRules);
+
+function renderDirectory() {
+    const data = parser.directory.data;
+    const vips = data.contacts.filter(contact => contact.vip).length + data.organizations.filter(organization => organization.vip).length;
+    directoryStats.textContent = `${data.contacts.length} contact${data.contacts.length === 1 ? '' : 's'}, ` +
+        `${data.organizations.length} organization${data.organizations.length === 1 ? '' : 's'} (${vips} VIP)`;
+    directoryRulesInput.value = JSON.stringify({ internalDomains: data.internalDomains, rules: data.rules }, null, 2);
+}
+
+/**
+ * Merge a CSV, vCard or exported directory file into the saved directory
+ */
+function importDirectory() {
+    const file = directoryFileInput.files && directoryFileInput.files[0];
+    directoryFileInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        const counts = parser.directory.importText(text, file.name);
+        const skipped = parser.directory.describeSkipped(counts.skipped);
+        renderDirectory();
+        showSuccess(`Imported ${counts.contacts} contact${counts.contacts === 1 ? '' : 's'} and ` +
+            `${counts.organizations} organization${counts.organizations === 1 ? '' : 's'}` + (skipped ? `; ${skipped}` : ''));
+    }).catch((error) => {
+        showError('Could not import directory: ' + error.message);
+    });
+}
+
+function exportDirectory() {
+    downloadFile(JSON.stringify(parser.directory.data, null, 2), 'sender-directory.json', 'application/json');
+}
+
+function clearDirectory() {
+    if (!confirm('Delete every imported contact and organization, and reset the rules?')) return;
+
+    parser.directory.clear();
+    renderDirectory();
+    showSuccess('Sender directory cleared');
+}
+
+/**
+ * Save the rules and internal domains; contacts and organizations are kept
+ */
+function saveDirectoryRules() {
+    const text = directoryRulesInput.value.trim();
+    if (text.length > 100000) {
+        showError('Rules must be under 100KB');
+        return;
+    }
+
+    try {
+        const settings = JSON.parse(text);
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('expected an object with "internalDomains" and "rules"');
+        }
+        parser.directory.save({
+            contacts: parser.directory.data.contacts,
+            organizations: parser.directory.data.organizations,
+            internalDomains: settings.internalDomains || [],
+            rules: settings.rules || []
+        });
+        renderDirectory();
+        showSuccess('Directory rules saved');
+    } catch (error) {
+        showError('Could not save rules: ' + (error instanceof SyntaxError ? 'not valid JSON' : error.message));
+    }
+}
+
+renderDirectory();
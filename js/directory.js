@@ -0,0 +1,577 @@
+/**
+ * Sender Directory
+ * Local contacts and organizations (imported from CSV or vCard) with VIP/tier-based priority escalation
+ */
+
+class SenderDirectory {
+    constructor(storage) {
+        this.storage = storage || null;
+        this.storageKey = 'emailToTicket.directory';
+        this.version = 1;
+
+        // Limits keep imports from filling localStorage
+        this.maxContacts = 10000;
+        this.maxOrganizations = 2000;
+        this.maxDomains = 500;
+        this.maxRules = 50;
+        this.maxFieldLength = 200;
+        this.maxImportLength = 5 * 1024 * 1024;
+
+        this.priorityOrder = ['low', 'medium', 'high', 'urgent'];
+        this.truthy = ['1', 'y', 'yes', 'true', 'x', 'vip'];
+        this.emailPattern = /^[^\s@]{1,64}@[^\s@]{1,255}\.[^\s@]{2,}$/;
+
+        // CSV rows that can't be imported are skipped; this many are listed by line number
+        this.maxSkippedReported = 20;
+
+        // CSV header aliases (lowercased, punctuation removed), covering Outlook and Google Contacts exports
+        this.columns = {
+            email: ['email', 'emailaddress', 'mail', 'primaryemail', 'email1value', 'email1'],
+            name: ['name', 'fullname', 'displayname', 'contact', 'contactname'],
+            firstName: ['firstname', 'givenname'],
+            lastName: ['lastname', 'familyname', 'surname'],
+            organization: ['organization', 'organisation', 'company', 'org', 'account', 'client', 'organization1name'],
+            department: ['department', 'dept', 'organization1department'],
+            title: ['title', 'jobtitle', 'role', 'organization1title'],
+            vip: ['vip', 'isvip'],
+            tier: ['tier', 'contracttier', 'plan', 'sla', 'supportlevel'],
+            domains: ['domain', 'domains', 'emaildomain'],
+            categories: ['categories', 'labels', 'groupmembership', 'tags']
+        };
+
+        this.apply(null);
+    }
+
+    /**
+     * Empty directory; VIP senders are raised to high
+     * Rules: { name, when: { vip, domain, tier, organization }, priority } - every condition given must match
+     */
+    defaults() {
+        return {
+            version: this.version,
+            contacts: [],
+            organizations: [],
+            internalDomains: [],
+            rules: [
+                { name: 'VIP sender', when: { vip: true }, priority: 'high' }
+            ]
+        };
+    }
+
+    /**
+     * Load the saved directory (null if none or invalid)
+     */
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? this.validate(JSON.parse(raw)) : null;
+        } catch (error) {
+            console.warn('Ignoring saved sender directory: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate, persist and switch to a directory
+     */
+    save(data) {
+        const valid = this.validate(data);
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(valid));
+        }
+        this.apply(valid);
+        return valid;
+    }
+
+    /**
+     * Forget every contact, organization and rule
+     */
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+        this.apply(null);
+    }
+
+    /**
+     * Use a directory (null for an empty one) and index it for lookups
+     */
+    apply(data) {
+        this.data = data ? this.validate(data) : this.defaults();
+
+        this.contactsByEmail = new Map(this.data.contacts.map(contact => [contact.email, contact]));
+        this.contactsByName = new Map();
+        for (const contact of this.data.contacts) {
+            const name = this.nameKey(contact.name);
+            if (name && !this.contactsByName.has(name)) this.contactsByName.set(name, contact);
+        }
+        this.organizationsByName = new Map(this.data.organizations.map(organization => [organization.name.toLowerCase(), organization]));
+        this.organizationsByDomain = new Map();
+        for (const organization of this.data.organizations) {
+            for (const domain of organization.domains) {
+                this.organizationsByDomain.set(domain, organization);
+            }
+        }
+    }
+
+    /**
+     * Requester details for a sender address; recipients stand in for internal domains when none are configured
+     * Returns { email, name, organization, department, title, vip, tier, known, internal, unknownExternal }
+     */
+    lookup(address, recipients) {
+        const email = String(address || '').trim().toLowerCase();
+        const domain = email.includes('@') ? email.substring(email.lastIndexOf('@') + 1) : '';
+        const contact = this.contactsByEmail.get(email) || null;
+        const organization = (contact && contact.organization && this.organizationsByName.get(contact.organization.toLowerCase())) ||
+            this.findByDomain(this.organizationsByDomain, domain);
+
+        const internalDomains = this.internalDomainsFor(recipients);
+        const internal = Boolean(domain) && internalDomains.some(internalDomain => this.domainMatches(domain, internalDomain));
+        const known = Boolean(contact || organization);
+
+        return {
+            email: email || null,
+            name: contact ? contact.name : null,
+            organization: (contact && contact.organization) || (organization ? organization.name : null),
+            department: contact ? contact.department : null,
+            title: contact ? contact.title : null,
+            vip: Boolean((contact && contact.vip) || (organization && organization.vip)),
+            tier: (contact && contact.tier) || (organization ? organization.tier : null),
+            known,
+            internal,
+            // Only flagged when we know which domains are ours
+            unknownExternal: Boolean(domain) && !known && !internal && internalDomains.length > 0
+        };
+    }
+
+    /**
+     * Configured internal domains, else the domains the email was addressed to
+     */
+    internalDomainsFor(recipients) {
+        return this.data.internalDomains.length > 0
+            ? this.data.internalDomains
+            : (recipients || []).map(recipient => String(recipient.address || '').toLowerCase().split('@')[1]).filter(Boolean);
+    }
+
+    /**
+     * Contact with this display name ("Reyes, Dana" matches "Dana Reyes"), or null
+     */
+    findByName(name) {
+        return this.contactsByName.get(this.nameKey(name)) || null;
+    }
+
+    nameKey(name) {
+        const text = String(name || '').toLowerCase().replace(/["']/g, '').trim();
+        const parts = text.includes(',') ? text.split(',').reverse() : [text];
+        return parts.join(' ').split(/\s+/).filter(Boolean).join(' ');
+    }
+
+    /**
+     * Highest-priority rule matching a requester that would raise `priority`
+     * Returns { priority, rule } or null
+     */
+    escalate(requester, priority) {
+        let best = null;
+        for (const rule of this.data.rules) {
+            if (!this.ruleMatches(rule.when, requester)) continue;
+            if (!best || this.priorityOrder.indexOf(rule.priority) > this.priorityOrder.indexOf(best.priority)) {
+                best = rule;
+            }
+        }
+
+        if (!best || this.priorityOrder.indexOf(best.priority) <= this.priorityOrder.indexOf(priority)) {
+            return null;
+        }
+        return { priority: best.priority, rule: best };
+    }
+
+    ruleMatches(when, requester) {
+        const domain = requester.email ? requester.email.split('@')[1] : '';
+        if (when.vip !== undefined && when.vip !== requester.vip) return false;
+        if (when.unknownExternal !== undefined && when.unknownExternal !== requester.unknownExternal) return false;
+        if (when.domain && !when.domain.some(entry => domain && this.domainMatches(domain, entry))) return false;
+        if (when.tier && !when.tier.includes(String(requester.tier || '').toLowerCase())) return false;
+        if (when.organization && !when.organization.includes(String(requester.organization || '').toLowerCase())) return false;
+        return true;
+    }
+
+    /**
+     * Plain-language reason a rule matched ("VIP sender", "domain bigclient.com")
+     */
+    describeRule(rule, requester) {
+        const reasons = [];
+        if (rule.when.vip) reasons.push('VIP sender');
+        if (rule.when.unknownExternal) reasons.push('unknown external sender');
+        if (rule.when.domain) reasons.push(`domain ${requester.email ? requester.email.split('@')[1] : ''}`);
+        if (rule.when.tier) reasons.push(`${requester.tier} tier`);
+        if (rule.when.organization) reasons.push(requester.organization);
+        return reasons.join(', ') || 'every sender';
+    }
+
+    /**
+     * "mail.client.com" belongs to "client.com"
+     */
+    domainMatches(domain, parent) {
+        return domain === parent || domain.endsWith('.' + parent);
+    }
+
+    findByDomain(map, domain) {
+        let current = domain;
+        while (current && current.includes('.')) {
+            if (map.has(current)) return map.get(current);
+            current = current.substring(current.indexOf('.') + 1);
+        }
+        return null;
+    }
+
+    /**
+     * Merge an export (CSV, vCard or directory JSON) into the current directory
+     * Returns { contacts, organizations, skipped } - how many entries were read, and the CSV rows or vCard
+     * addresses left out as [{ line, reason }]
+     */
+    importText(text, filename) {
+        if (typeof text !== 'string' || text.length > this.maxImportLength) {
+            throw new Error(`Import file must be text under ${this.maxImportLength / (1024 * 1024)}MB`);
+        }
+
+        let imported;
+        if (/^\s*BEGIN:VCARD/i.test(text)) {
+            imported = Object.assign(this.parseVCards(text), { organizations: [], internalDomains: [], rules: null });
+        } else if (/\.json$/i.test(filename || '') || /^\s*\{/.test(text)) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('Directory file is not valid JSON');
+            }
+            imported = this.validate(data);
+            // A contacts-only file keeps the current rules
+            if (data.rules === undefined) imported.rules = null;
+        } else {
+            imported = Object.assign(this.parseCsv(text), { rules: null });
+        }
+
+        const contacts = new Map(this.data.contacts.map(contact => [contact.email, contact]));
+        imported.contacts.forEach(contact => contacts.set(contact.email, contact));
+        const organizations = new Map(this.data.organizations.map(organization => [organization.name.toLowerCase(), organization]));
+        imported.organizations.forEach(organization => organizations.set(organization.name.toLowerCase(), organization));
+
+        this.save({
+            contacts: Array.from(contacts.values()),
+            organizations: Array.from(organizations.values()),
+            internalDomains: Array.from(new Set(this.data.internalDomains.concat(imported.internalDomains))),
+            rules: imported.rules || this.data.rules
+        });
+        return { contacts: imported.contacts.length, organizations: imported.organizations.length, skipped: imported.skipped || [] };
+    }
+
+    /**
+     * Contacts (rows with an email) and organizations (rows with only a domain) from CSV
+     * Rows with an invalid address or domain are skipped and listed in `skipped` with their line in the file
+     */
+    parseCsv(text) {
+        const rows = this.parseCsvRows(text);
+        if (rows.length < 2) {
+            throw new Error('CSV needs a header row and at least one entry');
+        }
+
+        const header = rows[0].cells.map(cell => cell.toLowerCase().replace(/[^a-z0-9]/g, ''));
+        const index = Object.create(null);
+        for (const field of Object.keys(this.columns)) {
+            index[field] = header.findIndex(name => this.columns[field].includes(name));
+        }
+        if (index.email === -1 && index.domains === -1) {
+            throw new Error('CSV needs an "email" or "domain" column');
+        }
+
+        const contacts = [];
+        const organizations = [];
+        const skipped = [];
+        for (const { cells, line } of rows.slice(1)) {
+            const cell = field => (index[field] === -1 ? '' : String(cells[index[field]] || '').trim());
+            const categories = cell('categories').toLowerCase();
+            const entry = {
+                name: cell('name') || [cell('firstName'), cell('lastName')].filter(Boolean).join(' '),
+                organization: cell('organization'),
+                department: cell('department'),
+                title: cell('title'),
+                vip: this.truthy.includes(cell('vip').toLowerCase()) || /\bvip\b/.test(categories),
+                tier: cell('tier')
+            };
+
+            if (cell('email')) {
+                if (!this.emailPattern.test(this.text(cell('email')).toLowerCase())) {
+                    skipped.push({ line, reason: `invalid email address "${cell('email').substring(0, 60)}"` });
+                    continue;
+                }
+                contacts.push(Object.assign({ email: cell('email') }, entry));
+            } else if (cell('domains')) {
+                const organization = {
+                    name: entry.organization || cell('domains').split(/[\s;,]+/)[0],
+                    domains: cell('domains').split(/[\s;,]+/).filter(Boolean),
+                    vip: entry.vip,
+                    tier: entry.tier
+                };
+                try {
+                    this.validateDomains(organization.domains, organization.name);
+                } catch (error) {
+                    skipped.push({ line, reason: error.message });
+                    continue;
+                }
+                organizations.push(organization);
+            }
+        }
+
+        return Object.assign(this.validate({ contacts, organizations, internalDomains: [], rules: this.data.rules }), { skipped });
+    }
+
+    /**
+     * "skipped 2 entries (line 4: invalid email address "x", ...)" for an import's skipped rows or addresses, or ''
+     */
+    describeSkipped(skipped) {
+        if (!skipped || skipped.length === 0) return '';
+        const listed = skipped.slice(0, this.maxSkippedReported).map(row => `line ${row.line}: ${row.reason}`);
+        if (skipped.length > listed.length) listed.push(`${skipped.length - listed.length} more`);
+        return `skipped ${skipped.length} ${skipped.length === 1 ? 'entry' : 'entries'} (${listed.join('; ')})`;
+    }
+
+    /**
+     * RFC 4180 rows as [{ cells, line }]: quoted fields, doubled quotes, embedded newlines
+     * `line` is where the row starts in the file, counting from 1
+     */
+    parseCsvRows(text) {
+        const source = text.replace(/^﻿/, '');
+        // Excel in some locales writes semicolon-separated files
+        const firstLine = source.substring(0, source.indexOf('\n') === -1 ? source.length : source.indexOf('\n'));
+        const separator = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let rowLine = 1;
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n' || (char === '\r' && source[i + 1] !== '\n')) line++;
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(cell);
+                if (row.some(value => value.trim())) rows.push({ cells: row, line: rowLine });
+                row = [];
+                cell = '';
+                line++;
+                rowLine = line;
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        if (row.some(value => value.trim())) rows.push({ cells: row, line: rowLine });
+        return rows;
+    }
+
+    /**
+     * One contact per EMAIL in each vCard (FN/N, ORG with department, TITLE, CATEGORIES containing VIP, X-TIER)
+     * Returns { contacts, skipped }; invalid addresses are skipped and listed with the line of their EMAIL property
+     */
+    parseVCards(text) {
+        const contacts = [];
+        const skipped = [];
+        let card = null;
+
+        for (const { text: line, line: number } of this.unfoldVCardLines(text)) {
+            if (/^BEGIN:VCARD$/i.test(line.trim())) {
+                card = { emails: [], name: '', n: '', organization: '', department: '', title: '', vip: false, tier: '' };
+                continue;
+            }
+            if (!card) continue;
+            if (/^END:VCARD$/i.test(line.trim())) {
+                const name = card.name || card.n;
+                for (const { email, line: emailLine } of card.emails) {
+                    if (!this.emailPattern.test(this.text(email).toLowerCase())) {
+                        skipped.push({ line: emailLine, reason: `invalid email address "${email.substring(0, 60)}"` });
+                        continue;
+                    }
+                    contacts.push({
+                        email, name, organization: card.organization, department: card.department, title: card.title, vip: card.vip, tier: card.tier
+                    });
+                }
+                card = null;
+                continue;
+            }
+
+            const match = line.match(/^(?:[\w-]+\.)?([\w-]+)(?:;[^:]*)?:(.*)$/);
+            if (!match) continue;
+            const property = match[1].toUpperCase();
+            const values = this.splitVCardValue(match[2]);
+
+            if (property === 'EMAIL') card.emails.push({ email: values[0], line: number });
+            else if (property === 'FN') card.name = values[0];
+            else if (property === 'N') card.n = [values[1], values[2], values[0]].filter(Boolean).join(' ');
+            else if (property === 'ORG') {
+                card.organization = values[0] || '';
+                card.department = values[1] || '';
+            } else if (property === 'TITLE') card.title = values[0];
+            else if (property === 'CATEGORIES') card.vip = card.vip || values.join(',').split(',').some(value => value.trim().toLowerCase() === 'vip');
+            else if (property === 'X-VIP') card.vip = this.truthy.includes(values[0].toLowerCase());
+            else if (property === 'X-TIER') card.tier = values[0];
+        }
+
+        return { contacts: this.validate({ contacts, organizations: [], internalDomains: [], rules: this.data.rules }).contacts, skipped };
+    }
+
+    /**
+     * Logical vCard lines as [{ text, line }], with folded continuation lines joined back on
+     * `line` is where the property starts in the file, counting from 1
+     */
+    unfoldVCardLines(text) {
+        const lines = [];
+        text.replace(/\r\n?/g, '\n').split('\n').forEach((raw, index) => {
+            if (/^[ \t]/.test(raw) && lines.length > 0) {
+                lines[lines.length - 1].text += raw.substring(1);
+            } else {
+                lines.push({ text: raw, line: index + 1 });
+            }
+        });
+        return lines;
+    }
+
+    /**
+     * Split on unescaped ';' and undo vCard escaping
+     */
+    splitVCardValue(value) {
+        return value.split(/(?<!\\);/).map(part => part.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim());
+    }
+
+    /**
+     * Rebuild a directory from scratch, copying only known fields
+     */
+    validate(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Directory must be an object');
+        }
+
+        const contacts = this.validateList(data.contacts, 'contacts', this.maxContacts);
+        const organizations = this.validateList(data.organizations, 'organizations', this.maxOrganizations);
+        const internalDomains = this.validateDomains(data.internalDomains || [], 'internalDomains');
+        const rules = data.rules === undefined ? this.defaults().rules : this.validateList(data.rules, 'rules', this.maxRules);
+
+        const byEmail = new Map(contacts.map((contact, index) => {
+            const email = this.text(contact.email).toLowerCase();
+            if (!this.emailPattern.test(email)) {
+                throw new Error(`Contact ${index + 1} has an invalid email address`);
+            }
+            return [email, {
+                email,
+                name: this.text(contact.name),
+                organization: this.text(contact.organization),
+                department: this.text(contact.department),
+                title: this.text(contact.title),
+                vip: contact.vip === true,
+                tier: this.text(contact.tier).toLowerCase()
+            }];
+        }));
+
+        return {
+            version: this.version,
+            // Later entries for the same address win
+            contacts: Array.from(byEmail.values()),
+            organizations: organizations.map((organization, index) => {
+                const name = this.text(organization.name);
+                if (!name) {
+                    throw new Error(`Organization ${index + 1} needs a name`);
+                }
+                return {
+                    name,
+                    domains: this.validateDomains(organization.domains || [], `domains for ${name}`),
+                    vip: organization.vip === true,
+                    tier: this.text(organization.tier).toLowerCase()
+                };
+            }),
+            internalDomains,
+            rules: rules.map((rule, index) => this.validateRule(rule, index))
+        };
+    }
+
+    validateRule(rule, index) {
+        if (!rule || typeof rule !== 'object' || !rule.when || typeof rule.when !== 'object') {
+            throw new Error(`Rule ${index + 1} needs a "when" object`);
+        }
+        if (!this.priorityOrder.includes(rule.priority)) {
+            throw new Error(`Rule ${index + 1} priority must be one of ${this.priorityOrder.join(', ')}`);
+        }
+
+        const list = value => (Array.isArray(value) ? value : [value]).map(entry => this.text(entry).toLowerCase()).filter(Boolean);
+        const when = {};
+        if (rule.when.vip !== undefined) when.vip = rule.when.vip === true;
+        if (rule.when.unknownExternal !== undefined) when.unknownExternal = rule.when.unknownExternal === true;
+        if (rule.when.domain !== undefined) when.domain = this.validateDomains(list(rule.when.domain), `rule ${index + 1} domains`);
+        if (rule.when.tier !== undefined) when.tier = list(rule.when.tier);
+        if (rule.when.organization !== undefined) when.organization = list(rule.when.organization);
+        if (Object.keys(when).length === 0) {
+            throw new Error(`Rule ${index + 1} needs at least one condition (vip, domain, tier, organization or unknownExternal)`);
+        }
+
+        return { name: this.text(rule.name) || `Rule ${index + 1}`, when, priority: rule.priority };
+    }
+
+    validateList(value, owner, max) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) {
+            throw new Error(`${owner} must be an array`);
+        }
+        if (value.length > max) {
+            throw new Error(`Too many ${owner} (max ${max})`);
+        }
+        return value.map((entry, index) => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                throw new Error(`Entry ${index + 1} in ${owner} must be an object`);
+            }
+            return entry;
+        });
+    }
+
+    validateDomains(domains, owner) {
+        if (!Array.isArray(domains) || domains.length > this.maxDomains) {
+            throw new Error(`${owner} must be an array of at most ${this.maxDomains} domains`);
+        }
+        return domains.map((domain) => {
+            const clean = this.text(domain).toLowerCase().replace(/^@/, '').replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+            if (!/^[a-z0-9-]{1,63}(?:\.[a-z0-9-]{1,63})+$/.test(clean)) {
+                throw new Error(`Invalid domain in ${owner}: ${String(domain).substring(0, 60)}`);
+            }
+            return clean;
+        });
+    }
+
+    /**
+     * Trimmed, length-limited string ('' for anything else)
+     */
+    text(value) {
+        return typeof value === 'string' || typeof value === 'number' ? String(value).trim().substring(0, this.maxFieldLength) : '';
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SenderDirectory };
+} else {
+    self.SenderDirectory = SenderDirectory;
+}
@@ -0,0 +1,425 @@
+/**
+ * Entity Extractor
+ * Pulls hosts, addresses, asset tags, software, error codes, paths, URLs, phone numbers and deadlines out of ticket text
+ */
+
+class EntityExtractor {
+    constructor() {
+        this.maxTextLength = 20000;
+        this.maxEntities = 100;
+
+        this.labels = {
+            url: 'URL',
+            share: 'Network share',
+            path: 'File path',
+            mac: 'MAC address',
+            ip: 'IP address',
+            error_code: 'Error code',
+            deadline: 'Deadline',
+            software: 'Software',
+            asset_tag: 'Asset tag',
+            hostname: 'Hostname',
+            phone: 'Phone number'
+        };
+
+        // Earlier types win when spans overlap (a hostname inside a URL is part of the URL)
+        this.typeOrder = Object.keys(this.labels);
+
+        this.software = [
+            'windows', 'macos', 'mac os x', 'ubuntu', 'ios', 'android', 'office', 'microsoft 365', 'office 365',
+            'outlook', 'excel', 'word', 'powerpoint', 'teams', 'onedrive', 'sharepoint', 'skype', 'edge', 'chrome',
+            'firefox', 'safari', 'zoom', 'slack', 'webex', 'acrobat', 'adobe reader', 'acrobat reader', 'photoshop',
+            'anyconnect', 'globalprotect', 'forticlient', 'citrix', 'citrix workspace', 'vmware', 'java', 'python',
+            'node.js', 'quickbooks', 'sap', 'salesforce', 'autocad', 'dropbox', 'bitlocker'
+        ];
+
+        // File extensions that look like top-level domains ("error.log", "setup.exe")
+        this.fileExtensions = new Set([
+            'log', 'txt', 'exe', 'msi', 'dll', 'zip', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'csv', 'png',
+            'jpg', 'jpeg', 'gif', 'bmp', 'eml', 'msg', 'pst', 'ost', 'ini', 'cfg', 'json', 'xml', 'bat', 'ps1', 'sh',
+            'js', 'vbs', 'tmp', 'bak', 'iso', 'dmg', 'pkg', 'md', 'htm', 'html', 'php', 'py', 'jar', 'mp4', 'mov'
+        ]);
+
+        this.httpStatuses = {
+            400: 'Bad Request', 401: 'Unauthorized', 403: 'Forbidden', 404: 'Not Found', 405: 'Method Not Allowed',
+            408: 'Request Timeout', 429: 'Too Many Requests', 500: 'Internal Server Error', 502: 'Bad Gateway',
+            503: 'Service Unavailable', 504: 'Gateway Timeout'
+        };
+
+        this.numberWords = {
+            a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+            eleven: 11, twelve: 12, 'a couple of': 2, 'a few': 3
+        };
+        this.weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+        // Working day used to resolve "EOD", "before Friday" and similar, in the sender's time zone
+        this.startOfDayHour = 9;
+        this.endOfDayHour = 17;
+    }
+
+    /**
+     * Extract entities from { subject, body }, resolving deadlines against the Date header
+     */
+    extract(fields, dateHeader) {
+        const reference = this.referenceTime(dateHeader);
+        const entities = [];
+
+        for (const name of ['subject', 'body']) {
+            const text = String(fields[name] || '').substring(0, this.maxTextLength);
+            const found = this.extractText(text, reference).map(entity => Object.assign({ field: name }, entity));
+            entities.push(...found);
+        }
+
+        // One entry per distinct value, in reading order
+        const seen = new Set();
+        return entities.filter((entity) => {
+            const key = `${entity.type}:${entity.value.toLowerCase()}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        }).slice(0, this.maxEntities);
+    }
+
+    /**
+     * All non-overlapping entities in one piece of text
+     */
+    extractText(text, reference) {
+        const candidates = [].concat(
+            this.findUrls(text),
+            this.findShares(text),
+            this.findPaths(text),
+            this.findMacs(text),
+            this.findIps(text),
+            this.findErrorCodes(text),
+            this.findDeadlines(text, reference),
+            this.findSoftware(text),
+            this.findAssetTags(text),
+            this.findHostnames(text),
+            this.findPhones(text)
+        );
+
+        candidates.sort((a, b) => this.typeOrder.indexOf(a.type) - this.typeOrder.indexOf(b.type) || a.start - b.start);
+
+        const accepted = [];
+        for (const candidate of candidates) {
+            if (!accepted.some(entity => candidate.start < entity.end && entity.start < candidate.end)) {
+                accepted.push(candidate);
+            }
+        }
+        return accepted.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Run a global regex and build entities from each match
+     */
+    scan(text, pattern, build) {
+        const results = [];
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            const entity = build(match);
+            if (entity) {
+                results.push(Object.assign({ start: match.index, end: match.index + match[0].length }, entity));
+            }
+            if (match[0].length === 0) pattern.lastIndex++;
+        }
+        return results;
+    }
+
+    findUrls(text) {
+        return this.scan(text, /\b(?:https?|ftp):\/\/[^\s<>"'`]{1,2000}/gi, (match) => {
+            // Sentence punctuation and unbalanced brackets are not part of the link
+            const value = match[0].replace(/[.,;:!?)\]}]+$/, '');
+            const host = value.replace(/^[a-z]+:\/\//i, '').split(/[/?#:]/)[0];
+            return { type: 'url', value, host, end: match.index + value.length };
+        });
+    }
+
+    findShares(text) {
+        return this.scan(text, /\\\\([A-Za-z0-9][A-Za-z0-9._$-]{0,62})((?:\\[^\\\s<>:"|?*]{1,255}){1,20})/g, (match) => {
+            const value = match[0].replace(/[.,;:!?)]+$/, '');
+            return { type: 'share', value, host: match[1], share: match[2].split('\\')[1], end: match.index + value.length };
+        });
+    }
+
+    findPaths(text) {
+        const windows = this.scan(text, /\b[A-Za-z]:\\(?:[^\\\s<>:"|?*]{1,255}\\?){0,20}/g, (match) => {
+            const value = match[0].replace(/[.,;:!?)]+$/, '');
+            return { type: 'path', value, platform: 'windows', end: match.index + value.length };
+        });
+        const unix = this.scan(text, /(^|[\s("'])(\/(?:[\w.-]{1,255}\/){1,20}[\w.-]{0,255})/g, (match) => {
+            const value = match[2].replace(/[.,;:!?)]+$/, '');
+            return { type: 'path', value, platform: 'unix', start: match.index + match[1].length, end: match.index + match[1].length + value.length };
+        });
+        return windows.concat(unix);
+    }
+
+    findMacs(text) {
+        const separated = this.scan(text, /\b[0-9A-Fa-f]{2}([:-])[0-9A-Fa-f]{2}(?:\1[0-9A-Fa-f]{2}){4}\b/g, match => ({
+            type: 'mac',
+            value: match[0].toUpperCase().replace(/-/g, ':')
+        }));
+        const dotted = this.scan(text, /\b[0-9A-Fa-f]{4}\.[0-9A-Fa-f]{4}\.[0-9A-Fa-f]{4}\b/g, match => ({
+            type: 'mac',
+            value: match[0].replace(/\./g, '').replace(/(..)(?!$)/g, '$1:').toUpperCase()
+        }));
+        return separated.concat(dotted);
+    }
+
+    findIps(text) {
+        const octet = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+        const v4 = this.scan(text, new RegExp(`(?<![\\d.])${octet}(?:\\.${octet}){3}(?:\\/(?:3[0-2]|[12]?\\d))?(?![\\d.]*\\d)`, 'g'), (match) => {
+            // "version 1.2.3.4" is a build number
+            if (/\b(?:version|ver\.?|v)\s*$/i.test(match.input.substring(Math.max(0, match.index - 10), match.index))) return null;
+            return { type: 'ip', value: match[0], version: 4 };
+        });
+
+        const v6 = this.scan(text, /(?<![\w:])(?:[0-9A-Fa-f]{0,4}:){2,7}[0-9A-Fa-f]{0,4}(?![\w:])/g, (match) => {
+            const value = match[0];
+            const groups = value.split(':');
+            const compressed = value.split('::').length - 1;
+            // "10:30:00" is a time, not an address
+            if (compressed > 1 || (compressed === 0 && groups.length !== 8) || !/[0-9A-Fa-f]/.test(value)) return null;
+            if (compressed === 0 && groups.some(group => group.length === 0)) return null;
+            return { type: 'ip', value: value.toLowerCase(), version: 6 };
+        });
+
+        return v4.concat(v6);
+    }
+
+    findErrorCodes(text) {
+        const hresult = this.scan(text, /\b0x[0-9A-Fa-f]{8}\b/g, match => ({
+            type: 'error_code',
+            value: '0x' + match[0].slice(2).toUpperCase(),
+            system: 'windows'
+        }));
+
+        const statusNames = Object.values(this.httpStatuses).map(name => name.toLowerCase()).join('|');
+        const http = this.scan(text, new RegExp(`\\b(?:(?:http|status|error)\\s*(?:code\\s*)?[:#]?\\s*([45]\\d\\d)\\b|([45]\\d\\d)\\s+(?:${statusNames})\\b)`, 'gi'), (match) => {
+            const code = Number(match[1] || match[2]);
+            // "Error 404" could be either; only known HTTP statuses are claimed here
+            if (!/^http|^status/i.test(match[0]) && !match[2] && !this.httpStatuses[code]) return null;
+            return { type: 'error_code', value: `HTTP ${code}`, code, system: 'http', description: this.httpStatuses[code] || null };
+        });
+
+        const windows = this.scan(text, /\b(?:error|code|event id)\s*(?:code\s*)?[:#]?\s*(\d{1,5})\b/gi, match => ({
+            type: 'error_code',
+            value: `Error ${match[1]}`,
+            code: Number(match[1]),
+            system: 'windows'
+        }));
+
+        // Bugcheck names like CRITICAL_PROCESS_DIED
+        const stop = this.scan(text, /\b(?:STOP(?: code)?[:\s]+)([A-Z]{2,}(?:_[A-Z]{2,}){1,6})\b/g, match => ({
+            type: 'error_code',
+            value: match[1],
+            system: 'windows'
+        }));
+
+        return hresult.concat(http, stop, windows);
+    }
+
+    findSoftware(text) {
+        const names = this.software
+            .slice()
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+            .join('|');
+        const version = '(?:\\s+(?:version\\s+|v)?(\\d{1,4}(?:\\.\\d{1,6}){0,3}(?:\\s+\\d{2}H\\d)?|\\d{2}H\\d|xp|vista|server\\s+\\d{4}(?:\\s+r2)?))?';
+
+        const known = this.scan(text, new RegExp(`\\b(${names})\\b${version}`, 'gi'), (match) => {
+            // "word" and "edge" are ordinary English unless capitalized or versioned
+            if (/^(word|edge|office|teams|java|python|windows)$/i.test(match[1]) && !match[2] && match[1] === match[1].toLowerCase()) return null;
+            return {
+                type: 'software',
+                value: match[0].replace(/\s+/g, ' '),
+                name: match[1].replace(/\s+/g, ' '),
+                version: match[2] ? match[2].replace(/\s+/g, ' ') : null
+            };
+        });
+
+        // Any capitalized product name followed by an explicit version ("Acme Sync v2.4.1")
+        const generic = this.scan(text, /\b([A-Z][A-Za-z0-9+]{1,30}(?:\s[A-Z][A-Za-z0-9+]{1,30}){0,2})\s+(?:version\s+|v)(\d{1,4}(?:\.\d{1,6}){1,3})\b/g, match => ({
+            type: 'software',
+            value: match[0],
+            name: match[1],
+            version: match[2]
+        }));
+
+        return known.concat(generic);
+    }
+
+    findAssetTags(text) {
+        const labeled = this.scan(text, /\b(?:asset(?:\s*tag)?|service\s*tag|serial(?:\s*(?:no|number))?|s\/n)\s*(?:#|:|no\.?)?\s*([A-Z0-9][A-Z0-9-]{3,19})\b/gi, (match) => {
+            if (!/\d/.test(match[1])) return null;
+            return { type: 'asset_tag', value: match[1].toUpperCase(), start: match.index + match[0].length - match[1].length };
+        });
+        const prefixed = this.scan(text, /\b(?:AST|ASSET|TAG|INV)-?\d{4,10}\b/g, match => ({
+            type: 'asset_tag',
+            value: match[0]
+        }));
+        return labeled.concat(prefixed);
+    }
+
+    findHostnames(text) {
+        const fqdn = this.scan(text, /(?<![\w@.-])(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?\.){1,10}[A-Za-z][A-Za-z0-9-]{1,23}(?![\w@-]|\.\w)/g, (match) => {
+            const value = match[0].toLowerCase();
+            const labels = value.split('.');
+            const last = labels[labels.length - 1];
+            if (this.fileExtensions.has(last) || /^\d+$/.test(labels[0]) && labels.length === 2) return null;
+            // "e.g" and "i.e" style abbreviations
+            if (labels.every(label => label.length <= 2)) return null;
+            return { type: 'hostname', value };
+        });
+
+        // Upper-case machine names with a digit: PC-FIN-042, SRV-DC01, LAPTOP-7H2K9Q
+        const netbios = this.scan(text, /\b[A-Z][A-Z0-9]{1,14}(?:-[A-Z0-9]{1,15}){1,3}\b/g, (match) => {
+            if (!/\d/.test(match[0]) || /^(?:AST|ASSET|TAG|INV|ERR|ERROR|HTTP|TKT|COVID)-/.test(match[0])) return null;
+            return { type: 'hostname', value: match[0] };
+        });
+
+        return fqdn.concat(netbios);
+    }
+
+    findPhones(text) {
+        return this.scan(text, /(?<![\w.+-])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?)?\d{2,4}(?:[\s.-]\d{2,4}){1,4}(?:\s*(?:x|ext\.?)\s*\d{1,6})?(?![\w.-]*\d)/gi, (match) => {
+            const value = match[0].trim();
+            const digits = value.replace(/\s*(?:x|ext\.?)\s*\d+$/i, '').replace(/\D/g, '');
+            if (digits.length < 7 || digits.length > 15) return null;
+            // Dates and dotted versions are not phone numbers
+            if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$/.test(value) || (/^\d+(?:\.\d+){2,}$/.test(value) && !/^\d{3}\.\d{3}\.\d{4}$/.test(value))) return null;
+            return { type: 'phone', value, digits, end: match.index + value.length };
+        });
+    }
+
+    /**
+     * Relative deadlines ("in 2 hours", "by EOD", "before Friday's meeting")
+     */
+    findDeadlines(text, reference) {
+        const count = `(\\d{1,3}|${Object.keys(this.numberWords).join('|').replace(/ /g, '\\s+')})`;
+        const relative = this.scan(text, new RegExp(`\\b(?:with)?in\\s+(?:the\\s+next\\s+)?(?:${count}\\s+(min(?:ute)?s?|h(?:ou)?rs?|days?|weeks?|business\\s+days?|working\\s+days?)|(half\\s+an\\s+hour))\\b`, 'gi'), (match) => {
+            const amount = match[3] ? 30 : (/^\d+$/.test(match[1]) ? Number(match[1]) : this.numberWords[match[1].toLowerCase().replace(/\s+/g, ' ')]);
+            const unit = match[3] ? 'minute' : match[2].toLowerCase();
+            return this.deadline(match[0], this.addDuration(reference, amount, unit), reference);
+        });
+
+        const day = '(?:today|tonight|tomorrow|eod|eow|cob|close\\s+of\\s+business|end\\s+of\\s+(?:the\\s+)?(?:day|week|month)|next\\s+week|(?:this\\s+|next\\s+)?(?:mon|tues|wednes|thurs|fri|satur|sun)day)';
+        const time = '(?:(?:at\\s+)?\\d{1,2}(?::\\d{2})?\\s*(?:am|pm)|(?:at\\s+)?\\d{1,2}:\\d{2}|noon|midday)';
+        const anchored = this.scan(text, new RegExp(`\\b(?:by|before|until|till|no\\s+later\\s+than|due(?:\\s+by)?)\\s+(?:the\\s+)?(?:${day}(?:'s)?(?:\\s+(?:morning|afternoon|evening|meeting|call|deadline))?(?:\\s+${time})?|${time}(?:\\s+${day})?)`, 'gi'), (match) => {
+            const resolved = this.resolvePhrase(match[0].toLowerCase(), reference);
+            return resolved === null ? null : this.deadline(match[0], resolved, reference);
+        });
+
+        return relative.concat(anchored);
+    }
+
+    deadline(phrase, time, reference) {
+        return {
+            type: 'deadline',
+            value: phrase.replace(/\s+/g, ' '),
+            resolved: new Date(time).toISOString(),
+            reference: new Date(reference.time).toISOString()
+        };
+    }
+
+    /**
+     * Reference instant and UTC offset (minutes) from a Date header, or now in the local zone
+     */
+    referenceTime(dateHeader) {
+        const raw = String(dateHeader || '').replace(/\([^)]*\)/g, '').trim();
+        const time = raw ? Date.parse(raw) : NaN;
+        if (isNaN(time)) {
+            return { time: Date.now(), offset: -new Date().getTimezoneOffset() };
+        }
+
+        const zone = raw.match(/([+-])(\d{2}):?(\d{2})$/);
+        const offset = zone ? (zone[1] === '-' ? -1 : 1) * (Number(zone[2]) * 60 + Number(zone[3])) : 0;
+        return { time, offset };
+    }
+
+    /**
+     * Add a duration; business days skip weekends in the sender's zone
+     */
+    addDuration(reference, amount, unit) {
+        if (/^min/.test(unit)) return reference.time + amount * 60000;
+        if (/^h/.test(unit)) return reference.time + amount * 3600000;
+        if (/^week/.test(unit)) return reference.time + amount * 7 * 86400000;
+        if (/^(business|working)/.test(unit)) {
+            let time = reference.time;
+            let remaining = amount;
+            while (remaining > 0) {
+                time += 86400000;
+                const weekday = new Date(time + reference.offset * 60000).getUTCDay();
+                if (weekday !== 0 && weekday !== 6) remaining--;
+            }
+            return time;
+        }
+        return reference.time + amount * 86400000;
+    }
+
+    /**
+     * Resolve "by friday 3pm", "before tomorrow morning", "by eod" to an instant
+     */
+    resolvePhrase(phrase, reference) {
+        // Work in the sender's wall-clock time, using UTC getters on a shifted date
+        const local = new Date(reference.time + reference.offset * 60000);
+        const before = /^(?:before|till|until)/.test(phrase);
+        let dayOffset = 0;
+        let hour = before ? this.startOfDayHour : this.endOfDayHour;
+        let minute = 0;
+        let explicitDay = true;
+
+        const weekday = phrase.match(/(mon|tues|wednes|thurs|fri|satur|sun)day/);
+        if (/tomorrow/.test(phrase)) {
+            dayOffset = 1;
+        } else if (/end\s+of\s+(?:the\s+)?week|\beow\b/.test(phrase)) {
+            dayOffset = (5 - local.getUTCDay() + 7) % 7;
+            hour = this.endOfDayHour;
+        } else if (/end\s+of\s+(?:the\s+)?month/.test(phrase)) {
+            dayOffset = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate() - local.getUTCDate();
+            hour = this.endOfDayHour;
+        } else if (/next\s+week/.test(phrase) && !weekday) {
+            dayOffset = ((1 - local.getUTCDay() + 7) % 7) || 7;
+            hour = this.startOfDayHour;
+        } else if (weekday) {
+            const target = this.weekdays.indexOf(weekday[0]);
+            dayOffset = (target - local.getUTCDay() + 7) % 7;
+            if (/next\s+\w+day/.test(phrase)) dayOffset += 7;
+        } else if (/tonight/.test(phrase)) {
+            hour = 20;
+        } else if (/today|eod|cob|close\s+of\s+business|end\s+of\s+(?:the\s+)?day/.test(phrase)) {
+            hour = this.endOfDayHour;
+        } else {
+            explicitDay = false;
+        }
+
+        if (/morning/.test(phrase)) hour = this.startOfDayHour;
+        if (/afternoon/.test(phrase)) hour = 13;
+        if (/evening/.test(phrase)) hour = 18;
+        if (/noon|midday/.test(phrase)) hour = 12;
+
+        const clock = phrase.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)|(\d{1,2}):(\d{2})/);
+        if (clock) {
+            hour = Number(clock[1] || clock[4]);
+            minute = Number(clock[2] || clock[5] || 0);
+            if (clock[3] === 'pm' && hour < 12) hour += 12;
+            if (clock[3] === 'am' && hour === 12) hour = 0;
+            if (hour > 23 || minute > 59) return null;
+        }
+
+        let time = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + dayOffset, hour, minute) - reference.offset * 60000;
+
+        // "by 9am" sent after 9am means tomorrow
+        if (!explicitDay && time <= reference.time) {
+            time += 86400000;
+        }
+        return time;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EntityExtractor };
+} else {
+    self.EntityExtractor = EntityExtractor;
+}
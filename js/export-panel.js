@@ -0,0 +1,108 @@
+/**
+ * Email-to-Ticket Parser - Export Panel
+ * Format picker for copying/downloading the current ticket, and the custom mapping editor
+ */
+
+const exportFormat = document.getElementById('exportFormat');
+const copyExportBtn = document.getElementById('copyExportBtn');
+const downloadExportBtn = document.getElementById('downloadExportBtn');
+const exportMappingsInput = document.getElementById('exportMappingsInput');
+const saveExportMappingsBtn = document.getElementById('saveExportMappingsBtn');
+
+if (!exportFormat || !copyExportBtn || !downloadExportBtn || !exportMappingsInput || !saveExportMappingsBtn) {
+    console.error('Export panel elements not found');
+    throw new Error('Failed to initialize: missing export panel elements');
+}
+
+// Persist custom mappings in this browser
+parser.exporter = new TicketExporter(parser, localStorage);
+const savedMappings = parser.exporter.loadMappings();
+parser.exporter.applyMappings(savedMappings);
+
+const EXAMPLE_MAPPING = [{
+    name: 'my_helpdesk',
+    label: 'My Helpdesk',
+    fields: {
+        'ticket.title': '{{subject}}',
+        'ticket.description': '{{body}}',
+        'ticket.requester.email': '{{requester.email}}',
+        'ticket.priority': '{{priority|map:priority}}',
+        'ticket.tags': '{{tags}}'
+    },
+    maps: {
+        priority: { low: 4, medium: 3, high: 2, urgent: 1 }
+    }
+}];
+
+copyExportBtn.addEventListener('click', copyExport);
+downloadExportBtn.addEventListener('click', downloadExport);
+saveExportMappingsBtn.addEventListener('click', saveExportMappings);
+
+/**
+ * Fill the format picker, keeping the current choice when it still exists
+ */
+function renderExportFormats() {
+    const formats = parser.exporter.list();
+    const selected = formats.some(format => format.name === exportFormat.value) ? exportFormat.value : 'json';
+    const labels = Object.create(null);
+    formats.forEach((format) => {
+        labels[format.name] = format.custom ? `${format.label} (custom)` : format.label;
+    });
+    fillSelect(exportFormat, formats.map(format => format.name), selected, name => labels[name]);
+}
+
+/**
+ * Current ticket in the selected format
+ */
+function renderExport() {
+    if (!currentResult) {
+        showError('No results to export');
+        return null;
+    }
+
+    try {
+        return parser.exportAs(currentResult, exportFormat.value);
+    } catch (error) {
+        showError('Export failed: ' + error.message);
+        return null;
+    }
+}
+
+function copyExport() {
+    const output = renderExport();
+    if (output !== null) {
+        copyToClipboard(output, `${exportFormat.options[exportFormat.selectedIndex].textContent} copied to clipboard!`);
+    }
+}
+
+function downloadExport() {
+    const output = renderExport();
+    if (output !== null) {
+        const format = parser.exporter.formats[exportFormat.value];
+        downloadFile(output, `${currentResult.ticketId}-${exportFormat.value}.${format.extension}`, format.contentType);
+    }
+}
+
+/**
+ * Validate and store the mapping JSON, then refresh the picker
+ */
+function saveExportMappings() {
+    const text = exportMappingsInput.value.trim();
+    if (text.length > 200000) {
+        showError('Mappings must be under 200KB');
+        return;
+    }
+
+    try {
+        const mappings = parser.exporter.saveMappings(text ? JSON.parse(text) : []);
+        exportMappingsInput.value = mappings.length > 0 ? JSON.stringify(mappings, null, 2) : '';
+        renderExportFormats();
+        showSuccess(`${mappings.length} custom mapping${mappings.length === 1 ? '' : 's'} saved`);
+    } catch (error) {
+        showError('Could not save mappings: ' + (error instanceof SyntaxError ? 'not valid JSON' : error.message));
+    }
+}
+
+exportMappingsInput.value = savedMappings.length > 0 ? JSON.stringify(savedMappings, null, 2) : '';
+exportMappingsInput.placeholder = JSON.stringify(EXAMPLE_MAPPING, null, 2);
+renderExportFormats();
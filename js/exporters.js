@@ -0,0 +1,543 @@
+/**
+ * Ticket Exporter
+ * Turns parsed tickets into helpdesk ticket-creation payloads, CSV, Markdown or user-defined mappings
+ */
+
+class TicketExporter {
+    constructor(parser, storage) {
+        this.parser = parser;
+        this.storage = storage || null;
+        this.storageKey = 'emailToTicket.exportMappings';
+
+        // Jira needs a project; change to match your instance
+        this.jiraProjectKey = 'IT';
+
+        this.maxMappings = 20;
+        this.maxFields = 100;
+        this.forbiddenKeys = ['__proto__', 'constructor', 'prototype'];
+
+        // Category -> ticket type per helpdesk; '*' covers categories added in the taxonomy editor
+        this.typeTables = {
+            zendesk: { password_reset: 'task', software_install: 'task', access_request: 'task', other: 'question', '*': 'incident' },
+            freshdesk: { password_reset: 'Service Request', software_install: 'Service Request', access_request: 'Service Request', other: 'Question', '*': 'Incident' },
+            jira: { password_reset: 'Service Request', software_install: 'Service Request', access_request: 'Service Request', '*': 'Incident' },
+            servicenow: {
+                password_reset: 'inquiry', email_issue: 'software', printer_issue: 'hardware', network_issue: 'network',
+                software_install: 'software', access_request: 'inquiry', hardware_issue: 'hardware', performance_issue: 'software', '*': 'inquiry'
+            },
+            atera: { password_reset: 'Request', software_install: 'Request', access_request: 'Request', other: 'Problem', '*': 'Incident' }
+        };
+
+        // Our priority -> each helpdesk's priority field
+        this.priorityTables = {
+            zendesk: { low: 'low', medium: 'normal', high: 'high', urgent: 'urgent' },
+            freshdesk: { low: 1, medium: 2, high: 3, urgent: 4 },
+            jira: { low: 'Low', medium: 'Medium', high: 'High', urgent: 'Highest' },
+            servicenowUrgency: { low: '3', medium: '2', high: '1', urgent: '1' },
+            servicenowImpact: { low: '3', medium: '3', high: '2', urgent: '1' },
+            atera: { low: 'Low', medium: 'Medium', high: 'High', urgent: 'Critical' },
+            ateraImpact: { low: 'Minor', medium: 'Minor', high: 'Major', urgent: 'Crisis' }
+        };
+
+        this.formats = Object.create(null);
+        this.builtIn = [];
+        this.registerBuiltIns();
+    }
+
+    /**
+     * Add (or replace) a format: { label, extension, contentType, build(parsed) -> string }
+     */
+    register(name, format) {
+        this.formats[name] = format;
+    }
+
+    /**
+     * Formats for the picker, built-ins first
+     */
+    list() {
+        return Object.keys(this.formats).map(name => ({ name, label: this.formats[name].label, custom: !this.builtIn.includes(name) }));
+    }
+
+    /**
+     * Render a ticket (or, for CSV, a list of tickets) in a format
+     */
+    export(parsed, name) {
+        const format = this.formats[name];
+        if (!format) {
+            throw new Error(`Unknown export format: ${name}`);
+        }
+        return format.build(parsed);
+    }
+
+    registerBuiltIns() {
+        const json = (build, label) => ({
+            label,
+            extension: 'json',
+            contentType: 'application/json',
+            build: parsed => JSON.stringify(build.call(this, parsed), null, 2)
+        });
+
+        this.register('json', { label: 'JSON', extension: 'json', contentType: 'application/json', build: parsed => this.parser.toJSON(parsed) });
+        this.register('text', { label: 'Plain text', extension: 'txt', contentType: 'text/plain', build: parsed => this.parser.toText(parsed) });
+        this.register('markdown', { label: 'Markdown', extension: 'md', contentType: 'text/markdown', build: parsed => this.toMarkdown(parsed) });
+        this.register('csv', { label: 'CSV', extension: 'csv', contentType: 'text/csv', build: parsed => this.toCSV(parsed) });
+        this.register('zendesk', json(this.toZendesk, 'Zendesk'));
+        this.register('freshdesk', json(this.toFreshdesk, 'Freshdesk'));
+        this.register('jira', json(this.toJira, 'Jira'));
+        this.register('servicenow', json(this.toServiceNow, 'ServiceNow'));
+        this.register('atera', json(this.toAtera, 'Atera'));
+
+        this.builtIn = Object.keys(this.formats);
+    }
+
+    /**
+     * Requester built from the parsed From header, with the sender directory's details when it knows them
+     */
+    requester(parsed) {
+        const headers = parsed.headers || null;
+        const header = headers && headers.from && headers.from[0] ? headers.from[0] : null;
+        const email = header && header.address ? header.address : (this.parser.senderAddress(parsed.from, null) || '');
+
+        // "Jane Doe <jane@x>" without MIME headers, else the mailbox name ("jane.doe" -> "Jane Doe")
+        let name = header && header.name ? header.name : String(parsed.from || '').replace(/<[^>]*>/, '').replace(/["']/g, '').trim();
+        const known = parsed.requester || null;
+        if (known && known.name) {
+            name = known.name;
+        }
+        if (!name || name.includes('@')) {
+            name = email.split('@')[0].split(/[._-]+/).filter(Boolean)
+                .map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+        }
+
+        // Directory-style "Doe, Jane"
+        const reversed = name.match(/^([^,]+),\s*([^,]+)$/);
+        const parts = reversed ? `${reversed[2]} ${reversed[1]}`.split(/\s+/) : name.split(/\s+/);
+        return {
+            name,
+            email,
+            firstName: parts[0] || '',
+            lastName: parts.length > 1 ? parts.slice(1).join(' ') : '',
+            organization: known && known.organization ? known.organization : '',
+            department: known && known.department ? known.department : '',
+            vip: Boolean(known && known.vip),
+            tier: known && known.tier ? known.tier : ''
+        };
+    }
+
+    /**
+     * Look up a table entry, falling back to '*' and then to the medium priority's entry
+     */
+    lookupTable(table, key) {
+        if (Object.prototype.hasOwnProperty.call(table, key)) return table[key];
+        return Object.prototype.hasOwnProperty.call(table, '*') ? table['*'] : table.medium;
+    }
+
+    tags(parsed) {
+        const requester = parsed.requester || {};
+        const tone = parsed.tone || {};
+        const security = parsed.security || {};
+        return [parsed.category, parsed.priority, requester.vip ? 'vip' : null, requester.tier ? `tier_${requester.tier}` : null,
+            tone.escalationRisk === 'high' ? 'escalation_risk' : null, security.suspicious ? 'suspected_phishing' : null]
+            .filter(Boolean)
+            .map(tag => String(tag).replace(/\s+/g, '_'));
+    }
+
+    /**
+     * POST /api/v2/tickets
+     */
+    toZendesk(parsed) {
+        const requester = this.requester(parsed);
+        return {
+            ticket: {
+                subject: parsed.subject,
+                comment: { body: parsed.body },
+                requester: { name: requester.name, email: requester.email },
+                priority: this.lookupTable(this.priorityTables.zendesk, parsed.priority),
+                type: this.lookupTable(this.typeTables.zendesk, parsed.category),
+                tags: this.tags(parsed),
+                external_id: parsed.ticketId
+            }
+        };
+    }
+
+    /**
+     * POST /api/v2/tickets
+     */
+    toFreshdesk(parsed) {
+        const requester = this.requester(parsed);
+        const payload = {
+            subject: parsed.subject,
+            description: this.toHtml(parsed.body),
+            email: requester.email,
+            name: requester.name,
+            priority: this.lookupTable(this.priorityTables.freshdesk, parsed.priority),
+            // 2 = Open, 1 = Email
+            status: 2,
+            source: 1,
+            type: this.lookupTable(this.typeTables.freshdesk, parsed.category),
+            tags: this.tags(parsed)
+        };
+
+        // Freshdesk wants both due dates or neither
+        if (parsed.respondBy && parsed.resolveBy) {
+            payload.fr_due_by = parsed.respondBy;
+            payload.due_by = parsed.resolveBy;
+        }
+        return payload;
+    }
+
+    /**
+     * POST /rest/api/3/issue (reporter needs a Jira account id, so the requester goes in the description)
+     */
+    toJira(parsed) {
+        const requester = this.requester(parsed);
+        const paragraphs = [`Requester: ${requester.name} <${requester.email}>` + (requester.organization ? `, ${requester.organization}` : '')]
+            .concat(String(parsed.body || '').split(/\n{2,}/))
+            .filter(text => text.trim());
+
+        return {
+            fields: {
+                project: { key: this.jiraProjectKey },
+                summary: String(parsed.subject || '').substring(0, 255),
+                issuetype: { name: this.lookupTable(this.typeTables.jira, parsed.category) },
+                priority: { name: this.lookupTable(this.priorityTables.jira, parsed.priority) },
+                labels: this.tags(parsed),
+                duedate: parsed.resolveBy ? this.localDate(parsed.resolveBy) : undefined,
+                description: {
+                    type: 'doc',
+                    version: 1,
+                    content: paragraphs.map(text => ({ type: 'paragraph', content: [{ type: 'text', text }] }))
+                }
+            }
+        };
+    }
+
+    /**
+     * POST /api/now/table/incident
+     */
+    toServiceNow(parsed) {
+        const requester = this.requester(parsed);
+        const payload = {
+            short_description: String(parsed.subject || '').substring(0, 160),
+            description: parsed.body,
+            caller_id: requester.email,
+            contact_type: 'email',
+            category: this.lookupTable(this.typeTables.servicenow, parsed.category),
+            urgency: this.lookupTable(this.priorityTables.servicenowUrgency, parsed.priority),
+            impact: this.lookupTable(this.priorityTables.servicenowImpact, parsed.priority),
+            correlation_id: parsed.ticketId
+        };
+
+        // Table API date-times are "YYYY-MM-DD HH:mm:ss" in UTC
+        if (parsed.resolveBy) {
+            payload.due_date = new Date(parsed.resolveBy).toISOString().substring(0, 19).replace('T', ' ');
+        }
+        return payload;
+    }
+
+    /**
+     * POST /api/v3/tickets
+     */
+    toAtera(parsed) {
+        const requester = this.requester(parsed);
+        return {
+            TicketTitle: parsed.subject,
+            Description: parsed.body,
+            TicketPriority: this.lookupTable(this.priorityTables.atera, parsed.priority),
+            TicketImpact: this.lookupTable(this.priorityTables.ateraImpact, parsed.priority),
+            TicketStatus: 'Open',
+            TicketType: this.lookupTable(this.typeTables.atera, parsed.category),
+            EndUserEmail: requester.email,
+            EndUserFirstName: requester.firstName,
+            EndUserLastName: requester.lastName
+        };
+    }
+
+    /**
+     * One row per ticket; accepts a single ticket or a list
+     */
+    toCSV(parsed) {
+        const tickets = Array.isArray(parsed) ? parsed : [parsed];
+        const columns = ['ticketId', 'threadId', 'parentTicketId', 'from', 'organization', 'vip', 'subject', 'category', 'priority', 'confidence', 'language', 'escalationRisk', 'phishingRisk', 'timestamp', 'respondBy', 'resolveBy', 'body'];
+        // Directory details live under ticket.requester, tone scores under ticket.tone, the phishing screen under ticket.security
+        const value = (ticket, column) => {
+            if (column === 'organization' || column === 'vip') return ticket.requester ? ticket.requester[column] : '';
+            if (column === 'escalationRisk') return ticket.tone ? ticket.tone.escalationRisk : '';
+            if (column === 'phishingRisk') return ticket.security ? ticket.security.level : '';
+            return ticket[column];
+        };
+        const rows = tickets.map(ticket => columns.map(column => this.csvCell(value(ticket, column))).join(','));
+        return [columns.join(',')].concat(rows).join('\r\n');
+    }
+
+    /**
+     * RFC 4180 quoting; cells that start like a formula are prefixed so spreadsheets show them as text
+     */
+    csvCell(value) {
+        let text = value === undefined || value === null ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = '\'' + text;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    toMarkdown(parsed) {
+        const cell = value => String(value === undefined || value === null ? '' : value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const requester = this.requester(parsed);
+        const rows = [
+            ['Ticket ID', parsed.ticketId],
+            ['Requester', `${requester.name} <${requester.email}>` + (requester.vip ? ' (VIP)' : '')]
+        ];
+        if (requester.organization) rows.push(['Organization', requester.organization + (requester.tier ? ` (${requester.tier} tier)` : '')]);
+        if (requester.department) rows.push(['Department', requester.department]);
+        rows.push(
+            ['Category', parsed.categoryLabel],
+            ['Priority', String(parsed.priority || '').toUpperCase()],
+            ['Confidence', `${Math.round((parsed.confidence || 0) * 100)}%`],
+            ['Created', parsed.timestamp]
+        );
+        if (parsed.parentTicketId) rows.push(['Split from', parsed.parentTicketId]);
+        if (parsed.language) rows.push(['Language', parsed.language]);
+        if (parsed.tone && parsed.tone.escalationRisk !== 'low') {
+            rows.push(['Tone', `${parsed.tone.escalationRisk} escalation risk (frustration ${Math.round(parsed.tone.frustration * 100)}%)`]);
+        }
+        if (parsed.security && parsed.security.suspicious) {
+            rows.push(['Security', `${parsed.security.level} phishing risk (${Math.round(parsed.security.risk * 100)}%)`]);
+        }
+        if (parsed.respondBy) rows.push(['Respond by', parsed.respondBy]);
+        if (parsed.resolveBy) rows.push(['Resolve by', parsed.resolveBy]);
+
+        const sections = [
+            `## ${cell(parsed.subject)}`,
+            '| Field | Value |\n| --- | --- |\n' + rows.map(([label, value]) => `| ${label} | ${cell(value)} |`).join('\n'),
+            '### Description\n\n' + String(parsed.body || '').split('\n').map(line => `> ${line}`).join('\n')
+        ];
+        if (Array.isArray(parsed.entities) && parsed.entities.length > 0) {
+            const labels = this.parser.entityExtractor.labels;
+            sections.push('### Entities\n\n' + parsed.entities.map(entity => `- **${labels[entity.type] || entity.type}:** \`${String(entity.value).replace(/`/g, '\'')}\``).join('\n'));
+        }
+        if (parsed.insights) {
+            sections.push('### Insights\n\n' + String(parsed.insights).split('\n').map(line => `- ${line}`).join('\n'));
+        }
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Calendar date of a due date in the SLA time zone (UTC when SLAs are off)
+     */
+    localDate(value) {
+        return this.parser.sla ? this.parser.sla.localDate(value) : new Date(value).toISOString().substring(0, 10);
+    }
+
+    /**
+     * Plain text as escaped HTML paragraphs (Freshdesk descriptions are HTML)
+     */
+    toHtml(text) {
+        return String(text || '')
+            .split(/\n{2,}/)
+            .map(paragraph => `<p>${this.parser.sanitizeText(paragraph).replace(/\n/g, '<br>')}</p>`)
+            .join('');
+    }
+
+    /**
+     * Saved custom mappings (invalid entries are dropped)
+     */
+    loadMappings() {
+        if (!this.storage) return [];
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? this.validateMappings(JSON.parse(raw)) : [];
+        } catch (error) {
+            console.warn('Ignoring saved export mappings: ' + error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Validate, persist and register custom mappings
+     */
+    saveMappings(mappings) {
+        const valid = this.validateMappings(mappings);
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(valid));
+        }
+        this.applyMappings(valid);
+        return valid;
+    }
+
+    /**
+     * Replace the registered custom formats with these mappings
+     */
+    applyMappings(mappings) {
+        for (const name of Object.keys(this.formats)) {
+            if (!this.builtIn.includes(name)) delete this.formats[name];
+        }
+        for (const mapping of mappings) {
+            this.register(mapping.name, {
+                label: mapping.label,
+                extension: 'json',
+                contentType: 'application/json',
+                build: parsed => JSON.stringify(this.applyMapping(mapping, parsed), null, 2)
+            });
+        }
+    }
+
+    /**
+     * Rebuild mappings from scratch, copying only known fields
+     * Mapping: { name, label, fields: { "out.path": "{{source.path|map:table}}" }, maps: { table: { from: to } } }
+     */
+    validateMappings(mappings) {
+        if (!Array.isArray(mappings)) {
+            throw new Error('Export mappings must be an array');
+        }
+        if (mappings.length > this.maxMappings) {
+            throw new Error(`Too many export mappings (max ${this.maxMappings})`);
+        }
+
+        const seen = new Set();
+        return mappings.map((mapping, index) => {
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                throw new Error(`Mapping ${index + 1} must be an object`);
+            }
+            if (typeof mapping.name !== 'string' || !/^[a-z0-9_-]{1,40}$/.test(mapping.name)) {
+                throw new Error(`Mapping ${index + 1}: name must be 1-40 lowercase letters, digits, dashes or underscores`);
+            }
+            if (this.builtIn.includes(mapping.name) || seen.has(mapping.name)) {
+                throw new Error(`Mapping name already in use: ${mapping.name}`);
+            }
+            seen.add(mapping.name);
+
+            if (!mapping.fields || typeof mapping.fields !== 'object' || Array.isArray(mapping.fields)) {
+                throw new Error(`Mapping ${mapping.name}: fields must be an object`);
+            }
+            const fieldNames = Object.keys(mapping.fields);
+            if (fieldNames.length === 0 || fieldNames.length > this.maxFields) {
+                throw new Error(`Mapping ${mapping.name}: needs 1-${this.maxFields} fields`);
+            }
+
+            const fields = {};
+            for (const key of fieldNames) {
+                if (key.split('.').some(part => !part || this.forbiddenKeys.includes(part))) {
+                    throw new Error(`Mapping ${mapping.name}: invalid field name "${key}"`);
+                }
+                const template = mapping.fields[key];
+                if (typeof template !== 'string' && typeof template !== 'number' && typeof template !== 'boolean') {
+                    throw new Error(`Mapping ${mapping.name}: field "${key}" must be a string, number or boolean`);
+                }
+                fields[key] = typeof template === 'string' ? template.substring(0, 1000) : template;
+            }
+
+            const maps = {};
+            for (const table of Object.keys(mapping.maps || {})) {
+                const entries = mapping.maps[table];
+                if (this.forbiddenKeys.includes(table) || !entries || typeof entries !== 'object' || Array.isArray(entries)) {
+                    throw new Error(`Mapping ${mapping.name}: map "${table}" must be an object`);
+                }
+                maps[table] = {};
+                for (const from of Object.keys(entries)) {
+                    if (this.forbiddenKeys.includes(from)) continue;
+                    if (typeof entries[from] !== 'string' && typeof entries[from] !== 'number') {
+                        throw new Error(`Mapping ${mapping.name}: map "${table}" values must be strings or numbers`);
+                    }
+                    maps[table][from] = entries[from];
+                }
+            }
+
+            return {
+                name: mapping.name,
+                label: typeof mapping.label === 'string' && mapping.label.trim() ? mapping.label.trim().substring(0, 60) : mapping.name,
+                fields,
+                maps
+            };
+        });
+    }
+
+    /**
+     * Build a payload from a custom mapping
+     */
+    applyMapping(mapping, parsed) {
+        const view = this.view(parsed);
+        const output = {};
+        for (const key of Object.keys(mapping.fields)) {
+            const parts = key.split('.');
+            let target = output;
+            for (const part of parts.slice(0, -1)) {
+                if (!target[part] || typeof target[part] !== 'object') target[part] = {};
+                target = target[part];
+            }
+            target[parts[parts.length - 1]] = this.renderTemplate(mapping.fields[key], view, mapping.maps);
+        }
+        return output;
+    }
+
+    /**
+     * Ticket fields available to templates, with the requester's name split up
+     */
+    view(parsed) {
+        return Object.assign({}, parsed, {
+            requester: this.requester(parsed),
+            tags: this.tags(parsed),
+            description: parsed.body
+        });
+    }
+
+    /**
+     * "{{path|filter}}" substitution; a template that is exactly one placeholder keeps the value's type
+     */
+    renderTemplate(template, view, maps) {
+        if (typeof template !== 'string') return template;
+
+        const single = template.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+        if (single) {
+            const value = this.resolvePlaceholder(single[1], view, maps);
+            return value === undefined ? null : value;
+        }
+        return template.replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, expression) => {
+            const value = this.resolvePlaceholder(expression, view, maps);
+            if (value === undefined || value === null) return '';
+            return Array.isArray(value) ? value.join(', ') : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+    }
+
+    resolvePlaceholder(expression, view, maps) {
+        const [path, ...filters] = expression.split('|').map(part => part.trim());
+        let value = this.lookup(view, path);
+
+        for (const filter of filters) {
+            const [name, argument] = filter.split(':').map(part => part.trim());
+            if (name === 'map') {
+                const table = maps[argument] || {};
+                value = Object.prototype.hasOwnProperty.call(table, value) ? table[value] : (Object.prototype.hasOwnProperty.call(table, '*') ? table['*'] : value);
+            } else if (name === 'upper') {
+                value = String(value === undefined || value === null ? '' : value).toUpperCase();
+            } else if (name === 'lower') {
+                value = String(value === undefined || value === null ? '' : value).toLowerCase();
+            } else if (name === 'default') {
+                value = value === undefined || value === null || value === '' ? argument : value;
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Own-property path lookup ("requester.email", "entities.0.value")
+     */
+    lookup(object, path) {
+        let value = object;
+        for (const part of path.split('.')) {
+            if (value === null || typeof value !== 'object' || this.forbiddenKeys.includes(part) ||
+                !Object.prototype.hasOwnProperty.call(value, part)) {
+                return undefined;
+            }
+            value = value[part];
+        }
+        return value;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TicketExporter };
+} else {
+    self.TicketExporter = TicketExporter;
+}
@@ -0,0 +1,123 @@
+/**
+ * Issue Splitter
+ * Segments an email body into sentences and clauses and groups them into separate issues by category
+ */
+
+class IssueSplitter {
+    constructor() {
+        this.maxTextLength = 5000;
+        this.maxSegments = 30;
+        this.maxIssues = 5;
+
+        // Shorter pieces ("Thanks.", "Also") are joined to the text before them; a short opening greeting ("Hi team,") is dropped
+        this.minSegmentLength = 12;
+
+        // A segment needs this confidence in its own category to start a new issue
+        this.minConfidence = 0.5;
+
+        // Where one issue can end: list items, paragraph breaks, sentence ends, and "..., and also ..." joins
+        this.boundaries = /\n\s*(?:[-*•]|\d{1,2}[.)])[ \t]+|\n[ \t]*\n|[.!?]+(?=[ \t\n]+["'(]?[A-Z0-9])|[ \t]*[,;][ \t]*(?:and[ \t]+)?(?:also|plus|additionally|as[ \t]+well[ \t]+as|separately)\b|[ \t]+and[ \t]+(?:also|additionally)\b/g;
+        this.listMarker = /^\n\s*(?:[-*•]|\d{1,2}[.)])/;
+
+        // List items under a lead-in like "I've tried:" are steps taken for the issue above, never issues of their own
+        this.contextLead = /\b(?:tried|attempted|checked|done|did|steps?|troubleshoot\w*|already)\b[^.!?]*:$/i;
+        // ...and so are sentences about what the sender already did or what the issue led to
+        this.contextSentence = /^(?:(?:i|we)(?:'ve| have)?\s+(?:already\s+)?(?:tried|restarted|rebooted|reinstalled|cleared|checked|unplugged|updated)|(?:because of|due to) (?:that|this)|as a result|which means|that means|this means|so now|since then)\b/i;
+        // Openers dropped from the front of a segment ("Also, ...", "Separately, ...")
+        this.connectorOpener = /^(?:and\s+)?(?:also|separately|additionally|plus|p\.?s\.?)(?=[\s,:])[,:]?\s*/i;
+    }
+
+    /**
+     * Body split into [{ text, start, end, context }] with offsets into the original text
+     * `context` marks troubleshooting steps and consequences (see contextLead and contextSentence)
+     */
+    segment(text) {
+        const source = String(text || '').substring(0, this.maxTextLength);
+        const pieces = [];
+        let start = 0;
+        let listItem = false;
+        this.boundaries.lastIndex = 0;
+        let match;
+        while ((match = this.boundaries.exec(source)) !== null && pieces.length < this.maxSegments - 1) {
+            // Sentence punctuation stays with its sentence; connectors, breaks and list markers are dropped
+            const end = /^[.!?]/.test(match[0]) ? match.index + match[0].length : match.index;
+            pieces.push(Object.assign(this.trimmed(source, start, end), { listItem }));
+            start = match.index + match[0].length;
+            listItem = this.listMarker.test(match[0]);
+        }
+        pieces.push(Object.assign(this.trimmed(source, start, source.length), { listItem }));
+
+        const segments = [];
+        let lead = '';
+        for (const piece of pieces.filter(entry => entry.text)) {
+            if (!piece.listItem) lead = piece.text;
+            const context = (piece.listItem && this.contextLead.test(lead)) || this.contextSentence.test(piece.text);
+            const segment = { text: piece.text, start: piece.start, end: piece.end, context };
+
+            const previous = segments[segments.length - 1];
+            if (!previous && segment.text.length < this.minSegmentLength && /[,:]$/.test(segment.text)) continue;
+            if (previous && (segment.text.length < this.minSegmentLength || previous.text.length < this.minSegmentLength)) {
+                previous.end = segment.end;
+                previous.text = source.substring(previous.start, previous.end);
+            } else {
+                segments.push(segment);
+            }
+        }
+        return segments;
+    }
+
+    trimmed(source, start, end) {
+        const raw = source.substring(start, end);
+        const bare = raw.replace(/^\s*(?:[-*•]\s*)?/, '');
+        const lead = raw.length - bare.replace(this.connectorOpener, '').length;
+        const text = raw.substring(lead).trim();
+        return { text, start: start + lead, end: start + lead + text.length };
+    }
+
+    /**
+     * Group segments into issues with `classify(text)` -> { name, confidence }
+     * Segments without a clear category of their own, and troubleshooting steps, stay with the issue before them (or the first one)
+     * Returns [{ category, confidence, segments: [...] }] in order of first mention
+     */
+    group(segments, classify) {
+        const issues = [];
+        const pending = [];
+        let current = null;
+
+        for (const segment of segments) {
+            const category = segment.context ? null : classify(segment.text);
+            const clear = Boolean(category) && category.name !== 'other' && category.confidence >= this.minConfidence;
+            if (!clear) {
+                if (current) current.segments.push(segment);
+                else pending.push(segment);
+                continue;
+            }
+
+            // Coming back to an earlier issue adds to it
+            const existing = issues.find(issue => issue.category === category.name);
+            if (existing) {
+                existing.segments.push(segment);
+                existing.confidence = Math.max(existing.confidence, category.confidence);
+                current = existing;
+            } else if (issues.length < this.maxIssues) {
+                current = { category: category.name, confidence: category.confidence, segments: [segment] };
+                issues.push(current);
+            } else if (current) {
+                current.segments.push(segment);
+            }
+        }
+
+        if (issues.length > 0 && pending.length > 0) {
+            issues[0].segments.unshift(...pending);
+        }
+        issues.forEach(issue => issue.segments.sort((a, b) => a.start - b.start));
+        return issues;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IssueSplitter };
+} else {
+    self.IssueSplitter = IssueSplitter;
+}
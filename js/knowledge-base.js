@@ -0,0 +1,344 @@
+/**
+ * Knowledge Base
+ * Help articles and canned replies, ranked against a ticket with BM25
+ */
+
+class KnowledgeBase {
+    constructor(scoring) {
+        if (!scoring) {
+            const modules = typeof module !== 'undefined' && module.exports ? require('./scoring.js') : self;
+            scoring = new modules.ScoringEngine();
+        }
+        this.scoring = scoring;
+
+        this.maxArticles = 1000;
+        this.maxBodyLength = 20000;
+        this.maxReplyLength = 5000;
+        this.maxListLength = 30;
+
+        // BM25 parameters; title and keyword matches count as several body matches
+        this.k1 = 1.2;
+        this.b = 0.75;
+        this.fieldWeights = { title: 2, keywords: 3, body: 1 };
+
+        // Query terms: the subject counts double, like in classification; entity values name the exact product or error
+        this.queryWeights = { subject: 2, body: 1, entities: 2 };
+        this.queryEntityTypes = ['software', 'error_code', 'share', 'path'];
+        this.maxQueryTerms = 200;
+
+        // Articles written for the ticket's category rank higher; matches on a single word, weak matches
+        // and ones far behind the best are dropped (idf is small in a small knowledge base, so minScore stays low)
+        this.categoryBoost = 1.5;
+        this.minMatchedTerms = 2;
+        this.minScore = 1;
+        this.minRelativeScore = 0.25;
+        this.maxMatches = 3;
+
+        this.stopwords = new Set([
+            'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was', 'our', 'has', 'have', 'is', 'it', 'to', 'of',
+            'in', 'on', 'my', 'me', 'we', 'be', 'do', 'an', 'at', 'or', 'if', 'so', 'as', 'by', 'no', 'up', 'any', 'get',
+            'this', 'that', 'with', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'when', 'your', 'been',
+            'please', 'thank', 'thanks', 'hello', 'hi', 'team', 'support', 'regards', 'just', 'now', 'since', 'today',
+            'out', 'after', 'too', 'many', 'some', 'also', 'again', 'still', 'need', 'want', 'know', 'could', 'should'
+        ]);
+
+        // First-reply subject, and the reply used when no matching article has one
+        this.replySubject = 'Re: {{subject}} [{{ticketId}}]';
+        this.defaultReply = 'Hi {{requester.firstName}},\n\n' +
+            'Thanks for getting in touch. Your request is logged as {{ticketId}} ({{categoryLabel}}, {{priority|upper}} priority) ' +
+            'and one of the team will pick it up shortly.\n\nBest regards,\nIT Support';
+
+        this.defaultArticles = [
+            {
+                id: 'kb-password-reset',
+                title: 'Reset your password or unlock your account',
+                categories: ['password_reset'],
+                keywords: ['password', 'locked out', 'unlock', 'forgot password', 'mfa', 'login'],
+                body: 'Use the self-service password reset page to set a new password. Accounts unlock automatically 15 minutes after ' +
+                    'too many failed sign-ins. If multi-factor prompts stopped arriving, re-register the authenticator app from a signed-in device ' +
+                    'or ask the service desk to reset your MFA methods after verifying your identity.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Sorry you\'re locked out. You can set a new password yourself on the self-service password reset page; ' +
+                    'your account unlocks automatically 15 minutes after the last failed sign-in.\n\n' +
+                    'If that doesn\'t work, reply to this email and we\'ll reset it for you after a quick identity check. ' +
+                    'Please never send your password by email.\n\nReference: {{ticketId}}\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-outlook',
+                title: 'Outlook not sending or receiving email',
+                categories: ['email_issue'],
+                keywords: ['outlook', 'email', 'inbox', 'mailbox', 'send', 'receive', 'outbox'],
+                body: 'Check the Outlook status bar for "Working Offline" or "Disconnected". Restart Outlook, then check the Outbox for a ' +
+                    'stuck message with a large attachment. A full mailbox stops sending: empty Deleted Items and archive old mail. ' +
+                    'If webmail works but Outlook does not, repair the Outlook profile.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Thanks for reporting this. While we look into it, could you try the following?\n\n' +
+                    '1. Check the bottom of the Outlook window for "Working Offline" or "Disconnected".\n' +
+                    '2. Restart Outlook and look in the Outbox for a stuck message.\n' +
+                    '3. Let us know whether webmail works for you.\n\n' +
+                    'We\'re tracking this as {{ticketId}}.\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-printer',
+                title: 'Printer offline, jammed or stuck print queue',
+                categories: ['printer_issue'],
+                keywords: ['printer', 'print', 'queue', 'spooler', 'jam', 'toner', 'offline'],
+                body: 'Check the printer display for paper jams or empty toner. Turn the printer off and on again. Clear stuck jobs ' +
+                    'from the print queue and restart the Print Spooler service. If the printer shows as offline, confirm it is on the network.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Thanks for letting us know about the printer. Could you check its display for a paper jam or toner warning and ' +
+                    'turn it off and on again? If jobs are still stuck, reply with the printer name or location and we\'ll clear the queue remotely.\n\n' +
+                    'Reference: {{ticketId}}\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-network',
+                title: 'No internet, Wi-Fi or VPN connection',
+                categories: ['network_issue'],
+                keywords: ['network', 'internet', 'wifi', 'vpn', 'connection', 'ethernet', 'offline'],
+                body: 'Check cables and that Wi-Fi is switched on, then restart the computer and the router. For VPN problems, ' +
+                    'confirm the internet works without the VPN, update the VPN client and sign in again. Note any error code the client shows.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Sorry you\'re having connection trouble. Please check your cables or Wi-Fi and restart your computer and router. ' +
+                    'If the VPN is the problem, let us know whether the internet works without it and send any error code it shows.\n\n' +
+                    'We\'re tracking this as {{ticketId}}.\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-software-install',
+                title: 'Requesting software installation',
+                categories: ['software_install'],
+                keywords: ['install', 'software', 'application', 'licence', 'license', 'admin rights'],
+                body: 'Approved software can be installed from the Software Center without admin rights. Other software needs your ' +
+                    'manager\'s approval and a licence check before IT installs it.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Thanks for your request. Please check the Software Center first - approved applications install from there without admin rights. ' +
+                    'If it isn\'t listed, reply with the product name and version and we\'ll confirm licensing and approval.\n\n' +
+                    'Reference: {{ticketId}}\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-access-request',
+                title: 'Requesting access to a shared folder or drive',
+                categories: ['access_request'],
+                keywords: ['access', 'permission', 'shared folder', 'drive', 'access denied', 'sharepoint'],
+                body: 'Access to shared folders, drives and SharePoint sites is granted by the data owner. Include the full path or link ' +
+                    'and the access level needed (read or edit). After access is granted, sign out and back in for it to take effect.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Thanks for your request. So we can ask the owner to approve it, please reply with the full folder path or link ' +
+                    'and whether you need read or edit access.\n\nReference: {{ticketId}}\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-hardware',
+                title: 'Laptop, monitor or peripheral not working',
+                categories: ['hardware_issue'],
+                keywords: ['laptop', 'monitor', 'keyboard', 'mouse', 'dock', 'charger', 'broken'],
+                body: 'Check cables and power, try another port or dock, and restart the computer. For physical damage, note the asset ' +
+                    'tag so a replacement can be arranged.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Sorry to hear about the hardware problem. Please check the cables and power, try a different port, and restart. ' +
+                    'If it\'s still not working, reply with the asset tag on the device and we\'ll arrange a repair or replacement.\n\n' +
+                    'Reference: {{ticketId}}\n\nBest regards,\nIT Support'
+            },
+            {
+                id: 'kb-performance',
+                title: 'Computer or application running slowly or freezing',
+                categories: ['performance_issue'],
+                keywords: ['slow', 'freeze', 'frozen', 'crash', 'not responding', 'lag'],
+                body: 'Restart the computer if it has not been restarted recently and install pending updates. Use Task Manager to ' +
+                    'find applications using a lot of CPU or memory. Free up disk space if the drive is nearly full.',
+                reply: 'Hi {{requester.firstName}},\n\n' +
+                    'Thanks for reporting this. A restart and installing any pending updates fixes most slowdowns, so please try that first. ' +
+                    'If it keeps happening, let us know which application is affected and roughly when it started.\n\n' +
+                    'Reference: {{ticketId}}\n\nBest regards,\nIT Support'
+            }
+        ];
+
+        this.articles = [];
+        this.index = null;
+        this.setArticles(this.defaultArticles);
+    }
+
+    /**
+     * Replace the article list (validated) and rebuild the search index
+     */
+    setArticles(articles) {
+        if (!Array.isArray(articles)) {
+            throw new Error('Knowledge base must be a list of articles');
+        }
+        if (articles.length > this.maxArticles) {
+            throw new Error(`Too many articles (max ${this.maxArticles})`);
+        }
+
+        this.articles = articles.map(article => this.validate(article));
+        this.index = this.buildIndex(this.articles);
+        return this;
+    }
+
+    get(id) {
+        return this.articles.find(article => article.id === id) || null;
+    }
+
+    /**
+     * Term frequencies per article (weighted by field), document frequencies and the average length
+     */
+    buildIndex(articles) {
+        const documents = articles.map((article) => {
+            const frequencies = new Map();
+            let length = 0;
+            const add = (text, weight) => {
+                for (const term of this.terms(text)) {
+                    frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                    length += weight;
+                }
+            };
+            add(article.title, this.fieldWeights.title);
+            add(article.keywords.join(' '), this.fieldWeights.keywords);
+            add(article.body, this.fieldWeights.body);
+            return { article, frequencies, length };
+        });
+
+        const documentFrequency = new Map();
+        for (const document of documents) {
+            for (const term of document.frequencies.keys()) {
+                documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+            }
+        }
+        const total = documents.reduce((sum, document) => sum + document.length, 0);
+
+        return { documents, documentFrequency, averageLength: documents.length > 0 ? total / documents.length : 0 };
+    }
+
+    /**
+     * Stems worth searching on (stopwords and one-letter tokens dropped)
+     */
+    terms(text) {
+        return this.tokens(text).map(token => token.stem);
+    }
+
+    tokens(text) {
+        return this.scoring.tokenize(String(text || '').substring(0, this.maxBodyLength))
+            .filter(token => token.stem.length > 1 && !this.stopwords.has(token.word));
+    }
+
+    /**
+     * Ranked articles for { subject, body, entities, category }
+     * Returns [{ id, title, url, score, terms }], best first; terms are the ticket's words that matched
+     */
+    search(query, limit) {
+        const weights = new Map();
+        const words = new Map();
+        const addQuery = (text, weight) => {
+            for (const { word, stem } of this.tokens(text)) {
+                if (weights.size >= this.maxQueryTerms && !weights.has(stem)) continue;
+                weights.set(stem, Math.max(weights.get(stem) || 0, weight));
+                if (!words.has(stem)) words.set(stem, word);
+            }
+        };
+        addQuery(query.subject, this.queryWeights.subject);
+        addQuery(query.body, this.queryWeights.body);
+        for (const entity of Array.isArray(query.entities) ? query.entities : []) {
+            if (this.queryEntityTypes.includes(entity.type)) addQuery(entity.value, this.queryWeights.entities);
+        }
+
+        const { documents, documentFrequency, averageLength } = this.index;
+        const count = documents.length;
+        const matches = [];
+        for (const { article, frequencies, length } of documents) {
+            let score = 0;
+            const matched = [];
+            for (const [term, weight] of weights) {
+                const frequency = frequencies.get(term);
+                if (!frequency) continue;
+
+                const df = documentFrequency.get(term);
+                const idf = Math.log(1 + (count - df + 0.5) / (df + 0.5));
+                const norm = this.k1 * (1 - this.b + this.b * (averageLength > 0 ? length / averageLength : 1));
+                score += weight * idf * (frequency * (this.k1 + 1)) / (frequency + norm);
+                matched.push(words.get(term));
+            }
+            if (score > 0 && query.category && article.categories.includes(query.category)) {
+                score *= this.categoryBoost;
+            }
+            if (matched.length >= this.minMatchedTerms && score >= this.minScore) {
+                matches.push({ id: article.id, title: article.title, url: article.url, score: Math.round(score * 100) / 100, terms: matched.slice(0, 10) });
+            }
+        }
+
+        matches.sort((a, b) => b.score - a.score);
+        return matches
+            .filter(match => match.score >= matches[0].score * this.minRelativeScore)
+            .slice(0, limit || this.maxMatches);
+    }
+
+    /**
+     * Article list for a shared file ({ articles: [...] } or a bare array)
+     */
+    importJSON(text) {
+        const data = JSON.parse(text);
+        const articles = Array.isArray(data) ? data : (data && Array.isArray(data.articles) ? data.articles : null);
+        if (!articles) {
+            throw new Error('Expected a list of articles');
+        }
+        if (articles.length > this.maxArticles) {
+            throw new Error(`Too many articles (max ${this.maxArticles})`);
+        }
+        return articles.map(article => this.validate(article));
+    }
+
+    exportJSON(articles) {
+        return JSON.stringify({ version: 1, articles: articles || this.articles }, null, 2);
+    }
+
+    /**
+     * Rebuild an article from known fields only
+     */
+    validate(article) {
+        if (!article || typeof article !== 'object' || Array.isArray(article)) {
+            throw new Error('Article must be an object');
+        }
+        const title = typeof article.title === 'string' ? article.title.trim() : '';
+        if (!title) {
+            throw new Error('Article needs a title');
+        }
+        const label = `Article "${title.substring(0, 50)}"`;
+        if (article.reply !== undefined && article.reply !== null && typeof article.reply !== 'string') {
+            throw new Error(`${label} reply must be text`);
+        }
+        if (article.url && !/^https?:\/\/[^\s]+$/i.test(String(article.url))) {
+            throw new Error(`${label} link must be an http(s) URL`);
+        }
+
+        const categories = this.validateList(article.categories, label, 'categories');
+        const invalid = categories.find(name => !/^[a-z0-9_]{1,50}$/.test(name));
+        if (invalid) {
+            throw new Error(`${label} has an invalid category "${invalid.substring(0, 50)}"`);
+        }
+
+        return {
+            id: String(article.id || `kb-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`).substring(0, 100),
+            title: title.substring(0, 200),
+            categories,
+            keywords: this.validateList(article.keywords, label, 'keywords').map(keyword => keyword.substring(0, 100)),
+            body: String(article.body || '').substring(0, this.maxBodyLength),
+            reply: String(article.reply || '').substring(0, this.maxReplyLength),
+            url: article.url ? String(article.url).substring(0, 2000) : '',
+            updatedAt: String(article.updatedAt || new Date().toISOString()).substring(0, 40)
+        };
+    }
+
+    validateList(value, label, name) {
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+            throw new Error(`${label} ${name} must be a list of strings`);
+        }
+        if (value.length > this.maxListLength) {
+            throw new Error(`${label} has too many ${name} (max ${this.maxListLength})`);
+        }
+        return value.map(item => item.trim()).filter(Boolean);
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KnowledgeBase };
+} else {
+    self.KnowledgeBase = KnowledgeBase;
+}
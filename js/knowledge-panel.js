@@ -0,0 +1,171 @@
+/**
+ * Email-to-Ticket Parser - Knowledge Base Panel
+ * Adds, edits, imports and exports knowledge base articles and keeps the parser's index in sync
+ */
+
+const knowledgeStats = document.getElementById('knowledgeStats');
+const knowledgeArticles = document.getElementById('knowledgeArticles');
+const knowledgeFormTitle = document.getElementById('knowledgeFormTitle');
+const knowledgeTitleInput = document.getElementById('knowledgeTitleInput');
+const knowledgeCategoriesInput = document.getElementById('knowledgeCategoriesInput');
+const knowledgeKeywordsInput = document.getElementById('knowledgeKeywordsInput');
+const knowledgeUrlInput = document.getElementById('knowledgeUrlInput');
+const knowledgeBodyInput = document.getElementById('knowledgeBodyInput');
+const knowledgeReplyInput = document.getElementById('knowledgeReplyInput');
+const saveKnowledgeBtn = document.getElementById('saveKnowledgeBtn');
+const newKnowledgeBtn = document.getElementById('newKnowledgeBtn');
+const exportKnowledgeBtn = document.getElementById('exportKnowledgeBtn');
+const importKnowledgeInput = document.getElementById('importKnowledgeInput');
+const resetKnowledgeBtn = document.getElementById('resetKnowledgeBtn');
+
+if (!knowledgeStats || !knowledgeArticles || !knowledgeFormTitle || !knowledgeTitleInput || !knowledgeCategoriesInput ||
+    !knowledgeKeywordsInput || !knowledgeUrlInput || !knowledgeBodyInput || !knowledgeReplyInput || !saveKnowledgeBtn ||
+    !newKnowledgeBtn || !exportKnowledgeBtn || !importKnowledgeInput || !resetKnowledgeBtn) {
+    console.error('Knowledge base panel elements not found');
+    throw new Error('Failed to initialize: missing knowledge base panel elements');
+}
+
+const knowledgeStore = new KnowledgeStore(parser.knowledgeBase);
+
+// Article being edited (null for a new one)
+let editingArticleId = null;
+
+saveKnowledgeBtn.addEventListener('click', saveArticle);
+newKnowledgeBtn.addEventListener('click', () => editArticle(null));
+exportKnowledgeBtn.addEventListener('click', exportKnowledgeBase);
+importKnowledgeInput.addEventListener('change', importKnowledgeBase);
+resetKnowledgeBtn.addEventListener('click', resetKnowledgeBase);
+
+/**
+ * Reload the articles into the parser and the table
+ */
+function refreshKnowledgeBase() {
+    return knowledgeStore.getAll().then((articles) => {
+        parser.knowledgeBase.setArticles(articles);
+        renderArticles(articles);
+        return articles;
+    }).catch((error) => {
+        // The built-in articles stay loaded
+        knowledgeStats.textContent = 'Saved articles unavailable: ' + error.message;
+    });
+}
+
+function renderArticles(articles) {
+    const replies = articles.filter(article => article.reply).length;
+    knowledgeStats.textContent = `${articles.length} article${articles.length === 1 ? '' : 's'}, ${replies} with a reply template`;
+
+    knowledgeArticles.textContent = '';
+    articles.forEach((article) => {
+        const row = document.createElement('tr');
+        const cells = [
+            sanitizeOutput(article.title),
+            article.categories.map(name => parser.formatCategoryName(name)).join(', ') || 'Any',
+            new Date(article.updatedAt).toLocaleDateString()
+        ];
+        cells.forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        actions.appendChild(createRowButton('✏️', `Edit ${article.title}`, () => editArticle(article), false));
+        actions.appendChild(createRowButton('🗑️', `Delete ${article.title}`, () => deleteArticle(article), false));
+        row.appendChild(actions);
+
+        knowledgeArticles.appendChild(row);
+    });
+}
+
+/**
+ * Fill the form with an article, or clear it for a new one
+ */
+function editArticle(article) {
+    editingArticleId = article ? article.id : null;
+    knowledgeFormTitle.textContent = article ? `Editing "${sanitizeOutput(article.title)}"` : 'New article';
+    knowledgeTitleInput.value = article ? article.title : '';
+    knowledgeCategoriesInput.value = article ? article.categories.join(', ') : '';
+    knowledgeKeywordsInput.value = article ? article.keywords.join(', ') : '';
+    knowledgeUrlInput.value = article ? article.url : '';
+    knowledgeBodyInput.value = article ? article.body : '';
+    knowledgeReplyInput.value = article ? article.reply : '';
+    knowledgeTitleInput.focus();
+}
+
+function saveArticle() {
+    let article;
+    try {
+        article = parser.knowledgeBase.validate({
+            id: editingArticleId || undefined,
+            title: knowledgeTitleInput.value,
+            categories: splitKeywords(knowledgeCategoriesInput.value),
+            keywords: splitKeywords(knowledgeKeywordsInput.value),
+            url: knowledgeUrlInput.value.trim(),
+            body: knowledgeBodyInput.value,
+            reply: knowledgeReplyInput.value
+        });
+    } catch (error) {
+        showError('Could not save article: ' + error.message);
+        return;
+    }
+
+    knowledgeStore.put(article).then(() => refreshKnowledgeBase()).then(() => {
+        editArticle(null);
+        showSuccess('Article saved');
+    }).catch((error) => {
+        showError('Could not save article: ' + error.message);
+    });
+}
+
+function deleteArticle(article) {
+    if (!confirm(`Delete the article "${article.title}"?`)) return;
+
+    knowledgeStore.remove(article.id).then(() => {
+        if (editingArticleId === article.id) editArticle(null);
+        return refreshKnowledgeBase();
+    }).catch((error) => {
+        showError('Could not delete article: ' + error.message);
+    });
+}
+
+function exportKnowledgeBase() {
+    knowledgeStore.getAll().then((articles) => {
+        downloadFile(parser.knowledgeBase.exportJSON(articles), 'knowledge-base.json', 'application/json');
+    }).catch((error) => {
+        showError('Could not export articles: ' + error.message);
+    });
+}
+
+/**
+ * Add or update articles from a shared file (articles with the same id are replaced)
+ */
+function importKnowledgeBase() {
+    const file = importKnowledgeInput.files && importKnowledgeInput.files[0];
+    importKnowledgeInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        if (text.length > 5 * 1024 * 1024) {
+            throw new Error('file must be under 5MB');
+        }
+        return knowledgeStore.putAll(parser.knowledgeBase.importJSON(text));
+    }).then((articles) => {
+        showSuccess(`Imported ${articles.length} article${articles.length === 1 ? '' : 's'}`);
+        return refreshKnowledgeBase();
+    }).catch((error) => {
+        showError('Could not import articles: ' + (error instanceof SyntaxError ? 'not valid JSON' : error.message));
+    });
+}
+
+function resetKnowledgeBase() {
+    if (!confirm('Delete all articles and restore the built-in ones?')) return;
+
+    knowledgeStore.reset().then(() => refreshKnowledgeBase()).then(() => {
+        editArticle(null);
+        showSuccess('Knowledge base reset to the built-in articles');
+    }).catch((error) => {
+        showError('Could not reset the knowledge base: ' + error.message);
+    });
+}
+
+refreshKnowledgeBase();
@@ -0,0 +1,90 @@
+/**
+ * Knowledge Store
+ * IndexedDB persistence for knowledge base articles
+ */
+
+class KnowledgeStore {
+    constructor(knowledgeBase) {
+        // Validation and the starter articles come from the KnowledgeBase
+        this.knowledgeBase = knowledgeBase;
+
+        const modules = typeof module !== 'undefined' && module.exports ? require('./object-store.js') : self;
+        this.database = new modules.ObjectStore({
+            dbName: 'emailToTicket.knowledgeBase',
+            storeName: 'articles',
+            version: 1,
+            keyPath: 'id',
+            // Seeded with the starter articles when first created
+            create: (store) => {
+                for (const article of this.knowledgeBase.defaultArticles) {
+                    store.put(this.knowledgeBase.validate(article));
+                }
+            }
+        });
+    }
+
+    /**
+     * All articles, sorted by title
+     */
+    getAll() {
+        return this.database.run('readonly', store => store.getAll())
+            .then(articles => (articles || []).sort((a, b) => String(a.title).localeCompare(String(b.title))));
+    }
+
+    /**
+     * Add or update an article; resolves with the stored copy
+     */
+    put(article) {
+        const record = this.knowledgeBase.validate(Object.assign({}, article, { updatedAt: new Date().toISOString() }));
+        return this.database.update(store => store.getAllKeys(), (store, keys) => {
+            if (keys.length >= this.knowledgeBase.maxArticles && !keys.includes(record.id)) {
+                throw new Error(`Knowledge base is full (max ${this.knowledgeBase.maxArticles} articles)`);
+            }
+            store.put(record);
+            return record;
+        });
+    }
+
+    /**
+     * Add or update several articles at once (imports)
+     */
+    putAll(articles) {
+        const records = articles.map(article => this.knowledgeBase.validate(article));
+        return this.database.update(store => store.getAllKeys(), (store, keys) => {
+            const ids = new Set(keys);
+            const added = new Set(records.filter(record => !ids.has(record.id)).map(record => record.id)).size;
+            if (keys.length + added > this.knowledgeBase.maxArticles) {
+                throw new Error(`Knowledge base is full (max ${this.knowledgeBase.maxArticles} articles)`);
+            }
+            for (const record of records) {
+                store.put(record);
+            }
+            return records;
+        });
+    }
+
+    remove(id) {
+        return this.database.run('readwrite', store => store.delete(String(id)));
+    }
+
+    /**
+     * Replace everything with the starter articles
+     */
+    reset() {
+        return this.database.run('readwrite', (store) => {
+            store.clear();
+            let request = null;
+            for (const article of this.knowledgeBase.defaultArticles) {
+                request = store.put(this.knowledgeBase.validate(article));
+            }
+            return request;
+        });
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { KnowledgeStore };
+} else {
+    self.KnowledgeStore = KnowledgeStore;
+}
@@ -0,0 +1,84 @@
+/**
+ * Email-to-Ticket Parser - Languages Panel
+ * Lists the loaded languages and edits, imports and exports user language packs
+ */
+
+const languagesList = document.getElementById('languagesList');
+const languagePacksInput = document.getElementById('languagePacksInput');
+const saveLanguagesBtn = document.getElementById('saveLanguagesBtn');
+const exportLanguagesBtn = document.getElementById('exportLanguagesBtn');
+const importLanguagesInput = document.getElementById('importLanguagesInput');
+const resetLanguagesBtn = document.getElementById('resetLanguagesBtn');
+
+if (!languagesList || !languagePacksInput || !saveLanguagesBtn || !exportLanguagesBtn ||
+    !importLanguagesInput || !resetLanguagesBtn) {
+    console.error('Languages panel elements not found');
+    throw new Error('Failed to initialize: missing languages panel elements');
+}
+
+// Persist user packs in this browser
+parser.setLanguages(new LanguagePacks(localStorage));
+parser.languages.apply(parser.languages.load());
+
+saveLanguagesBtn.addEventListener('click', saveLanguagePacks);
+exportLanguagesBtn.addEventListener('click', exportLanguagePacks);
+importLanguagesInput.addEventListener('change', importLanguagePacks);
+resetLanguagesBtn.addEventListener('click', resetLanguagePacks);
+
+function renderLanguages() {
+    languagesList.textContent = 'Loaded: ' + parser.languages.list()
+        .map(language => `${language.name} (${language.code}${language.custom ? ', custom' : ''})`)
+        .join(', ');
+    languagePacksInput.value = JSON.stringify(parser.languages.userPacks, null, 2);
+}
+
+/**
+ * Validate and store the packs JSON; applies to emails parsed from now on
+ */
+function saveLanguagePacks() {
+    const text = languagePacksInput.value.trim() || '[]';
+    if (text.length > 500000) {
+        showError('Language packs must be under 500KB');
+        return;
+    }
+
+    try {
+        parser.languages.save(JSON.parse(text));
+        renderLanguages();
+        showSuccess('Language packs saved');
+    } catch (error) {
+        showError('Could not save language packs: ' + (error instanceof SyntaxError ? 'not valid JSON' : error.message));
+    }
+}
+
+function exportLanguagePacks() {
+    downloadFile(parser.languages.exportJSON(), 'language-packs.json', 'application/json');
+}
+
+/**
+ * Load a shared file into the editor (still needs Save)
+ */
+function importLanguagePacks() {
+    const file = importLanguagesInput.files && importLanguagesInput.files[0];
+    importLanguagesInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        const packs = parser.languages.importJSON(text);
+        const current = parser.languages.userPacks.filter(pack => !packs.some(imported => imported.code === pack.code));
+        languagePacksInput.value = JSON.stringify(current.concat(packs), null, 2);
+        showSuccess(`Imported ${packs.length} language pack${packs.length === 1 ? '' : 's'} - review and click Save to apply`);
+    }).catch((error) => {
+        showError('Could not import language packs: ' + error.message);
+    });
+}
+
+function resetLanguagePacks() {
+    if (!confirm('Remove your custom language packs and use only the built-in languages?')) return;
+
+    parser.languages.clear();
+    renderLanguages();
+    showSuccess('Custom language packs removed');
+}
+
+renderLanguages();
@@ -0,0 +1,399 @@
+/**
+ * Language Packs
+ * Language detection plus localized header labels, reply/quote lines, sign-offs, category keywords and urgency terms
+ */
+
+class LanguagePacks {
+    constructor(storage) {
+        this.storage = storage || null;
+        this.storageKey = 'emailToTicket.languages';
+        this.version = 1;
+
+        // Limits keep user packs from bloating localStorage or the header regexes
+        this.maxPacks = 20;
+        this.maxTerms = 300;
+        this.maxTermLength = 80;
+        this.maxWeight = 10;
+
+        // Languages used when detection has too little to go on
+        this.defaultLanguage = 'en';
+        this.minDetectionHits = 2;
+        this.maxDetectionLength = 5000;
+
+        // Header fields a pack can label ("Von:", "Objet :"); "sent" covers Sent/Date lines in forwarded blocks
+        this.headerFields = ['from', 'sender', 'sent', 'to', 'cc', 'bcc', 'subject'];
+        this.listFields = ['stopwords', 'replyIntro', 'replyWrote', 'originalMessage', 'signOffs', 'negators', 'failureSuffixes'];
+
+        // Names that could reach Object.prototype through property assignment
+        this.forbiddenNames = ['__proto__', 'constructor', 'prototype'];
+
+        this.builtIn = this.builtInPacks();
+        this.apply(null);
+    }
+
+    /**
+     * English, German, French and Spanish
+     * English keywords, urgency terms and sign-offs are the parser's and body cleaner's own, so its pack only adds detection and labels
+     */
+    builtInPacks() {
+        return [
+            {
+                code: 'en',
+                name: 'English',
+                stopwords: ['the', 'and', 'is', 'are', 'to', 'of', 'my', 'it', 'this', 'that', 'with', 'for', 'have', 'can', 'please', 'you', 'we', 'be', 'was', 'from', 'thanks', 'hi', 'when', 'our', 'will'],
+                headers: { from: ['From'], sender: ['Sender'], sent: ['Sent', 'Date'], to: ['To'], cc: ['Cc'], bcc: ['Bcc'], subject: ['Subject'] },
+                replyIntro: ['On'],
+                replyWrote: ['wrote'],
+                originalMessage: ['Original Message', 'Reply message', 'Forwarded message'],
+                signOffs: [],
+                negators: [],
+                failureSuffixes: [],
+                urgency: [],
+                categories: {}
+            },
+            {
+                code: 'de',
+                name: 'Deutsch',
+                stopwords: ['und', 'der', 'die', 'das', 'ist', 'nicht', 'ich', 'mit', 'bitte', 'ein', 'eine', 'auf', 'für', 'wir', 'den', 'zu', 'von', 'kann', 'mein', 'meine', 'habe', 'wird', 'danke', 'auch', 'sich', 'hallo', 'seit', 'geht'],
+                headers: { from: ['Von'], sender: ['Absender'], sent: ['Gesendet', 'Datum'], to: ['An'], cc: ['Cc', 'Kopie'], bcc: ['Bcc', 'Blindkopie'], subject: ['Betreff'] },
+                replyIntro: ['Am'],
+                replyWrote: ['schrieb'],
+                originalMessage: ['Ursprüngliche Nachricht', 'Weitergeleitete Nachricht'],
+                signOffs: ['Mit freundlichen Grüßen', 'Freundliche Grüße', 'Viele Grüße', 'Beste Grüße', 'Liebe Grüße', 'Schöne Grüße', 'Grüße', 'Gruß', 'MfG', 'VG', 'LG', 'Danke', 'Vielen Dank', 'Danke im Voraus', 'Von meinem iPhone gesendet'],
+                negators: ['nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'nie', 'niemals', 'ohne', 'nichts'],
+                // Infinitives after "nicht" describe the failure ("kann nicht drucken")
+                failureSuffixes: ['en'],
+                urgency: ['dringend', 'sofort', 'notfall', 'kritisch', 'eilt', 'umgehend', 'ausgefallen', 'produktion', 'kann nicht arbeiten', 'geht nichts mehr'],
+                categories: {
+                    password_reset: [{ term: 'passwort', weight: 2 }, { term: 'kennwort', weight: 2 }, 'vergessen', 'zurücksetzen', { term: 'gesperrt', weight: 2 }, 'entsperren', 'anmelden', 'anmeldung'],
+                    email_issue: ['postfach', 'posteingang', { term: 'e-mail', weight: 0.5 }, { term: 'e-mails', weight: 0.5 }, 'senden', 'empfangen', 'spam'],
+                    printer_issue: [{ term: 'drucker', weight: 2 }, 'drucken', 'druckt', 'druckauftrag', { term: 'papierstau', weight: 2 }, 'warteschlange'],
+                    network_issue: ['netzwerk', 'internet', { term: 'wlan', weight: 2 }, 'verbindung', 'netz', 'offline'],
+                    software_install: ['installieren', 'installation', 'programm', 'anwendung', 'herunterladen', 'lizenz'],
+                    access_request: ['zugriff', 'berechtigung', 'berechtigungen', 'freigabe', 'ordner', 'laufwerk', { term: 'zugriff verweigert', weight: 2 }],
+                    hardware_issue: ['rechner', 'bildschirm', 'tastatur', 'maus', 'defekt', 'kaputt', 'funktioniert nicht'],
+                    performance_issue: ['langsam', 'eingefroren', 'abgestürzt', 'absturz', 'hängt', 'reagiert nicht', 'ruckelt']
+                }
+            },
+            {
+                code: 'fr',
+                name: 'Français',
+                stopwords: ['le', 'les', 'et', 'est', 'je', 'pas', 'ne', 'une', 'des', 'du', 'pour', 'avec', 'mon', 'ma', 'mes', 'vous', 'nous', 'sur', 'que', 'qui', 'merci', 'bonjour', 'ce', 'il', 'dans', 'au', 'plus'],
+                headers: { from: ['De'], sender: ['Expéditeur'], sent: ['Envoyé', 'Date'], to: ['À', 'A'], cc: ['Cc'], bcc: ['Cci'], subject: ['Objet'] },
+                replyIntro: ['Le'],
+                replyWrote: ['a écrit'],
+                originalMessage: ['Message d\'origine', 'Message transféré'],
+                signOffs: ['Cordialement', 'Bien cordialement', 'Bien à vous', 'Salutations', 'Meilleures salutations', 'Bonne journée', 'Merci', 'Merci d\'avance', 'Merci beaucoup', 'Envoyé de mon iPhone'],
+                // "ne" and "n'" are left out: "ne fonctionne pas" is the failure itself
+                negators: ['pas', 'aucun', 'aucune', 'sans', 'jamais', 'plus', 'rien'],
+                failureSuffixes: ['er', 'ir', 're'],
+                urgency: ['urgent', 'urgence', 'immédiatement', 'critique', 'bloquant', 'en panne', 'production', 'au plus vite', 'ne peux pas travailler'],
+                categories: {
+                    password_reset: [{ term: 'mot de passe', weight: 2 }, 'oublié', 'réinitialiser', 'réinitialisation', { term: 'verrouillé', weight: 2 }, 'débloquer', 'connexion', 'identifiant'],
+                    email_issue: ['messagerie', 'courriel', { term: 'mail', weight: 0.5 }, 'boîte de réception', 'envoyer', 'recevoir', 'spam'],
+                    printer_issue: [{ term: 'imprimante', weight: 2 }, 'imprimer', 'impression', { term: 'bourrage', weight: 2 }, { term: 'toner', weight: 2 }, 'file d\'attente'],
+                    network_issue: ['réseau', 'internet', { term: 'wifi', weight: 2 }, 'connexion', 'hors ligne'],
+                    software_install: ['installer', 'installation', 'logiciel', 'application', 'télécharger', 'licence'],
+                    access_request: ['accès', 'droits', 'autorisation', 'partage', 'dossier', 'lecteur', { term: 'accès refusé', weight: 2 }],
+                    hardware_issue: ['ordinateur', 'portable', 'écran', 'clavier', 'souris', 'cassé', 'ne fonctionne pas'],
+                    performance_issue: ['lent', 'lente', 'lenteur', 'figé', 'plantage', 'planté', 'ne répond pas', 'bloque']
+                }
+            },
+            {
+                code: 'es',
+                name: 'Español',
+                stopwords: ['el', 'los', 'las', 'y', 'es', 'no', 'que', 'un', 'una', 'por', 'para', 'con', 'mi', 'mis', 'gracias', 'hola', 'está', 'puedo', 'se', 'lo', 'del', 'al', 'pero', 'muy', 'tengo', 'desde'],
+                headers: { from: ['De'], sender: ['Remitente'], sent: ['Enviado', 'Enviado el', 'Fecha'], to: ['Para'], cc: ['CC'], bcc: ['CCO'], subject: ['Asunto'] },
+                replyIntro: ['El'],
+                replyWrote: ['escribió'],
+                originalMessage: ['Mensaje original', 'Mensaje reenviado'],
+                signOffs: ['Saludos', 'Saludos cordiales', 'Un saludo', 'Atentamente', 'Cordialmente', 'Un cordial saludo', 'Gracias', 'Muchas gracias', 'Gracias de antemano', 'Enviado desde mi iPhone'],
+                negators: ['nunca', 'sin', 'ningún', 'ninguna', 'ninguno', 'tampoco', 'nada'],
+                // Infinitives after "no" describe the failure ("no puedo imprimir")
+                failureSuffixes: ['ar', 'er', 'ir'],
+                urgency: ['urgente', 'urgencia', 'inmediatamente', 'crítico', 'cuanto antes', 'lo antes posible', 'caído', 'producción', 'no puedo trabajar'],
+                categories: {
+                    password_reset: [{ term: 'contraseña', weight: 2 }, { term: 'clave', weight: 2 }, 'olvidé', 'restablecer', { term: 'bloqueado', weight: 2 }, 'bloqueada', 'desbloquear', 'iniciar sesión'],
+                    email_issue: ['correo', 'buzón', 'bandeja de entrada', 'enviar', 'recibir', 'spam'],
+                    printer_issue: [{ term: 'impresora', weight: 2 }, 'imprimir', 'impresión', { term: 'atasco', weight: 2 }, { term: 'tóner', weight: 2 }, 'cola de impresión'],
+                    network_issue: ['red', 'internet', { term: 'wifi', weight: 2 }, 'conexión', 'sin conexión'],
+                    software_install: ['instalar', 'instalación', 'programa', 'aplicación', 'descargar', 'licencia'],
+                    access_request: ['acceso', 'permiso', 'permisos', 'carpeta', 'compartida', 'unidad', { term: 'acceso denegado', weight: 2 }],
+                    hardware_issue: ['ordenador', 'portátil', 'computadora', 'pantalla', 'teclado', 'ratón', 'roto', 'no funciona'],
+                    performance_issue: ['lento', 'lenta', 'lentitud', 'congelado', 'colgado', 'se cuelga', 'no responde', 'bloquea']
+                }
+            }
+        ];
+    }
+
+    /**
+     * Load the saved user packs (null if none or invalid)
+     */
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? this.validate(JSON.parse(raw)) : null;
+        } catch (error) {
+            console.warn('Ignoring saved language packs: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate, persist and switch to a list of user packs
+     */
+    save(packs) {
+        const valid = this.validate(packs);
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(valid));
+        }
+        this.apply(valid);
+        return valid;
+    }
+
+    /**
+     * Drop user packs and go back to the built-in languages
+     */
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+        this.apply(null);
+    }
+
+    /**
+     * Use built-in packs plus user packs (a user pack with a built-in code replaces it) and compile the patterns
+     */
+    apply(userPacks) {
+        this.userPacks = userPacks ? this.validate(userPacks) : [];
+
+        this.packs = Object.create(null);
+        for (const pack of this.builtIn.concat(this.userPacks)) {
+            this.packs[pack.code] = pack;
+        }
+
+        this.stopwords = Object.values(this.packs).map(pack => ({ code: pack.code, words: new Set(pack.stopwords) }));
+
+        // Labels, reply lines and sign-offs from every pack apply to every email: a German reply often quotes English history
+        const all = field => Array.from(new Set([].concat(...Object.values(this.packs).map(pack => pack[field]))));
+        const alternation = terms => terms.map(term => this.escape(term)).join('|');
+
+        this.headerPatterns = Object.create(null);
+        for (const field of this.headerFields) {
+            const labels = Array.from(new Set([].concat(...Object.values(this.packs).map(pack => pack.headers[field] || []))));
+            // Outlook bolds labels in HTML ("*Von:*") and French puts a space before the colon ("Objet :")
+            this.headerPatterns[field] = labels.length > 0 ? new RegExp(`^\\*?(?:${alternation(labels)})\\*?[ \\t\\u00a0]?:\\*?[ \\t]*`, 'iu') : null;
+        }
+
+        const intros = all('replyIntro');
+        const wrote = all('replyWrote');
+        const separators = all('originalMessage');
+        const signOffs = all('signOffs');
+        this.replyIntroPattern = intros.length > 0 ? new RegExp(`^(?:${alternation(intros)})\\s`, 'iu') : null;
+        this.replyWrotePattern = wrote.length > 0 ? new RegExp(`\\s(?:${alternation(wrote)})\\s?:$`, 'iu') : null;
+        this.quoteHeaders = [];
+        if (this.replyIntroPattern && this.replyWrotePattern) {
+            this.quoteHeaders.push(new RegExp(`^(?:${alternation(intros)})\\s.{1,250}\\s(?:${alternation(wrote)})\\s?:$`, 'iu'));
+        }
+        if (separators.length > 0) {
+            this.quoteHeaders.push(new RegExp(`^-{2,}\\s*(?:${alternation(separators)})\\s*-{2,}$`, 'iu'));
+        }
+        this.signOffPattern = signOffs.length > 0
+            ? new RegExp(`^(?:${alternation(signOffs)})(?![\\p{L}\\p{N}])[\\s,!.]{0,3}.{0,40}$`, 'iu')
+            : null;
+    }
+
+    /**
+     * Pack for a language code (null if not loaded)
+     */
+    get(code) {
+        return code && Object.prototype.hasOwnProperty.call(this.packs, code) ? this.packs[code] : null;
+    }
+
+    /**
+     * Loaded languages for pickers and documentation
+     */
+    list() {
+        const builtInCodes = this.builtIn.map(pack => pack.code);
+        return Object.values(this.packs).map(pack => ({
+            code: pack.code,
+            name: pack.name,
+            custom: this.userPacks.some(user => user.code === pack.code) || !builtInCodes.includes(pack.code)
+        }));
+    }
+
+    /**
+     * Most likely language by stopword hits ({ code, name, confidence }); short or mixed text falls back to the default
+     */
+    detect(text) {
+        const words = String(text || '').substring(0, this.maxDetectionLength).toLowerCase().match(/[\p{L}]+/gu) || [];
+        const hits = this.stopwords.map(({ code, words: stopwords }) => ({
+            code,
+            count: words.reduce((sum, word) => sum + (stopwords.has(word) ? 1 : 0), 0)
+        }));
+        const total = hits.reduce((sum, entry) => sum + entry.count, 0);
+
+        // Ties keep pack order, so the default (English) wins them
+        const best = hits.reduce((top, entry) => (entry.count > top.count ? entry : top), { code: this.defaultLanguage, count: 0 });
+        const code = best.count >= this.minDetectionHits && this.get(best.code) ? best.code : this.defaultLanguage;
+        const pack = this.get(code);
+        return {
+            code,
+            name: pack ? pack.name : code,
+            confidence: code === best.code && total > 0 ? Math.round((best.count / total) * 100) / 100 : 0
+        };
+    }
+
+    /**
+     * True if a line starts with a localized label for one of the header fields
+     */
+    isHeader(line, fields) {
+        return fields.some(field => this.headerPatterns[field] && this.headerPatterns[field].test(line));
+    }
+
+    /**
+     * Value of the first line labelled with one of the fields ("Betreff: Drucker" -> "Drucker")
+     */
+    headerValue(text, fields) {
+        for (const line of String(text).substring(0, 5000).split('\n')) {
+            const trimmed = line.trim();
+            for (const field of fields) {
+                const pattern = this.headerPatterns[field];
+                const match = pattern ? trimmed.match(pattern) : null;
+                if (match) return trimmed.substring(match[0].length).trim();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Literal text inside a regex; spaces match any run of whitespace
+     */
+    escape(term) {
+        return term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+    }
+
+    /**
+     * Shareable JSON for the user packs
+     */
+    exportJSON() {
+        return JSON.stringify({ version: this.version, packs: this.userPacks }, null, 2);
+    }
+
+    /**
+     * Parse an exported file ({ packs: [...] }, a list of packs, or one pack)
+     */
+    importJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Language pack file is not valid JSON');
+        }
+        if (data && !Array.isArray(data) && Array.isArray(data.packs)) return this.validate(data.packs);
+        return this.validate(Array.isArray(data) ? data : [data]);
+    }
+
+    /**
+     * Rebuild a list of user packs from scratch, copying only known fields
+     */
+    validate(packs) {
+        if (!Array.isArray(packs)) {
+            throw new Error('Language packs must be an array');
+        }
+        if (packs.length > this.maxPacks) {
+            throw new Error(`Too many language packs (max ${this.maxPacks})`);
+        }
+
+        const seen = new Set();
+        return packs.map((pack, index) => {
+            if (!pack || typeof pack !== 'object' || Array.isArray(pack)) {
+                throw new Error(`Language pack ${index + 1} must be an object`);
+            }
+            const code = typeof pack.code === 'string' ? pack.code.trim().toLowerCase() : '';
+            if (!/^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/.test(code)) {
+                throw new Error(`Language pack ${index + 1} needs a code such as "it" or "pt-br"`);
+            }
+            if (seen.has(code)) {
+                throw new Error(`Duplicate language pack: ${code}`);
+            }
+            seen.add(code);
+
+            const clean = {
+                code,
+                name: typeof pack.name === 'string' && pack.name.trim() ? pack.name.trim().substring(0, 60) : code,
+                headers: {},
+                urgency: this.validateTerms(pack.urgency || [], `${code} urgency`, false),
+                categories: Object.create(null)
+            };
+            for (const field of this.listFields) {
+                clean[field] = this.validateTerms(pack[field] || [], `${code} ${field}`, false);
+            }
+
+            const headers = pack.headers || {};
+            if (typeof headers !== 'object' || Array.isArray(headers)) {
+                throw new Error(`Headers in ${code} must be an object of label lists`);
+            }
+            for (const field of this.headerFields) {
+                clean.headers[field] = this.validateTerms(headers[field] || [], `${code} ${field} header`, false);
+            }
+
+            const categories = pack.categories || {};
+            if (typeof categories !== 'object' || Array.isArray(categories)) {
+                throw new Error(`Categories in ${code} must be an object of keyword lists`);
+            }
+            for (const name of Object.keys(categories)) {
+                if (this.forbiddenNames.includes(name) || !/^[a-z][a-z0-9_]{0,49}$/.test(name)) {
+                    throw new Error(`Invalid category name in ${code}: ${name.substring(0, 50)}`);
+                }
+                clean.categories[name] = this.validateTerms(categories[name], `${code} ${name}`, true);
+            }
+            return clean;
+        });
+    }
+
+    /**
+     * Trimmed terms, de-duplicated ignoring case ({ term, weight } objects where allowed)
+     */
+    validateTerms(terms, owner, allowWeights) {
+        if (!Array.isArray(terms)) {
+            throw new Error(`${owner} must be an array`);
+        }
+        if (terms.length > this.maxTerms) {
+            throw new Error(`Too many entries in ${owner} (max ${this.maxTerms})`);
+        }
+
+        const clean = [];
+        const seen = new Set();
+        for (const entry of terms) {
+            const isWeighted = allowWeights && entry !== null && typeof entry === 'object' && !Array.isArray(entry);
+            const term = isWeighted ? entry.term : entry;
+            if (typeof term !== 'string') {
+                throw new Error(`Entries in ${owner} must be ${allowWeights ? 'strings or { term, weight } objects' : 'strings'}`);
+            }
+
+            const value = term.trim();
+            if (value.length > this.maxTermLength) {
+                throw new Error(`Entry too long in ${owner} (max ${this.maxTermLength} characters)`);
+            }
+            if (!value || seen.has(value.toLowerCase())) continue;
+            seen.add(value.toLowerCase());
+
+            const weight = isWeighted && entry.weight !== undefined ? entry.weight : 1;
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > this.maxWeight) {
+                throw new Error(`Invalid weight for "${value}" in ${owner}: must be a number above 0 and at most ${this.maxWeight}`);
+            }
+            clean.push(weight === 1 ? value : { term: value, weight });
+        }
+        return clean;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LanguagePacks };
+} else {
+    self.LanguagePacks = LanguagePacks;
+}
@@ -0,0 +1,634 @@
+/**
+ * MIME Parser
+ * Decodes raw RFC 5322 / MIME messages (.eml exports) into headers and parts
+ */
+
+class MimeParser {
+    constructor() {
+        // Hard limits to keep hostile messages from exhausting the page
+        this.maxDepth = 10;
+        this.maxParts = 200;
+        this.maxHeaderLength = 64000;
+        this.maxAttachments = 50;
+
+        // A header block must contain at least one of these to be treated as a raw message
+        this.knownHeaders = [
+            'from', 'to', 'cc', 'subject', 'date', 'message-id', 'mime-version',
+            'content-type', 'received', 'return-path', 'reply-to', 'sender'
+        ];
+
+        // Attachment checksums (optional): an earlier script in browsers and workers, require() in Node
+        const modules = typeof module !== 'undefined' && module.exports ? require('./checksum.js') : self;
+        this.checksum = modules.Checksum || null;
+    }
+
+    /**
+     * Check whether text looks like a raw message (header block, blank line, body)
+     */
+    isRawMessage(text) {
+        if (!text || typeof text !== 'string') return false;
+
+        const normalized = this.normalizeNewlines(text.substring(0, this.maxHeaderLength));
+        const end = normalized.indexOf('\n\n');
+        const headerText = end === -1 ? normalized : normalized.substring(0, end);
+        const lines = headerText.split('\n');
+
+        let hasKnownHeader = false;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (/^[ \t]/.test(line)) {
+                // Folded continuation line, never valid as the first line
+                if (i === 0) return false;
+                continue;
+            }
+            const match = line.match(/^([!-9;-~]{1,76}):/);
+            if (!match) return false;
+            if (this.knownHeaders.includes(match[1].toLowerCase())) {
+                hasKnownHeader = true;
+            }
+        }
+
+        return hasKnownHeader;
+    }
+
+    /**
+     * Check whether text is an mbox mailbox (starts with a "From " envelope line)
+     */
+    isMbox(text) {
+        return /^From \S+[^\n]*\n/.test(String(text || '').substring(0, 1000).replace(/\r\n?/g, '\n'));
+    }
+
+    /**
+     * Split an mbox mailbox into raw messages, undoing ">From " quoting
+     */
+    splitMbox(text) {
+        const messages = [];
+        let current = null;
+        let previousBlank = true;
+
+        for (const line of this.normalizeNewlines(String(text || '')).split('\n')) {
+            // Envelope lines only count at the start or after a blank line
+            if (previousBlank && /^From \S+/.test(line)) {
+                if (current) messages.push(current.join('\n').trim());
+                current = [];
+                previousBlank = false;
+                continue;
+            }
+            if (current) {
+                current.push(/^>+From /.test(line) ? line.substring(1) : line);
+            }
+            previousBlank = line.trim() === '';
+        }
+        if (current) messages.push(current.join('\n').trim());
+
+        return messages.filter(message => message.length > 0);
+    }
+
+    /**
+     * Parse a raw message into a part tree
+     */
+    parse(raw) {
+        const source = this.normalizeNewlines(String(raw || ''));
+        const counter = { parts: 0 };
+        const root = this.parsePart(source, 0, counter);
+        const text = this.findBestText(root);
+
+        return {
+            headers: root.headers,
+            root,
+            text,
+            attachments: this.collectAttachments(root, text.part)
+        };
+    }
+
+    /**
+     * Parse a single MIME entity, recursing into multipart bodies
+     */
+    parsePart(text, depth, counter) {
+        counter.parts++;
+        if (counter.parts > this.maxParts) {
+            throw new Error('Message has too many MIME parts');
+        }
+
+        const { headerText, body } = this.splitHeaderBlock(text);
+        const headers = this.parseHeaders(headerText);
+
+        const contentType = this.parseParameterizedValue(this.getHeader(headers, 'content-type') || 'text/plain');
+        const disposition = this.getHeader(headers, 'content-disposition');
+        const parsedDisposition = disposition ? this.parseParameterizedValue(disposition) : null;
+
+        const part = {
+            headers,
+            contentType: contentType.value || 'text/plain',
+            params: contentType.params,
+            disposition: parsedDisposition ? parsedDisposition.value : null,
+            dispositionParams: parsedDisposition ? parsedDisposition.params : Object.create(null),
+            encoding: (this.getHeader(headers, 'content-transfer-encoding') || '7bit').trim().toLowerCase(),
+            body,
+            children: []
+        };
+
+        if (part.contentType.startsWith('multipart/') && part.params.boundary) {
+            if (depth >= this.maxDepth) {
+                throw new Error('Message is nested too deeply');
+            }
+            part.children = this.splitMultipart(body, part.params.boundary)
+                .map(section => this.parsePart(section, depth + 1, counter));
+        }
+
+        return part;
+    }
+
+    /**
+     * Split an entity into its header block and body
+     */
+    splitHeaderBlock(text) {
+        if (text.startsWith('\n')) {
+            return { headerText: '', body: text.substring(1) };
+        }
+
+        const end = text.indexOf('\n\n');
+        if (end === -1) {
+            return { headerText: text, body: '' };
+        }
+
+        return { headerText: text.substring(0, end), body: text.substring(end + 2) };
+    }
+
+    /**
+     * Unfold and decode a header block into a name -> values map
+     */
+    parseHeaders(headerText) {
+        // Use Object.create(null) to prevent prototype pollution from header names
+        const headers = Object.create(null);
+        const unfolded = headerText.substring(0, this.maxHeaderLength).replace(/\n[ \t]+/g, ' ');
+
+        for (const line of unfolded.split('\n')) {
+            const colon = line.indexOf(':');
+            if (colon <= 0) continue;
+
+            const name = line.substring(0, colon).trim().toLowerCase();
+            const value = this.decodeWords(line.substring(colon + 1).trim());
+            if (!headers[name]) {
+                headers[name] = [];
+            }
+            headers[name].push(value);
+        }
+
+        return headers;
+    }
+
+    /**
+     * Get the first value of a header
+     */
+    getHeader(headers, name) {
+        const values = headers && headers[name.toLowerCase()];
+        return values && values.length > 0 ? values[0] : null;
+    }
+
+    /**
+     * Summarize the headers that matter for ticketing
+     */
+    summarizeHeaders(headers) {
+        const date = this.getHeader(headers, 'date');
+        const timestamp = date ? Date.parse(date.replace(/\([^)]*\)/g, '').trim()) : NaN;
+
+        return {
+            from: this.parseAddressList(this.getHeader(headers, 'from') || ''),
+            to: this.parseAddressList(this.getHeader(headers, 'to') || ''),
+            cc: this.parseAddressList(this.getHeader(headers, 'cc') || ''),
+            date: isNaN(timestamp) ? null : new Date(timestamp).toISOString(),
+            messageId: this.parseMessageIds(this.getHeader(headers, 'message-id') || '')[0] || null,
+            inReplyTo: this.parseMessageIds(this.getHeader(headers, 'in-reply-to') || '')[0] || null,
+            references: this.parseMessageIds(this.getHeader(headers, 'references') || '')
+        };
+    }
+
+    /**
+     * Extract <id@host> tokens from a Message-ID style header
+     */
+    parseMessageIds(value) {
+        const ids = String(value).match(/<[^<>\s]{1,250}>/g);
+        return ids ? ids.slice(0, 100) : [];
+    }
+
+    /**
+     * Parse an address list into { name, address } objects
+     */
+    parseAddressList(value) {
+        const addresses = [];
+        let current = '';
+        let inQuotes = false;
+        let inAngle = false;
+
+        // Split on commas that are not inside quotes or angle brackets
+        for (const char of String(value).substring(0, 10000)) {
+            if (char === '"') inQuotes = !inQuotes;
+            else if (char === '<' && !inQuotes) inAngle = true;
+            else if (char === '>' && !inQuotes) inAngle = false;
+
+            if (char === ',' && !inQuotes && !inAngle) {
+                addresses.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        addresses.push(current);
+
+        return addresses
+            .map(entry => this.parseAddress(entry))
+            .filter(entry => entry !== null);
+    }
+
+    /**
+     * Parse a single mailbox
+     */
+    parseAddress(entry) {
+        // Drop group syntax ("undisclosed-recipients:;")
+        let text = entry.trim().replace(/^[^"<:]{1,100}:/, '').replace(/;$/, '').trim();
+        if (!text) return null;
+
+        const angle = text.match(/<([^<>]{1,320})>/);
+        if (angle) {
+            const name = text.substring(0, text.indexOf('<')).trim().replace(/^"|"$/g, '').replace(/\\(.)/g, '$1');
+            return { name: name || null, address: angle[1].trim() };
+        }
+
+        // Bare address with optional (comment) name
+        const comment = text.match(/\(([^)]{1,200})\)/);
+        text = text.replace(/\([^)]*\)/g, '').trim();
+        if (!text.includes('@')) return null;
+
+        return { name: comment ? comment[1].trim() : null, address: text };
+    }
+
+    /**
+     * Parse "value; key=val; key2=\"val\"" headers such as Content-Type
+     */
+    parseParameterizedValue(header) {
+        const params = Object.create(null);
+        const segments = [];
+        let current = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < header.length; i++) {
+            const char = header[i];
+            if (char === '\\' && inQuotes && i + 1 < header.length) {
+                current += header[++i];
+                continue;
+            }
+            if (char === '"') {
+                inQuotes = !inQuotes;
+                continue;
+            }
+            if (char === ';' && !inQuotes) {
+                segments.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+        segments.push(current);
+
+        const value = segments.shift().trim().toLowerCase();
+
+        // RFC 2231 continuations (name*0=, name*1*=) are collected before joining
+        const continuations = Object.create(null);
+        for (const segment of segments) {
+            const eq = segment.indexOf('=');
+            if (eq === -1) continue;
+
+            const key = segment.substring(0, eq).trim().toLowerCase();
+            const paramValue = segment.substring(eq + 1).trim();
+            const match = key.match(/^([^*]+)(?:\*(\d+))?(\*)?$/);
+            if (!match) continue;
+
+            const [, name, index, extended] = match;
+            if (!continuations[name]) {
+                continuations[name] = [];
+            }
+            continuations[name].push({ index: index ? parseInt(index, 10) : 0, value: paramValue, extended: Boolean(extended) });
+        }
+
+        for (const name of Object.keys(continuations)) {
+            const pieces = continuations[name].sort((a, b) => a.index - b.index);
+            params[name] = pieces.some(piece => piece.extended)
+                ? this.decodeExtendedParameter(pieces)
+                : pieces.map(piece => piece.value).join('');
+        }
+
+        return { value, params };
+    }
+
+    /**
+     * Decode an RFC 2231 charset'lang'%XX parameter
+     */
+    decodeExtendedParameter(pieces) {
+        let charset = 'utf-8';
+        const bytes = [];
+
+        pieces.forEach((piece, i) => {
+            let text = piece.value;
+            if (i === 0 && piece.extended) {
+                const match = text.match(/^([^']*)'[^']*'(.*)$/);
+                if (match) {
+                    charset = match[1] || charset;
+                    text = match[2];
+                }
+            }
+            if (piece.extended) {
+                // Percent-encoding uses the same byte escapes as quoted-printable
+                bytes.push(...this.decodeQuotedPrintable(text.replace(/=/g, '=3D').replace(/%/g, '=')));
+            } else {
+                bytes.push(...this.stringToBytes(text));
+            }
+        });
+
+        return this.decodeBytes(new Uint8Array(bytes), charset);
+    }
+
+    /**
+     * Decode RFC 2047 encoded-words (=?charset?B?...?= / =?charset?Q?...?=)
+     */
+    decodeWords(value) {
+        if (!value.includes('=?')) return value;
+
+        const pattern = /=\?([^?\s]{1,40})\?([BbQq])\?([^?\s]*)\?=/g;
+        let result = '';
+        let lastIndex = 0;
+        let pending = null;
+
+        const flush = () => {
+            if (pending) {
+                result += this.decodeBytes(new Uint8Array(pending.bytes), pending.charset);
+                pending = null;
+            }
+        };
+
+        let match;
+        while ((match = pattern.exec(value)) !== null) {
+            const between = value.substring(lastIndex, match.index);
+            // Whitespace between adjacent encoded-words is not displayed
+            if (!(pending && /^\s*$/.test(between))) {
+                flush();
+                result += between;
+            }
+
+            const charset = match[1].split('*')[0].toLowerCase();
+            const bytes = match[2].toUpperCase() === 'B'
+                ? Array.from(this.decodeBase64(match[3]))
+                : Array.from(this.decodeQuotedPrintable(match[3].replace(/_/g, ' ')));
+
+            // Join runs in the same charset so multi-byte characters split across words survive
+            if (pending && pending.charset === charset) {
+                pending.bytes.push(...bytes);
+            } else {
+                flush();
+                pending = { charset, bytes };
+            }
+            lastIndex = pattern.lastIndex;
+        }
+
+        flush();
+        return result + value.substring(lastIndex);
+    }
+
+    /**
+     * Split a multipart body on its boundary, dropping preamble and epilogue
+     */
+    splitMultipart(body, boundary) {
+        const delimiter = '--' + boundary;
+        const sections = [];
+        let current = null;
+
+        for (const line of body.split('\n')) {
+            const trimmed = line.trimEnd();
+            if (trimmed === delimiter + '--') {
+                if (current) sections.push(current.join('\n'));
+                current = null;
+                break;
+            }
+            if (trimmed === delimiter) {
+                if (current) sections.push(current.join('\n'));
+                current = [];
+                continue;
+            }
+            if (current) current.push(line);
+        }
+
+        // Tolerate a missing closing delimiter
+        if (current) sections.push(current.join('\n'));
+
+        return sections;
+    }
+
+    /**
+     * Decode a part body into raw bytes
+     */
+    decodePartBytes(part) {
+        if (part.encoding === 'base64') {
+            return this.decodeBase64(part.body);
+        }
+        if (part.encoding === 'quoted-printable') {
+            return this.decodeQuotedPrintable(part.body.replace(/=\n/g, ''));
+        }
+        return this.stringToBytes(part.body);
+    }
+
+    /**
+     * Decode a part body into text using its charset
+     */
+    decodePartText(part) {
+        // 7bit/8bit bodies are already text; re-decoding pasted Unicode would corrupt it
+        if (part.encoding !== 'base64' && part.encoding !== 'quoted-printable') {
+            return part.body;
+        }
+        return this.decodeBytes(this.decodePartBytes(part), part.params.charset);
+    }
+
+    /**
+     * Pick the best readable body: first inline text/plain, else first inline text/html
+     */
+    findBestText(root) {
+        const candidates = [];
+
+        const walk = (part) => {
+            if (part.children.length > 0) {
+                part.children.forEach(walk);
+                return;
+            }
+            if (part.disposition === 'attachment') return;
+            if (part.contentType === 'text/plain' || part.contentType === 'text/html') {
+                candidates.push(part);
+            }
+        };
+        walk(root);
+
+        const best = candidates.find(part => part.contentType === 'text/plain') || candidates[0];
+        if (!best) {
+            return { type: 'text/plain', content: '', part: null };
+        }
+
+        return { type: best.contentType, content: this.decodePartText(best), part: best };
+    }
+
+    /**
+     * Collect attachment metadata; decoded bytes ride along as a non-enumerable `content`
+     */
+    collectAttachments(root, bodyPart) {
+        const attachments = [];
+
+        const walk = (part) => {
+            if (part.children.length > 0) {
+                part.children.forEach(walk);
+                return;
+            }
+            if (part === bodyPart || attachments.length >= this.maxAttachments) return;
+
+            const filename = part.dispositionParams.filename || part.params.name || null;
+            const isBodyText = (part.contentType === 'text/plain' || part.contentType === 'text/html') &&
+                part.disposition !== 'attachment' && !filename;
+            if (isBodyText) return;
+
+            const bytes = this.decodePartBytes(part);
+            const contentId = (this.getHeader(part.headers, 'content-id') || '').replace(/^<|>$/g, '').trim() || null;
+            const attachment = {
+                filename: this.sanitizeFilename(filename, part.contentType, attachments.length + 1),
+                contentType: part.contentType,
+                size: bytes.length,
+                contentId,
+                // Inline parts are rendered inside the body (signature logos, pasted screenshots)
+                inline: part.disposition === 'inline' || (part.disposition === null && contentId !== null),
+                checksum: this.checksum ? 'sha256:' + this.checksum.sha256(bytes) : null
+            };
+            Object.defineProperty(attachment, 'content', { value: bytes, enumerable: false });
+
+            attachments.push(attachment);
+        };
+        walk(root);
+
+        return attachments;
+    }
+
+    /**
+     * Make an attachment filename safe to display and download
+     */
+    sanitizeFilename(filename, contentType, index) {
+        const clean = String(filename || '')
+            .replace(/^.*[\\/]/, '')
+            .replace(/[\x00-\x1f\x7f<>:"|?*]/g, '_')
+            .trim()
+            .substring(0, 200);
+        if (clean && clean !== '.' && clean !== '..') {
+            return clean;
+        }
+
+        const subtype = String(contentType).split('/')[1] || 'bin';
+        const extension = subtype === 'rfc822' ? 'eml' : subtype.replace(/[^a-z0-9]/g, '').substring(0, 10) || 'bin';
+        return `attachment-${index}.${extension}`;
+    }
+
+    /**
+     * Decode base64 without relying on atob
+     */
+    decodeBase64(text) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        const clean = String(text).replace(/[^A-Za-z0-9+/]/g, '');
+        const bytes = new Uint8Array(Math.floor(clean.length * 3 / 4));
+        let buffer = 0;
+        let bits = 0;
+        let index = 0;
+
+        for (const char of clean) {
+            buffer = (buffer << 6) | alphabet.indexOf(char);
+            bits += 6;
+            if (bits >= 8) {
+                bits -= 8;
+                bytes[index++] = (buffer >> bits) & 0xff;
+            }
+        }
+
+        return bytes.subarray(0, index);
+    }
+
+    /**
+     * Decode quoted-printable (soft line breaks already removed) into bytes
+     */
+    decodeQuotedPrintable(text) {
+        const bytes = [];
+        let literal = '';
+
+        // Literal runs are encoded together so non-ASCII pasted text round-trips as UTF-8
+        const flush = () => {
+            if (literal) {
+                for (const byte of this.stringToBytes(literal)) bytes.push(byte);
+                literal = '';
+            }
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(text.substring(i + 1, i + 3))) {
+                flush();
+                bytes.push(parseInt(text.substring(i + 1, i + 3), 16));
+                i += 2;
+            } else {
+                literal += char;
+            }
+        }
+        flush();
+
+        return new Uint8Array(bytes);
+    }
+
+    /**
+     * Encode a string as UTF-8 bytes
+     */
+    stringToBytes(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return new TextEncoder().encode(text);
+        }
+        return new Uint8Array(Array.from(unescape(encodeURIComponent(text)), c => c.charCodeAt(0)));
+    }
+
+    /**
+     * Decode bytes in the given charset, falling back to UTF-8 then Latin-1
+     */
+    decodeBytes(bytes, charset) {
+        const label = String(charset || 'utf-8').trim().toLowerCase();
+
+        if (typeof TextDecoder !== 'undefined') {
+            try {
+                return new TextDecoder(label).decode(bytes);
+            } catch (e) {
+                // Unsupported charset label - fall through to UTF-8
+            }
+            try {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            } catch (e) {
+                // Not valid UTF-8 either - fall through to Latin-1
+            }
+        }
+
+        let result = '';
+        for (let i = 0; i < bytes.length; i++) {
+            result += String.fromCharCode(bytes[i]);
+        }
+        return result;
+    }
+
+    /**
+     * Normalize CRLF / CR line endings to LF
+     */
+    normalizeNewlines(text) {
+        return text.replace(/\r\n?/g, '\n');
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MimeParser };
+} else {
+    self.MimeParser = MimeParser;
+}
@@ -0,0 +1,91 @@
+/**
+ * Object Store
+ * One IndexedDB object store: opens (and creates) its database and runs transactions on it
+ */
+
+class ObjectStore {
+    /**
+     * { dbName, storeName, version, keyPath, create(store) } - create() adds indexes or starter records on first use
+     */
+    constructor(options) {
+        this.dbName = options.dbName;
+        this.storeName = options.storeName;
+        this.version = options.version || 1;
+        this.keyPath = options.keyPath;
+        this.create = options.create || null;
+        this.db = null;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    const store = db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                    if (this.create) this.create(store);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run operations in one transaction and resolve with the result of the request operation() returns
+     */
+    run(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        }));
+    }
+
+    /**
+     * Read, check and write in one readwrite transaction, so another tab can't change the records in between
+     * read(store) returns a request; write(store, result) queues the writes and returns what to resolve with.
+     * An error thrown by write() rolls the transaction back and rejects with that error.
+     */
+    update(read, write) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            let value;
+            let failure = null;
+
+            const request = read(store);
+            request.onsuccess = () => {
+                try {
+                    value = write(store, request.result);
+                } catch (error) {
+                    failure = error;
+                    transaction.abort();
+                }
+            };
+            transaction.oncomplete = () => resolve(value);
+            transaction.onerror = () => reject(failure || transaction.error);
+            transaction.onabort = () => reject(failure || transaction.error || new Error('Transaction aborted'));
+        }));
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ObjectStore };
+} else {
+    self.ObjectStore = ObjectStore;
+}
@@ -5,23 +5,32 @@
 
 class EmailParser {
     constructor() {
+        // Earlier <script>s / importScripts in browsers and workers, require() in Node
+        const {
+            MimeParser, BodyCleaner, EntityExtractor, Redactor, TicketExporter, ScoringEngine, ThreadIndex, SlaCalendar, SenderDirectory, LanguagePacks,
+            ToneAnalyzer, KnowledgeBase, PhishingDetector, IssueSplitter, TicketIdScheme
+        } = EmailParser.dependencies();
+
         // Simplified ticket categories based on common patterns
         // Use Object.create(null) to prevent prototype pollution
         this.categories = Object.create(null);
         this.categories.password_reset = {
-            keywords: ['password', 'forgot', 'reset', 'unlock', 'locked out', 'can\'t login', 'cannot login'],
+            keywords: [{ term: 'password', weight: 2 }, 'forgot', 'reset', 'unlock', { term: 'locked out', weight: 2 }, 'can\'t login', 'cannot login', 'mfa'],
+            negativeKeywords: ['password protected'],
             priority: 'high'
         };
         this.categories.email_issue = {
-            keywords: ['email', 'outlook', 'can\'t send', 'cannot receive', 'inbox', 'spam'],
+            // "email" alone is weak evidence - most tickets mention it somewhere
+            keywords: [{ term: 'email', weight: 0.5 }, { term: 'outlook', weight: 2 }, 'can\'t send', 'cannot receive', 'inbox', 'spam', 'mailbox'],
             priority: 'medium'
         };
         this.categories.printer_issue = {
-            keywords: ['printer', 'print', 'printing', 'queue', 'spooler', 'jam', 'toner'],
+            keywords: [{ term: 'printer', weight: 2 }, 'print', 'queue', { term: 'spooler', weight: 2 }, 'jam', { term: 'toner', weight: 2 }],
+            negativeKeywords: ['print screen', 'printscreen'],
             priority: 'medium'
         };
         this.categories.network_issue = {
-            keywords: ['network', 'internet', 'wifi', 'vpn', 'connection', 'ethernet', 'offline'],
+            keywords: ['network', 'internet', { term: 'wifi', weight: 2 }, { term: 'vpn', weight: 2 }, 'connection', 'ethernet', 'offline'],
             priority: 'high'
         };
         this.categories.software_install = {
@@ -29,7 +38,7 @@ class EmailParser {
             priority: 'low'
         };
         this.categories.access_request = {
-            keywords: ['access', 'permission', 'share', 'folder', 'drive', 'cannot access', 'denied'],
+            keywords: ['access', 'permission', 'share', 'folder', 'drive', { term: 'cannot access', weight: 2 }, { term: 'access denied', weight: 2 }, 'denied'],
             priority: 'medium'
         };
         this.categories.hardware_issue = {
@@ -41,73 +50,427 @@ class EmailParser {
             priority: 'medium'
         };
 
+        // Categories switched off in the taxonomy editor (kept so they can be re-enabled)
+        this.disabledCategories = [];
+
         this.urgencyKeywords = [
             'urgent', 'asap', 'emergency', 'critical', 'immediately', 'right now',
             'down', 'broken', 'can\'t work', 'cannot work', 'production'
         ];
+        this.priorityOrder = ['low', 'medium', 'high', 'urgent'];
+
+        // Pasted text is capped at 100KB; raw .eml exports carry encoded parts and get more room
+        this.maxTextLength = 100000;
+        this.maxMessageLength = 10 * 1024 * 1024;
+
+        // MIME layer for raw .eml input (optional - falls back to line scanning)
+        this.mime = MimeParser ? new MimeParser() : null;
+        this.bodyCleaner = new BodyCleaner();
+        this.entityExtractor = new EntityExtractor();
+
+        // Language detection and localized headers, sign-offs and keywords (see setLanguages)
+        this.languages = null;
+        this.setLanguages(LanguagePacks ? new LanguagePacks() : null);
+
+        // Masks secrets and PII in the subject and body (set to null to turn redaction off)
+        this.redactor = new Redactor();
+
+        // Helpdesk payloads, CSV, Markdown and custom mappings (see exportAs)
+        this.exporter = new TicketExporter(this);
+
+        // Response/resolution due dates (set to null to skip); the app loads the saved calendar
+        this.sla = SlaCalendar ? new SlaCalendar() : null;
+
+        // Requester lookup and VIP/domain escalation (set to null to skip); the app loads the saved directory
+        this.directory = SenderDirectory ? new SenderDirectory() : null;
+
+        // ID template, prefixes and sequence counters; the app loads the saved scheme and shares counters between tabs
+        // (set to null for plain TKT-<time>-<random> IDs)
+        this.ticketIds = TicketIdScheme ? new TicketIdScheme() : null;
+
+        // Built-in stages; plugins are inserted with use()
+        this.stages = this.createStages();
+
+        // Weighted keyword scoring; below minCategoryScore the email falls into 'other'
+        this.scoring = new ScoringEngine();
+        this.minCategoryScore = 1.5;
+        this.maxCandidates = 3;
+        // Classifications below this confidence (and every 'other') are flagged for review
+        this.lowConfidence = 0.4;
+
+        // Sentiment/frustration scoring; an upset requester raises the priority (set to null to skip)
+        this.tone = ToneAnalyzer ? new ToneAnalyzer(this.scoring) : null;
+
+        // Article matching and drafted first replies (set to null to skip); the app loads the saved articles
+        this.knowledgeBase = KnowledgeBase ? new KnowledgeBase(this.scoring) : null;
+
+        // Spoofing, lookalike-domain and credential-harvesting screen; suspicious mail gets a warning instead of
+        // self-service suggestions and a drafted reply (set to null to skip)
+        this.phishing = PhishingDetector ? new PhishingDetector() : null;
+
+        // Finds further issues in the same email and suggests them as child tickets (set to null to skip)
+        this.splitter = IssueSplitter ? new IssueSplitter() : null;
+
+        // Optional CorrectionLearner trained on agent corrections (set by the app)
+        this.learner = null;
+        this.minLearnedPriorityProbability = 0.7;
+
+        // Reply/duplicate detection; session-only here, the app swaps in a persistent index
+        this.threads = ThreadIndex ? new ThreadIndex(null, this.scoring) : null;
+    }
+
+    /**
+     * Classes the parser is built from (MIME, threading, SLA, the sender directory, language packs, tone analysis, the knowledge base,
+     * phishing screening, issue splitting and ticket ID schemes are optional)
+     */
+    static dependencies() {
+        if (typeof module !== 'undefined' && module.exports) {
+            return Object.assign({},
+                require('./mime.js'),
+                require('./body-cleaner.js'),
+                require('./entities.js'),
+                require('./redaction.js'),
+                require('./exporters.js'),
+                require('./scoring.js'),
+                require('./threading.js'),
+                require('./sla.js'),
+                require('./directory.js'),
+                require('./languages.js'),
+                require('./tone.js'),
+                require('./knowledge-base.js'),
+                require('./phishing.js'),
+                require('./issue-splitter.js'),
+                require('./ticket-ids.js')
+            );
+        }
+        return self;
+    }
+
+    /**
+     * Switch language packs (null for English only); the body cleaner shares them for quote lines and sign-offs
+     */
+    setLanguages(languages) {
+        this.languages = languages || null;
+        this.bodyCleaner.languages = this.languages;
+        return this;
     }
 
     /**
-     * Main parsing function
+     * Main parsing function - runs each pipeline stage in order over a shared context
      */
     parse(emailText) {
         try {
-            // Validate input
-            if (!emailText || typeof emailText !== 'string') {
-                throw new Error('Email text must be a non-empty string');
+            const context = this.createContext(emailText);
+            for (const stage of this.stages) {
+                this.runStage(stage, context);
             }
-
-            const trimmedText = emailText.trim();
-            if (trimmedText.length === 0) {
-                throw new Error('Email text cannot be empty');
-            }
-            if (trimmedText.length > 100000) {
-                throw new Error('Email text too large (max 100KB)');
+            return context.result;
+        } catch (error) {
+            // Re-throw with sanitized error message
+            if (error.message && error.message.length > 200) {
+                throw new Error('Error parsing email: Invalid format');
             }
+            throw error;
+        }
+    }
+
+    /**
+     * Register a plugin stage: a function(context, parser), or
+     * { name, run(context, parser), before: 'stage', after: 'stage' } (default: after 'assemble' and earlier plugins,
+     * before 'reply', so the reply is drafted from the ticket as plugins leave it)
+     * Plugins can add fields to context.result, replace context.category after 'classify',
+     * set context.ticketId after 'ticketId', or call context.veto(reason) to reject the email
+     */
+    use(plugin) {
+        const stage = typeof plugin === 'function' ? { name: plugin.name, run: plugin } : Object.assign({}, plugin);
+        if (!stage || typeof stage.run !== 'function') {
+            throw new Error('Plugin must be a function or an object with a run(context) function');
+        }
 
-            // Extract components with error handling
-            const from = this.extractFrom(trimmedText);
-            const subject = this.extractSubject(trimmedText);
-            const body = this.extractBody(trimmedText);
+        stage.name = typeof stage.name === 'string' && stage.name ? stage.name.substring(0, 50) : `plugin_${this.stages.length + 1}`;
+        stage.core = false;
+        if (this.stages.some(existing => existing.name === stage.name)) {
+            throw new Error(`A pipeline stage named "${stage.name}" already exists`);
+        }
 
-            // Validate extracted data
-            if (!body || body.length === 0) {
-                throw new Error('Could not extract email body');
+        const anchor = stage.before || stage.after;
+        const reply = this.stages.findIndex(existing => existing.name === 'reply');
+        let index = reply === -1 ? this.stages.length : reply;
+        if (anchor) {
+            const position = this.stages.findIndex(existing => existing.name === anchor);
+            if (position === -1) {
+                throw new Error(`Unknown pipeline stage: ${anchor}`);
             }
+            index = stage.before ? position : position + 1;
+        }
 
-            const category = this.classifyIssue(subject + ' ' + body);
-            const priority = this.determinePriority(subject + ' ' + body, category);
-            const ticketId = this.generateTicketId();
-            const insights = this.generateInsights(category, priority, body);
+        this.stages.splice(index, 0, stage);
+        return this;
+    }
 
-            return {
-                ticketId,
-                from,
-                subject,
-                body,
-                category: category.name,
-                categoryLabel: this.formatCategoryName(category.name),
-                priority,
-                confidence: category.confidence,
-                timestamp: new Date().toISOString(),
-                insights
-            };
+    /**
+     * Unregister a plugin stage (core stages can't be removed)
+     */
+    removeStage(name) {
+        const index = this.stages.findIndex(stage => stage.name === name && !stage.core);
+        if (index !== -1) {
+            this.stages.splice(index, 1);
+        }
+        return index !== -1;
+    }
+
+    /**
+     * Stage names in run order
+     */
+    stageNames() {
+        return this.stages.map(stage => stage.name);
+    }
+
+    /**
+     * Core stages fail the parse; plugin failures are recorded in pluginErrors and skipped
+     */
+    runStage(stage, context) {
+        context.stage = stage.name;
+        if (stage.core) {
+            stage.run(context, this);
+            return;
+        }
+
+        try {
+            stage.run(context, this);
         } catch (error) {
-            // Re-throw with sanitized error message
-            if (error.message && error.message.length > 200) {
-                throw new Error('Error parsing email: Invalid format');
-            }
-            throw error;
+            context.pluginErrors.push({ stage: stage.name, error: String((error && error.message) || error).substring(0, 200) });
+            console.warn(`Plugin stage "${stage.name}" failed: ${error && error.message}`);
+        }
+
+        if (context.vetoed) {
+            throw new Error(`Email rejected by ${context.vetoed.stage}: ${context.vetoed.reason}`);
         }
     }
 
+    /**
+     * State shared by every stage of one parse
+     */
+    createContext(emailText) {
+        const context = {
+            input: emailText,
+            stage: null,
+            result: null,
+            pluginErrors: [],
+            vetoed: null,
+            veto(reason) {
+                context.vetoed = { stage: context.stage, reason: String(reason || 'no reason given').substring(0, 150) };
+            }
+        };
+        return context;
+    }
+
+    /**
+     * The built-in pipeline, in order
+     */
+    createStages() {
+        const core = (name, run) => ({ name, run, core: true });
+
+        return [
+            core('validate', (context) => {
+                const emailText = context.input;
+                if (!emailText || typeof emailText !== 'string') {
+                    throw new Error('Email text must be a non-empty string');
+                }
+
+                context.text = emailText.trim();
+                if (context.text.length === 0) {
+                    throw new Error('Email text cannot be empty');
+                }
+                if (context.text.length > this.maxMessageLength) {
+                    throw new Error('Email text too large (max 10MB)');
+                }
+            }),
+
+            core('mime', (context) => {
+                // Raw RFC 5322 messages go through the MIME layer, anything else is scanned line by line
+                context.message = this.mime && this.mime.isRawMessage(context.text)
+                    ? this.mime.parse(context.text)
+                    : null;
+                if (!context.message && context.text.length > this.maxTextLength) {
+                    throw new Error('Email text too large (max 100KB)');
+                }
+                context.headers = context.message ? this.mime.summarizeHeaders(context.message.headers) : null;
+                context.attachments = context.message ? context.message.attachments : [];
+            }),
+
+            core('extract', (context) => {
+                context.from = this.extractFrom(context.text, context.message);
+                context.extracted = Object.assign(
+                    { subject: this.extractSubject(context.text, context.message) },
+                    this.splitBody(context.text, context.message)
+                );
+
+                // Validate extracted data
+                if (!context.extracted.body || context.extracted.body.length === 0) {
+                    throw new Error('Could not extract email body');
+                }
+            }),
+
+            core('redact', (context) => {
+                // Everything downstream (classification, entities, exports) sees the redacted text
+                const { fields, redactions, truncated } = this.redactFields(context.extracted);
+                Object.assign(context, fields);
+                context.redactions = redactions;
+                context.redactionTruncated = truncated;
+            }),
+
+            core('language', (context) => {
+                context.language = this.languages ? this.languages.detect(`${context.subject}\n${context.body}`) : null;
+            }),
+
+            core('entities', (context) => {
+                context.date = this.extractDate(context.text, context.message);
+                context.entities = this.entityExtractor.extract({ subject: context.subject, body: context.body }, context.date);
+            }),
+
+            core('classify', (context) => {
+                context.category = this.classifyIssue(this.scoringInput(context), context.attachments);
+            }),
+
+            core('tone', (context) => {
+                context.tone = this.tone ? this.tone.analyze({ subject: context.subject, body: context.body }) : null;
+            }),
+
+            core('priority', (context) => {
+                context.priorityAssessment = this.assessPriority(this.scoringInput(context), context.category);
+                if (context.tone) {
+                    context.tone.escalatedFrom = context.priorityAssessment.toneRaisedFrom || null;
+                }
+            }),
+
+            core('split', (context) => {
+                context.childTickets = this.splitter ? this.suggestChildTickets(context) : [];
+            }),
+
+            core('requester', (context) => {
+                context.requester = this.directory ? this.assessRequester(context) : null;
+            }),
+
+            core('security', (context) => {
+                context.security = this.phishing ? this.assessSecurity(context) : null;
+            }),
+
+            core('sla', (context) => {
+                context.sla = this.sla ? this.assessSla(context) : null;
+            }),
+
+            core('ticketId', (context) => {
+                context.ticketId = this.ticketIds
+                    ? this.ticketIds.next(this.ticketIdFields(
+                        context.category.name, context.requester, this.senderAddress(context.from, context.headers), this.messageIdOf(context), context.date
+                    ))
+                    : this.generateTicketId();
+                context.timestamp = new Date().toISOString();
+            }),
+
+            core('thread', (context) => {
+                context.thread = this.threads
+                    ? this.threads.link({
+                        ticketId: context.ticketId,
+                        subject: context.subject,
+                        body: context.body,
+                        fromAddress: this.senderAddress(context.from, context.headers),
+                        headers: context.headers,
+                        timestamp: context.timestamp
+                    })
+                    : { threadId: context.ticketId, relatedTickets: [], similarity: 0 };
+            }),
+
+            core('knowledge', (context) => {
+                context.articles = this.knowledgeBase
+                    ? this.knowledgeBase.search({
+                        subject: context.subject,
+                        body: context.body,
+                        entities: context.entities,
+                        category: context.category.name
+                    })
+                    : null;
+            }),
+
+            core('insights', (context) => {
+                context.insights = this.generateInsights(context);
+            }),
+
+            core('assemble', (context) => {
+                const { category, priorityAssessment, thread } = context;
+                context.result = {
+                    ticketId: context.ticketId,
+                    threadId: thread.threadId,
+                    relatedTickets: thread.relatedTickets,
+                    similarity: thread.similarity,
+                    from: context.from,
+                    requester: context.requester,
+                    subject: context.subject,
+                    body: context.body,
+                    quotedText: context.quotedText,
+                    signature: context.signature,
+                    headers: context.headers,
+                    attachments: context.attachments,
+                    entities: context.entities,
+                    redactions: context.redactions,
+                    category: category.name,
+                    categoryLabel: this.formatCategoryName(category.name),
+                    language: context.language ? context.language.code : null,
+                    tone: context.tone,
+                    security: context.security,
+                    priority: priorityAssessment.priority,
+                    respondBy: context.sla ? context.sla.respondBy : null,
+                    resolveBy: context.sla ? context.sla.resolveBy : null,
+                    sla: context.sla,
+                    confidence: category.confidence,
+                    lowConfidence: category.lowConfidence,
+                    candidates: category.candidates,
+                    childTickets: context.childTickets,
+                    evidence: {
+                        category: this.explainCategory(category),
+                        priority: priorityAssessment.evidence
+                    },
+                    timestamp: context.timestamp,
+                    insights: context.insights,
+                    articles: context.articles,
+                    // Drafted from the assembled ticket by the reply stage
+                    suggestedReply: null,
+                    // Later plugin failures are appended to the same list
+                    pluginErrors: context.pluginErrors
+                };
+
+                // Unredacted text for the before/after preview; non-enumerable so exports never include it
+                Object.defineProperty(context.result, 'original', { value: context.extracted, enumerable: false });
+            }),
+
+            core('reply', (context) => {
+                // Never draft a reply (and the reset link it may carry) to a suspected phishing email
+                const suspicious = context.result.security && context.result.security.suspicious;
+                context.result.suggestedReply = this.knowledgeBase && !suspicious ? this.draftReply(context.result) : null;
+            })
+        ];
+    }
+
     /**
      * Extract sender email
      */
-    extractFrom(text) {
+    extractFrom(text, message) {
+        if (message) {
+            return this.mime.getHeader(message.headers, 'from') ||
+                this.mime.getHeader(message.headers, 'sender') ||
+                'Unknown Sender';
+        }
+
         // Limit text length to prevent ReDoS
         const limitedText = text.substring(0, 2000);
 
+        // Localized labels ("Von:", "De :") from the language packs
+        const labelled = this.languages ? this.languages.headerValue(limitedText, ['from', 'sender']) : null;
+        if (labelled) {
+            return labelled;
+        }
+
         // Try various email patterns (optimized to prevent ReDoS)
         const patterns = [
             /From:\s*([^\n<]+(?:<[^>]+>)?)/i,
@@ -126,10 +489,43 @@ class EmailParser {
         return 'Unknown Sender';
     }
 
+    /**
+     * Bare lowercase address of the sender, for matching tickets from the same person
+     */
+    senderAddress(from, headers) {
+        if (headers && headers.from.length > 0 && headers.from[0].address) {
+            return headers.from[0].address.toLowerCase();
+        }
+        const match = String(from || '').substring(0, 500).match(/[^\s<>@]{1,64}@[^\s<>@]{1,255}/);
+        return match ? match[0].toLowerCase() : null;
+    }
+
+    /**
+     * Raw Date header, used to resolve relative deadlines ("in 2 hours")
+     */
+    extractDate(text, message) {
+        if (message) {
+            return this.mime.getHeader(message.headers, 'date');
+        }
+
+        const dateMatch = text.substring(0, 2000).match(/^Date:\s*([^\n]+)/im);
+        return dateMatch ? dateMatch[1].trim() : null;
+    }
+
     /**
      * Extract email subject
      */
-    extractSubject(text) {
+    extractSubject(text, message) {
+        if (message) {
+            const subject = this.mime.getHeader(message.headers, 'subject');
+            return subject && subject.trim() ? subject.trim() : 'No Subject';
+        }
+
+        const labelled = this.languages ? this.languages.headerValue(text, ['subject']) : null;
+        if (labelled) {
+            return labelled;
+        }
+
         const subjectMatch = text.match(/Subject:\s*([^\n]+)/i);
         if (subjectMatch) {
             return subjectMatch[1].trim();
@@ -140,7 +536,7 @@ class EmailParser {
         if (lines.length > 0) {
             const firstLine = lines[0].trim();
             // If first line is not From/To/Subject header, treat it as subject
-            if (!/^(from|to|subject|sender|date):/i.test(firstLine)) {
+            if (!this.isHeaderLine(firstLine)) {
                 return firstLine;
             }
         }
@@ -149,9 +545,20 @@ class EmailParser {
     }
 
     /**
-     * Extract email body
+     * Extract email body (new message only, without quoted history or signature)
+     */
+    extractBody(text, message) {
+        return this.splitBody(text, message).body;
+    }
+
+    /**
+     * Split the email body into the new message, quoted history and signature
      */
-    extractBody(text) {
+    splitBody(text, message) {
+        if (message) {
+            return this.bodyCleaner.clean(message.text.content, message.text.type);
+        }
+
         // Remove header lines
         const lines = text.split('\n');
         let bodyStart = 0;
@@ -159,7 +566,7 @@ class EmailParser {
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
             // Skip header lines
-            if (/^(from|to|subject|sender|date|cc|bcc):/i.test(line)) {
+            if (this.isHeaderLine(line)) {
                 continue;
             }
             // First non-header line starts the body
@@ -171,97 +578,523 @@ class EmailParser {
 
         const body = lines.slice(bodyStart).join('\n').trim();
 
-        // Remove common email signatures (optimized to prevent ReDoS)
-        // Use simple string operations instead of complex regex when possible
-        let withoutSignature = body;
+        // Pasted HTML is detected by the cleaner
+        return this.bodyCleaner.clean(body, null);
+    }
+
+    /**
+     * Header line in pasted text, in English or any loaded language ("Betreff:", "Objet :")
+     */
+    isHeaderLine(line) {
+        return /^(from|to|subject|sender|date|cc|bcc):/i.test(line) ||
+            Boolean(this.languages && this.languages.isHeader(line, this.languages.headerFields));
+    }
+
+    /**
+     * Subject/body for classification, tagged with the detected language and tone
+     */
+    scoringInput(context) {
+        return {
+            subject: context.subject,
+            body: context.body,
+            language: context.language ? context.language.code : null,
+            tone: context.tone
+        };
+    }
+
+    /**
+     * Language pack for a scoring input (null for English or when packs are off)
+     */
+    languagePack(input) {
+        return this.languages && input && typeof input === 'object' ? this.languages.get(input.language) : null;
+    }
 
-        // Find and remove signature markers
-        const signatureMarker = withoutSignature.indexOf('\n--');
-        if (signatureMarker !== -1) {
-            withoutSignature = withoutSignature.substring(0, signatureMarker);
+    /**
+     * Categories with the language pack's keywords added to each one it covers
+     */
+    localizedCategories(pack) {
+        if (!pack || Object.keys(pack.categories).length === 0) {
+            return this.categories;
         }
 
-        // Remove common sign-offs (use non-greedy with strict limits)
-        const signOffs = [
-            /Best regards[^\n]{0,100}\n[\s\S]{0,300}$/i,
-            /Thanks[^\n]{0,100}\n[\s\S]{0,300}$/i,
-            /Sent from my [^\n]{0,100}$/i,
-            /Regards[^\n]{0,100}\n[\s\S]{0,200}$/i
-        ];
+        const categories = Object.create(null);
+        for (const name of Object.keys(this.categories)) {
+            const extra = Object.prototype.hasOwnProperty.call(pack.categories, name) ? pack.categories[name] : [];
+            categories[name] = Object.assign({}, this.categories[name], { keywords: this.categories[name].keywords.concat(extra) });
+        }
+        return categories;
+    }
 
-        for (const pattern of signOffs) {
-            withoutSignature = withoutSignature.replace(pattern, '');
+    /**
+     * Redact subject, body, quoted history and signature
+     * Returns { fields, redactions: [{ type, label, field, start, end, mask }], truncated: [field names masked unread past the detection limit] }
+     */
+    redactFields(extracted) {
+        if (!this.redactor) {
+            return { fields: Object.assign({}, extracted), redactions: [], truncated: [] };
         }
 
-        return withoutSignature.trim() || body;
+        const fields = {};
+        const redactions = [];
+        const truncated = [];
+        for (const name of ['subject', 'body', 'quotedText', 'signature']) {
+            const output = this.redactor.redact(extracted[name]);
+            fields[name] = output.text;
+            redactions.push(...output.redactions.map(entry => Object.assign({ field: name }, entry)));
+            if (output.truncatedAt !== null) truncated.push(name);
+        }
+        return { fields, redactions, truncated };
     }
 
     /**
-     * Classify issue based on keywords
+     * Classify issue with the weighted scoring engine
+     * Accepts a string or { subject, body }; attachment filenames count as evidence
      */
-    classifyIssue(text) {
-        // Validate and sanitize input
-        if (!text || typeof text !== 'string') {
-            return { name: 'other', confidence: 0, priority: 'medium' };
+    classifyIssue(input, attachments) {
+        const fields = this.buildScoringFields(input, attachments);
+        if (!fields) {
+            return { name: 'other', confidence: 0, priority: 'medium', score: 0, candidates: [], matches: [], lowConfidence: true };
         }
 
-        // Limit text length for performance
-        const limitedText = text.substring(0, 5000);
-        const lowerText = limitedText.toLowerCase();
+        const ranked = this.scoring.rank(fields, this.localizedCategories(this.languagePack(input)));
+        const candidates = ranked
+            .filter(entry => entry.score > 0)
+            .slice(0, this.maxCandidates)
+            .map(({ name, score, confidence, priority }) => ({ name, score, confidence, priority }));
 
-        let bestMatch = { name: 'other', confidence: 0, priority: 'medium' };
-        let maxScore = 0;
+        // If no good match, set low confidence
+        const best = ranked[0];
+        let result = (!best || best.score < this.minCategoryScore)
+            ? { name: 'other', confidence: 0.15, priority: 'medium', score: best ? best.score : 0, candidates, matches: [] }
+            : { name: best.name, confidence: best.confidence, priority: best.priority, score: best.score, candidates, matches: best.matches };
 
-        for (const [categoryName, category] of Object.entries(this.categories)) {
-            // Skip if category is invalid
-            if (!category || !Array.isArray(category.keywords)) {
-                continue;
-            }
+        // Blend in the model trained on agent corrections
+        const learned = this.learner ? this.learner.predictCategory(fields[0].text, fields[1].text) : null;
+        if (learned) {
+            result = this.blendLearnedCategory(result, ranked, learned);
+        }
 
-            let score = 0;
-            let matches = 0;
+        result.lowConfidence = result.name === 'other' || result.confidence < this.lowConfidence;
+        return result;
+    }
 
-            for (const keyword of category.keywords) {
-                if (typeof keyword === 'string' && lowerText.includes(keyword.toLowerCase())) {
-                    matches++;
-                    score += 1;
-                }
-            }
+    /**
+     * Weighted vote between keyword-rule confidence and learned probability
+     */
+    blendLearnedCategory(result, ranked, learned) {
+        const ruleConfidence = Object.create(null);
+        for (const entry of ranked) {
+            ruleConfidence[entry.name] = entry.confidence;
+        }
+        ruleConfidence.other = result.name === 'other' ? result.confidence : 0;
 
-            if (score > maxScore) {
-                maxScore = score;
-                bestMatch = {
-                    name: categoryName,
-                    confidence: Math.min(matches * 0.15, 1.0),  // Cap at 1.0
-                    priority: category.priority || 'medium'
-                };
+        let bestLabel = result.name;
+        let bestScore = -1;
+        for (const label of Object.keys(ruleConfidence)) {
+            const prediction = learned.ranked.find(entry => entry.label === label);
+            const score = (1 - learned.weight) * ruleConfidence[label] + learned.weight * (prediction ? prediction.probability : 0);
+            if (score > bestScore) {
+                bestScore = score;
+                bestLabel = label;
             }
         }
 
-        // If no good match, set low confidence
-        if (bestMatch.confidence < 0.25) {
-            bestMatch = { name: 'other', confidence: 0.15, priority: 'medium' };
+        const entry = ranked.find(candidate => candidate.name === bestLabel);
+        return Object.assign({}, result, {
+            name: bestLabel,
+            confidence: Math.round(bestScore * 100) / 100,
+            priority: bestLabel === 'other' ? 'medium' : (this.categories[bestLabel].priority || 'medium'),
+            matches: entry && bestLabel !== 'other' ? entry.matches : [],
+            learned: {
+                label: learned.label,
+                probability: Math.round(learned.probability * 100) / 100,
+                weight: Math.round(learned.weight * 100) / 100,
+                changed: bestLabel !== result.name
+            }
+        });
+    }
+
+    /**
+     * Build the subject/body/attachments fields the scoring engine weighs separately
+     */
+    buildScoringFields(input, attachments) {
+        // Validate and sanitize input
+        const parts = typeof input === 'string' ? { subject: '', body: input } : input;
+        if (!parts || typeof parts !== 'object' || (!parts.subject && !parts.body)) {
+            return null;
         }
 
-        return bestMatch;
+        // The detected language's negation words ("nicht", "pas") apply alongside the English ones
+        const pack = this.languagePack(parts);
+        const negation = pack ? { negators: pack.negators, failureSuffixes: pack.failureSuffixes } : {};
+
+        // Limit text length for performance
+        return [
+            Object.assign({ name: 'subject', text: String(parts.subject || '').substring(0, 1000) }, negation),
+            Object.assign({ name: 'body', text: String(parts.body || '').substring(0, 5000) }, negation),
+            { name: 'attachments', text: this.attachmentKeywordText(attachments) }
+        ];
+    }
+
+    /**
+     * Turn attachment filenames into words ("printer_queue.png" -> "printer queue png")
+     */
+    attachmentKeywordText(attachments) {
+        if (!Array.isArray(attachments)) return '';
+
+        return attachments
+            .filter(attachment => !attachment.inline)
+            .map(attachment => String(attachment.filename || '').substring(0, 200).replace(/[._\-]+/g, ' '))
+            .join(' ');
     }
 
     /**
      * Determine priority based on urgency keywords and category
+     * ("not urgent" and "no longer down" don't count)
+     */
+    determinePriority(input, category) {
+        return this.assessPriority(input, category).priority;
+    }
+
+    /**
+     * Determine priority along with the evidence that decided it; an upset requester raises it
+     */
+    assessPriority(input, category) {
+        const assessment = this.assessKeywordPriority(input, category);
+        const tone = input && typeof input === 'object' && input.tone !== undefined
+            ? input.tone
+            : (this.tone ? this.tone.analyze(input) : null);
+        return tone ? this.applyTone(assessment, tone) : assessment;
+    }
+
+    /**
+     * Priority from urgency keywords, the learned model or the category default
      */
-    determinePriority(text, category) {
-        const lowerText = text.toLowerCase();
+    assessKeywordPriority(input, category) {
+        const fields = this.buildScoringFields(input, null) || [];
 
-        // Check for urgency keywords
-        const hasUrgency = this.urgencyKeywords.some(keyword =>
-            lowerText.includes(keyword.toLowerCase())
-        );
+        // Check for urgency keywords, plus the detected language's
+        const pack = this.languagePack(input);
+        const matches = this.scoring.matchTerms(pack ? this.urgencyKeywords.concat(pack.urgency) : this.urgencyKeywords, fields);
+        const evidence = matches.map(match => ({
+            rule: 'urgency_keyword',
+            keyword: match.keyword,
+            field: match.field,
+            start: match.start,
+            end: match.end,
+            negated: match.negated,
+            description: match.negated
+                ? `"${match.keyword}" is negated, so it does not raise priority`
+                : `Urgency keyword "${match.keyword}" raises priority to urgent`
+        }));
 
-        if (hasUrgency) {
-            return 'urgent';
+        if (matches.some(match => !match.negated)) {
+            return { priority: 'urgent', evidence };
         }
 
-        return category.priority || 'medium';
+        // A confident learned priority beats the category default
+        const parts = fields.length > 0 ? fields : [{ text: '' }, { text: '' }];
+        const learned = this.learner ? this.learner.predictPriority(parts[0].text, parts[1].text) : null;
+        if (learned && learned.probability >= this.minLearnedPriorityProbability) {
+            evidence.push({
+                rule: 'learned_model',
+                description: `Model trained on agent corrections predicts ${learned.label} (${Math.round(learned.probability * 100)}%)`
+            });
+            return { priority: learned.label, evidence };
+        }
+
+        const priority = category.priority || 'medium';
+        evidence.push({
+            rule: 'category_default',
+            category: category.name,
+            description: `Default priority for ${this.formatCategoryName(category.name)} is ${priority}`
+        });
+
+        return { priority, evidence };
+    }
+
+    /**
+     * High escalation risk raises the priority a level (to at least high); medium risk lifts low to medium
+     */
+    applyTone(assessment, tone) {
+        const current = this.priorityOrder.indexOf(assessment.priority);
+        let target = current;
+        if (tone.escalationRisk === 'high') {
+            target = Math.max(current + 1, this.priorityOrder.indexOf('high'));
+        } else if (tone.escalationRisk === 'medium') {
+            target = Math.max(current, this.priorityOrder.indexOf('medium'));
+        }
+        target = Math.min(target, this.priorityOrder.length - 1);
+        if (current < 0 || target <= current) return assessment;
+
+        const priority = this.priorityOrder[target];
+        // The strongest signals are highlighted in the description
+        const evidence = assessment.evidence.concat(tone.signals
+            .slice()
+            .sort((a, b) => b.points - a.points)
+            .slice(0, 5)
+            .map(signal => ({
+                rule: 'tone',
+                keyword: signal.keyword,
+                field: signal.field,
+                start: signal.start,
+                end: signal.end,
+                description: signal.description
+            })));
+        evidence.push({
+            rule: 'tone',
+            description: `${tone.escalationRisk === 'high' ? 'High' : 'Medium'} escalation risk ` +
+                `(frustration ${Math.round(tone.frustration * 100)}%) raises priority from ${assessment.priority} to ${priority}`
+        });
+        return { priority, evidence, toneRaisedFrom: assessment.priority };
+    }
+
+    /**
+     * Issues in the body other than the ticket's own category, each classified from its own sentences
+     * Returns [{ index, category, categoryLabel, priority, confidence, snippet, spans: [{ start, end }] }] (offsets into the body)
+     */
+    suggestChildTickets(context) {
+        const language = context.language ? context.language.code : null;
+        const segments = this.splitter.segment(context.body);
+        if (segments.length < 2) return [];
+
+        const issues = this.splitter.group(segments, text => this.classifyIssue({ subject: '', body: text, language }, null));
+        if (issues.length < 2) return [];
+
+        // The issue matching the whole email stays in this ticket; without one, the first mentioned does
+        const primary = issues.find(issue => issue.category === context.category.name) || issues[0];
+        return issues.filter(issue => issue !== primary).map((issue, index) => {
+            const snippet = issue.segments.map(segment => segment.text).join(' ');
+            const category = { name: issue.category, priority: (this.categories[issue.category] || {}).priority };
+            // Tone is the sender's, not the issue's, so only the snippet's own urgency counts
+            const assessment = this.assessPriority({ subject: '', body: snippet, language, tone: null }, category);
+            return {
+                index: index + 1,
+                category: issue.category,
+                categoryLabel: this.formatCategoryName(issue.category),
+                priority: assessment.priority,
+                confidence: issue.confidence,
+                snippet,
+                spans: issue.segments.map(segment => ({ start: segment.start, end: segment.end }))
+            };
+        });
+    }
+
+    /**
+     * Separate ticket for an accepted child suggestion, linked to its parent and sharing its sender and headers
+     */
+    createChildTicket(parent, child) {
+        const ticketId = `${parent.ticketId}-${child.index}`;
+        const inSpans = entity => entity.field === 'body' &&
+            child.spans.some(span => entity.start >= span.start && entity.end <= span.end);
+        const entities = (parent.entities || []).filter(inSpans);
+
+        let sla = null;
+        if (this.sla && parent.sla) {
+            sla = this.sla.calculate({
+                category: child.category,
+                priority: child.priority,
+                received: Date.parse(parent.sla.received),
+                deadlines: entities.filter(entity => entity.type === 'deadline')
+            });
+        }
+        const priority = sla ? sla.priority : child.priority;
+
+        return Object.assign({}, parent, {
+            ticketId,
+            parentTicketId: parent.ticketId,
+            relatedTickets: [],
+            similarity: 0,
+            subject: `${parent.subject} (${child.categoryLabel})`,
+            body: child.snippet,
+            quotedText: '',
+            signature: '',
+            attachments: [],
+            entities,
+            redactions: [],
+            category: child.category,
+            categoryLabel: child.categoryLabel,
+            priority,
+            respondBy: sla ? sla.respondBy : null,
+            resolveBy: sla ? sla.resolveBy : null,
+            sla,
+            confidence: child.confidence,
+            lowConfidence: child.confidence < this.lowConfidence,
+            candidates: [],
+            childTickets: [],
+            evidence: { category: [], priority: [] },
+            timestamp: new Date().toISOString(),
+            insights: `🧩 Split from ${parent.ticketId} (${parent.categoryLabel})`,
+            articles: null,
+            suggestedReply: null,
+            pluginErrors: []
+        });
+    }
+
+    /**
+     * First reply from the best matching article that has one (or the generic reply), filled in from the ticket
+     * Returns { articleId, to, subject, body }
+     */
+    draftReply(parsed) {
+        const knowledgeBase = this.knowledgeBase;
+        const article = (parsed.articles || [])
+            .map(match => knowledgeBase.get(match.id))
+            .find(candidate => candidate && candidate.reply) || null;
+
+        const view = this.exporter.view(parsed);
+        view.article = article ? { id: article.id, title: article.title, url: article.url } : {};
+        const render = (template) => {
+            const value = this.exporter.renderTemplate(template, view, {});
+            return value === null || value === undefined ? '' : String(value);
+        };
+        return {
+            articleId: article ? article.id : null,
+            to: view.requester.email,
+            subject: render(knowledgeBase.replySubject),
+            body: render(article ? article.reply : knowledgeBase.defaultReply)
+        };
+    }
+
+    /**
+     * Directory details for the sender; a matching VIP/domain/tier rule raises the priority
+     */
+    assessRequester(context) {
+        const assessment = context.priorityAssessment;
+        const headers = context.headers;
+        const recipients = headers ? headers.to.concat(headers.cc) : [];
+        const requester = this.directory.lookup(this.senderAddress(context.from, headers), recipients);
+        requester.escalatedFrom = null;
+
+        const escalation = this.directory.escalate(requester, assessment.priority);
+        if (escalation) {
+            requester.escalatedFrom = assessment.priority;
+            assessment.priority = escalation.priority;
+            assessment.evidence.push({
+                rule: 'sender_rule',
+                keyword: escalation.rule.name,
+                description: `Sender rule "${escalation.rule.name}" (${this.directory.describeRule(escalation.rule, requester)}) ` +
+                    `raises priority to ${escalation.priority}`
+            });
+        }
+        return requester;
+    }
+
+    /**
+     * Phishing screen over the sender, Reply-To, Authentication-Results, links and wording
+     */
+    assessSecurity(context) {
+        const headers = context.headers;
+        const address = this.senderAddress(context.from, headers);
+        const name = headers && headers.from.length > 0
+            ? headers.from[0].name
+            : String(context.from || '').substring(0, 500).replace(/<[^>]*>/g, '').replace(/["']/g, '').trim();
+        const displayName = name && name.toLowerCase() !== address ? name : '';
+
+        const recipients = headers ? headers.to.concat(headers.cc) : [];
+        const internalDomains = this.directory
+            ? this.directory.internalDomainsFor(recipients)
+            : recipients.map(recipient => this.phishing.domainOf(recipient.address)).filter(Boolean);
+        const replyTo = this.headerValues(context, 'reply-to')
+            .map(value => (this.mime ? this.mime.parseAddressList(value) : [{ address: this.senderAddress(value, null) }]))
+            .reduce((all, list) => all.concat(list), []);
+
+        return this.phishing.screen({
+            from: address ? { name: displayName, address } : null,
+            replyTo,
+            authenticationResults: this.headerValues(context, 'authentication-results'),
+            links: this.htmlLinks(context),
+            urls: context.entities.filter(entity => entity.type === 'url').map(entity => entity.value),
+            subject: context.subject,
+            body: context.body,
+            internalDomains,
+            contact: this.directory && displayName ? this.directory.findByName(displayName) : null
+        });
+    }
+
+    /**
+     * Every value of a header: from the MIME headers, or the header lines at the top of pasted text
+     */
+    headerValues(context, name) {
+        if (context.message) {
+            return context.message.headers[name] || [];
+        }
+        const pattern = new RegExp(`^${name}:[ \\t]*([^\\n]+)`, 'gim');
+        return Array.from(context.text.substring(0, 2000).matchAll(pattern), match => match[1].trim()).slice(0, 20);
+    }
+
+    /**
+     * Links in the HTML body (every text/html part of a raw message, or pasted HTML)
+     */
+    htmlLinks(context) {
+        if (!context.message) {
+            return this.bodyCleaner.looksLikeHtml(context.text) ? this.bodyCleaner.extractLinks(context.text) : [];
+        }
+
+        const links = [];
+        const walk = (part) => {
+            part.children.forEach(walk);
+            if (part.children.length === 0 && part.contentType === 'text/html' && part.disposition !== 'attachment') {
+                links.push(...this.bodyCleaner.extractLinks(this.mime.decodePartText(part)));
+            }
+        };
+        walk(context.message.root);
+        return links;
+    }
+
+    /**
+     * Due dates from the Date header; a stated deadline sooner than the target raises the priority
+     */
+    assessSla(context) {
+        const assessment = context.priorityAssessment;
+        const sla = this.sla.calculate({
+            category: context.category.name,
+            priority: assessment.priority,
+            received: this.entityExtractor.referenceTime(context.date).time,
+            deadlines: context.entities.filter(entity => entity.type === 'deadline')
+        });
+
+        if (sla.tightenedFrom) {
+            const requested = sla.requestedBy;
+            assessment.priority = sla.priority;
+            assessment.evidence.push({
+                rule: 'stated_deadline',
+                keyword: requested.value,
+                field: requested.field,
+                start: requested.start,
+                end: requested.end,
+                description: `Requester needs this "${requested.value}" (${this.sla.format(requested.resolved)}), ` +
+                    `sooner than the ${sla.tightenedFrom} resolution target, so priority is raised to ${sla.priority}`
+            });
+        }
+        return sla;
+    }
+
+    /**
+     * Describe the keyword matches behind a category decision
+     */
+    explainCategory(category) {
+        const evidence = (category.matches || []).map(match => ({
+            rule: match.contribution < 0 ? 'negative_keyword' : 'category_keyword',
+            keyword: match.keyword,
+            field: match.field,
+            start: match.start,
+            end: match.end,
+            negated: match.negated,
+            contribution: match.contribution
+        }));
+
+        if (category.learned) {
+            evidence.push({
+                rule: 'learned_model',
+                keyword: category.learned.label,
+                contribution: category.learned.weight,
+                description: `Model trained on agent corrections suggests ${this.formatCategoryName(category.learned.label)} ` +
+                    `(${Math.round(category.learned.probability * 100)}%, weight ${category.learned.weight})` +
+                    (category.learned.changed ? ' and overrode the keyword rules' : '')
+            });
+        }
+
+        return evidence;
     }
 
     /**
@@ -273,9 +1106,10 @@ class EmailParser {
 
         // Use crypto.getRandomValues for cryptographically secure random
         let random;
-        if (window.crypto && window.crypto.getRandomValues) {
+        const crypto = this.getCrypto();
+        if (crypto) {
             const array = new Uint32Array(1);
-            window.crypto.getRandomValues(array);
+            crypto.getRandomValues(array);
             random = array[0].toString(36).substring(0, 6).toUpperCase();
         } else {
             // Fallback for older browsers (less secure but better than Math.random)
@@ -285,6 +1119,86 @@ class EmailParser {
         return `${prefix}-${timestamp}-${random}`;
     }
 
+    /**
+     * What an ID scheme draws on: category and client for the prefix, Message-ID and Date header for stable IDs
+     */
+    ticketIdFields(category, requester, address, messageId, date) {
+        return {
+            category,
+            organization: requester && requester.organization ? requester.organization : null,
+            domain: address ? address.split('@')[1] : null,
+            messageId: messageId || null,
+            received: date ? Date.parse(String(date).replace(/\([^)]*\)/g, '').trim()) : NaN
+        };
+    }
+
+    /**
+     * Message-ID from the MIME headers, or from a Message-ID line pasted above the message
+     */
+    messageIdOf(context) {
+        if (context.headers) return context.headers.messageId;
+        const match = String(this.headerValues(context, 'message-id')[0] || '').match(/<[^<>\s]{1,250}>/);
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Run task() holding the ticket ID lock, so other tabs can't issue the same IDs meanwhile (no lock without a scheme)
+     */
+    exclusive(task) {
+        return this.ticketIds ? this.ticketIds.exclusive(task) : Promise.resolve().then(task);
+    }
+
+    /**
+     * Give a ticket parsed elsewhere (the batch worker) an ID from this parser's scheme
+     * `renamed` maps earlier IDs to new ones across a batch so thread and duplicate links follow
+     */
+    reissueTicketId(result, renamed) {
+        if (!this.ticketIds) return result;
+
+        const previous = result.ticketId;
+        const headers = result.headers || {};
+        result.ticketId = this.ticketIds.next(this.ticketIdFields(
+            result.category, result.requester, this.senderAddress(result.from, result.headers), headers.messageId, headers.date
+        ));
+        renamed.set(previous, result.ticketId);
+
+        const rename = id => renamed.get(id) || id;
+        // Only this ticket's own IDs can appear in its text, so only those are replaced, in one pass
+        const own = [previous, result.threadId].concat((result.relatedTickets || []).map(ticket => ticket.ticketId))
+            .filter(id => typeof id === 'string' && id && rename(id) !== id);
+        const pattern = own.length > 0
+            ? new RegExp(Array.from(new Set(own)).sort((a, b) => b.length - a.length).map(id => id.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g')
+            : null;
+        const swap = text => (pattern ? String(text).replace(pattern, rename) : text);
+        result.threadId = rename(result.threadId);
+        result.relatedTickets = (result.relatedTickets || []).map(ticket => Object.assign({}, ticket, { ticketId: rename(ticket.ticketId) }));
+        result.insights = swap(result.insights);
+        if (result.suggestedReply) {
+            result.suggestedReply = Object.assign({}, result.suggestedReply, {
+                subject: swap(result.suggestedReply.subject),
+                body: swap(result.suggestedReply.body)
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Web Crypto: global in browsers, workers and Node 19+; node:crypto's webcrypto on older Node
+     */
+    getCrypto() {
+        if (typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues) {
+            return globalThis.crypto;
+        }
+        if (typeof module !== 'undefined' && module.exports) {
+            try {
+                return require('crypto').webcrypto || null;
+            } catch (error) {
+                return null;
+            }
+        }
+        return null;
+    }
+
     /**
      * Format category name for display
      */
@@ -324,23 +1238,77 @@ class EmailParser {
     }
 
     /**
-     * Generate AI insights
+     * Generate AI insights from the stage context (everything up to the 'insights' stage has run)
      */
-    generateInsights(category, priority, body) {
+    generateInsights(context) {
+        const { category, body, attachments, thread, entities, redactions, redactionTruncated, sla, requester, language, tone, articles, security, childTickets } = context;
+        const priority = context.priorityAssessment.priority;
         const insights = [];
+        const suspicious = Boolean(security && security.suspicious);
+
+        // Phishing warnings come first and replace the self-service suggestions below
+        if (suspicious) {
+            const reasons = security.signals.slice(0, 3).map(signal => signal.description).join('; ');
+            insights.push(`🎣 ${security.level === 'high' ? 'Likely' : 'Possible'} phishing (risk ${Math.round(security.risk * 100)}%): ${reasons}`);
+            insights.push(['password_reset', 'access_request'].includes(category.name)
+                ? '⛔ Do not reset passwords, send reset links or grant access from this email - confirm the request with the user through a known phone number or in person'
+                : '⛔ Do not click its links, open attachments or reply with any credentials - report it to the security team');
+        }
 
         // Sanitize category name to prevent XSS
         const safeCategoryName = this.formatCategoryName(category.name);
         const safeConfidence = Math.max(0, Math.min(100, (category.confidence * 100))).toFixed(0);
 
         if (category.name !== 'other') {
-            insights.push(`✓ Automatically categorized as "${safeCategoryName}" with ${safeConfidence}% confidence`);
+            // Name the strongest keywords so the agent can see why
+            const topKeywords = (category.matches || [])
+                .filter(match => match.contribution > 0)
+                .sort((a, b) => b.contribution - a.contribution)
+                .map(match => match.keyword)
+                .filter((keyword, index, all) => all.indexOf(keyword) === index)
+                .slice(0, 3);
+            const reason = topKeywords.length > 0 ? ` (matched ${topKeywords.map(keyword => `"${keyword}"`).join(', ')})` : '';
+            insights.push(`✓ Automatically categorized as "${safeCategoryName}" with ${safeConfidence}% confidence${reason}`);
         }
 
-        if (priority === 'urgent') {
+        if (language && this.languages && language.code !== this.languages.defaultLanguage) {
+            insights.push(`🌐 Detected language: ${language.name} (${language.code}) - its keywords and urgency terms were used alongside the English ones`);
+        }
+
+        if (priority === 'urgent' && !(sla && sla.tightenedFrom) && !(requester && requester.escalatedFrom) && !(tone && tone.escalatedFrom)) {
             insights.push('⚠️ Marked as URGENT - detected urgency indicators in message');
         }
 
+        if (tone && tone.escalationRisk !== 'low') {
+            const raised = tone.escalatedFrom ? ` - priority raised from ${tone.escalatedFrom}` : '';
+            insights.push(tone.escalationRisk === 'high'
+                ? `🔥 High escalation risk (frustration ${Math.round(tone.frustration * 100)}%)${raised} - acknowledge the frustration, ` +
+                    'apologise for the delay and give a time for the next update; consider a senior agent'
+                : `😟 Requester sounds frustrated (${Math.round(tone.frustration * 100)}%)${raised} - acknowledge it before troubleshooting`);
+
+            const types = new Set(tone.signals.map(signal => signal.type));
+            if (types.has('repeat_contact')) {
+                insights.push('💬 Says they have asked before - find the earlier ticket and reference it so they don\'t have to repeat themselves');
+            }
+            if (types.has('escalation_threat')) {
+                insights.push('📣 Mentions escalating or complaining - let the team lead know before replying');
+            }
+            if (types.has('caps') || types.has('exclamation')) {
+                insights.push('🧘 Shouting or heavy punctuation - keep the reply calm, short and specific');
+            }
+        }
+
+        if (requester && requester.vip) {
+            const who = [requester.name || requester.email, requester.title, requester.organization].filter(Boolean).join(', ');
+            insights.push(`⭐ VIP requester: ${who}` + (requester.escalatedFrom ? ` - priority raised from ${requester.escalatedFrom}` : ''));
+        } else if (requester && requester.escalatedFrom) {
+            insights.push(`🏢 Priority raised from ${requester.escalatedFrom} for ${requester.organization || requester.email}` +
+                (requester.tier ? ` (${requester.tier} tier)` : ''));
+        }
+        if (requester && requester.unknownExternal) {
+            insights.push(`❔ Unknown external sender (${requester.email.split('@')[1]}) - confirm who they are before granting access or sharing data`);
+        }
+
         const bodyLength = typeof body === 'string' ? body.length : 0;
         if (bodyLength < 50) {
             insights.push('ℹ️ Very brief message - may need follow-up for more details');
@@ -348,9 +1316,56 @@ class EmailParser {
             insights.push('ℹ️ Detailed message - user provided comprehensive information');
         }
 
-        // Only add suggestions for known safe categories
+        const fileCount = Array.isArray(attachments) ? attachments.filter(attachment => !attachment.inline).length : 0;
+        if (fileCount > 0) {
+            insights.push(`📎 ${fileCount} attachment${fileCount === 1 ? '' : 's'} included - review screenshots and logs before replying`);
+        }
+
+        if (Array.isArray(redactions) && redactions.length > 0) {
+            const kinds = Array.from(new Set(redactions.map(entry => entry.label))).join(', ');
+            insights.push(`🔒 Redacted ${redactions.length} sensitive value${redactions.length === 1 ? '' : 's'} (${kinds})` +
+                (redactions.some(entry => entry.type === 'password' || entry.type === 'api_key') ? ' - the user should change any credential sent by email' : ''));
+        }
+        if (Array.isArray(redactionTruncated) && redactionTruncated.length > 0) {
+            insights.push(`✂️ Too many possible secrets to check (over ${this.redactor.maxCandidates}) - the rest of the ${redactionTruncated.map(name => (name === 'quotedText' ? 'quoted history' : name)).join(', ')} was masked unread; ` +
+                'ask the user for the relevant part instead of the full dump');
+        }
+
+        const deadlines = Array.isArray(entities) ? entities.filter(entity => entity.type === 'deadline') : [];
+        if (deadlines.length > 0) {
+            const earliest = deadlines.reduce((first, entity) => (entity.resolved < first.resolved ? entity : first));
+            insights.push(`📅 Deadline mentioned: "${earliest.value}" (${new Date(earliest.resolved).toLocaleString()})`);
+        }
+
+        if (sla) {
+            const hours = sla.calendar === '24x7' ? 'around the clock' : 'business hours';
+            insights.push(`⏱️ SLA: respond by ${this.sla.format(sla.respondBy)}, resolve by ${this.sla.format(sla.resolveBy)} (${hours})` +
+                (sla.tightenedFrom ? ` - raised from ${sla.tightenedFrom} to meet the requester's deadline` : ''));
+        }
+
+        const related = thread && Array.isArray(thread.relatedTickets) ? thread.relatedTickets : [];
+        const reply = related.find(ticket => ticket.relation === 'reply');
+        const duplicate = related.find(ticket => ticket.relation === 'duplicate');
+        if (reply) {
+            insights.push(`🔗 Follow-up to ${reply.ticketId} - consider updating that ticket instead of opening a new one`);
+        }
+        if (duplicate) {
+            insights.push(`♊ Possible duplicate of ${duplicate.ticketId} (${Math.round(duplicate.similarity * 100)}% similar)`);
+        }
+
+        if (Array.isArray(childTickets) && childTickets.length > 0) {
+            insights.push(`🧩 Also mentions ${childTickets.map(child => `${child.categoryLabel} (${child.priority})`).join(', ')} - ` +
+                'consider splitting into separate tickets');
+        }
+
+        if (Array.isArray(articles) && articles.length > 0 && !suspicious) {
+            insights.push(`📚 Knowledge base: "${articles[0].title}"` +
+                (articles.length > 1 ? ` (+${articles.length - 1} more: ${articles.slice(1).map(article => `"${article.title}"`).join(', ')})` : ''));
+        }
+
+        // Without a knowledge base, fall back to built-in suggestions for known safe categories
         const validCategories = ['password_reset', 'software_install', 'network_issue', 'email_issue', 'printer_issue', 'access_request', 'hardware_issue', 'performance_issue'];
-        if (validCategories.includes(category.name)) {
+        if (!articles && !suspicious && validCategories.includes(category.name)) {
             if (category.name === 'password_reset') {
                 insights.push('💡 Suggestion: This can often be auto-resolved with a password reset link');
             } else if (category.name === 'software_install') {
@@ -370,6 +1385,13 @@ class EmailParser {
         return JSON.stringify(parsed, null, 2);
     }
 
+    /**
+     * Export in any registered format ('json', 'text', 'zendesk', 'csv', custom mappings, ...)
+     */
+    exportAs(parsed, format) {
+        return this.exporter.export(parsed, format);
+    }
+
     /**
      * Export as plain text
      */
@@ -377,36 +1399,108 @@ class EmailParser {
         // Sanitize all fields to prevent any injection in plain text exports
         const safeTicketId = String(parsed.ticketId || '').substring(0, 100);
         const safeFrom = String(parsed.from || '').substring(0, 200);
+        const requester = parsed.requester || null;
+        const safeRequester = requester && (requester.known || requester.unknownExternal)
+            ? (requester.known
+                ? [requester.name, requester.title, requester.department, requester.organization].filter(Boolean).map(value => String(value).substring(0, 200)).join(', ') +
+                    (requester.tier ? ` (${String(requester.tier).substring(0, 50)} tier)` : '') + (requester.vip ? ' [VIP]' : '')
+                : 'Unknown external sender')
+            : '';
         const safeSubject = String(parsed.subject || '').substring(0, 500);
         const safeCategoryLabel = String(parsed.categoryLabel || '').substring(0, 100);
+        const safeLanguage = String(parsed.language || '').substring(0, 20);
+        const safeTone = parsed.tone && ['medium', 'high'].includes(parsed.tone.escalationRisk)
+            ? `${parsed.tone.escalationRisk} escalation risk (frustration ${Math.round((Number(parsed.tone.frustration) || 0) * 100)}%)`
+            : '';
+        const safeSecurity = parsed.security && parsed.security.suspicious
+            ? `${parsed.security.level === 'high' ? 'HIGH' : 'MEDIUM'} phishing risk (${Math.round((Number(parsed.security.risk) || 0) * 100)}%)`
+            : '';
         const safePriority = String(parsed.priority || 'medium').substring(0, 20).toUpperCase();
         const safeConfidence = (parsed.confidence * 100).toFixed(0);
+        const safeThreadId = String(parsed.threadId || parsed.ticketId || '').substring(0, 100);
+        const safeRelated = Array.isArray(parsed.relatedTickets)
+            ? parsed.relatedTickets.slice(0, 10).map(ticket =>
+                `${String(ticket.ticketId || '').substring(0, 100)} (${String(ticket.relation || '').substring(0, 20)}, ${Math.round((Number(ticket.similarity) || 0) * 100)}% similar)`
+            ).join(', ')
+            : '';
+        const labels = this.entityExtractor.labels;
+        const safeEntities = Array.isArray(parsed.entities)
+            ? parsed.entities.slice(0, 100).map(entity =>
+                `- ${labels[entity.type] || String(entity.type || '').substring(0, 50)}: ${String(entity.value || '').substring(0, 300)}` +
+                (entity.resolved ? ` (${new Date(entity.resolved).toLocaleString()})` : '')
+            ).join('\n')
+            : '';
         const safeTimestamp = parsed.timestamp ? new Date(parsed.timestamp).toLocaleString() : 'Unknown';
+        const safeDue = value => (value && !isNaN(Date.parse(value)) ? new Date(value).toLocaleString() : '');
+        const safeRespondBy = safeDue(parsed.respondBy);
+        const safeResolveBy = safeDue(parsed.resolveBy);
         const safeBody = String(parsed.body || '').substring(0, 10000);
         const safeInsights = String(parsed.insights || '').substring(0, 2000);
+        const safeChildren = Array.isArray(parsed.childTickets)
+            ? parsed.childTickets.slice(0, 10).map(child =>
+                `- ${String(child.categoryLabel || '').substring(0, 100)} (${String(child.priority || '').substring(0, 20).toUpperCase()}): ` +
+                String(child.snippet || '').substring(0, 500)
+            ).join('\n')
+            : '';
+        const safeParent = String(parsed.parentTicketId || '').substring(0, 100);
+        const safeReply = parsed.suggestedReply ? String(parsed.suggestedReply.body || '').substring(0, 5000) : '';
+        const safeAttachments = Array.isArray(parsed.attachments)
+            ? parsed.attachments.slice(0, 50).map(attachment =>
+                `- ${String(attachment.filename || '').substring(0, 200)} (${String(attachment.contentType || '').substring(0, 100)}, ${Number(attachment.size) || 0} bytes${attachment.inline ? ', inline' : ''})`
+            ).join('\n')
+            : '';
 
         return `
 TICKET INFORMATION
 ==================
 
 Ticket ID:    ${safeTicketId}
-From:         ${safeFrom}
+From:         ${safeFrom}${safeRequester ? `
+Requester:    ${safeRequester}` : ''}
 Subject:      ${safeSubject}
 Category:     ${safeCategoryLabel}
 Priority:     ${safePriority}
-Confidence:   ${safeConfidence}%
-Created:      ${safeTimestamp}
+Confidence:   ${safeConfidence}%${safeLanguage ? `
+Language:     ${safeLanguage}` : ''}${safeTone ? `
+Tone:         ${safeTone}` : ''}${safeSecurity ? `
+Security:     ${safeSecurity}` : ''}
+Thread:       ${safeThreadId}${safeParent ? `
+Parent:       ${safeParent}` : ''}${safeRelated ? `
+Related:      ${safeRelated}` : ''}
+Created:      ${safeTimestamp}${safeRespondBy ? `
+Respond by:   ${safeRespondBy}` : ''}${safeResolveBy ? `
+Resolve by:   ${safeResolveBy}` : ''}
 
 DESCRIPTION
 -----------
 ${safeBody}
-
+${safeEntities ? `
+ENTITIES
+--------
+${safeEntities}
+` : ''}${safeAttachments ? `
+ATTACHMENTS
+-----------
+${safeAttachments}
+` : ''}${safeChildren ? `
+SUGGESTED CHILD TICKETS
+-----------------------
+${safeChildren}
+` : ''}
 INSIGHTS
 --------
 ${safeInsights}
-        `.trim();
+${safeReply ? `
+SUGGESTED REPLY
+---------------
+${safeReply}
+` : ''}        `.trim();
     }
 }
 
-// Export for use in app.js
-window.EmailParser = EmailParser;
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EmailParser };
+} else {
+    self.EmailParser = EmailParser;
+}
@@ -0,0 +1,424 @@
+/**
+ * Phishing Detector
+ * Screens inbound mail for spoofed senders, lookalike domains, failed SPF/DKIM/DMARC, disguised links and credential-harvesting language
+ */
+
+class PhishingDetector {
+    constructor() {
+        this.maxTextLength = 20000;
+        this.maxLinks = 100;
+        this.maxSignals = 30;
+
+        // Brands attackers imitate: names to look for in display names and the domains they really send from
+        this.brands = [
+            { name: 'Microsoft', pattern: /\b(?:microsoft|office\s?365|outlook|onedrive|sharepoint)\b/i,
+                domains: ['microsoft.com', 'office.com', 'office365.com', 'outlook.com', 'live.com', 'microsoftonline.com', 'sharepoint.com', 'onmicrosoft.com'] },
+            { name: 'Google', pattern: /\b(?:google|gmail)\b/i, domains: ['google.com', 'gmail.com', 'googlemail.com'] },
+            { name: 'Apple', pattern: /\b(?:apple|icloud)\b/i, domains: ['apple.com', 'icloud.com'] },
+            { name: 'Amazon', pattern: /\bamazon\b/i, domains: ['amazon.com', 'amazonaws.com'] },
+            { name: 'PayPal', pattern: /\bpaypal\b/i, domains: ['paypal.com'] },
+            { name: 'DocuSign', pattern: /\bdocusign\b/i, domains: ['docusign.com', 'docusign.net'] },
+            { name: 'Dropbox', pattern: /\bdropbox\b/i, domains: ['dropbox.com'] },
+            { name: 'Adobe', pattern: /\badobe\b/i, domains: ['adobe.com'] },
+            { name: 'Okta', pattern: /\bokta\b/i, domains: ['okta.com'] },
+            { name: 'DHL', pattern: /\bdhl\b/i, domains: ['dhl.com'] }
+        ];
+
+        // Display names that claim to be our own IT staff
+        this.authorityNames = /\b(?:it\s+(?:support|service\s*desk|help\s*desk|department|team|admin)|help\s*desk|service\s*desk|system\s+admin(?:istrator)?|administrator|mail(?:box)?\s+(?:admin|administrator|team)|postmaster|webmaster|security\s+team|account\s+team)\b/i;
+
+        // Second-level suffixes where the registrable domain has three labels (example.co.uk)
+        this.secondLevelSuffixes = ['co', 'com', 'net', 'org', 'ac', 'gov', 'edu', 'ne', 'or'];
+
+        // Real, widely used domains a letter away from a brand (mail.com, ymail.com and email.com vs gmail.com)
+        this.knownDomains = [
+            'mail.com', 'email.com', 'ymail.com', 'gmx.com', 'gmx.net', 'gmx.de', 'aol.com', 'yahoo.com', 'hotmail.com',
+            'msn.com', 'me.com', 'mac.com', 'zoho.com', 'yandex.com', 'proton.me', 'protonmail.com', 'fastmail.com',
+            'tutanota.com', 'hey.com', 'web.de', 'mail.ru', 'qq.com', 'comcast.net', 'verizon.net', 'att.net'
+        ];
+
+        // Shorter names are a letter away from too many real words and domains (ample, mail), so below this
+        // length a near miss only counts when it uses a look-alike character (gma1l.com)
+        this.minEditDistanceLength = 7;
+
+        // Letters attackers swap for lookalikes, applied before comparing domains
+        this.confusables = [[/rn/g, 'm'], [/vv/g, 'w'], [/0/g, 'o'], [/1/g, 'l'], [/3/g, 'e'], [/5/g, 's'], [/\$/g, 's']];
+
+        // Phrases asking the reader for credentials, money or a rushed click
+        this.credentialPatterns = [
+            {
+                points: 0.75,
+                pattern: /\b(?:verify|confirm|validate|re-?activate|re-?validate|update)\s+(?:your\s+)?(?:account|identity|log-?in\s+details|mailbox|e-?mail\s+account|payment\s+(?:details|information))\b/gi,
+                description: 'Asks to verify an account or credentials'
+            },
+            {
+                points: 0.75,
+                pattern: /\byour\s+(?:account|mailbox|password|access|e-?mail(?:\s+account)?)\s+(?:will|has|is|may)\s+(?:be\s+|been\s+|being\s+)?(?:suspended|disabled|deactivated|locked|terminated|closed|deleted|blocked|restricted)\b/gi,
+                description: 'Threatens to close the account'
+            },
+            {
+                points: 0.75,
+                pattern: /\byour\s+(?:password\s+(?:expires|will\s+expire|is\s+(?:about\s+to\s+)?expiring|has\s+expired)|(?:mailbox|storage|quota)\s+(?:is\s+)?(?:full|exceeded|almost\s+full|over\s+(?:its\s+)?limit))\b/gi,
+                description: 'Fake expiry or quota notice'
+            },
+            {
+                points: 1,
+                pattern: /\b(?:enter|provide|confirm|send|reply\s+with|share|give)\s+(?:us\s+|me\s+)?your\s+(?:current\s+|old\s+)?(?:password|passcode|credentials|log-?in\s+details|username\s+and\s+password|pin|mfa\s+code|verification\s+code|one-?time\s+(?:code|password))\b/gi,
+                description: 'Asks for a password or code'
+            },
+            {
+                points: 1,
+                // The fake reset request: "send the new password to my personal email"
+                pattern: /\b(?:send|e-?mail|text|forward)\s+(?:it|the\s+(?:new\s+|temporary\s+|temp\s+|reset\s+)?(?:password|link|code|reset\s+link))\s+to\s+(?:my\s+)?(?:personal|private|other|new|this|gmail|yahoo|hotmail)\b/gi,
+                description: 'Wants the reset sent somewhere else'
+            },
+            {
+                points: 1,
+                pattern: /\b(?:gift\s+cards?|wire\s+(?:the\s+)?(?:transfer|payment|funds)|(?:change|update)\s+(?:of\s+|to\s+)?(?:my\s+|our\s+)?(?:bank|payroll|direct\s+deposit)\s+(?:details|account|information))\b/gi,
+                description: 'Payment or gift card request'
+            },
+            {
+                points: 0.5,
+                pattern: /\b(?:(?:click|tap)\s+(?:here|the\s+link|on\s+the\s+link|below|the\s+button)|within\s+(?:12|24|48|72)\s+hours|immediately\s+to\s+avoid)\b/gi,
+                description: 'Pushes a rushed click'
+            }
+        ];
+
+        // Points per signal; types with a cap stop adding once it is reached
+        this.points = {
+            lookalikeSender: 2.5,
+            lookalike: 2,
+            displayNameAddress: 1.5,
+            impersonation: 1.5,
+            brand: 1.2,
+            authority: 1,
+            replyTo: 1,
+            dmarc: 1.5,
+            spf: 1,
+            softfail: 0.5,
+            dkim: 1,
+            linkMismatch: 1.5,
+            suspiciousLink: 1
+        };
+        this.typeCaps = { credential_request: 1.5, link_mismatch: 2, suspicious_link: 1.5 };
+
+        // Wording alone stays below medium risk: users quote the very warning they are asking about
+        // ("Your mailbox is almost full ... I tried to click the button"), so it needs a sender, header or link signal too
+        this.languageOnlyPoints = 0.9;
+
+        // Points needed before the risk approaches 1, and the risk bands
+        this.saturation = 2;
+        this.mediumRisk = 0.4;
+        this.highRisk = 0.7;
+    }
+
+    /**
+     * Screen one email:
+     * { from: { name, address }, replyTo: [...], authenticationResults: [...], links: [{ text, href }], urls: [...],
+     *   subject, body, internalDomains: [...], contact } (contact: directory entry sharing the sender's display name)
+     * Returns { risk: 0..1, level: 'low'|'medium'|'high', suspicious, signals: [...] }
+     */
+    screen(input) {
+        const email = input || {};
+        const internalDomains = (email.internalDomains || []).map(domain => String(domain).toLowerCase());
+        const signals = [];
+
+        const from = email.from && email.from.address ? { name: email.from.name || '', address: String(email.from.address).toLowerCase() } : null;
+        const fromDomain = from ? this.domainOf(from.address) : '';
+        const protectedDomains = Array.from(new Set(internalDomains.concat(...this.brands.map(brand => brand.domains))));
+
+        if (from) {
+            this.checkDisplayName(from, fromDomain, internalDomains, email.contact || null, signals);
+            this.checkLookalike(fromDomain, 'sender', this.points.lookalikeSender, protectedDomains, internalDomains, signals);
+        }
+        this.checkReplyTo(fromDomain, email.replyTo || [], protectedDomains, internalDomains, signals);
+        this.checkAuthentication(email.authenticationResults || [], signals);
+        this.checkLinks(email.links || [], email.urls || [], protectedDomains, internalDomains, signals);
+        this.checkLanguage([
+            { name: 'subject', text: String(email.subject || '').substring(0, 1000) },
+            { name: 'body', text: String(email.body || '').substring(0, this.maxTextLength) }
+        ], signals);
+
+        const added = Object.create(null);
+        let points = 0;
+        for (const signal of signals) {
+            const cap = this.typeCaps[signal.type];
+            const value = cap === undefined ? signal.points : Math.min(signal.points, Math.max(0, cap - (added[signal.type] || 0)));
+            added[signal.type] = (added[signal.type] || 0) + value;
+            points += value;
+        }
+        if (!signals.some(signal => signal.type !== 'credential_request')) {
+            points = Math.min(points, this.languageOnlyPoints);
+        }
+
+        const risk = Math.round((1 - Math.exp(-points / this.saturation)) * 100) / 100;
+        const level = risk >= this.highRisk ? 'high' : (risk >= this.mediumRisk ? 'medium' : 'low');
+        return {
+            risk,
+            level,
+            suspicious: level !== 'low',
+            signals: signals.sort((a, b) => b.points - a.points).slice(0, this.maxSignals)
+        };
+    }
+
+    /**
+     * Another address in the display name, a directory contact's name on a different address, a brand name from
+     * outside the brand, or "IT Support" from outside our domains
+     */
+    checkDisplayName(from, fromDomain, internalDomains, contact, signals) {
+        const name = String(from.name || '').substring(0, 200);
+        if (!name) return;
+
+        const embedded = name.match(/[^\s<>"'()@]+@[a-z0-9.-]+\.[a-z]{2,}/i);
+        if (embedded && embedded[0].toLowerCase() !== from.address) {
+            signals.push(this.signal('display_name_spoof', this.points.displayNameAddress, embedded[0],
+                `Display name shows ${embedded[0]} but the email came from ${from.address}`));
+        }
+
+        if (contact && contact.email && contact.email !== from.address) {
+            signals.push(this.signal('impersonation', this.points.impersonation, name,
+                `Display name "${name}" belongs to ${contact.email} in the directory, but the email came from ${from.address}`));
+        }
+
+        const brand = this.brands.find(entry => entry.pattern.test(name));
+        if (brand && fromDomain && !brand.domains.some(domain => this.domainMatches(fromDomain, domain))) {
+            signals.push(this.signal('display_name_spoof', this.points.brand, name,
+                `Display name "${name}" claims to be ${brand.name}, but the email came from ${fromDomain}`));
+        }
+
+        const internal = internalDomains.some(domain => this.domainMatches(fromDomain, domain));
+        if (this.authorityNames.test(name) && fromDomain && internalDomains.length > 0 && !internal) {
+            signals.push(this.signal('display_name_spoof', this.points.authority, name,
+                `Display name "${name}" sounds like our IT staff, but the email came from outside (${fromDomain})`));
+        }
+    }
+
+    checkReplyTo(fromDomain, replyTo, protectedDomains, internalDomains, signals) {
+        const seen = new Set();
+        for (const entry of replyTo.slice(0, 10)) {
+            const address = String(entry && entry.address || '').toLowerCase();
+            const domain = this.domainOf(address);
+            if (!domain || seen.has(domain)) continue;
+            seen.add(domain);
+
+            if (fromDomain && this.baseDomain(domain) !== this.baseDomain(fromDomain)) {
+                signals.push(this.signal('reply_to_mismatch', this.points.replyTo, address,
+                    `Replies go to ${address}, not the sender's domain (${fromDomain})`));
+            }
+            this.checkLookalike(domain, 'Reply-To', this.points.lookalike, protectedDomains, internalDomains, signals);
+        }
+    }
+
+    /**
+     * SPF/DKIM/DMARC failures recorded by our mail server; passes are ignored because a sender can forge them
+     */
+    checkAuthentication(headers, signals) {
+        const worst = Object.create(null);
+        const rank = { fail: 3, softfail: 2, permerror: 1 };
+        for (const header of headers.slice(0, 10)) {
+            const pattern = /\b(spf|dkim|dmarc)\s*=\s*([a-z]+)/gi;
+            let match;
+            while ((match = pattern.exec(String(header).substring(0, 5000))) !== null) {
+                const method = match[1].toLowerCase();
+                const result = match[2].toLowerCase();
+                if (rank[result] && (!worst[method] || rank[result] > rank[worst[method]])) {
+                    worst[method] = result;
+                }
+            }
+        }
+
+        for (const method of ['dmarc', 'spf', 'dkim']) {
+            const result = worst[method];
+            if (!result || result === 'permerror') continue;
+            const points = method === 'spf' && result === 'softfail' ? this.points.softfail : this.points[method];
+            signals.push(this.signal('auth_failure', points, `${method}=${result}`,
+                `${method.toUpperCase()} ${result === 'softfail' ? 'soft-failed' : 'failed'} - the sender may be forged`));
+        }
+    }
+
+    /**
+     * Link text naming one site while the link goes to another, raw-IP or user@host links, and lookalike link domains
+     */
+    checkLinks(links, urls, protectedDomains, internalDomains, signals) {
+        const hosts = new Set();
+        for (const link of links.slice(0, this.maxLinks)) {
+            const target = this.parseUrl(link.href);
+            if (!target) continue;
+            hosts.add(target.host);
+
+            if (target.userinfo || /^\d{1,3}(?:\.\d{1,3}){3}$/.test(target.host)) {
+                signals.push(this.signal('suspicious_link', this.points.suspiciousLink, link.href.substring(0, 200),
+                    `Link hides its destination (${target.userinfo ? 'user@host trick' : 'raw IP address'}): ${target.host}`));
+            }
+
+            const shown = this.hostFromText(link.text);
+            if (shown && this.baseDomain(shown) !== this.baseDomain(target.host)) {
+                signals.push(this.signal('link_mismatch', this.points.linkMismatch, link.text.substring(0, 200),
+                    `Link text shows ${shown} but goes to ${target.host}`));
+            }
+        }
+        for (const url of urls.slice(0, this.maxLinks)) {
+            const target = this.parseUrl(url);
+            if (target) hosts.add(target.host);
+        }
+
+        for (const host of hosts) {
+            this.checkLookalike(host, 'link', this.points.lookalike, protectedDomains, internalDomains, signals);
+        }
+    }
+
+    /**
+     * Credential-harvesting phrases; the same phrase in the subject and body (any case) counts once
+     */
+    checkLanguage(fields, signals) {
+        const seen = new Set();
+        for (const field of fields) {
+            for (const { points, pattern, description } of this.credentialPatterns) {
+                pattern.lastIndex = 0;
+                let match;
+                while ((match = pattern.exec(field.text)) !== null) {
+                    const phrase = match[0].toLowerCase().replace(/\s+/g, ' ');
+                    if (match[0].length === 0) pattern.lastIndex++;
+                    if (seen.has(phrase)) continue;
+                    seen.add(phrase);
+                    signals.push(Object.assign(this.signal('credential_request', points, match[0], `${description}: "${match[0]}"`), {
+                        field: field.name,
+                        start: match.index,
+                        end: match.index + match[0].length
+                    }));
+                }
+            }
+        }
+    }
+
+    /**
+     * One signal when `domain` imitates a protected domain without being it
+     */
+    checkLookalike(domain, role, points, protectedDomains, internalDomains, signals) {
+        const imitated = domain ? this.lookalike(domain, protectedDomains, internalDomains) : null;
+        if (!imitated || signals.some(signal => signal.type === 'lookalike_domain' && signal.value === domain)) return;
+
+        signals.push(this.signal('lookalike_domain', points, domain,
+            imitated === 'punycode'
+                ? `The ${role} domain ${domain} uses look-alike Unicode letters`
+                : `The ${role} domain ${domain} imitates ${imitated}`));
+    }
+
+    /**
+     * The protected domain `domain` imitates ("micros0ft.com", "paypal-secure.com", "example.com.evil.io", "example.co"
+     * for our example.com), 'punycode' for internationalized look-alikes, or null
+     */
+    lookalike(domain, protectedDomains, internalDomains) {
+        const host = String(domain).toLowerCase().replace(/\.$/, '');
+        const base = this.baseDomain(host);
+        if (protectedDomains.some(entry => this.domainMatches(host, entry))) return null;
+        if (this.knownDomains.includes(base)) return null;
+        if (host.split('.').some(label => label.startsWith('xn--'))) return 'punycode';
+
+        const [label, suffix] = this.splitBase(base);
+        const normalized = this.normalizeConfusables(label);
+        for (const entry of protectedDomains) {
+            const [protectedLabel, protectedSuffix] = this.splitBase(this.baseDomain(entry));
+            if (protectedLabel.length < 4) continue;
+
+            // example.com.evil.io
+            if (host.startsWith(entry + '.') || host.includes('.' + entry + '.')) return entry;
+            // micros0ft.com, rnicrosoft.com
+            if (label !== protectedLabel && normalized === this.normalizeConfusables(protectedLabel)) return entry;
+            // paypal-secure.com, secure-paypal.com
+            if (protectedLabel.length >= 5 && label.split('-').length > 1 && label.split('-').includes(protectedLabel)) return entry;
+            // examp1e.com, exmaple.com, gma1l.com; brands own many country domains, so only our own need an exact suffix match
+            const distance = this.editDistance(label, protectedLabel);
+            const swapped = normalized !== label;
+            if (protectedLabel.length >= 5 && (swapped || protectedLabel.length >= this.minEditDistanceLength) &&
+                distance > 0 && distance <= (protectedLabel.length >= 9 ? 2 : 1)) return entry;
+            if (label === protectedLabel && suffix !== protectedSuffix && internalDomains.includes(entry)) return entry;
+        }
+        return null;
+    }
+
+    /**
+     * Registrable part of a host name ("mail.example.co.uk" -> "example.co.uk")
+     */
+    baseDomain(host) {
+        const labels = String(host || '').toLowerCase().replace(/\.$/, '').split('.').filter(Boolean);
+        if (labels.length <= 2) return labels.join('.');
+        const secondLevel = labels[labels.length - 1].length === 2 && this.secondLevelSuffixes.includes(labels[labels.length - 2]);
+        return labels.slice(secondLevel ? -3 : -2).join('.');
+    }
+
+    splitBase(base) {
+        const dot = base.indexOf('.');
+        return dot === -1 ? [base, ''] : [base.substring(0, dot), base.substring(dot + 1)];
+    }
+
+    normalizeConfusables(label) {
+        return this.confusables.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), label);
+    }
+
+    /**
+     * Damerau-Levenshtein distance (adjacent swaps count as one edit)
+     */
+    editDistance(a, b) {
+        if (Math.abs(a.length - b.length) > 2) return 3;
+        const rows = [];
+        for (let i = 0; i <= a.length; i++) {
+            rows.push([i]);
+            for (let j = 1; j <= b.length; j++) {
+                if (i === 0) {
+                    rows[i][j] = j;
+                    continue;
+                }
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+                }
+            }
+        }
+        return rows[a.length][b.length];
+    }
+
+    /**
+     * { host, userinfo } of an http(s) URL, or null
+     */
+    parseUrl(url) {
+        const match = String(url || '').trim().match(/^https?:\/\/([^/?#\s]{1,300})/i);
+        if (!match) return null;
+        const authority = match[1];
+        const at = authority.lastIndexOf('@');
+        const host = authority.substring(at + 1).replace(/:\d+$/, '').toLowerCase();
+        return host ? { host, userinfo: at !== -1 } : null;
+    }
+
+    /**
+     * Host named by link text that looks like an address ("www.example.com", "https://example.com/login")
+     */
+    hostFromText(text) {
+        const match = String(text || '').trim().match(/^(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})(?:[/:?#]\S*)?$/i);
+        return match ? match[1].toLowerCase() : null;
+    }
+
+    domainOf(address) {
+        const text = String(address || '').toLowerCase();
+        return text.includes('@') ? text.substring(text.lastIndexOf('@') + 1) : '';
+    }
+
+    /**
+     * "mail.example.com" belongs to "example.com"
+     */
+    domainMatches(domain, parent) {
+        return domain === parent || domain.endsWith('.' + parent);
+    }
+
+    signal(type, points, value, description) {
+        return { type, points, value: String(value), description };
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhishingDetector };
+} else {
+    self.PhishingDetector = PhishingDetector;
+}
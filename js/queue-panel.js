@@ -0,0 +1,296 @@
+/**
+ * Email-to-Ticket Parser - Ticket Queue Panel
+ * Saves parsed tickets and lets the team triage them: status, assignee, tags, notes and history
+ */
+
+const queueAgentInput = document.getElementById('queueAgentInput');
+const queueFilterText = document.getElementById('queueFilterText');
+const queueFilterRequester = document.getElementById('queueFilterRequester');
+const queueFilterStatus = document.getElementById('queueFilterStatus');
+const queueFilterCategory = document.getElementById('queueFilterCategory');
+const queueFilterPriority = document.getElementById('queueFilterPriority');
+const queueStats = document.getElementById('queueStats');
+const queueTableBody = document.getElementById('queueTableBody');
+const queueDetail = document.getElementById('queueDetail');
+const queueDetailTitle = document.getElementById('queueDetailTitle');
+const queueStatusSelect = document.getElementById('queueStatusSelect');
+const queueAssigneeInput = document.getElementById('queueAssigneeInput');
+const queueTagsInput = document.getElementById('queueTagsInput');
+const saveQueueTicketBtn = document.getElementById('saveQueueTicketBtn');
+const openQueueTicketBtn = document.getElementById('openQueueTicketBtn');
+const deleteQueueTicketBtn = document.getElementById('deleteQueueTicketBtn');
+const queueNotes = document.getElementById('queueNotes');
+const queueNoteInput = document.getElementById('queueNoteInput');
+const addQueueNoteBtn = document.getElementById('addQueueNoteBtn');
+const queueHistory = document.getElementById('queueHistory');
+const exportQueueBtn = document.getElementById('exportQueueBtn');
+const clearResolvedBtn = document.getElementById('clearResolvedBtn');
+
+if (!queueAgentInput || !queueFilterText || !queueFilterRequester || !queueFilterStatus || !queueFilterCategory ||
+    !queueFilterPriority || !queueStats || !queueTableBody || !queueDetail || !queueDetailTitle || !queueStatusSelect ||
+    !queueAssigneeInput || !queueTagsInput || !saveQueueTicketBtn || !openQueueTicketBtn || !deleteQueueTicketBtn ||
+    !queueNotes || !queueNoteInput || !addQueueNoteBtn || !queueHistory || !exportQueueBtn || !clearResolvedBtn) {
+    console.error('Ticket queue panel elements not found');
+    throw new Error('Failed to initialize: missing ticket queue panel elements');
+}
+
+const ticketQueue = new TicketQueue();
+const QUEUE_AGENT_KEY = 'emailToTicket.agent';
+
+// Every queued record (newest first) and the one open in the detail view
+let queueRecords = [];
+let selectedQueueId = null;
+
+try {
+    queueAgentInput.value = localStorage.getItem(QUEUE_AGENT_KEY) || '';
+} catch (error) {
+    // Storage blocked - the name just isn't remembered
+}
+fillSelect(queueFilterStatus, [''].concat(ticketQueue.statuses), '', status => (status ? ticketQueue.statusLabels[status] : 'All statuses'));
+fillSelect(queueStatusSelect, ticketQueue.statuses, 'new', status => ticketQueue.statusLabels[status]);
+
+queueAgentInput.addEventListener('change', () => {
+    try {
+        localStorage.setItem(QUEUE_AGENT_KEY, queueAgentInput.value.trim());
+    } catch (error) {
+        console.warn('Could not save agent name: ' + error.message);
+    }
+});
+[queueFilterText, queueFilterRequester, queueFilterStatus, queueFilterCategory, queueFilterPriority].forEach((control) => {
+    control.addEventListener('input', renderQueueTable);
+    control.addEventListener('change', renderQueueTable);
+});
+saveQueueTicketBtn.addEventListener('click', saveQueueTicket);
+openQueueTicketBtn.addEventListener('click', openQueueTicket);
+deleteQueueTicketBtn.addEventListener('click', deleteQueueTicket);
+addQueueNoteBtn.addEventListener('click', addQueueNote);
+exportQueueBtn.addEventListener('click', exportQueue);
+clearResolvedBtn.addEventListener('click', clearResolvedTickets);
+
+// New parses join the queue; badge corrections are recorded on the queued copy
+onTicketParsed(result => queueTickets([result]));
+resultCategory.addEventListener('change', recordQueueCorrection);
+resultPriority.addEventListener('change', recordQueueCorrection);
+
+function queueAgent() {
+    return queueAgentInput.value.trim();
+}
+
+/**
+ * Add parsed tickets to the queue (already queued ones are skipped); also used by the batch panel
+ * Resolves with the added records, or null after showing the error
+ */
+function queueTickets(results) {
+    return ticketQueue.add(results, queueAgent()).then((added) => {
+        return refreshQueue().then(() => added);
+    }).catch((error) => {
+        showError('Could not save to the ticket queue: ' + error.message);
+        return null;
+    });
+}
+
+/**
+ * Reload every record and redraw
+ */
+function refreshQueue() {
+    return ticketQueue.getAll().then((records) => {
+        queueRecords = records;
+        renderQueueFilters();
+        renderQueueTable();
+        renderQueueDetail();
+    }).catch((error) => {
+        queueStats.textContent = 'Ticket queue unavailable: ' + error.message;
+    });
+}
+
+/**
+ * Fill the category filter with the categories in the queue
+ */
+function renderQueueFilters() {
+    const selected = queueFilterCategory.value;
+    const categories = Array.from(new Set(queueRecords.map(record => record.ticket.category))).sort();
+    fillSelect(queueFilterCategory, [''].concat(categories), selected, name => (name ? parser.formatCategoryName(name) : 'All categories'));
+}
+
+function visibleQueueRecords() {
+    return ticketQueue.filter(queueRecords, {
+        text: queueFilterText.value,
+        requester: queueFilterRequester.value,
+        status: queueFilterStatus.value,
+        category: queueFilterCategory.value,
+        priority: queueFilterPriority.value
+    });
+}
+
+function renderQueueTable() {
+    const records = visibleQueueRecords();
+    const open = queueRecords.filter(record => record.status !== 'resolved').length;
+    queueStats.textContent = `${queueRecords.length} ticket${queueRecords.length === 1 ? '' : 's'} (${open} open)` +
+        (records.length !== queueRecords.length ? ` · ${records.length} shown` : '');
+
+    queueTableBody.textContent = '';
+    records.forEach((record) => {
+        const ticket = record.ticket;
+        const row = document.createElement('tr');
+        row.className = record.ticketId === selectedQueueId ? 'selected' : '';
+        const cells = [
+            record.ticketId,
+            new Date(record.createdAt).toLocaleString(),
+            ticketQueue.requesterText(ticket),
+            ticket.subject,
+            ticket.categoryLabel || parser.formatCategoryName(ticket.category),
+            String(ticket.priority).toUpperCase(),
+            ticketQueue.statusLabels[record.status],
+            record.assignee
+        ];
+        cells.forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = sanitizeOutput(text).substring(0, 200);
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        actions.appendChild(createRowButton('✏️', `Triage ticket ${record.ticketId}`, () => selectQueueTicket(record.ticketId), false));
+        row.appendChild(actions);
+
+        queueTableBody.appendChild(row);
+    });
+}
+
+function selectQueueTicket(ticketId) {
+    selectedQueueId = ticketId;
+    renderQueueTable();
+    renderQueueDetail();
+    queueDetail.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+/**
+ * Status, assignee, tags, notes and history of the selected ticket
+ */
+function renderQueueDetail() {
+    const record = queueRecords.find(entry => entry.ticketId === selectedQueueId);
+    queueDetail.style.display = record ? 'block' : 'none';
+    if (!record) return;
+
+    queueDetailTitle.textContent = sanitizeOutput(`${record.ticketId} - ${record.ticket.subject}`);
+    queueStatusSelect.value = record.status;
+    queueAssigneeInput.value = record.assignee;
+    queueTagsInput.value = record.tags.join(', ');
+
+    const who = entry => (entry.by ? ` · ${entry.by}` : '');
+    queueNotes.textContent = '';
+    record.notes.forEach((note) => {
+        const item = document.createElement('li');
+        item.textContent = sanitizeOutput(`${new Date(note.at).toLocaleString()}${who(note)}\n${note.text}`);
+        queueNotes.appendChild(item);
+    });
+
+    queueHistory.textContent = '';
+    record.history.slice().reverse().forEach((entry) => {
+        const item = document.createElement('li');
+        item.textContent = sanitizeOutput(`${new Date(entry.at).toLocaleString()}${who(entry)}: ${describeQueueChange(entry)}`);
+        queueHistory.appendChild(item);
+    });
+}
+
+function describeQueueChange(entry) {
+    const label = value => (entry.field === 'status' && value ? ticketQueue.statusLabels[value] : value);
+    if (entry.field === 'note') return `added a note ("${entry.to}")`;
+    if (entry.from === null) return `${entry.field} set to ${label(entry.to)}`;
+    if (entry.to === null) return `${entry.field} cleared (was ${label(entry.from)})`;
+    return `${entry.field} ${label(entry.from)} → ${label(entry.to)}`;
+}
+
+/**
+ * Save the detail form; only fields that changed are recorded
+ */
+function saveQueueTicket() {
+    if (!selectedQueueId) return;
+
+    ticketQueue.update(selectedQueueId, {
+        status: queueStatusSelect.value,
+        assignee: queueAssigneeInput.value,
+        tags: queueTagsInput.value
+    }, queueAgent()).then(() => refreshQueue()).catch((error) => {
+        showError('Could not update ticket: ' + error.message);
+    });
+}
+
+function addQueueNote() {
+    if (!selectedQueueId) return;
+    if (!queueNoteInput.value.trim()) {
+        showError('Write a note first');
+        return;
+    }
+
+    ticketQueue.update(selectedQueueId, { note: queueNoteInput.value }, queueAgent()).then(() => {
+        queueNoteInput.value = '';
+        return refreshQueue();
+    }).catch((error) => {
+        showError('Could not add note: ' + error.message);
+    });
+}
+
+/**
+ * Show the queued ticket in the main results view
+ */
+function openQueueTicket() {
+    const record = queueRecords.find(entry => entry.ticketId === selectedQueueId);
+    if (!record) return;
+
+    currentResult = record.ticket;
+    displayResults(record.ticket);
+    resultsSection.style.display = 'block';
+    resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function deleteQueueTicket() {
+    if (!selectedQueueId || !confirm(`Delete ${selectedQueueId} from the queue? Its notes and history are deleted too.`)) return;
+
+    ticketQueue.remove(selectedQueueId).then(() => {
+        selectedQueueId = null;
+        return refreshQueue();
+    }).catch((error) => {
+        showError('Could not delete ticket: ' + error.message);
+    });
+}
+
+/**
+ * Keep category/priority corrections made on the results badges
+ */
+function recordQueueCorrection() {
+    if (!currentResult || !queueRecords.some(record => record.ticketId === currentResult.ticketId)) return;
+
+    ticketQueue.update(currentResult.ticketId, {
+        category: resultCategory.value,
+        categoryLabel: parser.formatCategoryName(resultCategory.value),
+        priority: resultPriority.value
+    }, queueAgent()).then(() => refreshQueue()).catch((error) => {
+        showError('Could not update ticket: ' + error.message);
+    });
+}
+
+/**
+ * Download the filtered tickets with their status, assignee, tags, notes and history
+ */
+function exportQueue() {
+    downloadFile(JSON.stringify(visibleQueueRecords(), null, 2), 'ticket-queue.json', 'application/json');
+}
+
+function clearResolvedTickets() {
+    const resolved = queueRecords.filter(record => record.status === 'resolved');
+    if (resolved.length === 0) {
+        showError('No resolved tickets to delete');
+        return;
+    }
+    if (!confirm(`Delete ${resolved.length} resolved ticket${resolved.length === 1 ? '' : 's'} from the queue?`)) return;
+
+    Promise.all(resolved.map(record => ticketQueue.remove(record.ticketId))).then(() => {
+        if (resolved.some(record => record.ticketId === selectedQueueId)) selectedQueueId = null;
+        return refreshQueue();
+    }).catch((error) => {
+        showError('Could not delete resolved tickets: ' + error.message);
+    });
+}
+
+refreshQueue();
@@ -0,0 +1,289 @@
+/**
+ * Redactor
+ * Masks passwords, one-time codes, card numbers, SSNs, IBANs and API keys before a ticket is exported
+ */
+
+class Redactor {
+    constructor(options) {
+        const settings = options || {};
+
+        // Same-length masking keeps evidence and entity offsets valid after redaction
+        this.maskChar = settings.maskChar || '•';
+        this.keepLastDigits = settings.keepLastDigits !== undefined ? settings.keepLastDigits : 4;
+
+        // Long text is scanned in chunks, each seen with this much text on either side so a detection
+        // crossing a chunk edge (a private key is the longest) is still found whole
+        this.chunkLength = 200000;
+        this.chunkOverlap = 12000;
+
+        // Detections kept per text; past this (number-heavy dumps) the rest of the text is masked unread
+        this.maxCandidates = settings.maxCandidates || 10000;
+
+        // Shannon entropy (bits per character) a bare token needs before it is treated as a secret
+        this.minTokenEntropy = settings.minTokenEntropy || 3.5;
+        this.minTokenLength = 24;
+
+        this.labels = {
+            private_key: 'Private key',
+            api_key: 'API key / token',
+            password: 'Password',
+            mfa_code: 'One-time code',
+            credit_card: 'Card number',
+            iban: 'IBAN',
+            ssn: 'Social Security number'
+        };
+
+        // Types switched on; earlier types win when detections overlap
+        this.types = (settings.types || Object.keys(this.labels)).filter(type => this.labels[type]);
+
+        // Words that follow "password is" without being the password
+        this.notSecrets = new Set([
+            'not', 'no', 'wrong', 'incorrect', 'correct', 'invalid', 'expired', 'expiring', 'working', 'locked',
+            'reset', 'the', 'my', 'a', 'an', 'still', 'being', 'too', 'required', 'changed', 'blank', 'empty',
+            'missing', 'rejected', 'accepted', 'same', 'old', 'new', 'now', 'also', 'case', 'sensitive'
+        ]);
+    }
+
+    /**
+     * Mask every enabled detection in a piece of text
+     * Returns { text, redactions: [{ type, label, start, end, mask }], truncatedAt }
+     * truncatedAt is the offset where maxCandidates stopped the scan (null when the whole text was scanned);
+     * everything from there on is masked
+     */
+    redact(text) {
+        const source = String(text || '');
+        const rank = new Map(this.types.map((type, index) => [type, index]));
+        const byPosition = (a, b) => a.start - b.start || rank.get(a.type) - rank.get(b.type);
+
+        let candidates = [];
+        let truncatedAt = null;
+        for (let offset = 0; offset < source.length; offset += this.chunkLength) {
+            const from = Math.max(0, offset - this.chunkOverlap);
+            const window = source.substring(from, offset + this.chunkLength + this.chunkOverlap);
+            for (const type of this.types) {
+                // Each chunk keeps the detections that start inside it
+                for (const entry of this.detect(type, window)) {
+                    const start = entry.start + from;
+                    if (start >= offset && start < offset + this.chunkLength) {
+                        candidates.push({ type: entry.type, start, end: entry.end + from });
+                    }
+                }
+            }
+
+            if (candidates.length > this.maxCandidates) {
+                candidates.sort(byPosition);
+                truncatedAt = candidates[this.maxCandidates].start;
+                candidates = candidates.slice(0, this.maxCandidates);
+                break;
+            }
+        }
+        candidates.sort(byPosition);
+
+        // One sweep by position; when two detections overlap, the earlier type in this.types wins
+        const accepted = [];
+        for (const candidate of candidates) {
+            const last = accepted[accepted.length - 1];
+            if (!last || candidate.start >= last.end) {
+                accepted.push(candidate);
+            } else if (rank.get(candidate.type) < rank.get(last.type)) {
+                accepted[accepted.length - 1] = candidate;
+            }
+        }
+
+        let output = '';
+        let position = 0;
+        const redactions = [];
+        for (const entry of accepted) {
+            if (truncatedAt !== null && entry.end > truncatedAt) break;
+            const mask = this.mask(entry.type, source.substring(entry.start, entry.end));
+            output += source.substring(position, entry.start) + mask;
+            position = entry.end;
+            redactions.push({ type: entry.type, label: this.labels[entry.type], start: entry.start, end: entry.end, mask });
+        }
+        if (truncatedAt === null) {
+            output += source.substring(position);
+        } else {
+            output += source.substring(position, truncatedAt) + source.substring(truncatedAt).replace(/\S/g, this.maskChar);
+        }
+
+        return { text: output, redactions, truncatedAt };
+    }
+
+    /**
+     * Candidate spans ({ type, start, end }) for one detector
+     */
+    detect(type, text) {
+        switch (type) {
+            case 'private_key':
+                return this.scan(text, /-----BEGIN [A-Z ]{0,40}PRIVATE KEY-----[\s\S]{0,10000}?-----END [A-Z ]{0,40}PRIVATE KEY-----/g, type);
+            case 'api_key':
+                return this.findTokens(text);
+            case 'password':
+                return this.scan(text, /\b(?:password|passwd|pwd|passcode|passphrase|pin|kennwort|mot de passe|contraseña)\b(?:\s+(?:is|was|is now|=|:)|\s*[:=])\s*["'“]?([^\s"'”]{3,128})/gi, type, (match) => {
+                    const value = match[1].replace(/[.,;!?)]+$/, '');
+                    if (this.notSecrets.has(value.toLowerCase()) || /^[a-z]{1,3}$/.test(value)) return null;
+                    return value;
+                });
+            case 'mfa_code':
+                return this.scan(text, /\b(?:code|otp|mfa|2fa|one[- ]time|verification|authenticator|token)\b[^\d\n]{0,20}?\b(\d{6,8})\b/gi, type, (match) => {
+                    // Error codes are diagnostics, not credentials
+                    const before = text.substring(Math.max(0, match.index - 12), match.index);
+                    return /error|event|stop/i.test(before + match[0]) ? null : match[1];
+                });
+            case 'credit_card':
+                return this.scan(text, /(?<![\d-])(?:\d[ -]?){12,18}\d(?![\d-])/g, type, (match) => {
+                    const digits = match[0].replace(/\D/g, '');
+                    return digits.length >= 13 && digits.length <= 19 && this.luhn(digits) ? match[0] : null;
+                });
+            case 'iban':
+                return this.scan(text, /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g, type, match => (this.validIban(match[0]) ? match[0] : null));
+            case 'ssn':
+                return this.scan(text, /\b(?:(\d{3})-(\d{2})-(\d{4})|(?:ssn|social security(?: number)?)\s*(?:#|:|is)?\s*(\d{9}))\b/gi, type, (match) => {
+                    const digits = match[4] || `${match[1]}${match[2]}${match[3]}`;
+                    return this.validSsn(digits) ? (match[4] || match[0]) : null;
+                });
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Run a regex; `pick` returns the secret substring of the match (or null to skip)
+     */
+    scan(text, pattern, type, pick) {
+        const results = [];
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            const value = pick ? pick(match) : match[0];
+            if (value) {
+                const start = match.index + match[0].lastIndexOf(value);
+                results.push({ type, start, end: start + value.length });
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Known key formats, "api_key: ..." assignments and high-entropy bare tokens
+     */
+    findTokens(text) {
+        const type = 'api_key';
+        const known = [
+            /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,128}\b/g,
+            /\bsk-[A-Za-z0-9_-]{20,200}\b/g,
+            /\bA(?:KIA|SIA)[0-9A-Z]{16}\b/g,
+            /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g,
+            /\bxox[abprs]-[A-Za-z0-9-]{10,200}\b/g,
+            /\bAIza[0-9A-Za-z_-]{35}\b/g,
+            /\beyJ[A-Za-z0-9_-]{10,2000}\.[A-Za-z0-9_-]{10,2000}\.[A-Za-z0-9_-]{10,2000}/g
+        ];
+
+        const results = [];
+        for (const pattern of known) {
+            results.push(...this.scan(text, pattern, type));
+        }
+
+        results.push(...this.scan(text, /\b(?:api[_ -]?key|secret|client[_ -]?secret|access[_ -]?token|auth[_ -]?token|bearer)\b\s*[:=]?\s*["']?([A-Za-z0-9._~+/=-]{8,256})/gi, type, match => match[1]));
+
+        results.push(...this.scan(text, /[A-Za-z0-9_+/-]{24,512}={0,2}/g, type, (match) => {
+            const value = match[0];
+            // Needs letters and digits, and enough randomness to rule out words and paths;
+            // "Windows11_Enterprise_x64" style names split into short segments
+            const longest = value.split(/[_+/-]/).reduce((max, part) => Math.max(max, part.length), 0);
+            if (!/\d/.test(value) || !/[A-Za-z]/.test(value) || value.length < this.minTokenLength || longest < 16) return null;
+            return this.entropy(value) >= this.minTokenEntropy ? value : null;
+        }));
+
+        return results;
+    }
+
+    /**
+     * Same-length mask; card numbers keep their last digits and separators
+     */
+    mask(type, value) {
+        if (type === 'credit_card' || type === 'iban') {
+            let keep = this.keepLastDigits;
+            const chars = value.split('');
+            for (let i = chars.length - 1; i >= 0; i--) {
+                if (/[A-Za-z0-9]/.test(chars[i])) {
+                    if (keep > 0) {
+                        keep--;
+                    } else {
+                        chars[i] = this.maskChar;
+                    }
+                }
+            }
+            return chars.join('');
+        }
+        return value.replace(/\S/g, this.maskChar);
+    }
+
+    /**
+     * Luhn checksum used by payment card numbers
+     */
+    luhn(digits) {
+        let sum = 0;
+        let double = false;
+        for (let i = digits.length - 1; i >= 0; i--) {
+            let digit = Number(digits[i]);
+            if (double) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+            double = !double;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * ISO 13616 mod-97 check
+     */
+    validIban(value) {
+        const iban = value.replace(/\s+/g, '').toUpperCase();
+        if (iban.length < 15 || iban.length > 34) return false;
+
+        const rearranged = iban.slice(4) + iban.slice(0, 4);
+        let remainder = 0;
+        for (const char of rearranged) {
+            const code = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+            for (const digit of code) {
+                remainder = (remainder * 10 + Number(digit)) % 97;
+            }
+        }
+        return remainder === 1;
+    }
+
+    /**
+     * SSA rules: no 000/666/9xx area, 00 group or 0000 serial
+     */
+    validSsn(digits) {
+        const area = digits.substring(0, 3);
+        return digits.length === 9 && area !== '000' && area !== '666' && area[0] !== '9' &&
+            digits.substring(3, 5) !== '00' && digits.substring(5) !== '0000';
+    }
+
+    /**
+     * Shannon entropy in bits per character
+     */
+    entropy(value) {
+        const counts = Object.create(null);
+        for (const char of value) {
+            counts[char] = (counts[char] || 0) + 1;
+        }
+        let bits = 0;
+        for (const char of Object.keys(counts)) {
+            const p = counts[char] / value.length;
+            bits -= p * Math.log2(p);
+        }
+        return bits;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Redactor };
+} else {
+    self.Redactor = Redactor;
+}
@@ -0,0 +1,270 @@
+/**
+ * Scoring Engine
+ * Word-boundary, stemmed, weighted keyword scoring with negation handling
+ */
+
+class ScoringEngine {
+    constructor() {
+        // Subject lines are short and deliberate, so a match there counts double
+        this.fieldWeights = { subject: 2, body: 1, attachments: 1 };
+
+        // Each extra occurrence of the same keyword adds a fraction of its weight
+        this.repeatWeight = 0.25;
+        this.maxRepeats = 3;
+
+        // Default penalty for a negative keyword match
+        this.negativeWeight = 1.5;
+
+        // Evidence needed before confidence approaches 1 (larger = slower saturation)
+        this.saturation = 2.5;
+
+        // Words that negate the keyword that follows within `negationWindow` tokens
+        this.negators = ['not', 'no', 'never', 'without', 'isn\'t', 'aren\'t', 'wasn\'t', 'weren\'t', 'nothing'];
+        this.negationWindow = 2;
+
+        // Negated words with these endings still describe a failure ("not printing")
+        this.failureSuffixes = ['ing'];
+
+        // French elisions ("l'imprimante", "n'imprime") are split off the word they attach to
+        this.elisions = ['c', 'd', 'j', 'l', 'm', 'n', 's', 't', 'qu'];
+
+        this.maxTextLength = 20000;
+        this.compiled = new Map();
+    }
+
+    /**
+     * Split text into lowercase word tokens (any script) with their stems and offsets
+     */
+    tokenize(text) {
+        const tokens = [];
+        const source = String(text || '').substring(0, this.maxTextLength).replace(/[‘’]/g, '\'');
+        const pattern = /[\p{L}\p{N}]+(?:'[\p{L}]+)*/gu;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            let word = match[0].toLowerCase();
+            let start = match.index;
+
+            const apostrophe = word.indexOf('\'');
+            if (apostrophe > 0 && this.elisions.includes(word.substring(0, apostrophe))) {
+                const elision = word.substring(0, apostrophe);
+                tokens.push({ word: elision, stem: elision, start, end: start + apostrophe });
+                word = word.substring(apostrophe + 1);
+                start += apostrophe + 1;
+            }
+            tokens.push({ word, stem: this.stem(word), start, end: start + word.length });
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Light suffix stripping so "printing", "prints" and "print" match each other
+     */
+    stem(word) {
+        let stem = word;
+        if (stem.length <= 3 || /\d/.test(stem)) return stem;
+
+        if (stem.endsWith('ies') && stem.length > 4) {
+            stem = stem.slice(0, -3) + 'y';
+        } else if (stem.endsWith('ing') && stem.length > 5) {
+            stem = this.undouble(stem.slice(0, -3));
+        } else if (stem.endsWith('ed') && stem.length > 4) {
+            stem = this.undouble(stem.slice(0, -2));
+        } else if (/(sh|ch|x|ss|z)es$/.test(stem)) {
+            stem = stem.slice(0, -2);
+        } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+            stem = stem.slice(0, -1);
+        }
+
+        // "freeze"/"freezing" and "share"/"sharing" meet at "freez"/"shar"
+        if (stem.length > 4 && stem.endsWith('e')) {
+            stem = stem.slice(0, -1);
+        }
+
+        return stem;
+    }
+
+    /**
+     * "jamm" -> "jam", "stopp" -> "stop" (but keep "install", "access")
+     */
+    undouble(stem) {
+        return /([^aeiouls])\1$/.test(stem) ? stem.slice(0, -1) : stem;
+    }
+
+    /**
+     * Normalize a keyword spec ("term" or { term, weight }) and cache its stems
+     */
+    compile(spec) {
+        const term = typeof spec === 'string' ? spec : (spec && spec.term);
+        if (typeof term !== 'string' || !term.trim()) return null;
+
+        const weight = spec && typeof spec === 'object' && Number.isFinite(spec.weight) ? spec.weight : 1;
+        const key = term.toLowerCase() + '\u0000' + weight;
+        if (!this.compiled.has(key)) {
+            const stems = this.tokenize(term).map(token => token.stem);
+            this.compiled.set(key, stems.length > 0 ? { term: term.toLowerCase(), weight, stems } : null);
+        }
+        return this.compiled.get(key);
+    }
+
+    /**
+     * Prepare scorable fields ({ name, text }) with their tokens
+     */
+    prepareFields(fields) {
+        return fields
+            .filter(field => field && field.text)
+            .map(field => ({
+                name: field.name,
+                weight: this.fieldWeights[field.name] || 1,
+                tokens: this.tokenize(field.text),
+                negators: field.negators || null,
+                failureSuffixes: field.failureSuffixes || null
+            }));
+    }
+
+    /**
+     * Find every occurrence of a compiled keyword, marking negated ones
+     */
+    findOccurrences(keyword, field) {
+        const occurrences = [];
+        const { tokens } = field;
+        const length = keyword.stems.length;
+
+        for (let i = 0; i + length <= tokens.length; i++) {
+            let matched = true;
+            for (let j = 0; j < length; j++) {
+                if (tokens[i + j].stem !== keyword.stems[j]) {
+                    matched = false;
+                    break;
+                }
+            }
+            if (!matched) continue;
+
+            occurrences.push({
+                field: field.name,
+                start: tokens[i].start,
+                end: tokens[i + length - 1].end,
+                negated: this.isNegated(tokens, i, field)
+            });
+            i += length - 1;
+        }
+
+        return occurrences;
+    }
+
+    /**
+     * "not urgent", "no longer broken" - but "not printing"/"not working" describe a failure
+     * Fields can carry a language's own `negators` and `failureSuffixes` ("nicht dringend", "kann nicht drucken")
+     */
+    isNegated(tokens, index, field) {
+        const negators = field && field.negators ? this.negators.concat(field.negators) : this.negators;
+        const failureSuffixes = field && field.failureSuffixes ? this.failureSuffixes.concat(field.failureSuffixes) : this.failureSuffixes;
+        if (failureSuffixes.some(suffix => tokens[index].word.endsWith(suffix))) return false;
+
+        for (let i = Math.max(0, index - this.negationWindow); i < index; i++) {
+            if (negators.includes(tokens[i].word)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Score a list of keyword specs against prepared fields
+     */
+    scoreTerms(keywords, fields, sign) {
+        let score = 0;
+        const matches = [];
+
+        const seen = new Set();
+
+        for (const spec of keywords || []) {
+            const keyword = this.compile(spec);
+            // "print" and "printing" share a stem - count the evidence once
+            if (!keyword || seen.has(keyword.stems.join(' '))) continue;
+            seen.add(keyword.stems.join(' '));
+
+            let counted = 0;
+            for (const field of fields) {
+                for (const occurrence of this.findOccurrences(keyword, field)) {
+                    // Negation flips positive evidence off; it never turns a negative keyword positive
+                    const negated = sign > 0 && occurrence.negated;
+                    const base = sign > 0 ? keyword.weight : (spec && spec.weight ? Math.abs(keyword.weight) : this.negativeWeight);
+                    const factor = counted === 0 ? 1 : (counted < this.maxRepeats ? this.repeatWeight : 0);
+                    const contribution = negated ? 0 : sign * base * field.weight * factor;
+
+                    if (!negated) counted++;
+                    score += contribution;
+                    matches.push({
+                        keyword: keyword.term,
+                        field: occurrence.field,
+                        start: occurrence.start,
+                        end: occurrence.end,
+                        negated,
+                        contribution: Math.round(contribution * 100) / 100
+                    });
+                }
+            }
+        }
+
+        return { score, matches };
+    }
+
+    /**
+     * Rank categories by weighted score, best first
+     */
+    rank(fields, categories) {
+        const prepared = this.prepareFields(fields);
+        const ranked = [];
+
+        for (const [name, category] of Object.entries(categories)) {
+            if (!category || !Array.isArray(category.keywords)) continue;
+
+            const positive = this.scoreTerms(category.keywords, prepared, 1);
+            const negative = this.scoreTerms(category.negativeKeywords, prepared, -1);
+            const score = Math.max(0, positive.score + negative.score);
+
+            ranked.push({
+                name,
+                score: Math.round(score * 100) / 100,
+                priority: category.priority || 'medium',
+                matches: positive.matches.concat(negative.matches)
+            });
+        }
+
+        // Stable sort keeps taxonomy order as the tie-break
+        ranked.sort((a, b) => b.score - a.score);
+
+        const total = ranked.reduce((sum, entry) => sum + entry.score, 0);
+        for (const entry of ranked) {
+            entry.confidence = this.confidence(entry.score, total);
+        }
+
+        return ranked;
+    }
+
+    /**
+     * Confidence = evidence strength x share of all evidence
+     * (one strong category scores high; two tied categories each score at most half)
+     */
+    confidence(score, total) {
+        if (score <= 0 || total <= 0) return 0;
+        const strength = 1 - Math.exp(-score / this.saturation);
+        return Math.round(strength * (score / total) * 100) / 100;
+    }
+
+    /**
+     * Matches of plain terms, negated ones flagged (used for urgency keywords)
+     */
+    matchTerms(terms, fields) {
+        return this.scoreTerms(terms, this.prepareFields(fields), 1).matches;
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringEngine };
+} else {
+    self.ScoringEngine = ScoringEngine;
+}
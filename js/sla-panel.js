@@ -0,0 +1,72 @@
+/**
+ * Email-to-Ticket Parser - SLA Panel
+ * Editor for the business-hours calendar and targets, and due-date updates when an agent corrects a ticket
+ */
+
+const slaPolicyInput = document.getElementById('slaPolicyInput');
+const saveSlaBtn = document.getElementById('saveSlaBtn');
+const resetSlaBtn = document.getElementById('resetSlaBtn');
+
+if (!slaPolicyInput || !saveSlaBtn || !resetSlaBtn) {
+    console.error('SLA panel elements not found');
+    throw new Error('Failed to initialize: missing SLA panel elements');
+}
+
+// Persist the policy in this browser
+parser.sla = new SlaCalendar(localStorage);
+parser.sla.apply(parser.sla.load());
+
+saveSlaBtn.addEventListener('click', saveSlaPolicy);
+resetSlaBtn.addEventListener('click', resetSlaPolicy);
+resultCategory.addEventListener('change', recalculateSla);
+resultPriority.addEventListener('change', recalculateSla);
+
+function renderSlaPolicy() {
+    slaPolicyInput.value = JSON.stringify(parser.sla.config, null, 2);
+}
+
+/**
+ * Validate and store the policy JSON; applies to tickets parsed from now on
+ */
+function saveSlaPolicy() {
+    const text = slaPolicyInput.value.trim();
+    if (text.length > 100000) {
+        showError('SLA policy must be under 100KB');
+        return;
+    }
+
+    try {
+        parser.sla.save(JSON.parse(text));
+        renderSlaPolicy();
+        showSuccess('SLA policy saved');
+    } catch (error) {
+        showError('Could not save SLA policy: ' + (error instanceof SyntaxError ? 'not valid JSON' : error.message));
+    }
+}
+
+function resetSlaPolicy() {
+    if (!confirm('Replace your SLA policy with the defaults?')) return;
+
+    parser.sla.clear();
+    renderSlaPolicy();
+    showSuccess('SLA policy reset to defaults');
+}
+
+/**
+ * An agent's category/priority correction replaces the stated-deadline adjustment
+ */
+function recalculateSla() {
+    if (!currentResult || !currentResult.sla) return;
+
+    const sla = parser.sla.calculate({
+        category: resultCategory.value,
+        priority: resultPriority.value,
+        received: Date.parse(currentResult.sla.received)
+    });
+    currentResult.sla = sla;
+    currentResult.respondBy = sla.respondBy;
+    currentResult.resolveBy = sla.resolveBy;
+    displaySla(currentResult);
+}
+
+renderSlaPolicy();
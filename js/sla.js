@@ -0,0 +1,399 @@
+/**
+ * SLA Calendar
+ * Response and resolution deadlines from category/priority targets, business hours, time zone and holidays
+ */
+
+class SlaCalendar {
+    constructor(storage) {
+        this.storage = storage || null;
+        this.storageKey = 'emailToTicket.sla';
+        this.version = 1;
+
+        // Lowest to highest; a stated deadline can only move a ticket up this list
+        this.priorityOrder = ['low', 'medium', 'high', 'urgent'];
+        this.calendars = ['business', '24x7'];
+
+        this.maxHolidays = 500;
+        this.maxTargetCategories = 100;
+        this.maxTargetHours = 8760;
+
+        // Longest walk through the calendar for a business-hours due date; business targets are limited to a year of
+        // business hours so they fit, with weeks to spare for holidays
+        this.maxCalendarDays = 400;
+        this.maxBusinessWeeks = 52;
+        this.forbiddenNames = ['__proto__', 'constructor', 'prototype'];
+
+        this.apply(null);
+    }
+
+    /**
+     * Built-in policy: weekdays 9-17 in this machine's time zone
+     * Targets are keyed by category, then priority; '*' covers every category
+     */
+    defaults() {
+        let timezone = 'UTC';
+        try {
+            timezone = new Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            // Very old engines without time zone support
+        }
+
+        return {
+            version: this.version,
+            timezone,
+            businessHours: { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' },
+            holidays: [],
+            targets: {
+                '*': {
+                    urgent: { respondHours: 0.5, resolveHours: 4, calendar: '24x7' },
+                    high: { respondHours: 1, resolveHours: 8, calendar: 'business' },
+                    medium: { respondHours: 4, resolveHours: 24, calendar: 'business' },
+                    low: { respondHours: 8, resolveHours: 40, calendar: 'business' }
+                }
+            }
+        };
+    }
+
+    /**
+     * Load the saved policy (null if none or invalid)
+     */
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? this.validate(JSON.parse(raw)) : null;
+        } catch (error) {
+            console.warn('Ignoring saved SLA policy: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate, persist and switch to a policy
+     */
+    save(config) {
+        const valid = this.validate(config);
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(valid));
+        }
+        this.apply(valid);
+        return valid;
+    }
+
+    /**
+     * Forget the saved policy and go back to the defaults
+     */
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+        this.apply(null);
+    }
+
+    /**
+     * Use a policy (null for the defaults)
+     */
+    apply(config) {
+        this.config = config ? this.validate(config) : this.defaults();
+        this.holidays = new Set(this.config.holidays);
+        this.openMinutes = this.clockMinutes(this.config.businessHours.start);
+        this.closeMinutes = this.clockMinutes(this.config.businessHours.end);
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.config.timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric'
+        });
+    }
+
+    /**
+     * Due dates for a ticket received at `received` (ms); a sooner stated deadline raises the priority
+     * Returns { priority, tightenedFrom, received, respondBy, resolveBy, respondHours, resolveHours, calendar, timezone, requestedBy }
+     */
+    calculate({ category, priority, received, deadlines }) {
+        const start = Number.isFinite(received) ? received : Date.now();
+
+        // The earliest deadline still ahead of the email
+        const stated = (deadlines || [])
+            .map(entity => Object.assign({ time: Date.parse(entity.resolved) }, entity))
+            .filter(entity => Number.isFinite(entity.time) && entity.time > start)
+            .sort((a, b) => a.time - b.time)[0] || null;
+
+        let level = this.priorityOrder.includes(priority) ? priority : 'medium';
+        let due = this.dueDates(category, level, start);
+
+        if (stated && stated.time < due.resolveBy) {
+            // Step up until a resolution target fits inside the requester's deadline
+            for (let index = this.priorityOrder.indexOf(level) + 1; index < this.priorityOrder.length; index++) {
+                level = this.priorityOrder[index];
+                due = this.dueDates(category, level, start);
+                if (due.resolveBy <= stated.time) break;
+            }
+        }
+
+        const resolveBy = stated ? Math.min(due.resolveBy, stated.time) : due.resolveBy;
+        return {
+            priority: level,
+            tightenedFrom: level !== priority && this.priorityOrder.includes(priority) ? priority : null,
+            received: new Date(start).toISOString(),
+            respondBy: new Date(Math.min(due.respondBy, resolveBy)).toISOString(),
+            resolveBy: new Date(resolveBy).toISOString(),
+            respondHours: due.target.respondHours,
+            resolveHours: due.target.resolveHours,
+            calendar: due.target.calendar,
+            timezone: this.config.timezone,
+            requestedBy: stated
+                ? { value: stated.value, resolved: stated.resolved, field: stated.field, start: stated.start, end: stated.end }
+                : null
+        };
+    }
+
+    /**
+     * Response and resolution instants (ms) for one category/priority
+     */
+    dueDates(category, priority, start) {
+        const target = this.target(category, priority);
+        const add = target.calendar === '24x7'
+            ? (time, hours) => time + hours * 3600000
+            : (time, hours) => this.addBusinessTime(time, hours * 3600000);
+
+        return { target, respondBy: add(start, target.respondHours), resolveBy: add(start, target.resolveHours) };
+    }
+
+    /**
+     * Category-specific target, else the '*' target for the priority
+     */
+    target(category, priority) {
+        const targets = this.config.targets;
+        const own = Object.prototype.hasOwnProperty.call(targets, category) ? targets[category] : null;
+        return (own && own[priority]) || targets['*'][priority] || targets['*'].medium;
+    }
+
+    /**
+     * Add working time, skipping nights, closed weekdays and holidays
+     */
+    addBusinessTime(start, ms) {
+        let time = start;
+        let remaining = ms;
+
+        for (let day = 0; day < this.maxCalendarDays; day++) {
+            const wall = this.wallClock(time);
+            if (this.isBusinessDay(wall)) {
+                const open = this.fromWallClock(wall.year, wall.month, wall.day, this.openMinutes);
+                const close = this.fromWallClock(wall.year, wall.month, wall.day, this.closeMinutes);
+                const from = Math.max(time, open);
+                if (from < close) {
+                    if (from + remaining <= close) return from + remaining;
+                    remaining -= close - from;
+                }
+            }
+            time = this.fromWallClock(wall.year, wall.month, wall.day + 1, 0);
+        }
+
+        // Only reachable when holidays close most of the year; wall-clock time would give an early due date
+        throw new Error(`SLA target needs more business hours than the next ${this.maxCalendarDays} days have - check the holidays`);
+    }
+
+    isBusinessDay(wall) {
+        const date = `${wall.year}-${String(wall.month).padStart(2, '0')}-${String(wall.day).padStart(2, '0')}`;
+        return this.config.businessHours.days.includes(wall.weekday) &&
+            !this.holidays.has(date) && !this.holidays.has(date.substring(5));
+    }
+
+    /**
+     * Calendar date, weekday (0 = Sunday) and minute of day in the policy's time zone
+     */
+    wallClock(time) {
+        const parts = Object.create(null);
+        for (const part of this.formatter.formatToParts(new Date(time))) {
+            parts[part.type] = part.value;
+        }
+        return {
+            year: Number(parts.year),
+            month: Number(parts.month),
+            day: Number(parts.day),
+            weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+            minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+        };
+    }
+
+    /**
+     * Instant of a wall-clock time in the policy's time zone (days may overflow into the next month)
+     */
+    fromWallClock(year, month, day, minutes) {
+        const local = Date.UTC(year, month - 1, day, 0, minutes);
+        // Second pass corrects the guess when the offset changes in between (DST)
+        const guess = local - this.offsetAt(local);
+        return local - this.offsetAt(guess);
+    }
+
+    /**
+     * Zone offset from UTC (ms) at an instant
+     */
+    offsetAt(time) {
+        const wall = this.wallClock(time);
+        const minute = Math.floor(time / 60000) * 60000;
+        return Date.UTC(wall.year, wall.month - 1, wall.day, 0, wall.minutes) - minute;
+    }
+
+    /**
+     * "Tue, Mar 3, 2:30 PM EST" in the policy's time zone
+     */
+    format(value) {
+        return new Date(value).toLocaleString('en-US', {
+            timeZone: this.config.timezone,
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+            timeZoneName: 'short'
+        });
+    }
+
+    /**
+     * "YYYY-MM-DD" of an instant in the policy's time zone
+     */
+    localDate(value) {
+        const wall = this.wallClock(Date.parse(value));
+        return `${wall.year}-${String(wall.month).padStart(2, '0')}-${String(wall.day).padStart(2, '0')}`;
+    }
+
+    clockMinutes(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    /**
+     * Rebuild a policy from scratch, copying only known fields
+     */
+    validate(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('SLA policy must be an object');
+        }
+
+        const timezone = config.timezone === undefined ? this.defaults().timezone : config.timezone;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (error) {
+            throw new Error(`Unknown time zone: ${String(timezone).substring(0, 50)} (use an IANA name such as America/New_York)`);
+        }
+
+        const hours = config.businessHours || {};
+        const days = hours.days === undefined ? [1, 2, 3, 4, 5] : hours.days;
+        if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+            throw new Error('businessHours.days must list weekdays as numbers from 0 (Sunday) to 6 (Saturday)');
+        }
+        const start = hours.start === undefined ? '09:00' : hours.start;
+        const end = hours.end === undefined ? '17:00' : hours.end;
+        for (const value of [start, end]) {
+            if (typeof value !== 'string' || !/^(?:[01]\d|2[0-3]):[0-5]\d$|^24:00$/.test(value)) {
+                throw new Error('businessHours.start and end must be 24-hour "HH:MM" times');
+            }
+        }
+        if (this.clockMinutes(start) >= this.clockMinutes(end)) {
+            throw new Error('businessHours.start must be before businessHours.end');
+        }
+
+        const holidays = config.holidays === undefined ? [] : config.holidays;
+        if (!Array.isArray(holidays) || holidays.length > this.maxHolidays) {
+            throw new Error(`holidays must be an array of at most ${this.maxHolidays} dates`);
+        }
+        for (const holiday of holidays) {
+            if (typeof holiday !== 'string' || !/^(?:\d{4}-)?(?:0[1-9]|1[0-2])-(?:0[1-9]|[12]\d|3[01])$/.test(holiday)) {
+                throw new Error(`Invalid holiday "${String(holiday).substring(0, 30)}": use YYYY-MM-DD, or MM-DD for every year`);
+            }
+        }
+
+        const targets = this.validateTargets(config.targets === undefined ? this.defaults().targets : config.targets);
+        const weekHours = new Set(days).size * (this.clockMinutes(end) - this.clockMinutes(start)) / 60;
+        const maxBusinessHours = Math.floor(weekHours * this.maxBusinessWeeks);
+        for (const name of Object.keys(targets)) {
+            for (const priority of Object.keys(targets[name])) {
+                if (targets[name][priority].calendar === 'business' && targets[name][priority].resolveHours > maxBusinessHours) {
+                    throw new Error(`resolveHours for ${name}/${priority} can be at most ${maxBusinessHours} business hours ` +
+                        `(${this.maxBusinessWeeks} weeks of these business hours); use the 24x7 calendar for longer targets`);
+                }
+            }
+        }
+
+        return {
+            version: this.version,
+            timezone,
+            businessHours: { days: Array.from(new Set(days)).sort(), start, end },
+            holidays: Array.from(new Set(holidays)),
+            targets
+        };
+    }
+
+    /**
+     * Targets: { category|'*': { priority: { respondHours, resolveHours, calendar } } }; '*' must cover every priority
+     */
+    validateTargets(targets) {
+        if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+            throw new Error('targets must be an object keyed by category');
+        }
+        const names = Object.keys(targets);
+        if (names.length > this.maxTargetCategories) {
+            throw new Error(`Too many target categories (max ${this.maxTargetCategories})`);
+        }
+
+        // Use Object.create(null) to prevent prototype pollution
+        const clean = Object.create(null);
+        for (const name of names) {
+            if (name !== '*' && (!/^[a-z0-9_]{1,50}$/.test(name) || this.forbiddenNames.includes(name))) {
+                throw new Error(`Invalid target category "${name.substring(0, 50)}"`);
+            }
+            const levels = targets[name];
+            if (!levels || typeof levels !== 'object' || Array.isArray(levels)) {
+                throw new Error(`Targets for ${name} must be an object keyed by priority`);
+            }
+
+            clean[name] = Object.create(null);
+            for (const priority of Object.keys(levels)) {
+                if (!this.priorityOrder.includes(priority)) {
+                    throw new Error(`Unknown priority "${priority.substring(0, 20)}" in targets for ${name}`);
+                }
+                clean[name][priority] = this.validateTarget(levels[priority], `${name}/${priority}`);
+            }
+        }
+
+        if (!clean['*'] || this.priorityOrder.some(priority => !clean['*'][priority])) {
+            throw new Error(`targets["*"] must set ${this.priorityOrder.join(', ')}`);
+        }
+        return clean;
+    }
+
+    validateTarget(target, owner) {
+        if (!target || typeof target !== 'object') {
+            throw new Error(`Target ${owner} must be an object`);
+        }
+        for (const key of ['respondHours', 'resolveHours']) {
+            const value = target[key];
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > this.maxTargetHours) {
+                throw new Error(`${key} for ${owner} must be a number of hours from 0 to ${this.maxTargetHours}`);
+            }
+        }
+        if (target.respondHours > target.resolveHours) {
+            throw new Error(`respondHours for ${owner} cannot be longer than resolveHours`);
+        }
+
+        const calendar = target.calendar === undefined ? 'business' : target.calendar;
+        if (!this.calendars.includes(calendar)) {
+            throw new Error(`calendar for ${owner} must be "business" or "24x7"`);
+        }
+        return { respondHours: target.respondHours, resolveHours: target.resolveHours, calendar };
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SlaCalendar };
+} else {
+    self.SlaCalendar = SlaCalendar;
+}
@@ -0,0 +1,211 @@
+/**
+ * Email-to-Ticket Parser - Taxonomy Editor Panel
+ * Edits the parser's categories and urgency keywords in place
+ */
+
+const taxonomyList = document.getElementById('taxonomyList');
+const urgencyKeywordsInput = document.getElementById('urgencyKeywordsInput');
+const addCategoryBtn = document.getElementById('addCategoryBtn');
+const saveTaxonomyBtn = document.getElementById('saveTaxonomyBtn');
+const resetTaxonomyBtn = document.getElementById('resetTaxonomyBtn');
+const exportTaxonomyBtn = document.getElementById('exportTaxonomyBtn');
+const importTaxonomyInput = document.getElementById('importTaxonomyInput');
+
+if (!taxonomyList || !urgencyKeywordsInput || !addCategoryBtn || !saveTaxonomyBtn ||
+    !resetTaxonomyBtn || !exportTaxonomyBtn || !importTaxonomyInput) {
+    console.error('Taxonomy panel elements not found');
+    throw new Error('Failed to initialize: missing taxonomy panel elements');
+}
+
+// Built-in taxonomy, captured from a fresh parser so "Reset" ignores saved edits
+const DEFAULT_TAXONOMY = taxonomyStore.fromParser(new EmailParser());
+
+// Working copy edited by the panel; only applied to the parser on save
+let taxonomyDraft = taxonomyStore.fromParser(parser);
+
+addCategoryBtn.addEventListener('click', addCategory);
+saveTaxonomyBtn.addEventListener('click', saveTaxonomy);
+resetTaxonomyBtn.addEventListener('click', resetTaxonomy);
+exportTaxonomyBtn.addEventListener('click', exportTaxonomy);
+importTaxonomyInput.addEventListener('change', importTaxonomy);
+urgencyKeywordsInput.addEventListener('input', () => {
+    taxonomyDraft.urgencyKeywords = splitKeywords(urgencyKeywordsInput.value);
+});
+
+/**
+ * Render the draft taxonomy as editable rows
+ */
+function renderTaxonomy() {
+    taxonomyList.textContent = '';
+
+    taxonomyDraft.categories.forEach((category, index) => {
+        const row = document.createElement('div');
+        row.className = 'taxonomy-row' + (category.enabled ? '' : ' disabled');
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = category.enabled;
+        enabled.setAttribute('aria-label', `Enable ${category.name}`);
+        enabled.addEventListener('change', () => {
+            category.enabled = enabled.checked;
+            row.classList.toggle('disabled', !enabled.checked);
+        });
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'taxonomy-name';
+        name.value = category.name;
+        name.maxLength = 50;
+        name.setAttribute('aria-label', 'Category name');
+        name.addEventListener('input', () => {
+            category.name = name.value.trim().toLowerCase().replace(/\s+/g, '_');
+        });
+
+        const priority = document.createElement('select');
+        priority.setAttribute('aria-label', `Default priority for ${category.name}`);
+        taxonomyStore.validPriorities.forEach((level) => {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = level;
+            option.selected = category.priority === level;
+            priority.appendChild(option);
+        });
+        priority.addEventListener('change', () => {
+            category.priority = priority.value;
+        });
+
+        const keywords = document.createElement('textarea');
+        keywords.className = 'taxonomy-keywords';
+        keywords.value = taxonomyStore.formatKeywords(category);
+        keywords.rows = 2;
+        keywords.setAttribute('aria-label', `Keywords for ${category.name} (comma-separated, term^2 to weight, -term to penalize)`);
+        keywords.addEventListener('input', () => {
+            Object.assign(category, taxonomyStore.parseKeywordText(keywords.value));
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'taxonomy-actions';
+        actions.append(
+            createRowButton('⬆️', `Move ${category.name} up`, () => moveCategory(index, -1), index === 0),
+            createRowButton('⬇️', `Move ${category.name} down`, () => moveCategory(index, 1), index === taxonomyDraft.categories.length - 1),
+            createRowButton('🗑️', `Delete ${category.name}`, () => deleteCategory(index), false)
+        );
+
+        row.append(enabled, name, priority, keywords, actions);
+        taxonomyList.appendChild(row);
+    });
+
+    urgencyKeywordsInput.value = taxonomyDraft.urgencyKeywords.join(', ');
+}
+
+/**
+ * Build a small icon button for a taxonomy row
+ */
+function createRowButton(label, ariaLabel, onClick, disabled) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'icon-btn';
+    button.textContent = label;
+    button.disabled = disabled;
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Split comma/newline separated keywords
+ */
+function splitKeywords(text) {
+    return String(text).split(/[,\n]/).map(keyword => keyword.trim()).filter(Boolean);
+}
+
+/**
+ * Append an empty category
+ */
+function addCategory() {
+    let suffix = taxonomyDraft.categories.length + 1;
+    while (taxonomyDraft.categories.some(category => category.name === `custom_${suffix}`)) {
+        suffix++;
+    }
+    taxonomyDraft.categories.push({ name: `custom_${suffix}`, keywords: [], negativeKeywords: [], priority: 'medium', enabled: true });
+    renderTaxonomy();
+}
+
+/**
+ * Move a category up or down (earlier categories win ties)
+ */
+function moveCategory(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= taxonomyDraft.categories.length) return;
+
+    const [category] = taxonomyDraft.categories.splice(index, 1);
+    taxonomyDraft.categories.splice(target, 0, category);
+    renderTaxonomy();
+}
+
+/**
+ * Remove a category from the draft
+ */
+function deleteCategory(index) {
+    taxonomyDraft.categories.splice(index, 1);
+    renderTaxonomy();
+}
+
+/**
+ * Validate, persist and apply the draft
+ */
+function saveTaxonomy() {
+    try {
+        const saved = taxonomyStore.save(taxonomyDraft);
+        taxonomyStore.apply(parser, saved);
+        taxonomyDraft = taxonomyStore.fromParser(parser);
+        renderTaxonomy();
+        showSuccess('Categories saved');
+    } catch (error) {
+        showError('Could not save categories: ' + error.message);
+    }
+}
+
+/**
+ * Restore the built-in taxonomy
+ */
+function resetTaxonomy() {
+    if (!confirm('Reset all categories and keywords to the built-in defaults?')) {
+        return;
+    }
+
+    taxonomyStore.clear();
+    taxonomyStore.apply(parser, DEFAULT_TAXONOMY);
+    taxonomyDraft = taxonomyStore.fromParser(parser);
+    renderTaxonomy();
+}
+
+/**
+ * Download the draft as a shareable JSON file
+ */
+function exportTaxonomy() {
+    try {
+        downloadFile(taxonomyStore.exportJSON(taxonomyDraft), 'ticket-taxonomy.json', 'application/json');
+    } catch (error) {
+        showError('Could not export categories: ' + error.message);
+    }
+}
+
+/**
+ * Load a shared JSON file into the draft (still needs Save)
+ */
+function importTaxonomy() {
+    const file = importTaxonomyInput.files && importTaxonomyInput.files[0];
+    importTaxonomyInput.value = '';
+    if (!file) return;
+
+    file.text().then((text) => {
+        taxonomyDraft = taxonomyStore.importJSON(text);
+        renderTaxonomy();
+        showSuccess('Categories imported - review and click Save to apply');
+    }).catch((error) => {
+        showError('Could not import categories: ' + error.message);
+    });
+}
+
+renderTaxonomy();
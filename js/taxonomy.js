@@ -0,0 +1,277 @@
+/**
+ * Taxonomy Store
+ * Validates, persists and applies user-edited category/urgency configuration
+ */
+
+class TaxonomyStore {
+    constructor(storage) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.storageKey = 'emailToTicket.taxonomy';
+        this.version = 1;
+
+        // Limits keep imported files from bloating localStorage or the classifier loop
+        this.maxCategories = 100;
+        this.maxKeywords = 200;
+        this.maxKeywordLength = 100;
+        this.maxWeight = 10;
+        this.validPriorities = ['low', 'medium', 'high', 'urgent'];
+
+        // Names that could reach Object.prototype through property assignment
+        this.forbiddenNames = ['__proto__', 'constructor', 'prototype'];
+    }
+
+    /**
+     * Snapshot a parser's current taxonomy as a plain config
+     */
+    fromParser(parser) {
+        const categories = Object.keys(parser.categories).map(name => ({
+            name,
+            keywords: parser.categories[name].keywords.slice(),
+            negativeKeywords: (parser.categories[name].negativeKeywords || []).slice(),
+            priority: parser.categories[name].priority || 'medium',
+            enabled: true
+        }));
+
+        // Disabled categories go back to the position they were saved at
+        for (const category of parser.disabledCategories || []) {
+            categories.splice(Math.min(category.position, categories.length), 0, {
+                name: category.name,
+                keywords: category.keywords.slice(),
+                negativeKeywords: category.negativeKeywords.slice(),
+                priority: category.priority,
+                enabled: false
+            });
+        }
+
+        return {
+            version: this.version,
+            categories,
+            urgencyKeywords: parser.urgencyKeywords.slice()
+        };
+    }
+
+    /**
+     * Load a saved config (null if none or invalid)
+     */
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? this.validate(JSON.parse(raw)) : null;
+        } catch (error) {
+            // Corrupt or outdated config - fall back to the built-in taxonomy
+            console.warn('Ignoring saved taxonomy: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate and persist a config
+     */
+    save(config) {
+        const valid = this.validate(config);
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(valid));
+        }
+        return valid;
+    }
+
+    /**
+     * Remove the saved config
+     */
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * Load a config into a parser; array order is classification tie-break order
+     */
+    apply(parser, config) {
+        if (!config) return;
+        const valid = this.validate(config);
+
+        // Use Object.create(null) to prevent prototype pollution
+        const categories = Object.create(null);
+        const disabled = [];
+        valid.categories.forEach((category, position) => {
+            if (category.enabled) {
+                categories[category.name] = {
+                    keywords: category.keywords.slice(),
+                    negativeKeywords: category.negativeKeywords.slice(),
+                    priority: category.priority
+                };
+            } else {
+                disabled.push(Object.assign({ position }, category));
+            }
+        });
+
+        parser.categories = categories;
+        parser.disabledCategories = disabled;
+        parser.urgencyKeywords = valid.urgencyKeywords.slice();
+    }
+
+    /**
+     * Serialize a config for sharing
+     */
+    exportJSON(config) {
+        return JSON.stringify(this.validate(config), null, 2);
+    }
+
+    /**
+     * Parse and validate a shared config
+     */
+    importJSON(text) {
+        if (typeof text !== 'string' || text.length > 1000000) {
+            throw new Error('Taxonomy file must be JSON text under 1MB');
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Taxonomy file is not valid JSON');
+        }
+
+        return this.validate(data);
+    }
+
+    /**
+     * Rebuild a config from scratch, copying only known fields
+     */
+    validate(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Taxonomy must be an object');
+        }
+        if (!Array.isArray(config.categories)) {
+            throw new Error('Taxonomy must have a categories array');
+        }
+        if (config.categories.length > this.maxCategories) {
+            throw new Error(`Too many categories (max ${this.maxCategories})`);
+        }
+
+        const seen = new Set();
+        const categories = config.categories.map((category, index) => {
+            if (!category || typeof category !== 'object') {
+                throw new Error(`Category ${index + 1} must be an object`);
+            }
+
+            const name = this.validateName(category.name);
+            if (seen.has(name)) {
+                throw new Error(`Duplicate category name: ${name}`);
+            }
+            seen.add(name);
+
+            const priority = category.priority === undefined ? 'medium' : category.priority;
+            if (!this.validPriorities.includes(priority)) {
+                throw new Error(`Invalid priority for ${name}: must be one of ${this.validPriorities.join(', ')}`);
+            }
+
+            return {
+                name,
+                keywords: this.validateKeywords(category.keywords, name, true),
+                negativeKeywords: this.validateKeywords(category.negativeKeywords || [], `${name} negative keywords`, false),
+                priority,
+                enabled: category.enabled !== false
+            };
+        });
+
+        return {
+            version: this.version,
+            categories,
+            urgencyKeywords: this.validateKeywords(config.urgencyKeywords || [], 'urgency keywords', false)
+        };
+    }
+
+    /**
+     * Category names become object keys and CSS-visible labels, so keep them simple
+     */
+    validateName(name) {
+        if (typeof name !== 'string' || !/^[a-z0-9_]{1,50}$/.test(name)) {
+            throw new Error('Category names must be 1-50 lowercase letters, digits or underscores');
+        }
+        if (this.forbiddenNames.includes(name) || name === 'other') {
+            throw new Error(`Reserved category name: ${name}`);
+        }
+        return name;
+    }
+
+    /**
+     * Keywords are trimmed, lowercased, de-duplicated strings or { term, weight } objects
+     */
+    validateKeywords(keywords, owner, allowWeights) {
+        if (!Array.isArray(keywords)) {
+            throw new Error(`Keywords for ${owner} must be an array`);
+        }
+        if (keywords.length > this.maxKeywords) {
+            throw new Error(`Too many keywords for ${owner} (max ${this.maxKeywords})`);
+        }
+
+        const clean = [];
+        const seen = new Set();
+        for (const keyword of keywords) {
+            const isWeighted = allowWeights && keyword !== null && typeof keyword === 'object' && !Array.isArray(keyword);
+            const term = isWeighted ? keyword.term : keyword;
+            if (typeof term !== 'string') {
+                throw new Error(`Keywords for ${owner} must be ${allowWeights ? 'strings or { term, weight } objects' : 'strings'}`);
+            }
+
+            const value = term.trim().toLowerCase();
+            if (value.length > this.maxKeywordLength) {
+                throw new Error(`Keyword too long in ${owner} (max ${this.maxKeywordLength} characters)`);
+            }
+            if (!value || seen.has(value)) continue;
+            seen.add(value);
+
+            const weight = isWeighted && keyword.weight !== undefined ? keyword.weight : 1;
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0 || weight > this.maxWeight) {
+                throw new Error(`Invalid weight for "${value}" in ${owner}: must be a number above 0 and at most ${this.maxWeight}`);
+            }
+            clean.push(weight === 1 ? value : { term: value, weight });
+        }
+        return clean;
+    }
+
+    /**
+     * Render a category's keywords for editing: "printer^2, print, -print screen"
+     */
+    formatKeywords(category) {
+        const positive = category.keywords.map(keyword =>
+            typeof keyword === 'string' ? keyword : `${keyword.term}^${keyword.weight}`
+        );
+        const negative = (category.negativeKeywords || []).map(keyword => `-${keyword}`);
+        return positive.concat(negative).join(', ');
+    }
+
+    /**
+     * Parse edited keyword text back into keywords and negative keywords
+     */
+    parseKeywordText(text) {
+        const keywords = [];
+        const negativeKeywords = [];
+
+        for (const entry of String(text).split(/[,\n]/)) {
+            const item = entry.trim();
+            if (!item) continue;
+
+            if (item.startsWith('-')) {
+                negativeKeywords.push(item.substring(1).trim());
+                continue;
+            }
+
+            const weighted = item.match(/^(.+?)\s*\^\s*([0-9]*\.?[0-9]+)$/);
+            keywords.push(weighted ? { term: weighted[1], weight: parseFloat(weighted[2]) } : item);
+        }
+
+        return { keywords, negativeKeywords };
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TaxonomyStore };
+} else {
+    self.TaxonomyStore = TaxonomyStore;
+}
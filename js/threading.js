@@ -0,0 +1,212 @@
+/**
+ * Thread Index
+ * Links replies to earlier tickets and flags near-duplicate reports
+ */
+
+class ThreadIndex {
+    constructor(storage, scoring) {
+        this.storage = storage !== undefined ? storage : (typeof localStorage !== 'undefined' ? localStorage : null);
+        if (!scoring) {
+            const modules = typeof module !== 'undefined' && module.exports ? require('./scoring.js') : self;
+            scoring = new modules.ScoringEngine();
+        }
+        this.scoring = scoring;
+        this.storageKey = 'emailToTicket.threads';
+
+        this.maxEntries = 500;
+        this.maxTerms = 60;
+
+        // Cosine similarity at or above this flags a possible duplicate
+        this.duplicateThreshold = 0.6;
+        this.maxRelated = 5;
+
+        // Subject-only threading is limited to recent tickets
+        this.subjectWindowMs = 30 * 24 * 60 * 60 * 1000;
+        this.minSubjectLength = 8;
+
+        // Reply/forward markers across common mail clients and locales, plus external-sender tags
+        this.subjectPrefix = /^\s*(?:(?:re|fw|fwd|aw|wg|sv|vs|tr|rv|antw|r)\s*(?:\[\d+\])?\s*:|\[(?:ext|external|extern)\]|external:)\s*/i;
+
+        this.stopwords = new Set([
+            'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'was', 'our', 'has', 'have',
+            'this', 'that', 'with', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'when',
+            'your', 'been', 'please', 'thank', 'thanks', 'hello', 'team', 'support', 'get', 'any'
+        ]);
+
+        this.entries = this.load();
+    }
+
+    /**
+     * Load stored entries (session-only if storage is unavailable)
+     */
+    load() {
+        if (!this.storage) return [];
+        try {
+            const data = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            return Array.isArray(data) ? data.filter(entry => entry && typeof entry.ticketId === 'string') : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Persist entries, keeping the newest
+     */
+    save() {
+        this.entries = this.entries.slice(-this.maxEntries);
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            // Quota exceeded - keep the in-memory index for this session
+            console.warn('Could not save thread index: ' + error.message);
+        }
+    }
+
+    /**
+     * Forget every remembered ticket
+     */
+    clear() {
+        this.entries = [];
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+    }
+
+    /**
+     * Strip Re:/Fwd:/[EXT] prefixes and normalize whitespace and case
+     */
+    normalizeSubject(subject) {
+        let text = String(subject || '').substring(0, 500);
+        let previous;
+        do {
+            previous = text;
+            text = text.replace(this.subjectPrefix, '');
+        } while (text !== previous);
+        return text.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    /**
+     * Whether a subject carries a reply/forward marker
+     */
+    isReplySubject(subject) {
+        return this.subjectPrefix.test(String(subject || ''));
+    }
+
+    /**
+     * Stem frequency vector for similarity
+     */
+    fingerprint(subject, body) {
+        const counts = Object.create(null);
+        for (const token of this.scoring.tokenize(`${subject || ''} ${String(body || '').substring(0, 5000)}`)) {
+            if (token.stem.length < 3 || this.stopwords.has(token.word) || /^\d+$/.test(token.stem)) continue;
+            counts[token.stem] = (counts[token.stem] || 0) + 1;
+        }
+
+        // Keep the most frequent terms so stored entries stay small
+        const terms = Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, this.maxTerms);
+        const vector = {};
+        for (const term of terms) {
+            vector[term] = counts[term];
+        }
+        return vector;
+    }
+
+    /**
+     * Cosine similarity of two frequency vectors
+     */
+    similarity(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+        for (const term of Object.keys(a)) {
+            normA += a[term] * a[term];
+            if (Object.prototype.hasOwnProperty.call(b, term)) dot += a[term] * b[term];
+        }
+        for (const term of Object.keys(b)) {
+            normB += b[term] * b[term];
+        }
+        return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+    }
+
+    /**
+     * Find the thread and related tickets for a new parse, then remember it
+     * ticket: { ticketId, subject, body, fromAddress, headers, timestamp }
+     */
+    link(ticket) {
+        const headers = ticket.headers || {};
+        const normalizedSubject = this.normalizeSubject(ticket.subject);
+        const vector = this.fingerprint(normalizedSubject, ticket.body);
+        const now = Date.parse(ticket.timestamp) || Date.now();
+        const referenced = [headers.inReplyTo].concat(headers.references || []).filter(Boolean);
+
+        const related = [];
+        let parent = null;
+
+        for (let i = this.entries.length - 1; i >= 0; i--) {
+            const entry = this.entries[i];
+            if (entry.ticketId === ticket.ticketId) continue;
+
+            const similarity = Math.round(this.similarity(vector, entry.vector || {}) * 100) / 100;
+            let reason = null;
+
+            // Header threading is authoritative
+            if (entry.messageId && referenced.includes(entry.messageId)) {
+                reason = entry.messageId === headers.inReplyTo ? 'in-reply-to' : 'references';
+            } else if (normalizedSubject.length >= this.minSubjectLength &&
+                entry.normalizedSubject === normalizedSubject &&
+                now - (Date.parse(entry.timestamp) || 0) <= this.subjectWindowMs &&
+                (this.isReplySubject(ticket.subject) || (ticket.fromAddress && entry.fromAddress === ticket.fromAddress))) {
+                reason = 'subject';
+            }
+
+            if (reason) {
+                related.push({ ticketId: entry.ticketId, threadId: entry.threadId, relation: 'reply', reason, similarity });
+                if (!parent || (reason !== 'subject' && parent.reason === 'subject')) {
+                    parent = { threadId: entry.threadId, reason };
+                }
+            } else if (similarity >= this.duplicateThreshold) {
+                related.push({ ticketId: entry.ticketId, threadId: entry.threadId, relation: 'duplicate', reason: 'content', similarity });
+            }
+        }
+
+        related.sort((a, b) => (a.relation === b.relation ? b.similarity - a.similarity : (a.relation === 'reply' ? -1 : 1)));
+
+        const threadId = parent ? parent.threadId : ticket.ticketId;
+        // A re-parse that kept its ID (see TicketIdScheme fromMessageId) replaces the earlier entry
+        this.entries = this.entries.filter(entry => entry.ticketId !== ticket.ticketId);
+        this.entries.push({
+            ticketId: ticket.ticketId,
+            threadId,
+            messageId: headers.messageId || null,
+            normalizedSubject,
+            fromAddress: ticket.fromAddress || null,
+            timestamp: new Date(now).toISOString(),
+            vector
+        });
+        this.save();
+
+        return {
+            threadId,
+            relatedTickets: related.slice(0, this.maxRelated).map(({ ticketId, relation, reason, similarity }) => ({ ticketId, relation, reason, similarity })),
+            similarity: related.reduce((max, entry) => Math.max(max, entry.similarity), 0)
+        };
+    }
+
+    /**
+     * Add entries linked by another index (the batch worker's), replacing any with the same ticket ID
+     */
+    remember(entries) {
+        const added = entries.filter(entry => entry && typeof entry.ticketId === 'string');
+        const ids = new Set(added.map(entry => entry.ticketId));
+        this.entries = this.entries.filter(entry => !ids.has(entry.ticketId)).concat(added);
+        this.save();
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ThreadIndex };
+} else {
+    self.ThreadIndex = ThreadIndex;
+}
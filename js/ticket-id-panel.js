@@ -0,0 +1,79 @@
+/**
+ * Email-to-Ticket Parser - Ticket ID Panel
+ * Editor for the ticket ID template, prefixes and numbering, with a preview of the next ID
+ */
+
+const ticketIdPanel = document.getElementById('ticketIdPanel');
+const ticketIdSchemeInput = document.getElementById('ticketIdSchemeInput');
+const saveTicketIdsBtn = document.getElementById('saveTicketIdsBtn');
+const resetTicketIdsBtn = document.getElementById('resetTicketIdsBtn');
+const ticketIdPreview = document.getElementById('ticketIdPreview');
+
+if (!ticketIdPanel || !ticketIdSchemeInput || !saveTicketIdsBtn || !resetTicketIdsBtn || !ticketIdPreview) {
+    console.error('Ticket ID panel elements not found');
+    throw new Error('Failed to initialize: missing ticket ID panel elements');
+}
+
+// Persist the scheme and its counters in this browser
+parser.ticketIds = new TicketIdScheme(localStorage);
+parser.ticketIds.apply(parser.ticketIds.load());
+
+saveTicketIdsBtn.addEventListener('click', saveTicketIdScheme);
+resetTicketIdsBtn.addEventListener('click', resetTicketIdScheme);
+// Counters advance in other tabs while the panel is closed
+ticketIdPanel.addEventListener('toggle', () => {
+    if (ticketIdPanel.open) renderTicketIdPreview();
+});
+// Every tab numbers with the same scheme
+window.addEventListener('storage', (event) => {
+    if (event.key !== parser.ticketIds.storageKey) return;
+    parser.ticketIds.apply(parser.ticketIds.load());
+    renderTicketIdScheme();
+});
+
+function renderTicketIdScheme() {
+    ticketIdSchemeInput.value = JSON.stringify(parser.ticketIds.config, null, 2);
+    renderTicketIdPreview();
+}
+
+/**
+ * Next ID for a ticket received now, and for the current ticket's category and client
+ */
+function renderTicketIdPreview() {
+    const examples = [`Next ID: ${parser.ticketIds.preview({ received: Date.now() })}`];
+    if (currentResult) {
+        const fields = parser.ticketIdFields(currentResult.category, currentResult.requester,
+            parser.senderAddress(currentResult.from, currentResult.headers), null, null);
+        examples.push(`for a ${currentResult.categoryLabel} ticket like this one: ${parser.ticketIds.preview(fields)}`);
+    }
+    ticketIdPreview.textContent = sanitizeOutput(examples.join(' · '));
+}
+
+/**
+ * Validate and store the scheme JSON; applies to tickets parsed from now on
+ */
+function saveTicketIdScheme() {
+    const text = ticketIdSchemeInput.value.trim();
+    if (text.length > 100000) {
+        showError('Ticket ID scheme must be under 100KB');
+        return;
+    }
+
+    try {
+        parser.ticketIds.save(JSON.parse(text));
+        renderTicketIdScheme();
+        showSuccess('Ticket ID scheme saved');
+    } catch (error) {
+        showError('Could not save ticket ID scheme: ' + (error instanceof SyntaxError ? 'not valid JSON' : error.message));
+    }
+}
+
+function resetTicketIdScheme() {
+    if (!confirm('Go back to the default TKT-<time>-<random> ticket IDs? Sequence counters are kept.')) return;
+
+    parser.ticketIds.clear();
+    renderTicketIdScheme();
+    showSuccess('Ticket ID scheme reset to defaults');
+}
+
+renderTicketIdScheme();
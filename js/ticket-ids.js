@@ -0,0 +1,438 @@
+/**
+ * Ticket ID Scheme
+ * Ticket IDs from a template with per-category/client prefixes, date parts, sequence counters and Message-ID hashes
+ */
+
+class TicketIdScheme {
+    constructor(storage) {
+        this.storage = storage || null;
+        this.storageKey = 'emailToTicket.ticketIds';
+        // Sequence counters and recently issued IDs, shared by every tab
+        this.stateKey = 'emailToTicket.ticketIds.state';
+        this.version = 1;
+
+        // Tabs take turns issuing IDs (see exclusive()); without the Web Locks API a lease in storage stands in
+        this.lockKey = 'emailToTicket.ticketIds.lock';
+        this.leaseTime = 5000;
+        this.leaseSettle = 50;
+
+        this.maxTemplateLength = 100;
+        this.maxPrefixes = 200;
+        this.maxWidth = 12;
+
+        // Recently issued IDs are remembered for collision checks; one sequence per prefix/date combination
+        this.maxIssued = 2000;
+        // IDs given to Message-IDs, kept far longer so re-parsing an old email still finds its {seq} ID
+        this.maxMessageIds = 10000;
+        this.maxSeries = 500;
+        this.maxAttempts = 50;
+
+        this.tokenPattern = /\{([A-Za-z]+)(?::(\d+))?\}/g;
+        this.tokens = ['prefix', 'YYYY', 'YY', 'MM', 'DD', 'seq', 'rand', 'hash', 'time'];
+        // A template needs one of these, or every ticket in a day would get the same ID
+        this.uniqueTokens = ['seq', 'rand', 'hash', 'time'];
+        this.prefixPattern = /^[A-Za-z0-9_.-]{0,20}$/;
+        this.forbiddenNames = ['__proto__', 'constructor', 'prototype'];
+
+        // Message-ID hashes (optional): an earlier script in browsers and workers, require() in Node
+        const modules = typeof module !== 'undefined' && module.exports ? require('./checksum.js') : self;
+        this.checksum = modules.Checksum || null;
+
+        // This tab's copy; re-read from storage before every ID
+        this.state = { counters: Object.create(null), issued: [], messageIds: Object.create(null) };
+        this.apply(null);
+    }
+
+    /**
+     * Built-in scheme: the original TKT-<base36 time>-<random> IDs
+     */
+    defaults() {
+        return {
+            version: this.version,
+            template: '{prefix}-{time}-{rand:6}',
+            prefix: 'TKT',
+            categoryPrefixes: {},
+            clientPrefixes: {},
+            start: 1,
+            fromMessageId: false
+        };
+    }
+
+    /**
+     * Load the saved scheme (null if none or invalid)
+     */
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const raw = this.storage.getItem(this.storageKey);
+            return raw ? this.validate(JSON.parse(raw)) : null;
+        } catch (error) {
+            console.warn('Ignoring saved ticket ID scheme: ' + error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Validate, persist and switch to a scheme
+     */
+    save(config) {
+        const valid = this.validate(config);
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify(valid));
+        }
+        this.apply(valid);
+        return valid;
+    }
+
+    /**
+     * Forget the saved scheme and go back to the defaults (counters are kept)
+     */
+    clear() {
+        if (this.storage) {
+            this.storage.removeItem(this.storageKey);
+        }
+        this.apply(null);
+    }
+
+    /**
+     * Use a scheme (null for the defaults)
+     */
+    apply(config) {
+        this.config = config ? this.validate(config) : this.defaults();
+    }
+
+    /**
+     * Next ID for { category, organization, domain, messageId, received (ms, from the Date header) }
+     * With fromMessageId, an email seen before gets its earlier ID back and the random parts come from its Message-ID
+     * With shared storage, call inside exclusive() so two tabs never take the same number; storage with its own
+     * transaction(task) (FileStorage in Node) is locked around each ID instead
+     */
+    next(ticket) {
+        if (this.storage && typeof this.storage.transaction === 'function') {
+            return this.storage.transaction(() => this.issue(ticket));
+        }
+        return this.issue(ticket);
+    }
+
+    issue(ticket) {
+        const key = this.config.fromMessageId && ticket.messageId ? String(ticket.messageId) : null;
+        const lookup = key ? this.messageIdKey(key) : null;
+
+        // Re-read so this tab continues sequences other tabs have advanced
+        const state = this.readState();
+        if (lookup && state.messageIds[lookup]) {
+            return state.messageIds[lookup];
+        }
+
+        const series = this.render(ticket, null);
+        let sequence = this.lastSequence(state, series);
+        let id = null;
+        for (let attempt = 0; attempt < this.maxAttempts && !id; attempt++) {
+            sequence++;
+            const candidate = this.render(ticket, { key, sequence, attempt });
+            // Skip IDs any tab has already given to another email
+            if (!state.issued.includes(candidate)) id = candidate;
+        }
+        if (!id) {
+            throw new Error('Could not find an unused ticket ID - add {seq}, {rand} or {time} to the ticket ID template');
+        }
+
+        if (this.usesToken('seq')) {
+            // Most recently used series last, so the oldest are dropped first
+            delete state.counters[series];
+            state.counters[series] = sequence;
+        }
+        state.issued.push(id);
+        if (lookup) state.messageIds[lookup] = id;
+        this.writeState(state);
+        return id;
+    }
+
+    /**
+     * Run task() while no other tab can issue IDs, so next() inside it reads and writes the shared counters
+     * in one step. Resolves to the task's result.
+     */
+    exclusive(task) {
+        if (!this.storage) return Promise.resolve().then(task);
+
+        const locks = typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request ? navigator.locks : null;
+        if (locks) return locks.request(this.lockKey, () => task());
+
+        return this.lease().then((release) => {
+            try {
+                return task();
+            } finally {
+                release();
+            }
+        });
+    }
+
+    /**
+     * Take the storage lease; resolves to a function that gives it back
+     * Two tabs can both see it free and write it, so each re-checks once the other's write has landed
+     */
+    lease() {
+        const owner = this.randomChars(12);
+        const holder = () => {
+            const [name, expires] = String(this.storage.getItem(this.lockKey) || '').split(':');
+            return name && Number(expires) > Date.now() ? name : null;
+        };
+        const release = () => {
+            if (holder() === owner) this.storage.removeItem(this.lockKey);
+        };
+
+        return new Promise((resolve) => {
+            const attempt = () => {
+                try {
+                    if (holder() === null) this.storage.setItem(this.lockKey, `${owner}:${Date.now() + this.leaseTime}`);
+                } catch (error) {
+                    // Storage full or blocked - go ahead unlocked rather than never issuing an ID
+                    console.warn('Could not lock ticket ID counters: ' + error.message);
+                    resolve(() => {});
+                    return;
+                }
+                setTimeout(() => {
+                    if (holder() === owner) resolve(release);
+                    else setTimeout(attempt, this.leaseSettle + Math.floor(Math.random() * this.leaseSettle));
+                }, this.leaseSettle);
+            };
+            attempt();
+        });
+    }
+
+    /**
+     * The ID next() would give now, without using up a number
+     */
+    preview(ticket) {
+        const state = this.readState();
+        return this.render(ticket, { key: null, sequence: this.lastSequence(state, this.render(ticket, null)) + 1, attempt: 0 });
+    }
+
+    usesToken(name) {
+        return this.config.template.includes(`{${name}`);
+    }
+
+    lastSequence(state, series) {
+        const last = state.counters[series];
+        return Number.isInteger(last) ? last : this.config.start - 1;
+    }
+
+    /**
+     * Fill in the template; without `parts` the unique tokens stay as placeholders (the sequence's series name)
+     */
+    render(ticket, parts) {
+        const received = Number.isFinite(ticket.received) ? ticket.received : null;
+        const date = new Date(received === null ? Date.now() : received);
+        const pad = (value, width) => String(value).padStart(width, '0');
+        const seed = parts && ticket.messageId ? this.digest(`${ticket.messageId}#${parts.attempt}`) : null;
+
+        return this.config.template.replace(this.tokenPattern, (match, name, width) => {
+            const size = width ? parseInt(width, 10) : null;
+            if (name === 'prefix') return this.prefixFor(ticket);
+            if (name === 'YYYY') return String(date.getFullYear());
+            if (name === 'YY') return pad(date.getFullYear() % 100, 2);
+            if (name === 'MM') return pad(date.getMonth() + 1, 2);
+            if (name === 'DD') return pad(date.getDate(), 2);
+            if (!parts) return match;
+
+            if (name === 'seq') return pad(parts.sequence, size || 1);
+            if (name === 'hash') return seed ? seed.substring(0, size || 8) : this.randomChars(size || 8);
+            const fixed = parts.key && seed;
+            if (name === 'rand') return fixed ? seed.substring(seed.length - (size || 6)) : this.randomChars(size || 6);
+            // time: the email's Date header for Message-ID IDs, so a re-parse matches
+            if (fixed) return received !== null ? received.toString(36).toUpperCase() : seed.substring(8, 16);
+            return Date.now().toString(36).toUpperCase();
+        });
+    }
+
+    /**
+     * Client prefix (by organization, or sender domain and its subdomains), then category prefix, then the default
+     */
+    prefixFor(ticket) {
+        const organization = String(ticket.organization || '').toLowerCase();
+        const domain = String(ticket.domain || '').toLowerCase();
+        const clients = this.config.clientPrefixes;
+        for (const name of Object.keys(clients)) {
+            if (name === organization || (domain && (domain === name || domain.endsWith('.' + name)))) {
+                return clients[name];
+            }
+        }
+
+        const categories = this.config.categoryPrefixes;
+        if (ticket.category && Object.prototype.hasOwnProperty.call(categories, ticket.category)) {
+            return categories[ticket.category];
+        }
+        return this.config.prefix;
+    }
+
+    /**
+     * SHA-256 of the text as 33 uppercase base-36 characters
+     */
+    digest(text) {
+        if (!this.checksum) return this.randomChars(33);
+        const hex = this.checksum.sha256(text);
+        // 52-bit slices stay exact as numbers
+        return [0, 13, 26].map(start => parseInt(hex.substring(start, start + 13), 16).toString(36).padStart(11, '0')).join('').toUpperCase();
+    }
+
+    randomChars(length) {
+        const alphabet = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        const crypto = typeof globalThis !== 'undefined' && globalThis.crypto && globalThis.crypto.getRandomValues ? globalThis.crypto : null;
+        const values = new Uint8Array(length);
+        if (crypto) {
+            crypto.getRandomValues(values);
+        } else {
+            // Fallback for older engines (less secure but IDs only need to be unlikely to repeat)
+            for (let i = 0; i < length; i++) values[i] = Math.floor(Math.random() * 256);
+        }
+        return Array.from(values, value => alphabet[value % alphabet.length]).join('');
+    }
+
+    /**
+     * Short lookup key for a Message-ID, so many fit in storage
+     */
+    messageIdKey(messageId) {
+        return this.checksum ? this.digest(messageId).substring(0, 16) : messageId.substring(0, 200);
+    }
+
+    /**
+     * Counters, issued IDs and Message-ID IDs as last saved by any tab (this tab's copy without storage)
+     */
+    readState() {
+        if (!this.storage) return this.state;
+
+        try {
+            const data = JSON.parse(this.storage.getItem(this.stateKey) || 'null');
+            if (data && typeof data === 'object' && data.counters && typeof data.counters === 'object' && Array.isArray(data.issued)) {
+                // Use Object.create(null) to prevent prototype pollution
+                const counters = Object.create(null);
+                for (const series of Object.keys(data.counters)) {
+                    if (Number.isInteger(data.counters[series]) && data.counters[series] >= 0) counters[series] = data.counters[series];
+                }
+                const messageIds = Object.create(null);
+                const saved = data.messageIds && typeof data.messageIds === 'object' ? data.messageIds : {};
+                for (const lookup of Object.keys(saved)) {
+                    if (typeof saved[lookup] === 'string') messageIds[lookup] = saved[lookup];
+                }
+                this.state = { counters, issued: data.issued.filter(id => typeof id === 'string'), messageIds };
+            }
+        } catch (error) {
+            // Unreadable state - carry on with this tab's copy
+            console.warn('Ignoring saved ticket ID counters: ' + error.message);
+        }
+        return this.state;
+    }
+
+    writeState(state) {
+        // Oldest first in each, so the oldest are dropped
+        const series = Object.keys(state.counters);
+        for (const name of series.slice(0, Math.max(0, series.length - this.maxSeries))) {
+            delete state.counters[name];
+        }
+        const lookups = Object.keys(state.messageIds);
+        for (const lookup of lookups.slice(0, Math.max(0, lookups.length - this.maxMessageIds))) {
+            delete state.messageIds[lookup];
+        }
+        state.issued = state.issued.slice(-this.maxIssued);
+        this.state = state;
+
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.stateKey, JSON.stringify({ counters: state.counters, issued: state.issued, messageIds: state.messageIds }));
+        } catch (error) {
+            // Quota exceeded - this tab keeps counting in memory
+            console.warn('Could not save ticket ID counters: ' + error.message);
+        }
+    }
+
+    /**
+     * Rebuild a scheme from scratch, copying only known fields
+     */
+    validate(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Ticket ID scheme must be an object');
+        }
+        const defaults = this.defaults();
+
+        const template = config.template === undefined ? defaults.template : config.template;
+        if (typeof template !== 'string' || template.length === 0 || template.length > this.maxTemplateLength) {
+            throw new Error(`template must be a string of 1 to ${this.maxTemplateLength} characters`);
+        }
+        const used = Array.from(template.matchAll(this.tokenPattern));
+        for (const [token, name, width] of used) {
+            if (!this.tokens.includes(name)) {
+                throw new Error(`Unknown token ${token} in template (use ${this.tokens.map(known => `{${known}}`).join(', ')})`);
+            }
+            if (width !== undefined && (!['seq', 'rand', 'hash'].includes(name) || parseInt(width, 10) < 1 || parseInt(width, 10) > this.maxWidth)) {
+                throw new Error(`${token}: only {seq}, {rand} and {hash} take a width, from 1 to ${this.maxWidth}`);
+            }
+        }
+        if (!used.some(match => this.uniqueTokens.includes(match[1]))) {
+            throw new Error('template must include {seq}, {rand}, {hash} or {time} so each ticket gets its own ID');
+        }
+        if (!/^[A-Za-z0-9_.\-/#]*$/.test(template.replace(this.tokenPattern, ''))) {
+            throw new Error('Outside {tokens}, the template may only use letters, digits and - _ . / #');
+        }
+
+        const prefix = config.prefix === undefined ? defaults.prefix : config.prefix;
+        this.validatePrefix(prefix, 'prefix');
+
+        const start = config.start === undefined ? defaults.start : config.start;
+        if (!Number.isInteger(start) || start < 0 || start > 1e12) {
+            throw new Error('start must be a whole number (the first {seq} of each sequence)');
+        }
+        if (config.fromMessageId !== undefined && typeof config.fromMessageId !== 'boolean') {
+            throw new Error('fromMessageId must be true or false');
+        }
+
+        return {
+            version: this.version,
+            template,
+            prefix,
+            categoryPrefixes: this.validatePrefixes(config.categoryPrefixes, 'categoryPrefixes', name => /^[a-z0-9_]{1,50}$/.test(name)),
+            clientPrefixes: this.validatePrefixes(config.clientPrefixes, 'clientPrefixes', name => name.trim().length > 0 && name.length <= 100),
+            start,
+            fromMessageId: Boolean(config.fromMessageId)
+        };
+    }
+
+    /**
+     * { name: prefix } map; client names are matched case-insensitively so they are stored lowercased
+     */
+    validatePrefixes(prefixes, field, validName) {
+        if (prefixes === undefined) return {};
+        if (!prefixes || typeof prefixes !== 'object' || Array.isArray(prefixes)) {
+            throw new Error(`${field} must be an object of name: prefix`);
+        }
+        const names = Object.keys(prefixes);
+        if (names.length > this.maxPrefixes) {
+            throw new Error(`Too many ${field} (max ${this.maxPrefixes})`);
+        }
+
+        // Use Object.create(null) to prevent prototype pollution
+        const clean = Object.create(null);
+        for (const name of names) {
+            const key = field === 'clientPrefixes' ? name.trim().toLowerCase() : name;
+            if (!validName(name) || this.forbiddenNames.includes(key)) {
+                throw new Error(`Invalid name "${name.substring(0, 50)}" in ${field}`);
+            }
+            this.validatePrefix(prefixes[name], `${field}.${name.substring(0, 50)}`);
+            clean[key] = prefixes[name];
+        }
+        return clean;
+    }
+
+    validatePrefix(prefix, owner) {
+        if (typeof prefix !== 'string' || !this.prefixPattern.test(prefix)) {
+            throw new Error(`${owner} must be up to 20 letters, digits, "-", "_" or "."`);
+        }
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TicketIdScheme };
+} else {
+    self.TicketIdScheme = TicketIdScheme;
+}
@@ -0,0 +1,240 @@
+/**
+ * Ticket Queue
+ * IndexedDB persistence for parsed tickets with a status workflow, assignment, notes and edit history
+ */
+
+class TicketQueue {
+    constructor() {
+        this.statuses = ['new', 'triaged', 'in_progress', 'resolved'];
+        this.statusLabels = { new: 'New', triaged: 'Triaged', in_progress: 'In Progress', resolved: 'Resolved' };
+        this.priorities = ['low', 'medium', 'high', 'urgent'];
+
+        this.maxTickets = 5000;
+        this.maxTags = 20;
+        this.maxNotes = 200;
+        this.maxNoteLength = 5000;
+        this.maxHistory = 500;
+
+        const modules = typeof module !== 'undefined' && module.exports ? require('./object-store.js') : self;
+        this.database = new modules.ObjectStore({
+            dbName: 'emailToTicket.queue',
+            storeName: 'tickets',
+            version: 1,
+            keyPath: 'ticketId',
+            create: (store) => {
+                store.createIndex('createdAt', 'createdAt');
+                store.createIndex('status', 'status');
+            }
+        });
+    }
+
+    /**
+     * Queue parsed tickets as "new"; tickets already queued are left as they are
+     * Resolves with the records that were added
+     */
+    add(tickets, author) {
+        const list = Array.isArray(tickets) ? tickets : [tickets];
+        // Keys are read in the same transaction as the writes, so a ticket another tab queued meanwhile is never overwritten
+        return this.database.update(store => store.getAllKeys(), (store, keys) => {
+            const existing = new Set(keys || []);
+            const records = [];
+            for (const ticket of list) {
+                if (!ticket || typeof ticket.ticketId !== 'string' || existing.has(ticket.ticketId)) continue;
+                existing.add(ticket.ticketId);
+                records.push(this.createRecord(ticket, author));
+            }
+            if (existing.size > this.maxTickets) {
+                throw new Error(`Queue is full (max ${this.maxTickets} tickets) - delete resolved tickets first`);
+            }
+            for (const record of records) {
+                store.put(record);
+            }
+            return records;
+        });
+    }
+
+    get(ticketId) {
+        return this.database.run('readonly', store => store.get(String(ticketId))).then(record => record || null);
+    }
+
+    /**
+     * All records, newest first
+     */
+    getAll() {
+        return this.database.run('readonly', store => store.getAll())
+            .then(records => (records || []).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt))));
+    }
+
+    /**
+     * Apply { status, assignee, tags, category, priority, note } to a queued ticket, recording each change
+     * Resolves with the updated record
+     */
+    update(ticketId, changes, author) {
+        // Read and write in one transaction so concurrent edits from other tabs are applied one after another
+        return this.database.update(store => store.get(String(ticketId)), (store, record) => {
+            if (!record) {
+                throw new Error(`Ticket ${ticketId} is not in the queue`);
+            }
+            const updated = this.applyChanges(record, changes, author);
+            store.put(updated);
+            return updated;
+        });
+    }
+
+    remove(ticketId) {
+        return this.database.run('readwrite', store => store.delete(String(ticketId)));
+    }
+
+    clear() {
+        return this.database.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * Queue record for a parsed ticket; the ticket is copied without its non-enumerable unredacted text
+     */
+    createRecord(ticket, author) {
+        const now = new Date().toISOString();
+        const snapshot = JSON.parse(JSON.stringify(ticket));
+        return {
+            ticketId: String(ticket.ticketId).substring(0, 100),
+            createdAt: String(ticket.timestamp || now).substring(0, 40),
+            updatedAt: now,
+            status: 'new',
+            assignee: '',
+            tags: [],
+            notes: [],
+            history: [{ at: now, by: this.author(author), field: 'status', from: null, to: 'new' }],
+            ticket: snapshot
+        };
+    }
+
+    /**
+     * New record with the changes applied and appended to its history; throws on invalid values
+     */
+    applyChanges(record, changes, author) {
+        if (!changes || typeof changes !== 'object') {
+            throw new Error('Changes must be an object');
+        }
+        const now = new Date().toISOString();
+        const by = this.author(author);
+        const updated = Object.assign({}, record, {
+            ticket: Object.assign({}, record.ticket),
+            tags: record.tags.slice(),
+            notes: record.notes.slice(),
+            history: record.history.slice()
+        });
+        const change = (field, from, to) => {
+            updated.history.push({ at: now, by, field, from, to });
+            updated.updatedAt = now;
+        };
+
+        if (changes.status !== undefined && changes.status !== record.status) {
+            if (!this.statuses.includes(changes.status)) {
+                throw new Error(`Status must be one of ${this.statuses.join(', ')}`);
+            }
+            change('status', record.status, changes.status);
+            updated.status = changes.status;
+        }
+        if (changes.assignee !== undefined) {
+            const assignee = String(changes.assignee || '').trim().substring(0, 100);
+            if (assignee !== record.assignee) {
+                change('assignee', record.assignee || null, assignee || null);
+                updated.assignee = assignee;
+            }
+        }
+        if (changes.tags !== undefined) {
+            const tags = this.validateTags(changes.tags);
+            if (tags.join(',') !== record.tags.join(',')) {
+                change('tags', record.tags.join(', ') || null, tags.join(', ') || null);
+                updated.tags = tags;
+            }
+        }
+        // Corrections to the parser's classification are kept on the stored ticket
+        if (changes.category !== undefined && changes.category !== record.ticket.category) {
+            if (typeof changes.category !== 'string' || !/^[a-z0-9_]{1,50}$/.test(changes.category)) {
+                throw new Error('Category must be lowercase letters, digits or underscores');
+            }
+            change('category', record.ticket.category, changes.category);
+            updated.ticket.category = changes.category;
+            if (changes.categoryLabel) updated.ticket.categoryLabel = String(changes.categoryLabel).substring(0, 100);
+        }
+        if (changes.priority !== undefined && changes.priority !== record.ticket.priority) {
+            if (!this.priorities.includes(changes.priority)) {
+                throw new Error(`Priority must be one of ${this.priorities.join(', ')}`);
+            }
+            change('priority', record.ticket.priority, changes.priority);
+            updated.ticket.priority = changes.priority;
+        }
+        if (changes.note !== undefined) {
+            const text = String(changes.note || '').trim();
+            if (!text) {
+                throw new Error('Note is empty');
+            }
+            if (updated.notes.length >= this.maxNotes) {
+                throw new Error(`Ticket has too many notes (max ${this.maxNotes})`);
+            }
+            updated.notes.push({ at: now, by, text: text.substring(0, this.maxNoteLength) });
+            change('note', null, text.substring(0, 100));
+        }
+
+        updated.history = updated.history.slice(-this.maxHistory);
+        return updated;
+    }
+
+    validateTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const cleaned = Array.from(new Set(list.map(tag => String(tag).trim().toLowerCase().replace(/\s+/g, '_').substring(0, 50)).filter(Boolean)));
+        if (cleaned.length > this.maxTags) {
+            throw new Error(`Too many tags (max ${this.maxTags})`);
+        }
+        return cleaned;
+    }
+
+    author(name) {
+        return String(name || '').trim().substring(0, 100) || null;
+    }
+
+    /**
+     * Records matching { text, status, category, priority, requester, assignee }; empty filters match everything
+     */
+    filter(records, filters) {
+        const text = String(filters.text || '').trim().toLowerCase();
+        const requester = String(filters.requester || '').trim().toLowerCase();
+        const assignee = String(filters.assignee || '').trim().toLowerCase();
+
+        return records.filter((record) => {
+            const ticket = record.ticket || {};
+            if (filters.status && record.status !== filters.status) return false;
+            if (filters.category && ticket.category !== filters.category) return false;
+            if (filters.priority && ticket.priority !== filters.priority) return false;
+            if (requester && !this.requesterText(ticket).toLowerCase().includes(requester)) return false;
+            if (assignee && !record.assignee.toLowerCase().includes(assignee)) return false;
+            if (text) {
+                const haystack = [
+                    record.ticketId, ticket.subject, ticket.body, this.requesterText(ticket), record.assignee,
+                    record.tags.join(' '), record.notes.map(note => note.text).join(' ')
+                ].join(' ').toLowerCase();
+                if (!haystack.includes(text)) return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * Sender as shown in the list: directory name and organization when known, else the From line
+     */
+    requesterText(ticket) {
+        const requester = ticket.requester;
+        if (requester && requester.known) {
+            return [requester.name, requester.email, requester.organization].filter(Boolean).join(' · ');
+        }
+        return String(ticket.from || '');
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TicketQueue };
+} else {
+    self.TicketQueue = TicketQueue;
+}
@@ -0,0 +1,252 @@
+/**
+ * Tone Analyzer
+ * Offline sentiment, frustration and escalation-risk scoring from a word lexicon and shouting/repeat-contact/escalation heuristics
+ */
+
+class ToneAnalyzer {
+    constructor(scoring) {
+        // Shared tokenizer, stemmer and negation rules
+        this.scoring = scoring;
+        this.maxTextLength = 10000;
+        this.maxSignals = 50;
+
+        // Word valences from -3 (hostile) to +3 (warm), keyed by stem; problem words ("error", "broken") are left out
+        // because they describe the issue, not the sender's mood
+        this.lexicon = new Map();
+        const valences = {
+            '-3': ['furious', 'outrageous', 'pathetic', 'disgraceful', 'incompetent', 'unacceptable', 'appalling', 'livid', 'worst', 'hate'],
+            '-2': ['angry', 'frustrated', 'frustrating', 'ridiculous', 'useless', 'terrible', 'awful', 'horrible', 'disappointed', 'disappointing',
+                'annoyed', 'annoying', 'upset', 'nightmare', 'shocking', 'absurd', 'hopeless'],
+            '-1': ['unhappy', 'concerned', 'inconvenient', 'poor', 'confused', 'worried', 'tired', 'sadly', 'unfortunately'],
+            '1': ['thanks', 'thank', 'appreciate', 'please', 'good', 'nice', 'fine', 'okay', 'glad', 'kind'],
+            '2': ['great', 'helpful', 'happy', 'pleased', 'grateful', 'appreciated', 'awesome', 'cheers', 'wonderful'],
+            '3': ['excellent', 'fantastic', 'amazing', 'perfect', 'brilliant', 'outstanding', 'love']
+        };
+        for (const [valence, words] of Object.entries(valences)) {
+            for (const word of words) {
+                this.lexicon.set(this.scoring.stem(word), Number(valence));
+            }
+        }
+
+        // Words that strengthen the next lexicon word ("really unacceptable")
+        this.intensifiers = ['very', 'really', 'extremely', 'totally', 'completely', 'absolutely', 'so', 'utterly', 'incredibly'];
+        this.intensifierBoost = 0.5;
+
+        // Phrases, each with the frustration points it adds (one sentence is enough to matter)
+        this.patterns = [
+            {
+                type: 'repeat_contact',
+                points: 1.5,
+                pattern: /\b(?:(?:second|third|fourth|fifth|\d+(?:st|nd|rd|th)|several|multiple|many)\s+times?|(?:yet|once)\s+again|still\s+(?:waiting|not|no|haven'?t|hasn'?t|have\s+not|has\s+not)|already\s+(?:asked|reported|told|called|emailed|raised|sent|explained)|(?:asked|reported|raised|emailed|called)\s+(?:this\s+)?(?:before|twice|already|last\s+week|days\s+ago)|how\s+many\s+times|no\s+(?:one|body)\s+(?:has|have)\s+(?:replied|responded|answered|got\s+back|helped)|(?:no|zero)\s+(?:response|reply|answer|update)|haven'?t\s+(?:heard|had\s+a\s+(?:reply|response))|chasing|following\s+up\s+again)\b/gi,
+                description: 'Says they have asked before'
+            },
+            {
+                type: 'escalation_threat',
+                points: 2,
+                // "My manager needs access" is a normal request, so managers only count as an escalation target
+                pattern: /\b(?:escalat(?:e|ing)\s+(?:this|it|the\s+(?:matter|issue))|(?:i|we)(?:'ll|\s+will|\s+am\s+going\s+to|\s+have\s+to|\s+will\s+have\s+to)\s+escalate|(?:complain|speak|talk|go|report\s+this|take\s+this)\s+(?:directly\s+)?to\s+(?:my|your|our|the)\s+(?:manager|boss|supervisor|director|management|ceo|cio|md)|(?:cc'?d|cc'?ing|copying|copied)\s+(?:in\s+)?(?:my|your|our|the)\s+(?:manager|boss|supervisor|director|ceo|cio)|(?:involve|inform|contact)\s+(?:senior\s+)?management|formal\s+complaint|file\s+a\s+complaint|legal\s+action|(?:our|my)\s+(?:lawyers?|solicitors?)|cancel\s+(?:our|my|the)\s+(?:contract|subscription|account)|switch(?:ing)?\s+(?:provider|supplier|vendors?)|take\s+(?:our|my)\s+business\s+elsewhere|bad\s+review)\b/gi,
+                description: 'Threatens to escalate'
+            },
+            {
+                type: 'frustration_phrase',
+                points: 1,
+                pattern: /\b(?:fed\s+up|sick\s+(?:and\s+tired\s+)?of|had\s+enough|waste\s+of\s+(?:my\s+)?time|(?:this\s+is\s+)?(?:a\s+)?joke|not\s+good\s+enough|beyond\s+(?:a\s+)?joke|at\s+(?:my|our)\s+wits'?\s+end|losing\s+(?:my\s+)?patience|last\s+straw|completely\s+unacceptable|can'?t\s+believe|seriously\?)/gi,
+                description: 'Frustrated phrasing'
+            }
+        ];
+
+        // Shouting: share of 3+ letter words in capitals, ignoring acronyms agents see every day
+        this.acronyms = new Set([
+            'VPN', 'DNS', 'DHCP', 'IP', 'PC', 'USB', 'HDMI', 'CPU', 'RAM', 'SSD', 'HDD', 'OS', 'MFA', 'SSO', 'LAN', 'WAN', 'WIFI', 'SMTP',
+            'IMAP', 'POP', 'HTTP', 'HTTPS', 'URL', 'PDF', 'CSV', 'API', 'SAP', 'CRM', 'ERP', 'IT', 'HR', 'CEO', 'CFO', 'CIO', 'CTO', 'ASAP',
+            'EOD', 'ETA', 'FYI', 'TKT', 'ID', 'SLA', 'AD', 'AWS', 'SQL', 'PIN', 'UK', 'US', 'EU', 'AM', 'PM', 'OK', 'MAC', 'BIOS', 'NAS'
+        ]);
+        this.minCapsWords = 4;
+        this.capsRatioThreshold = 0.3;
+        this.capsPoints = 2;
+
+        // "!!" and "?!" runs, capped so a row of them doesn't dominate
+        this.exclamationPoints = 0.5;
+        this.maxExclamationPoints = 1.5;
+
+        // Points needed before frustration approaches 1, and the score bands for escalation risk
+        this.saturation = 3;
+        this.mediumRisk = 0.4;
+        this.highRisk = 0.7;
+
+        // VADER-style normalization of the summed valences into -1..1
+        this.sentimentAlpha = 15;
+    }
+
+    /**
+     * Tone of { subject, body }
+     * Returns { sentiment: -1..1, frustration: 0..1, escalationRisk: 'low'|'medium'|'high', signals: [...] }
+     */
+    analyze(input) {
+        const parts = typeof input === 'string' ? { subject: '', body: input } : (input || {});
+        const fields = [
+            { name: 'subject', text: String(parts.subject || '').substring(0, 1000) },
+            { name: 'body', text: String(parts.body || '').substring(0, this.maxTextLength) }
+        ];
+
+        const signals = [];
+        let valence = 0;
+        for (const field of fields) {
+            valence += this.scoreLexicon(field, signals);
+            this.findPatterns(field, signals);
+            this.findExclamations(field, signals);
+        }
+        this.findShouting(fields, signals);
+
+        // Shouting and repeated "!!!" make negative wording read angrier
+        const amplified = signals.some(signal => signal.type === 'caps' || signal.type === 'exclamation') && valence < 0 ? valence * 1.3 : valence;
+        const sentiment = amplified / Math.sqrt(amplified * amplified + this.sentimentAlpha);
+
+        // Each type is capped, so one long rant doesn't read as an escalation on its own
+        const caps = Object.create(null);
+        let points = 0;
+        for (const signal of signals) {
+            const cap = signal.type === 'exclamation' ? this.maxExclamationPoints : signal.points * 2;
+            const added = Math.min(signal.points, Math.max(0, cap - (caps[signal.type] || 0)));
+            caps[signal.type] = (caps[signal.type] || 0) + added;
+            points += added;
+        }
+        // Strongly negative wording counts even without the phrases above
+        points += Math.max(0, -sentiment - 0.3) * 2;
+
+        const frustration = Math.round((1 - Math.exp(-points / this.saturation)) * 100) / 100;
+        const threatened = signals.some(signal => signal.type === 'escalation_threat');
+        const escalationRisk = threatened || frustration >= this.highRisk ? 'high'
+            : (frustration >= this.mediumRisk ? 'medium' : 'low');
+
+        return {
+            sentiment: Math.round(sentiment * 100) / 100,
+            frustration,
+            escalationRisk,
+            signals: signals.slice(0, this.maxSignals)
+        };
+    }
+
+    /**
+     * Sum of lexicon valences (negated words flip, intensified words count more); strong words become signals
+     */
+    scoreLexicon(field, signals) {
+        const tokens = this.scoring.tokenize(field.text);
+        let total = 0;
+        tokens.forEach((token, index) => {
+            if (!this.lexicon.has(token.stem)) return;
+
+            let value = this.lexicon.get(token.stem);
+            const previous = index > 0 ? tokens[index - 1].word : '';
+            if (this.intensifiers.includes(previous)) {
+                value += Math.sign(value) * this.intensifierBoost;
+            }
+            // "not happy" is negative, "not bad" mildly positive
+            if (this.isNegated(field.text, tokens, index)) {
+                value = -value * 0.5;
+            }
+            total += value;
+
+            if (value <= -2) {
+                signals.push({
+                    type: 'negative_word',
+                    points: 1,
+                    keyword: field.text.substring(token.start, token.end),
+                    field: field.name,
+                    start: token.start,
+                    end: token.end,
+                    description: `Strongly negative wording: "${field.text.substring(token.start, token.end)}"`
+                });
+            }
+        });
+        return total;
+    }
+
+    /**
+     * Scoring's negation check, but a negator in the previous sentence doesn't count ("still not working. Unacceptable")
+     */
+    isNegated(text, tokens, index) {
+        if (!this.scoring.isNegated(tokens, index, null)) return false;
+
+        for (let i = index - 1; i >= Math.max(0, index - this.scoring.negationWindow); i--) {
+            if (/[.!?;\n]/.test(text.substring(tokens[i].end, tokens[i + 1].start))) return false;
+            if (this.scoring.negators.includes(tokens[i].word)) return true;
+        }
+        return false;
+    }
+
+    findPatterns(field, signals) {
+        for (const { type, points, pattern, description } of this.patterns) {
+            pattern.lastIndex = 0;
+            let match;
+            while ((match = pattern.exec(field.text)) !== null) {
+                signals.push({
+                    type,
+                    points,
+                    keyword: match[0],
+                    field: field.name,
+                    start: match.index,
+                    end: match.index + match[0].length,
+                    description: `${description}: "${match[0]}"`
+                });
+                if (match[0].length === 0) pattern.lastIndex++;
+            }
+        }
+    }
+
+    findExclamations(field, signals) {
+        const pattern = /[!?]*!{2,}[!?1]*|\?+!+[!?]*/g;
+        let match;
+        while ((match = pattern.exec(field.text)) !== null) {
+            signals.push({
+                type: 'exclamation',
+                points: this.exclamationPoints,
+                keyword: match[0],
+                field: field.name,
+                start: match.index,
+                end: match.index + match[0].length,
+                description: `Repeated punctuation "${match[0]}"`
+            });
+        }
+    }
+
+    /**
+     * One signal for the whole email when enough of it is in capitals; the capitalized words are listed
+     */
+    findShouting(fields, signals) {
+        const words = [];
+        for (const field of fields) {
+            const pattern = /[\p{L}]{3,}/gu;
+            let match;
+            while ((match = pattern.exec(field.text)) !== null) {
+                words.push({ field: field.name, word: match[0], start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        const shouted = words.filter(entry =>
+            entry.word === entry.word.toUpperCase() && entry.word !== entry.word.toLowerCase() && !this.acronyms.has(entry.word));
+        if (words.length < this.minCapsWords || shouted.length < 2) return;
+
+        const ratio = shouted.length / words.length;
+        if (ratio < this.capsRatioThreshold && shouted.length < 3) return;
+
+        // A shouted phrase inside calm text ("this is the THIRD TIME") still counts, at half weight
+        const first = shouted[0];
+        signals.push({
+            type: 'caps',
+            points: ratio >= this.capsRatioThreshold ? this.capsPoints : this.capsPoints / 2,
+            keyword: shouted.slice(0, 5).map(entry => entry.word).join(' '),
+            field: first.field,
+            start: first.start,
+            end: first.end,
+            description: `Writing in capitals (${Math.round(ratio * 100)}% of words)`
+        });
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ToneAnalyzer };
+} else {
+    self.ToneAnalyzer = ToneAnalyzer;
+}
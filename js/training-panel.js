@@ -0,0 +1,165 @@
+/**
+ * Email-to-Ticket Parser - Training Panel
+ * Records agent corrections and keeps the learned model in sync with them
+ */
+
+const trainingStats = document.getElementById('trainingStats');
+const trainingAccuracy = document.getElementById('trainingAccuracy');
+const reviewTrainingBtn = document.getElementById('reviewTrainingBtn');
+const exportTrainingBtn = document.getElementById('exportTrainingBtn');
+const resetTrainingBtn = document.getElementById('resetTrainingBtn');
+const trainingReview = document.getElementById('trainingReview');
+const trainingExamples = document.getElementById('trainingExamples');
+
+if (!trainingStats || !trainingAccuracy || !reviewTrainingBtn || !exportTrainingBtn ||
+    !resetTrainingBtn || !trainingReview || !trainingExamples) {
+    console.error('Training panel elements not found');
+    throw new Error('Failed to initialize: missing training panel elements');
+}
+
+const trainingStore = new TrainingStore();
+const learner = new CorrectionLearner(parser.scoring);
+parser.learner = learner;
+
+resultCategory.addEventListener('change', recordCorrection);
+resultPriority.addEventListener('change', recordCorrection);
+reviewTrainingBtn.addEventListener('click', toggleTrainingReview);
+exportTrainingBtn.addEventListener('click', exportTrainingSet);
+resetTrainingBtn.addEventListener('click', resetTrainingSet);
+
+/**
+ * Store the badge values as a labeled example for the current ticket
+ */
+function recordCorrection() {
+    if (!currentResult) return;
+
+    // Remember what the parser originally said, even across several edits
+    if (!currentResult.correction) {
+        currentResult.correction = { category: currentResult.category, priority: currentResult.priority };
+    }
+
+    currentResult.category = resultCategory.value;
+    currentResult.categoryLabel = parser.formatCategoryName(resultCategory.value);
+    currentResult.priority = resultPriority.value;
+    resultPriority.className = `value badge ${resultPriority.value}`;
+
+    // One example per ticket: later edits overwrite earlier ones
+    trainingStore.add({
+        id: currentResult.ticketId,
+        subject: currentResult.subject,
+        body: currentResult.body,
+        category: currentResult.category,
+        priority: currentResult.priority,
+        predictedCategory: currentResult.correction.category,
+        predictedPriority: currentResult.correction.priority
+    }).then(() => refreshTraining()).catch((error) => {
+        showError('Could not save correction: ' + error.message);
+    });
+}
+
+/**
+ * Retrain from the stored examples and update the panel
+ */
+function refreshTraining() {
+    return trainingStore.getAll().then((examples) => {
+        learner.train(examples);
+        renderTrainingStats(examples);
+        if (trainingReview.style.display !== 'none') {
+            renderTrainingExamples(examples);
+        }
+        return examples;
+    }).catch((error) => {
+        trainingStats.textContent = 'Training unavailable: ' + error.message;
+        trainingAccuracy.textContent = '';
+    });
+}
+
+/**
+ * Example counts and held-out accuracy
+ */
+function renderTrainingStats(examples) {
+    const categories = new Set(examples.map(example => example.category));
+    trainingStats.textContent = `${examples.length} correction${examples.length === 1 ? '' : 's'} across ${categories.size} categor${categories.size === 1 ? 'y' : 'ies'}` +
+        (learner.weight() > 0 ? ` · model weight ${Math.round(learner.weight() * 100)}%` : ` · model inactive until ${learner.minExamples} corrections`);
+
+    const evaluation = learner.evaluate(examples);
+    if (evaluation.tested === 0) {
+        trainingAccuracy.textContent = `Held-out accuracy: needs at least ${learner.holdoutEvery} corrections`;
+        return;
+    }
+
+    const format = value => (value === null ? 'n/a' : `${Math.round(value * 100)}%`);
+    trainingAccuracy.textContent = `Held-out accuracy: category ${format(evaluation.category)} · priority ${format(evaluation.priority)} ` +
+        `(trained on ${evaluation.trained}, tested on ${evaluation.tested})`;
+}
+
+/**
+ * Show or hide the example table
+ */
+function toggleTrainingReview() {
+    const show = trainingReview.style.display === 'none';
+    trainingReview.style.display = show ? 'block' : 'none';
+    if (show) {
+        trainingStore.getAll().then(renderTrainingExamples).catch((error) => {
+            showError('Could not load corrections: ' + error.message);
+        });
+    }
+}
+
+/**
+ * One row per example with a delete button
+ */
+function renderTrainingExamples(examples) {
+    trainingExamples.textContent = '';
+
+    examples.slice().reverse().forEach((example) => {
+        const row = document.createElement('tr');
+        const cells = [
+            new Date(example.createdAt).toLocaleString(),
+            sanitizeOutput(example.subject).substring(0, 80),
+            `${parser.formatCategoryName(example.predictedCategory || '?')} → ${parser.formatCategoryName(example.category)}`,
+            `${String(example.predictedPriority || '?').toUpperCase()} → ${example.priority.toUpperCase()}`
+        ];
+        cells.forEach((text) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const actions = document.createElement('td');
+        actions.appendChild(createRowButton('🗑️', `Delete correction for ${example.subject}`, () => {
+            trainingStore.remove(example.id).then(() => refreshTraining()).catch((error) => {
+                showError('Could not delete correction: ' + error.message);
+            });
+        }, false));
+        row.appendChild(actions);
+
+        trainingExamples.appendChild(row);
+    });
+}
+
+/**
+ * Download all corrections as JSON
+ */
+function exportTrainingSet() {
+    trainingStore.getAll().then((examples) => {
+        downloadFile(JSON.stringify(examples, null, 2), 'ticket-corrections.json', 'application/json');
+    }).catch((error) => {
+        showError('Could not export corrections: ' + error.message);
+    });
+}
+
+/**
+ * Delete every correction and untrain the model
+ */
+function resetTrainingSet() {
+    if (!confirm('Delete all recorded corrections? The learned model will be reset.')) {
+        return;
+    }
+
+    trainingStore.clear().then(() => refreshTraining()).catch((error) => {
+        showError('Could not reset corrections: ' + error.message);
+    });
+}
+
+refreshTraining();
@@ -0,0 +1,88 @@
+/**
+ * Training Store
+ * IndexedDB persistence for agent corrections (labeled examples)
+ */
+
+class TrainingStore {
+    constructor() {
+        this.maxExamples = 5000;
+
+        const modules = typeof module !== 'undefined' && module.exports ? require('./object-store.js') : self;
+        this.database = new modules.ObjectStore({
+            dbName: 'emailToTicket',
+            storeName: 'corrections',
+            version: 1,
+            keyPath: 'id',
+            create: store => store.createIndex('createdAt', 'createdAt')
+        });
+    }
+
+    /**
+     * Save a correction; only the fields the learner needs are kept
+     */
+    add(example) {
+        const record = this.validate(example);
+        return this.database.update(store => store.count(), (store, count) => {
+            if (count >= this.maxExamples) {
+                throw new Error(`Training set is full (max ${this.maxExamples} examples)`);
+            }
+            store.put(record);
+            return record;
+        });
+    }
+
+    /**
+     * All examples, oldest first
+     */
+    getAll() {
+        return this.database.run('readonly', store => store.getAll())
+            .then(examples => (examples || []).sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt))));
+    }
+
+    /**
+     * Delete one example
+     */
+    remove(id) {
+        return this.database.run('readwrite', store => store.delete(String(id)));
+    }
+
+    /**
+     * Delete every example
+     */
+    clear() {
+        return this.database.run('readwrite', store => store.clear());
+    }
+
+    /**
+     * Rebuild an example from known fields only
+     */
+    validate(example) {
+        if (!example || typeof example !== 'object') {
+            throw new Error('Correction must be an object');
+        }
+        if (typeof example.category !== 'string' || !/^[a-z0-9_]{1,50}$/.test(example.category)) {
+            throw new Error('Correction has an invalid category');
+        }
+        if (!['low', 'medium', 'high', 'urgent'].includes(example.priority)) {
+            throw new Error('Correction has an invalid priority');
+        }
+
+        return {
+            id: String(example.id || `${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 8)}`).substring(0, 100),
+            createdAt: String(example.createdAt || new Date().toISOString()).substring(0, 40),
+            subject: String(example.subject || '').substring(0, 500),
+            body: String(example.body || '').substring(0, 5000),
+            category: example.category,
+            priority: example.priority,
+            predictedCategory: String(example.predictedCategory || '').substring(0, 50),
+            predictedPriority: String(example.predictedPriority || '').substring(0, 20)
+        };
+    }
+}
+
+// Global in browsers and workers, CommonJS module in Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TrainingStore };
+} else {
+    self.TrainingStore = TrainingStore;
+}
@@ -0,0 +1,180 @@
+/**
+ * File Storage
+ * A localStorage stand-in kept in a JSON file, so ticket ID counters survive between CLI runs and server restarts
+ */
+
+'use strict';
+
+const fs = require('fs');
+
+class FileStorage {
+    constructor(file) {
+        this.file = file;
+
+        // Processes sharing the file take turns through an exclusive-create lock file next to it
+        this.lockFile = `${file}.lock`;
+        this.lockTimeout = 10000;
+        // A lock this old was left by a process that died holding it
+        this.staleLockTime = 30000;
+        this.lockDepth = 0;
+
+        // Keys set or removed here since the last write (null = removed), merged into the file's latest copy
+        this.changed = new Map();
+
+        // Writes are batched: one write per turn of the event loop, however many tickets were numbered
+        this.pending = null;
+
+        this.items = this.read();
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+        this.changed.set(key, this.items[key]);
+        this.schedule();
+    }
+
+    removeItem(key) {
+        delete this.items[key];
+        this.changed.set(key, null);
+        this.schedule();
+    }
+
+    /**
+     * Run task() holding the lock on a fresh copy of the file, and write its changes before letting go,
+     * so another process can't read the same counters in between. Returns the task's result.
+     */
+    transaction(task) {
+        if (this.lockDepth > 0) return task();
+
+        this.lock();
+        this.lockDepth++;
+        try {
+            this.items = this.merge(this.read());
+            const result = task();
+            this.write();
+            return result;
+        } finally {
+            this.lockDepth--;
+            this.unlock();
+        }
+    }
+
+    schedule() {
+        if (!this.pending && this.lockDepth === 0) {
+            this.pending = setImmediate(() => {
+                try {
+                    this.flush();
+                } catch (error) {
+                    // Keep counting in memory; the next write tries again
+                    console.warn(`Could not save ${this.file}: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    /**
+     * Write pending changes now, merged under the lock with whatever other processes saved meanwhile
+     */
+    flush() {
+        if (this.pending) {
+            clearImmediate(this.pending);
+            this.pending = null;
+        }
+        if (this.changed.size > 0) {
+            this.transaction(() => {});
+        }
+    }
+
+    /**
+     * Items saved in the file; a missing file is empty
+     */
+    read() {
+        let text = null;
+        try {
+            text = fs.readFileSync(this.file, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const items = Object.create(null);
+        if (text !== null && text.trim()) {
+            const data = JSON.parse(text);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                throw new Error('Expected a JSON object');
+            }
+            for (const key of Object.keys(data)) {
+                if (typeof data[key] === 'string') items[key] = data[key];
+            }
+        }
+        return items;
+    }
+
+    merge(items) {
+        for (const [key, value] of this.changed) {
+            if (value === null) {
+                delete items[key];
+            } else {
+                items[key] = value;
+            }
+        }
+        return items;
+    }
+
+    /**
+     * A temporary file and rename means a crash never leaves half a file
+     */
+    write() {
+        if (this.changed.size === 0) return;
+        const temporary = `${this.file}.${process.pid}.tmp`;
+        fs.writeFileSync(temporary, JSON.stringify(this.items));
+        fs.renameSync(temporary, this.file);
+        this.changed.clear();
+    }
+
+    /**
+     * Take the lock file, waiting for another process to finish with it
+     * parse() numbers tickets synchronously, so this waits synchronously too
+     */
+    lock() {
+        const deadline = Date.now() + this.lockTimeout;
+        const pause = new Int32Array(new SharedArrayBuffer(4));
+        for (;;) {
+            try {
+                fs.closeSync(fs.openSync(this.lockFile, 'wx'));
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            try {
+                if (Date.now() - fs.statSync(this.lockFile).mtimeMs > this.staleLockTime) {
+                    fs.unlinkSync(this.lockFile);
+                    continue;
+                }
+            } catch (error) {
+                // Released while we looked
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`${this.lockFile} is held by another process (delete it if none is running)`);
+            }
+            Atomics.wait(pause, 0, 0, 5 + Math.floor(Math.random() * 20));
+        }
+    }
+
+    unlock() {
+        try {
+            fs.unlinkSync(this.lockFile);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+module.exports = { FileStorage };
@@ -0,0 +1,139 @@
+/**
+ * Webhook Forwarder
+ * POSTs parsed tickets to an outbound webhook with an HMAC-SHA256 signature, retrying failed deliveries
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+class WebhookForwarder {
+    constructor(options) {
+        const settings = options || {};
+        if (!settings.url || !/^https?:\/\//i.test(settings.url)) {
+            throw new Error('Webhook URL must start with http:// or https://');
+        }
+
+        this.url = settings.url;
+        this.secret = settings.secret || null;
+
+        // Any exporter format; 'json' sends the ticket as parsed
+        this.format = settings.format || 'json';
+
+        // Exponential backoff: 1s, 2s, 4s, 8s between five attempts, capped at 30s (Retry-After wins if longer)
+        this.maxAttempts = settings.maxAttempts || 5;
+        this.retryDelayMs = settings.retryDelayMs !== undefined ? settings.retryDelayMs : 1000;
+        this.maxRetryDelayMs = 30000;
+        this.timeoutMs = settings.timeoutMs || 10000;
+
+        // Timeouts, rate limits and server errors are worth another try; other 4xx are not
+        this.retryStatuses = [408, 425, 429, 500, 502, 503, 504];
+    }
+
+    /**
+     * Deliver one ticket; resolves to { delivered, attempts, status, error, deliveryId }
+     */
+    async forward(parser, ticket) {
+        const format = parser.exporter.formats[this.format];
+        if (!format) {
+            throw new Error(`Unknown export format: ${this.format}`);
+        }
+
+        const body = parser.exportAs(ticket, this.format);
+        const deliveryId = crypto.randomUUID();
+        let last = null;
+        let attempts = 0;
+
+        while (attempts < this.maxAttempts) {
+            if (attempts > 0) {
+                await this.sleep(this.retryDelay(attempts, last.retryAfter));
+            }
+
+            attempts++;
+            last = await this.send(body, format.contentType, deliveryId, attempts);
+            if (last.ok || (last.status !== null && !this.retryStatuses.includes(last.status))) {
+                break;
+            }
+        }
+
+        return { delivered: last.ok, attempts, status: last.status, error: last.error, deliveryId };
+    }
+
+    /**
+     * One POST; network errors and timeouts come back as { status: null, error }
+     */
+    async send(body, contentType, deliveryId, attempt) {
+        // Signed per attempt so receivers can reject replays by timestamp
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        const headers = {
+            'Content-Type': `${contentType}; charset=utf-8`,
+            'User-Agent': 'email-to-ticket-parser',
+            'X-Ticket-Delivery': deliveryId,
+            'X-Ticket-Attempt': String(attempt),
+            'X-Ticket-Timestamp': timestamp
+        };
+        if (this.secret) {
+            headers['X-Ticket-Signature'] = `sha256=${WebhookForwarder.sign(this.secret, timestamp, body)}`;
+        }
+
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers,
+                body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+            // Drain the body so the connection can be reused
+            await response.arrayBuffer().catch(() => null);
+
+            return {
+                ok: response.status >= 200 && response.status < 300,
+                status: response.status,
+                error: response.ok ? null : `HTTP ${response.status}`,
+                retryAfter: response.headers.get('retry-after')
+            };
+        } catch (error) {
+            const message = error.name === 'TimeoutError' ? `Timed out after ${this.timeoutMs}ms` : (error.cause && error.cause.message) || error.message;
+            return { ok: false, status: null, error: message, retryAfter: null };
+        }
+    }
+
+    /**
+     * Delay before retry number `retry` (1-based), honouring Retry-After seconds
+     */
+    retryDelay(retry, retryAfter) {
+        const backoff = Math.min(this.retryDelayMs * Math.pow(2, retry - 1), this.maxRetryDelayMs);
+        const seconds = Number(retryAfter);
+        if (retryAfter && Number.isFinite(seconds) && seconds >= 0) {
+            return Math.min(Math.max(backoff, seconds * 1000), this.maxRetryDelayMs);
+        }
+        return backoff;
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    /**
+     * Hex HMAC-SHA256 of "<timestamp>.<body>"
+     */
+    static sign(secret, timestamp, body) {
+        return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    }
+
+    /**
+     * Check a received signature header; rejects timestamps older than `toleranceSeconds`
+     */
+    static verify(secret, timestamp, body, signature, toleranceSeconds) {
+        const tolerance = toleranceSeconds !== undefined ? toleranceSeconds : 300;
+        const sent = Number(timestamp);
+        if (!Number.isInteger(sent) || Math.abs(Date.now() / 1000 - sent) > tolerance) return false;
+
+        const expected = Buffer.from(`sha256=${WebhookForwarder.sign(secret, timestamp, body)}`);
+        const actual = Buffer.from(String(signature || ''));
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+}
+
+module.exports = { WebhookForwarder };
@@ -0,0 +1,247 @@
+/**
+ * Inbound Mail Webhooks
+ * Turns inbound-mail webhook payloads (Postmark, SendGrid, Mailgun or plain JSON) into raw messages for EmailParser
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { MimeParser } = require('../js/mime.js');
+
+class InboundMail {
+    constructor() {
+        // multipart/form-data is MIME, so form posts reuse the message decoder
+        this.mime = new MimeParser();
+
+        // Headers copied from a provider's header list; body headers are rebuilt from the fields we keep
+        this.skippedHeaders = ['content-type', 'content-transfer-encoding', 'content-length', 'mime-version'];
+        this.maxHeaders = 200;
+    }
+
+    /**
+     * Decode a request body into fields using its Content-Type
+     * Returns a plain object, or a string for raw messages
+     */
+    decodeBody(body, contentType) {
+        const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+        if (type === 'application/json') {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                throw new InboundError(400, 'Request body is not valid JSON');
+            }
+        }
+        if (type === 'application/x-www-form-urlencoded') {
+            return this.fromEntries(new URLSearchParams(body));
+        }
+        if (type === 'multipart/form-data') {
+            return this.decodeFormData(body, contentType);
+        }
+        if (type === '' || type === 'message/rfc822' || type === 'text/plain' || type === 'application/mbox') {
+            return body;
+        }
+        throw new InboundError(415, `Unsupported Content-Type: ${type}`);
+    }
+
+    /**
+     * Text fields of a multipart/form-data body (file parts are skipped)
+     */
+    decodeFormData(body, contentType) {
+        const { root } = this.mime.parse(`Content-Type: ${contentType.replace(/[\r\n]/g, ' ')}\n\n${body}`);
+        const entries = [];
+        for (const part of root.children) {
+            const name = part.dispositionParams.name;
+            if (name && !part.dispositionParams.filename) {
+                entries.push([name, this.mime.decodePartText(part)]);
+            }
+        }
+        return this.fromEntries(entries);
+    }
+
+    /**
+     * Raw message text for any supported payload shape
+     */
+    toMessage(payload) {
+        if (typeof payload === 'string') return payload;
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+            throw new InboundError(400, 'Expected a raw message or a JSON object');
+        }
+
+        // Providers that can post the full MIME message
+        const raw = payload.email || payload['body-mime'] || payload.RawEmail || payload.raw;
+        if (typeof raw === 'string' && raw.includes('\n')) return raw;
+
+        if (payload.TextBody !== undefined || payload.HtmlBody !== undefined || payload.FromFull) {
+            return this.fromPostmark(payload);
+        }
+        if (payload['body-plain'] !== undefined || payload['body-html'] !== undefined) {
+            return this.fromMailgun(payload);
+        }
+        return this.fromFields(payload);
+    }
+
+    /**
+     * Postmark inbound JSON
+     */
+    fromPostmark(payload) {
+        return this.buildMessage({
+            headers: (Array.isArray(payload.Headers) ? payload.Headers : []).map(header => [header && header.Name, header && header.Value]),
+            from: payload.From,
+            to: payload.To,
+            cc: payload.Cc,
+            replyTo: payload.ReplyTo,
+            subject: payload.Subject,
+            date: payload.Date,
+            messageId: payload.MessageID ? `<${String(payload.MessageID).replace(/^<|>$/g, '')}>` : null,
+            text: payload.TextBody,
+            html: payload.HtmlBody
+        });
+    }
+
+    /**
+     * Mailgun route (parsed fields, with message-headers as a JSON [name, value] list)
+     */
+    fromMailgun(payload) {
+        let headers = [];
+        try {
+            const parsed = JSON.parse(payload['message-headers'] || '[]');
+            headers = Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            headers = [];
+        }
+
+        return this.buildMessage({
+            headers,
+            from: payload.from || payload.From || payload.sender,
+            to: payload.To || payload.recipient,
+            subject: payload.subject || payload.Subject,
+            date: payload.Date,
+            messageId: payload['Message-Id'],
+            text: payload['body-plain'],
+            html: payload['body-html']
+        });
+    }
+
+    /**
+     * SendGrid Inbound Parse fields or a generic { from, to, subject, text, html } object
+     */
+    fromFields(payload) {
+        const headers = typeof payload.headers === 'string'
+            ? this.mime.normalizeNewlines(payload.headers).replace(/\n[ \t]+/g, ' ').split('\n')
+                .map(line => line.match(/^([^:]+):\s*(.*)$/))
+                .filter(Boolean)
+                .map(match => [match[1], match[2]])
+            : this.headerPairs(payload.headers);
+
+        const message = {
+            headers,
+            from: payload.from,
+            to: payload.to,
+            cc: payload.cc,
+            replyTo: payload.replyTo || payload.reply_to,
+            subject: payload.subject,
+            date: payload.date,
+            messageId: payload.messageId || payload.message_id,
+            inReplyTo: payload.inReplyTo || payload.in_reply_to,
+            references: payload.references,
+            text: payload.text || payload.body,
+            html: payload.html
+        };
+        if (!message.from && !message.subject && !message.text && !message.html) {
+            throw new InboundError(400, 'Payload has no message: expected a raw email or from/subject/text fields');
+        }
+        return this.buildMessage(message);
+    }
+
+    /**
+     * [name, value] pairs from an object or list of pairs
+     */
+    headerPairs(headers) {
+        if (Array.isArray(headers)) return headers;
+        if (headers && typeof headers === 'object') return Object.entries(headers);
+        return [];
+    }
+
+    /**
+     * Assemble an RFC 5322 message; field values win over copied headers
+     * With both text and HTML it is multipart/alternative, so the HTML links still reach the phishing screen
+     */
+    buildMessage(fields) {
+        const fixed = [
+            ['From', fields.from],
+            ['To', fields.to],
+            ['Cc', fields.cc],
+            ['Reply-To', fields.replyTo],
+            ['Subject', fields.subject],
+            ['Date', fields.date],
+            ['Message-ID', fields.messageId],
+            ['In-Reply-To', fields.inReplyTo],
+            ['References', fields.references]
+        ].filter(([, value]) => value !== undefined && value !== null && String(value).trim() !== '');
+        const fixedNames = fixed.map(([name]) => name.toLowerCase());
+
+        const lines = [];
+        for (const [name, value] of fixed) {
+            lines.push(`${name}: ${this.headerValue(value)}`);
+        }
+        for (const pair of fields.headers.slice(0, this.maxHeaders)) {
+            const [name, value] = Array.isArray(pair) ? pair : [];
+            if (typeof name !== 'string' || !/^[!-9;-~]{1,76}$/.test(name)) continue;
+            const lower = name.toLowerCase();
+            if (fixedNames.includes(lower) || this.skippedHeaders.includes(lower)) continue;
+            lines.push(`${name}: ${this.headerValue(value)}`);
+        }
+
+        const text = typeof fields.text === 'string' && fields.text.trim() ? fields.text : '';
+        const html = typeof fields.html === 'string' && fields.html.trim() ? fields.html : '';
+        lines.push('MIME-Version: 1.0');
+
+        if (text && html) {
+            const boundary = `=_inbound_${crypto.randomBytes(12).toString('hex')}`;
+            lines.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+            return `${lines.join('\n')}\n\n` +
+                `--${boundary}\n${this.partHeaders('text/plain')}\n\n${text}\n` +
+                `--${boundary}\n${this.partHeaders('text/html')}\n\n${html}\n` +
+                `--${boundary}--\n`;
+        }
+
+        lines.push(this.partHeaders(html ? 'text/html' : 'text/plain'));
+        return `${lines.join('\n')}\n\n${String(html || fields.text || '')}`;
+    }
+
+    partHeaders(type) {
+        return `Content-Type: ${type}; charset=utf-8\nContent-Transfer-Encoding: 8bit`;
+    }
+
+    /**
+     * Header value on one line (no header injection through CR/LF)
+     */
+    headerValue(value) {
+        return String(Array.isArray(value) ? value.join(', ') : value).replace(/[\r\n]+[ \t]*/g, ' ').trim();
+    }
+
+    /**
+     * Plain object from [name, value] entries; the first value wins
+     */
+    fromEntries(entries) {
+        const fields = Object.create(null);
+        for (const [name, value] of entries) {
+            if (!(name in fields)) fields[name] = value;
+        }
+        return fields;
+    }
+}
+
+/**
+ * Error carrying the HTTP status to answer with
+ */
+class InboundError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'InboundError';
+        this.status = status;
+    }
+}
+
+module.exports = { InboundMail, InboundError };
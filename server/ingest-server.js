@@ -0,0 +1,222 @@
+/**
+ * Ingest Server
+ * Local HTTP service that parses posted emails into tickets and forwards them to an outbound webhook
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { BatchRunner } = require('../js/batch.js');
+const { InboundMail, InboundError } = require('./inbound.js');
+
+class IngestServer {
+    constructor(parser, options) {
+        const settings = options || {};
+        this.parser = parser;
+
+        // Optional WebhookForwarder; tickets are forwarded in the background after the response
+        this.forwarder = settings.forwarder || null;
+
+        // Shared secret for callers (Authorization: Bearer <token> or ?token=); null leaves the server open
+        this.token = settings.token || null;
+
+        // Same ceiling as a raw .eml in the browser, plus room for form encoding
+        this.maxBodySize = settings.maxBodySize || 25 * 1024 * 1024;
+        this.maxBatchSize = 1000;
+
+        this.log = settings.log || console;
+        this.inbound = new InboundMail();
+        this.splitter = new BatchRunner(parser);
+        this.pending = new Set();
+        this.server = http.createServer((request, response) => {
+            this.handle(request, response).catch((error) => {
+                this.log.error(`Unhandled error: ${error.message}`);
+                if (!response.headersSent) this.send(response, 500, { error: 'Internal server error' });
+            });
+        });
+
+        this.routes = {
+            'GET /health': () => ({ status: 200, body: { status: 'ok', forwarding: Boolean(this.forwarder) } }),
+            'POST /parse': request => this.parseOne(request),
+            'POST /batch': request => this.parseBatch(request),
+            'POST /inbound': request => this.parseInbound(request)
+        };
+    }
+
+    /**
+     * Start listening; resolves with the bound address
+     */
+    listen(port, host) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host || '127.0.0.1', () => {
+                this.server.removeListener('error', reject);
+                resolve(this.server.address());
+            });
+        });
+    }
+
+    /**
+     * Stop accepting requests and wait for queued webhook deliveries
+     */
+    close() {
+        return new Promise(resolve => this.server.close(() => resolve()))
+            .then(() => Promise.all(Array.from(this.pending)));
+    }
+
+    async handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        // "/parse/" is the same route as "/parse", for the 405 check too
+        const path = url.pathname.replace(/\/+$/, '') || '/';
+        const route = this.routes[`${request.method} ${path}`];
+
+        if (!route) {
+            const known = Object.keys(this.routes).some(key => key.endsWith(` ${path}`));
+            this.send(response, known ? 405 : 404, { error: known ? 'Method not allowed' : 'Not found' });
+            return;
+        }
+        if (!this.authorized(request, url)) {
+            this.send(response, 401, { error: 'Missing or invalid token' });
+            return;
+        }
+
+        try {
+            request.body = request.method === 'POST' ? await this.readBody(request) : '';
+            const result = route(request);
+            this.send(response, result.status, result.body);
+        } catch (error) {
+            // Other errors come from parse() rejecting the message
+            const status = error instanceof InboundError ? error.status : 422;
+            this.send(response, status, { error: error.message });
+        }
+    }
+
+    /**
+     * POST /parse - one raw message, or JSON ({ email } or from/subject/text fields)
+     */
+    parseOne(request) {
+        const payload = this.decode(request);
+        const ticket = this.parser.parse(this.inbound.toMessage(payload));
+        this.forward([ticket]);
+        return { status: 200, body: ticket };
+    }
+
+    /**
+     * POST /batch - an mbox file, or JSON { emails: [...] } / [...]
+     * Per-message errors are reported alongside the tickets that parsed
+     */
+    parseBatch(request) {
+        const payload = this.decode(request);
+        let messages;
+        if (typeof payload === 'string') {
+            messages = this.splitter.splitFile('request', payload);
+        } else {
+            const list = Array.isArray(payload) ? payload : payload && payload.emails;
+            if (!Array.isArray(list)) {
+                throw new InboundError(400, 'Expected an mbox body or JSON { "emails": [...] }');
+            }
+            messages = list.map((entry, index) => ({ source: `request #${index + 1}`, payload: entry }));
+        }
+        if (messages.length > this.maxBatchSize) {
+            throw new InboundError(413, `Batch is limited to ${this.maxBatchSize} messages`);
+        }
+
+        const tickets = [];
+        const errors = [];
+        messages.forEach((message, index) => {
+            try {
+                const text = message.payload !== undefined ? this.inbound.toMessage(message.payload) : message.text;
+                tickets.push(this.parser.parse(text));
+            } catch (error) {
+                errors.push({ index, source: message.source, error: error.message });
+            }
+        });
+
+        this.forward(tickets);
+        return { status: tickets.length > 0 || messages.length === 0 ? 200 : 422, body: { tickets, errors } };
+    }
+
+    /**
+     * POST /inbound - inbound-mail provider webhooks (Postmark, SendGrid, Mailgun, raw MIME)
+     */
+    parseInbound(request) {
+        const ticket = this.parser.parse(this.inbound.toMessage(this.decode(request)));
+        this.forward([ticket]);
+        return { status: 200, body: { ticketId: ticket.ticketId, category: ticket.category, priority: ticket.priority } };
+    }
+
+    decode(request) {
+        return this.inbound.decodeBody(request.body, request.headers['content-type']);
+    }
+
+    /**
+     * Queue tickets for the outbound webhook
+     */
+    forward(tickets) {
+        if (!this.forwarder) return;
+
+        for (const ticket of tickets) {
+            const delivery = this.forwarder.forward(this.parser, ticket)
+                .then((result) => {
+                    if (result.delivered) {
+                        this.log.log(`Forwarded ${ticket.ticketId} (attempt ${result.attempts}, HTTP ${result.status})`);
+                    } else {
+                        this.log.error(`Could not forward ${ticket.ticketId} after ${result.attempts} attempt(s): ${result.error}`);
+                    }
+                    return result;
+                })
+                .catch((error) => {
+                    this.log.error(`Could not forward ${ticket.ticketId}: ${error.message}`);
+                })
+                .finally(() => this.pending.delete(delivery));
+            this.pending.add(delivery);
+        }
+    }
+
+    authorized(request, url) {
+        if (!this.token) return true;
+
+        const header = String(request.headers.authorization || '');
+        const given = header.startsWith('Bearer ') ? header.substring(7) : url.searchParams.get('token') || '';
+        const expected = Buffer.from(this.token);
+        const actual = Buffer.from(given);
+        return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+    }
+
+    /**
+     * Read the request body as UTF-8, rejecting anything over maxBodySize
+     */
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            const collect = (chunk) => {
+                size += chunk.length;
+                if (size > this.maxBodySize) {
+                    // Discard the rest so the 413 still reaches the client
+                    request.removeListener('data', collect);
+                    request.resume();
+                    reject(new InboundError(413, `Request body is over ${this.maxBodySize / (1024 * 1024)}MB`));
+                    return;
+                }
+                chunks.push(chunk);
+            };
+            request.on('data', collect);
+            request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            request.on('error', reject);
+        });
+    }
+
+    send(response, status, body) {
+        const json = JSON.stringify(body, null, 2);
+        response.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Length': Buffer.byteLength(json),
+            'X-Content-Type-Options': 'nosniff'
+        });
+        response.end(json);
+    }
+}
+
+module.exports = { IngestServer };
@@ -0,0 +1,134 @@
+/**
+ * Parser Options
+ * The command-line options both binaries share for configuring the parser from files: help text, argv matching and loading
+ */
+
+'use strict';
+
+const fs = require('fs');
+const { TaxonomyStore } = require('../js/taxonomy.js');
+const { FileStorage } = require('./file-storage.js');
+
+/**
+ * In the order they are applied; load(parser, file, warn) throws on a bad file and may return something to keep
+ * `label` names the file in that error ("invalid SLA policy policy.json: ...")
+ */
+const PARSER_OPTIONS = [
+    {
+        name: 'taxonomy', flag: '-t', long: '--taxonomy', label: 'taxonomy',
+        help: ['Use categories exported from the taxonomy editor'],
+        load(parser, file) {
+            const store = new TaxonomyStore(null);
+            store.apply(parser, store.importJSON(fs.readFileSync(file, 'utf8')));
+        }
+    },
+    {
+        name: 'sla', flag: '-s', long: '--sla', label: 'SLA policy',
+        help: ['Use an SLA policy (business hours, time zone, holidays, targets) JSON file'],
+        load(parser, file) {
+            parser.sla.apply(JSON.parse(fs.readFileSync(file, 'utf8')));
+        }
+    },
+    {
+        name: 'directory', flag: '-d', long: '--directory', label: 'sender directory',
+        help: ['Match senders against contacts (CSV, vCard or an exported directory JSON)'],
+        load(parser, file, warn) {
+            const counts = parser.directory.importText(fs.readFileSync(file, 'utf8'), file);
+            for (const row of counts.skipped) {
+                warn(`${file} line ${row.line}: ${row.reason} - skipped`);
+            }
+        }
+    },
+    {
+        name: 'languages', flag: '-l', long: '--languages', label: 'language packs',
+        help: ['Add language packs exported from the languages panel'],
+        load(parser, file) {
+            parser.languages.apply(parser.languages.importJSON(fs.readFileSync(file, 'utf8')));
+        }
+    },
+    {
+        name: 'knowledgeBase', flag: '-k', long: '--knowledge-base', label: 'knowledge base',
+        help: ['Match and draft replies from articles exported from the knowledge base panel'],
+        load(parser, file) {
+            parser.knowledgeBase.setArticles(parser.knowledgeBase.importJSON(fs.readFileSync(file, 'utf8')));
+        }
+    },
+    {
+        name: 'ticketIds', flag: '-i', long: '--ticket-ids', label: 'ticket ID scheme',
+        help: ['Number tickets with a ticket ID scheme JSON file'],
+        load(parser, file) {
+            parser.ticketIds.apply(JSON.parse(fs.readFileSync(file, 'utf8')));
+        }
+    },
+    {
+        name: 'ticketIdState', flag: null, long: '--ticket-id-state', label: 'ticket ID state',
+        help: [
+            'Keep {seq} counters and Message-ID IDs in this file between runs',
+            '(without it, counters restart with each run or server start)',
+            'Runs sharing the file take turns through <file>.lock; the file',
+            'must not be shared by processes on different machines'
+        ],
+        // Returned so the binaries can flush it before exiting
+        load(parser, file) {
+            parser.ticketIds.storage = new FileStorage(file);
+            return parser.ticketIds.storage;
+        }
+    }
+];
+
+/**
+ * Every parser option unset, to merge into a binary's own defaults
+ */
+function parserOptionDefaults() {
+    const options = {};
+    for (const option of PARSER_OPTIONS) {
+        options[option.name] = null;
+    }
+    return options;
+}
+
+/**
+ * Store `arg` in options if it is a parser option; value() takes the next argument
+ * Returns false for anything else, so the binary can try its own options
+ */
+function readParserOption(arg, value, options) {
+    const option = PARSER_OPTIONS.find(entry => arg === entry.flag || arg === entry.long);
+    if (!option) return false;
+    options[option.name] = value();
+    return true;
+}
+
+/**
+ * Help lines for the parser options, descriptions starting at `column` to line up with the binary's own
+ */
+function parserOptionUsage(column) {
+    const lines = [];
+    for (const option of PARSER_OPTIONS) {
+        const flags = `  ${option.flag ? `${option.flag}, ` : '    '}${option.long} <file>`;
+        option.help.forEach((text, index) => {
+            lines.push(`${(index === 0 ? flags : '').padEnd(column - 1)} ${text}`);
+        });
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Apply every parser option that was given; warn(message) gets notes such as skipped directory rows
+ * Throws "invalid <label> <file>: <reason>" for the first bad file. Returns { ticketIdState } (null when not given).
+ */
+function loadParserOptions(parser, options, warn) {
+    const loaded = { ticketIdState: null };
+    for (const option of PARSER_OPTIONS) {
+        const file = options[option.name];
+        if (!file) continue;
+        try {
+            const result = option.load(parser, file, warn);
+            if (result !== undefined) loaded[option.name] = result;
+        } catch (error) {
+            throw new Error(`invalid ${option.label} ${file}: ${error.message}`);
+        }
+    }
+    return loaded;
+}
+
+module.exports = { PARSER_OPTIONS, parserOptionDefaults, readParserOption, parserOptionUsage, loadParserOptions };
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TicketAnalytics } = require('../js/analytics.js');
+const { TicketExporter } = require('../js/exporters.js');
+const { EmailParser } = require('../js/parser.js');
+
+// Local times, so hour-of-day and day buckets don't depend on the machine's time zone
+function at(day, hour) {
+    return new Date(2026, 9, day, hour, 30).toISOString();
+}
+
+const tickets = [
+    { ticketId: 'IT-1', from: 'dana@example.com', subject: 'Printer jammed', category: 'printer_issue', priority: 'medium', confidence: 0.9, lowConfidence: false, timestamp: at(12, 9) },
+    { ticketId: 'IT-2', from: 'Lee <lee@Example.com>', subject: 'VPN', category: 'network_issue', priority: 'high', confidence: 0.35, lowConfidence: true, timestamp: at(12, 9), candidates: [{ name: 'network_issue' }, { name: 'email_issue' }] },
+    { ticketId: 'IT-3', from: 'sam@partner.org', subject: '=HYPERLINK("x")', category: 'other', priority: 'medium', confidence: 0.15, timestamp: at(14, 17) },
+    { ticketId: 'IT-4', requester: { email: 'kim@example.com' }, subject: 'Old ticket', category: 'printer_issue', priority: 'low', confidence: 0.5, timestamp: at(1, 8) }
+];
+
+function analytics() {
+    return new TicketAnalytics(new TicketExporter(new EmailParser()));
+}
+
+test('tickets are counted by category, priority, domain, hour and confidence', () => {
+    const summary = analytics().summarize(tickets, { since: Date.parse(at(10, 0)) });
+
+    assert.strictEqual(summary.total, 3);
+    assert.deepStrictEqual(summary.categories.map(entry => [entry.key, entry.count]), [['network_issue', 1], ['other', 1], ['printer_issue', 1]]);
+    assert.deepStrictEqual(summary.priorities.map(entry => entry.count), [0, 2, 1, 0]);
+    assert.deepStrictEqual(summary.domains, [{ key: 'example.com', count: 2, share: 0.667 }, { key: 'partner.org', count: 1, share: 0.333 }]);
+    assert.strictEqual(summary.hours[9].count, 2);
+    assert.strictEqual(summary.hours[17].count, 1);
+    assert.deepStrictEqual(summary.confidence.map(entry => [entry.key, entry.count]), [
+        ['0-20%', 1], ['20-40%', 1], ['40-60%', 0], ['60-80%', 0], ['80-100%', 1]
+    ]);
+});
+
+test('other and low-confidence rates list the weakest tickets first', () => {
+    const summary = analytics().summarize(tickets, { since: Date.parse(at(10, 0)) });
+
+    assert.deepStrictEqual(summary.other, { count: 1, rate: 0.333 });
+    assert.strictEqual(summary.lowConfidence.count, 2);
+    assert.deepStrictEqual(summary.lowConfidence.tickets.map(ticket => [ticket.ticketId, ticket.candidates]), [
+        ['IT-3', []],
+        ['IT-2', ['network_issue', 'email_issue']]
+    ]);
+});
+
+test('the trend has one entry per day, quiet days included', () => {
+    const summary = analytics().summarize(tickets, { since: Date.parse(at(10, 0)) });
+    assert.deepStrictEqual(summary.trend, [
+        { date: '2026-10-12', total: 2, other: 0, lowConfidence: 1 },
+        { date: '2026-10-13', total: 0, other: 0, lowConfidence: 0 },
+        { date: '2026-10-14', total: 1, other: 1, lowConfidence: 1 }
+    ]);
+    assert.deepStrictEqual(analytics().summarize([]).trend, []);
+});
+
+test('the Date header decides when a ticket arrived', () => {
+    const ticket = new EmailParser().parse('From: dana@example.com\nSubject: Printer jammed\nDate: Mon, 12 Oct 2026 09:00:00 +0000\n\nThe printer is jammed.');
+    const summary = analytics().summarize([ticket], { since: Date.parse('2026-10-12T00:00:00Z') });
+
+    assert.strictEqual(summary.total, 1);
+    assert.strictEqual(summary.hours[new Date('2026-10-12T09:00:00Z').getHours()].count, 1);
+    assert.strictEqual(analytics().summarize([ticket], { since: Date.parse('2026-10-13T00:00:00Z') }).total, 0);
+});
+
+test('the CSV export has every table and defuses formulas in subjects', () => {
+    const summary = analytics().summarize(tickets, { since: Date.parse(at(10, 0)) });
+    const rows = analytics().toCSV(summary).split('\r\n');
+
+    assert.strictEqual(rows[0], 'section,key,count,share');
+    assert.ok(rows.includes('category,printer_issue,1,0.333'));
+    assert.ok(rows.includes('domain,example.com,2,0.667'));
+    assert.ok(rows.includes('rate,low_confidence,2,0.667'));
+    assert.ok(rows.includes('day,2026-10-13,0,'));
+    assert.ok(rows.some(row => row.startsWith('IT-3,') && row.includes('"\'=HYPERLINK(""x"")"')));
+});
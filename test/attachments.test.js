@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { MimeParser } = require('../js/mime.js');
+const { EmailParser } = require('../js/parser.js');
+
+const log = Buffer.from('2026-10-12 09:00:01 ERROR spooler stopped\n');
+const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+
+const raw = [
+    'From: Dana <dana@example.com>',
+    'To: help@example.com',
+    'Subject: Printer spooler keeps stopping',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/related; boundary="inner"',
+    '',
+    '--inner',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'The print spooler stops every morning. Log attached, logo below.',
+    '--inner',
+    'Content-Type: image/png',
+    'Content-ID: <logo@example.com>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    png.toString('base64'),
+    '--inner--',
+    '--outer',
+    'Content-Type: text/plain; name="spooler.log"',
+    'Content-Disposition: attachment; filename="..\\\\..\\\\spooler.log"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    log.toString('base64'),
+    '--outer',
+    'Content-Type: application/pdf',
+    'Content-Disposition: attachment',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('%PDF-1.4').toString('base64'),
+    '--outer--',
+    ''
+].join('\n');
+
+test('attachments carry safe names, sizes, checksums and an inline flag', () => {
+    const message = new MimeParser().parse(raw);
+    const [logo, spoolerLog, pdf] = message.attachments;
+
+    assert.strictEqual(message.attachments.length, 3);
+    assert.deepStrictEqual(logo, {
+        filename: 'attachment-1.png', contentType: 'image/png', size: png.length, contentId: 'logo@example.com', inline: true,
+        checksum: `sha256:${crypto.createHash('sha256').update(png).digest('hex')}`
+    });
+    assert.strictEqual(spoolerLog.filename, 'spooler.log');
+    assert.strictEqual(spoolerLog.inline, false);
+    assert.strictEqual(spoolerLog.size, log.length);
+    assert.deepStrictEqual(Buffer.from(spoolerLog.content), log);
+    assert.strictEqual(pdf.filename, 'attachment-3.pdf');
+
+    // Decoded bytes stay out of JSON exports
+    assert.ok(!('content' in JSON.parse(JSON.stringify(spoolerLog))));
+});
+
+test('sanitizeFilename strips paths and control characters', () => {
+    const mime = new MimeParser();
+    assert.strictEqual(mime.sanitizeFilename('/etc/passwd', 'text/plain', 1), 'passwd');
+    assert.strictEqual(mime.sanitizeFilename('re<port>\u0000.txt', 'text/plain', 1), 're_port__.txt');
+    assert.strictEqual(mime.sanitizeFilename('..', 'message/rfc822', 4), 'attachment-4.eml');
+});
+
+test('tickets list attachments and mention the non-inline ones', () => {
+    const ticket = new EmailParser().parse(raw);
+
+    assert.deepStrictEqual(ticket.attachments.map(attachment => attachment.filename), ['attachment-1.png', 'spooler.log', 'attachment-3.pdf']);
+    assert.strictEqual(ticket.body, 'The print spooler stops every morning. Log attached, logo below.');
+    assert.ok(ticket.insights.includes('📎 2 attachments included'));
+});
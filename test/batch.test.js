@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { EmailParser } = require('../js/parser.js');
+const { ThreadIndex } = require('../js/threading.js');
+const { BatchRunner } = require('../js/batch.js');
+
+/**
+ * js/batch-worker.js running in its own global, talking to the page through structured clones
+ */
+class FakeWorker {
+    constructor(beforeMessage) {
+        this.onmessage = null;
+        this.onerror = null;
+        this.terminated = false;
+        this.beforeMessage = beforeMessage || (() => {});
+
+        const scope = { console, crypto: globalThis.crypto, TextEncoder, TextDecoder, Uint8Array, setTimeout, clearTimeout };
+        scope.self = scope;
+        scope.importScripts = (...names) => names.forEach((name) => {
+            vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', name), 'utf8'), this.context, { filename: name });
+        });
+        scope.postMessage = (data) => {
+            const copy = structuredClone(data);
+            setImmediate(() => {
+                if (!this.terminated && this.onmessage) this.onmessage({ data: copy });
+            });
+        };
+        this.context = vm.createContext(scope);
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'batch-worker.js'), 'utf8'), this.context, { filename: 'batch-worker.js' });
+    }
+
+    postMessage(data) {
+        const copy = structuredClone(data);
+        this.beforeMessage(copy);
+        setImmediate(() => {
+            if (!this.terminated) this.context.self.onmessage({ data: copy });
+        });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+function pageParser() {
+    const parser = new EmailParser();
+    parser.threads = new ThreadIndex(null, parser.scoring);
+    parser.ticketIds.apply({ template: 'HD-{seq:3}' });
+    return parser;
+}
+
+function configFor(parser) {
+    return { taxonomy: null, examples: [], threads: parser.threads.entries, sla: null, directory: null, languages: null, articles: null };
+}
+
+const messages = [
+    { source: 'one.eml', text: 'From: dana@example.com\nSubject: Printer jammed\nMessage-ID: <one@example.com>\n\nThe printer on floor 3 is jammed.' },
+    { source: 'two.eml', text: 'From: dana@example.com\nSubject: RE: Printer jammed\nMessage-ID: <two@example.com>\nIn-Reply-To: <one@example.com>\n\nStill jammed.' }
+];
+
+test('batch results reach the page thread index under their page IDs', async () => {
+    const parser = pageParser();
+    const runner = new BatchRunner(parser);
+    const rows = [];
+
+    await runner.runInWorker(new FakeWorker(), messages.map((message, index) => Object.assign({ index }, message)), configFor(parser), row => rows.push(row), () => {});
+
+    assert.deepStrictEqual(rows.map(row => row.result.ticketId), ['HD-001', 'HD-002']);
+    assert.strictEqual(rows[1].result.threadId, 'HD-001');
+    assert.deepStrictEqual(parser.threads.entries.map(entry => [entry.ticketId, entry.threadId]), [['HD-001', 'HD-001'], ['HD-002', 'HD-001']]);
+
+    // A later single parse on the page links to the batch
+    const reply = parser.parse('From: dana@example.com\nSubject: RE: Printer jammed\nIn-Reply-To: <two@example.com>\n\nNow it prints.');
+    assert.strictEqual(reply.threadId, 'HD-001');
+});
+
+test('a worker that cannot take the settings hands the batch back to the page', async () => {
+    const parser = pageParser();
+    const runner = new BatchRunner(parser);
+    const rows = [];
+    const notices = [];
+    // Settings the worker's taxonomy store rejects
+    const worker = new FakeWorker((data) => {
+        if (data.type === 'configure') data.taxonomy = { version: 1, categories: 'broken' };
+    });
+
+    await runner.runInWorker(worker, messages.map((message, index) => Object.assign({ index }, message)), configFor(parser), row => rows.push(row), notice => notices.push(notice));
+
+    assert.strictEqual(notices.length, 1);
+    assert.match(notices[0], /^Could not configure worker: .* - parsed on the page instead$/);
+    assert.ok(worker.terminated);
+    assert.deepStrictEqual(rows.map(row => [row.source, row.result.ticketId, row.error]), [['one.eml', 'HD-001', null], ['two.eml', 'HD-002', null]]);
+    assert.strictEqual(rows[1].result.threadId, 'HD-001');
+});
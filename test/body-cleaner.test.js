@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { BodyCleaner } = require('../js/body-cleaner.js');
+
+test('htmlToText keeps paragraphs, lists, links and quotes', () => {
+    const cleaner = new BodyCleaner();
+    const text = cleaner.htmlToText(
+        '<p>Hello <b>team</b>,</p><p>The <a href="https://vpn.example.com">portal</a> is down.</p>' +
+        '<ol><li>Restarted</li><li>Reinstalled</li></ol><blockquote><p>Earlier <br>message</p></blockquote>'
+    );
+    assert.strictEqual(text, 'Hello team,\n\nThe portal (https://vpn.example.com) is down.\n\n1. Restarted\n2. Reinstalled\n\n> Earlier\n> message');
+});
+
+test('htmlToText runs in linear time on large bodies', () => {
+    const cleaner = new BodyCleaner();
+    let html = '<html><body>';
+    for (let i = 0; i < 4000; i++) {
+        html += `<p>Paragraph ${i} with <a href="https://example.com/${i}">a link</a> &amp; <b>bold</b> text.</p>` +
+            '<ul><li>item</li></ul><blockquote>quoted<br>line</blockquote><table><tr><td>a</td><td>b</td></tr></table>';
+    }
+    html += '</body></html>';
+    assert.ok(html.length > 500000);
+
+    const started = Date.now();
+    const text = cleaner.htmlToText(html);
+    const elapsed = Date.now() - started;
+
+    assert.match(text, /^Paragraph 0 with a link \(https:\/\/example\.com\/0\)/);
+    assert.match(text, /Paragraph 3999 /);
+    assert.ok(elapsed < 3000, `took ${elapsed} ms`);
+});
+
+test('htmlToText treats an unterminated comment as running to the end', () => {
+    const cleaner = new BodyCleaner();
+    assert.strictEqual(cleaner.htmlToText('<p>Visible</p><!-- hidden <p>text</p>'), 'Visible');
+});
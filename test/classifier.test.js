@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NaiveBayesModel, CorrectionLearner } = require('../js/classifier.js');
+const { TrainingStore } = require('../js/training-store.js');
+const { EmailParser } = require('../js/parser.js');
+
+const badge = { subject: 'Badge reader at loading dock', body: 'The badge reader at the loading dock beeps red for the night shift.' };
+
+// Agents keep filing badge reader reports as access requests; printer jams stay printer issues
+function corrections(count) {
+    const examples = [];
+    for (let i = 0; i < count; i++) {
+        const day = String(i + 1).padStart(2, '0');
+        examples.push({
+            createdAt: `2026-10-${day}T09:00:00Z`, subject: i % 2 ? 'Badge reader broken' : 'Loading dock badge reader',
+            body: 'The badge reader beeps red and the door stays locked.', category: 'access_request', priority: 'high'
+        });
+        examples.push({
+            createdAt: `2026-10-${day}T10:00:00Z`, subject: 'Printer jammed',
+            body: 'Paper stuck in the printer tray.', category: 'printer_issue', priority: 'low'
+        });
+    }
+    return examples;
+}
+
+test('naive Bayes probabilities favour the label whose tokens match and sum to 1', () => {
+    const model = new NaiveBayesModel();
+    model.learn(['badg', 'reader'], 'access_request');
+    model.learn(['printer', 'jam'], 'printer_issue');
+
+    const ranked = model.predict(['badg', 'door']);
+    assert.strictEqual(ranked[0].label, 'access_request');
+    assert.ok(Math.abs(ranked.reduce((sum, entry) => sum + entry.probability, 0) - 1) < 1e-9);
+    assert.deepStrictEqual(new NaiveBayesModel().predict(['badg']), []);
+});
+
+test('the learner stays silent until it has enough corrections across two labels', () => {
+    const parser = new EmailParser();
+    const learner = new CorrectionLearner(parser.scoring);
+
+    learner.train(corrections(2));
+    assert.strictEqual(learner.weight(), 0);
+    assert.strictEqual(learner.predictCategory(badge.subject, badge.body), null);
+
+    learner.train(corrections(6).filter(example => example.category === 'access_request'));
+    assert.strictEqual(learner.predictCategory(badge.subject, badge.body), null);
+});
+
+test('trained corrections steer classifyIssue and priority', () => {
+    const parser = new EmailParser();
+    assert.strictEqual(parser.classifyIssue(badge).name, 'other');
+
+    const learner = new CorrectionLearner(parser.scoring);
+    learner.train(corrections(12));
+    parser.learner = learner;
+
+    const category = parser.classifyIssue(badge);
+    assert.strictEqual(category.name, 'access_request');
+    assert.strictEqual(category.learned.changed, true);
+    assert.ok(category.learned.weight <= learner.maxWeight);
+
+    const assessment = parser.assessPriority(badge, category);
+    assert.strictEqual(assessment.priority, 'high');
+    assert.strictEqual(assessment.evidence[assessment.evidence.length - 1].rule, 'learned_model');
+});
+
+test('evaluate holds out every fifth example by creation date', () => {
+    const learner = new CorrectionLearner(new EmailParser().scoring);
+    const result = learner.evaluate(corrections(12).reverse());
+
+    assert.strictEqual(result.trained, 20);
+    assert.strictEqual(result.tested, 4);
+    assert.strictEqual(result.category, 1);
+    assert.strictEqual(result.priority, 1);
+    assert.deepStrictEqual(learner.evaluate([]), { trained: 0, tested: 0, category: null, priority: null });
+});
+
+test('stored corrections keep only known fields and valid labels', async () => {
+    const store = new TrainingStore();
+
+    const record = store.validate({ subject: 'x'.repeat(600), body: 'Door', category: 'access_request', priority: 'high', extra: true });
+    assert.strictEqual(record.subject.length, 500);
+    assert.ok(!('extra' in record));
+    assert.ok(record.id && record.createdAt);
+
+    assert.throws(() => store.validate({ category: '__Proto__', priority: 'high' }), /invalid category/);
+    assert.throws(() => store.validate({ category: 'access_request', priority: 'critical' }), /invalid priority/);
+    await assert.rejects(store.add(record), /IndexedDB is not available/);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '../bin/email-to-ticket.js');
+
+const printer = 'From: dana@example.com\nSubject: Printer jammed\nDate: Mon, 12 Oct 2026 09:00:00 +0000\n\nThe printer is jammed.\n';
+const empty = 'From: lee@example.com\nSubject: (no subject)\n\n';
+const mbox = `From dana@example.com Mon Oct 12 09:00:00 2026\n${printer}\nFrom lee@example.com Mon Oct 12 09:05:00 2026\n${empty}`;
+
+function run(args, input) {
+    return spawnSync(process.execPath, [cli].concat(args), { input: input || '', encoding: 'utf8', timeout: 20000 });
+}
+
+test('stdin becomes a JSON array of tickets', () => {
+    const result = run([], printer);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const tickets = JSON.parse(result.stdout);
+    assert.strictEqual(tickets.length, 1);
+    assert.strictEqual(tickets[0].category, 'printer_issue');
+    assert.match(tickets[0].ticketId, /^TKT-/);
+});
+
+test('an mbox with a bad message writes the rest and exits 1', () => {
+    const result = run(['--format', 'ndjson'], mbox);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /stdin #2: Could not extract email body/);
+    const lines = result.stdout.trim().split('\n');
+    assert.strictEqual(lines.length, 1);
+    assert.strictEqual(JSON.parse(lines[0]).subject, 'Printer jammed');
+});
+
+test('files are read in order and CSV goes to --output', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'email-to-ticket-'));
+    try {
+        const eml = path.join(directory, 'printer.eml');
+        const output = path.join(directory, 'tickets.csv');
+        fs.writeFileSync(eml, printer);
+
+        const result = run(['--format=csv', '-o', output, eml, eml]);
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout, '');
+
+        const rows = fs.readFileSync(output, 'utf8').split('\r\n');
+        assert.ok(rows[0].startsWith('ticketId,'));
+        assert.strictEqual(rows.filter(row => row.includes('Printer jammed')).length, 2);
+    } finally {
+        fs.rmSync(directory, { recursive: true });
+    }
+});
+
+test('exit codes tell bad usage, unreadable input and total failure apart', () => {
+    assert.strictEqual(run(['--format', 'xml']).status, 64);
+    assert.strictEqual(run(['--bogus']).status, 64);
+    assert.strictEqual(run(['-o']).status, 64);
+    assert.strictEqual(run([path.join(os.tmpdir(), 'no-such-file.eml')]).status, 66);
+    assert.strictEqual(run([], empty).status, 2);
+
+    const help = run(['--help']);
+    assert.strictEqual(help.status, 0);
+    assert.match(help.stdout, /^Usage: email-to-ticket/);
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SenderDirectory } = require('../js/directory.js');
+
+test('CSV rows with invalid addresses are skipped and reported by line', () => {
+    const directory = new SenderDirectory(null);
+    const csv = [
+        'Name,Email,Company,VIP',
+        'Dana Reyes,dana@acme.com,Acme,yes',
+        '"Lee, Sam",not-an-address,Acme,',
+        '"Kim',
+        'Park",kim@acme.com,Acme,',
+        '',
+        'Jo Smith,jo@@acme,Acme,',
+        'Ana Lopez,ana@globex.com,Globex,'
+    ].join('\r\n');
+
+    const counts = directory.importText(csv, 'contacts.csv');
+
+    assert.strictEqual(counts.contacts, 3);
+    assert.deepStrictEqual(counts.skipped, [
+        { line: 3, reason: 'invalid email address "not-an-address"' },
+        { line: 7, reason: 'invalid email address "jo@@acme"' }
+    ]);
+    assert.deepStrictEqual(directory.data.contacts.map(contact => contact.email), ['dana@acme.com', 'kim@acme.com', 'ana@globex.com']);
+    assert.match(directory.describeSkipped(counts.skipped), /^skipped 2 entries \(line 3: .*; line 7: /);
+});
+
+test('organization rows with an invalid domain are skipped', () => {
+    const directory = new SenderDirectory(null);
+    const counts = directory.importText('Company,Domain,Tier\nGlobex,globex.com,gold\nInitech,not a domain!,silver\n', 'clients.csv');
+
+    assert.strictEqual(counts.organizations, 1);
+    assert.strictEqual(counts.skipped.length, 1);
+    assert.strictEqual(counts.skipped[0].line, 3);
+});
+
+test('vCards with an invalid EMAIL are skipped and reported by line', () => {
+    const directory = new SenderDirectory(null);
+    const vcf = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'FN:Dana Reyes',
+        'EMAIL;TYPE=work:dana@acme.com',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'FN:Sam Lee',
+        'NOTE:a folded',
+        '  note',
+        'EMAIL:sam at acme',
+        'EMAIL:sam@acme.com',
+        'END:VCARD',
+        'BEGIN:VCARD',
+        'FN:Jo Smith',
+        'EMAIL:jo@@ac',
+        ' me',
+        'END:VCARD'
+    ].join('\r\n');
+
+    const counts = directory.importText(vcf, 'contacts.vcf');
+
+    assert.strictEqual(counts.contacts, 2);
+    assert.deepStrictEqual(counts.skipped, [
+        { line: 11, reason: 'invalid email address "sam at acme"' },
+        { line: 16, reason: 'invalid email address "jo@@acme"' }
+    ]);
+    assert.deepStrictEqual(directory.data.contacts.map(contact => contact.email), ['dana@acme.com', 'sam@acme.com']);
+    assert.strictEqual(directory.data.contacts[1].name, 'Sam Lee');
+});
+
+test('an exported directory with a bad contact is still rejected as a whole', () => {
+    const directory = new SenderDirectory(null);
+    assert.throws(() => directory.importText(JSON.stringify({ contacts: [{ email: 'broken' }] }), 'directory.json'), /Contact 1 has an invalid email address/);
+});
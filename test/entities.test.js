@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EntityExtractor } = require('../js/entities.js');
+const { EmailParser } = require('../js/parser.js');
+
+const body = 'Since the update to Outlook 16.0.1 on ws-fin-042.corp.example.com (10.1.2.33, MAC 00:1A:2B:3C:4D:5E) ' +
+    'I get 0x80070005 and HTTP 503 from https://portal.example.com/login. Asset tag AT-10492. ' +
+    'Files are in \\\\fs01\\finance and C:\\Users\\dana\\error.log. Call me on +1 (555) 201-3344. ' +
+    'Please fix it in 2 hours, or before Friday\'s meeting.';
+const date = 'Mon, 12 Oct 2026 09:00:00 -0400';
+
+test('every entity type comes out typed, in reading order, with its span', () => {
+    const entities = new EntityExtractor().extract({ subject: '', body }, date);
+
+    assert.deepStrictEqual(entities.map(entity => [entity.type, entity.value]), [
+        ['software', 'Outlook 16.0.1'],
+        ['hostname', 'ws-fin-042.corp.example.com'],
+        ['ip', '10.1.2.33'],
+        ['mac', '00:1A:2B:3C:4D:5E'],
+        ['error_code', '0x80070005'],
+        ['error_code', 'HTTP 503'],
+        ['url', 'https://portal.example.com/login'],
+        ['asset_tag', 'AT-10492'],
+        ['share', '\\\\fs01\\finance'],
+        ['path', 'C:\\Users\\dana\\error.log'],
+        ['phone', '+1 (555) 201-3344'],
+        ['deadline', 'in 2 hours'],
+        ['deadline', 'before Friday\'s meeting']
+    ]);
+    for (const entity of entities) {
+        assert.strictEqual(body.substring(entity.start, entity.end), entity.value);
+    }
+
+    const http = entities.find(entity => entity.value === 'HTTP 503');
+    assert.strictEqual(http.description, 'Service Unavailable');
+    assert.strictEqual(entities.find(entity => entity.type === 'software').version, '16.0.1');
+    assert.strictEqual(entities.find(entity => entity.type === 'share').host, 'fs01');
+});
+
+test('deadlines resolve against the Date header in the sender\'s time zone', () => {
+    const extractor = new EntityExtractor();
+    const resolved = text => extractor.extract({ subject: '', body: text }, date).map(entity => entity.resolved);
+
+    assert.deepStrictEqual(resolved('Please fix it in 2 hours'), ['2026-10-12T15:00:00.000Z']);
+    // "before" means the start of the working day, 09:00 -0400
+    assert.deepStrictEqual(resolved('before Friday\'s meeting'), ['2026-10-16T13:00:00.000Z']);
+    assert.deepStrictEqual(resolved('by EOD'), ['2026-10-12T21:00:00.000Z']);
+    // 8am has passed on Monday, so it means Tuesday
+    assert.deepStrictEqual(resolved('by 8am'), ['2026-10-13T12:00:00.000Z']);
+    // Business days skip the weekend
+    assert.deepStrictEqual(resolved('within 5 business days'), ['2026-10-19T13:00:00.000Z']);
+});
+
+test('a hostname inside a URL and file names are not reported on their own', () => {
+    const entities = new EntityExtractor().extract({ subject: '', body: 'See https://wiki.example.com/vpn and attach setup.exe' }, date);
+    assert.deepStrictEqual(entities.map(entity => entity.type), ['url']);
+});
+
+test('repeated values are reported once and entities reach the text export', () => {
+    const parser = new EmailParser();
+    const ticket = parser.parse(`From: dana@example.com\nSubject: Outlook error on 10.1.2.33\nDate: ${date}\n\nOutlook fails on 10.1.2.33 with 0x80070005.`);
+
+    assert.deepStrictEqual(ticket.entities.map(entity => [entity.field, entity.value]), [
+        ['subject', 'Outlook'],
+        ['subject', '10.1.2.33'],
+        ['body', '0x80070005']
+    ]);
+    const text = parser.toText(ticket);
+    assert.match(text, /- IP address: 10\.1\.2\.33/);
+    assert.match(text, /- Error code: 0x80070005/);
+    assert.deepStrictEqual(JSON.parse(parser.toJSON(ticket)).entities, ticket.entities);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EmailParser } = require('../js/parser.js');
+
+function parse(subject, body) {
+    return new EmailParser().parse(`From: dana@example.com\nSubject: ${subject}\n\n${body}`);
+}
+
+// What the results panel highlights for a piece of evidence
+function span(ticket, item) {
+    return ticket[item.field].substring(item.start, item.end);
+}
+
+test('category evidence points at the matched words and adds up to the score', () => {
+    const ticket = parse('Printer jammed', 'The printer is stuck again.');
+    const evidence = ticket.evidence.category;
+
+    assert.ok(evidence.length > 0);
+    for (const item of evidence) {
+        assert.strictEqual(item.rule, 'category_keyword');
+        assert.match(span(ticket, item).toLowerCase(), new RegExp(`^${item.keyword.substring(0, 3)}`));
+    }
+    assert.deepStrictEqual(evidence.filter(item => item.field === 'subject').map(item => span(ticket, item)), ['Printer', 'jammed']);
+
+    const total = evidence.reduce((sum, item) => sum + item.contribution, 0);
+    assert.strictEqual(Math.round(total * 100) / 100, ticket.candidates[0].score);
+});
+
+test('negated urgency keywords are listed but do not raise priority', () => {
+    const ticket = parse('Printer jammed', 'This is not urgent, the other printer works.');
+
+    const [urgency] = ticket.evidence.priority;
+    assert.strictEqual(urgency.rule, 'urgency_keyword');
+    assert.strictEqual(urgency.negated, true);
+    assert.strictEqual(span(ticket, urgency), 'urgent');
+
+    const fallback = ticket.evidence.priority[ticket.evidence.priority.length - 1];
+    assert.strictEqual(fallback.rule, 'category_default');
+    assert.strictEqual(ticket.priority, 'medium');
+});
+
+test('an urgency keyword is the evidence for an urgent ticket', () => {
+    const ticket = parse('Printer jammed', 'Urgent: payroll cannot print.');
+
+    assert.strictEqual(ticket.priority, 'urgent');
+    assert.ok(ticket.evidence.priority.some(item => item.rule === 'urgency_keyword' && !item.negated && span(ticket, item) === 'Urgent'));
+});
+
+test('negative keywords show up with a negative contribution', () => {
+    const parser = new EmailParser();
+    parser.categories.printer_issue.negativeKeywords = ['print screen'];
+    const ticket = parser.parse('From: dana@example.com\nSubject: Printer\n\nHow do I take a print screen?');
+
+    const negative = ticket.evidence.category.find(item => item.rule === 'negative_keyword');
+    assert.ok(negative);
+    assert.ok(negative.contribution < 0);
+    assert.strictEqual(span(ticket, negative), 'print screen');
+});
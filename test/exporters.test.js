@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EmailParser } = require('../js/parser.js');
+const { TicketExporter } = require('../js/exporters.js');
+
+// Stand-in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const raw = 'From: "Doe, Jane" <jane.doe@example.com>\nSubject: Printer jammed | tray 2\nDate: Mon, 12 Oct 2026 09:00:00 +0000\n\n' +
+    '=SUM(A1) the printer <b>jammed</b>.\n\nSecond paragraph.';
+
+function setup() {
+    const parser = new EmailParser();
+    return { parser, ticket: parser.parse(raw) };
+}
+
+test('helpdesk payloads map category, priority and requester', () => {
+    const { parser, ticket } = setup();
+
+    const zendesk = JSON.parse(parser.exportAs(ticket, 'zendesk')).ticket;
+    assert.deepStrictEqual(zendesk.requester, { name: 'Doe, Jane', email: 'jane.doe@example.com' });
+    assert.strictEqual(zendesk.priority, 'normal');
+    assert.strictEqual(zendesk.type, 'incident');
+    assert.strictEqual(zendesk.external_id, ticket.ticketId);
+
+    const freshdesk = JSON.parse(parser.exportAs(ticket, 'freshdesk'));
+    assert.strictEqual(freshdesk.priority, 2);
+    assert.strictEqual(freshdesk.description, '<p>=SUM(A1) the printer &lt;b&gt;jammed&lt;/b&gt;.</p><p>Second paragraph.</p>');
+    assert.strictEqual(freshdesk.due_by, ticket.resolveBy);
+
+    const jira = JSON.parse(parser.exportAs(ticket, 'jira')).fields;
+    assert.strictEqual(jira.priority.name, 'Medium');
+    assert.strictEqual(jira.description.content[0].content[0].text, 'Requester: Doe, Jane <jane.doe@example.com>');
+    assert.strictEqual(jira.description.content.length, 3);
+
+    // "Doe, Jane" from a directory-style From header is split the right way round
+    const atera = JSON.parse(parser.exportAs(ticket, 'atera'));
+    assert.strictEqual(atera.EndUserFirstName, 'Jane');
+    assert.strictEqual(atera.EndUserLastName, 'Doe');
+
+    const servicenow = JSON.parse(parser.exportAs(Object.assign({}, ticket, { priority: 'urgent' }), 'servicenow'));
+    assert.deepStrictEqual([servicenow.category, servicenow.urgency, servicenow.impact], ['hardware', '1', '1']);
+});
+
+test('categories added in the taxonomy editor fall back to the default type', () => {
+    const { parser, ticket } = setup();
+    const custom = Object.assign({}, ticket, { category: 'badge_access' });
+
+    assert.strictEqual(JSON.parse(parser.exportAs(custom, 'zendesk')).ticket.type, 'incident');
+    assert.strictEqual(JSON.parse(parser.exportAs(custom, 'servicenow')).category, 'inquiry');
+});
+
+test('CSV quotes cells and defuses formulas', () => {
+    const { parser, ticket } = setup();
+    const [header, ...rest] = parser.exportAs([ticket, ticket], 'csv').split('\r\n');
+    const csv = rest.join('\r\n');
+
+    assert.ok(header.startsWith('ticketId,threadId,parentTicketId,from,'));
+    assert.ok(csv.includes('"""Doe, Jane"" <jane.doe@example.com>"'));
+    assert.ok(csv.includes('"\'=SUM(A1) the printer <b>jammed</b>.\n\nSecond paragraph."'));
+    assert.strictEqual(csv.split(ticket.ticketId).length - 1, 4);
+});
+
+test('Markdown escapes table pipes and quotes the description', () => {
+    const { parser, ticket } = setup();
+    const markdown = parser.exportAs(ticket, 'markdown');
+
+    assert.ok(markdown.startsWith('## Printer jammed \\| tray 2\n'));
+    assert.ok(markdown.includes('| Requester | Doe, Jane <jane.doe@example.com> |'));
+    assert.ok(markdown.includes('> =SUM(A1) the printer <b>jammed</b>.\n> \n> Second paragraph.'));
+});
+
+test('custom mappings render templates, keep value types and survive a reload', () => {
+    const storage = memoryStorage();
+    const { parser, ticket } = setup();
+    const exporter = new TicketExporter(parser, storage);
+
+    exporter.saveMappings([{
+        name: 'halo',
+        label: 'Halo',
+        fields: {
+            'ticket.summary': '[{{priority|upper}}] {{subject}}',
+            'ticket.type': '{{category|map:types}}',
+            'ticket.confidence': '{{confidence}}',
+            'ticket.user.email': '{{requester.email}}',
+            'ticket.site': '{{requester.organization|default:HQ}}',
+            'ticket.source': 'email'
+        },
+        maps: { types: { printer_issue: 'Hardware', '*': 'Incident' } }
+    }]);
+
+    const reloaded = new TicketExporter(parser, storage);
+    reloaded.applyMappings(reloaded.loadMappings());
+    assert.ok(reloaded.list().some(format => format.name === 'halo' && format.custom));
+
+    assert.deepStrictEqual(JSON.parse(reloaded.export(ticket, 'halo')).ticket, {
+        summary: '[MEDIUM] Printer jammed | tray 2',
+        type: 'Hardware',
+        confidence: ticket.confidence,
+        user: { email: 'jane.doe@example.com' },
+        site: 'HQ',
+        source: 'email'
+    });
+});
+
+test('mappings that could pollute prototypes or shadow built-ins are rejected', () => {
+    const exporter = setup().parser.exporter;
+    const reject = (mapping, pattern) => assert.throws(() => exporter.validateMappings([mapping]), pattern);
+
+    reject({ name: 'zendesk', fields: { a: 'b' } }, /already in use/);
+    reject({ name: 'Halo Desk', fields: { a: 'b' } }, /lowercase letters/);
+    reject({ name: 'halo', fields: { '__proto__.polluted': 'yes' } }, /invalid field name/);
+    reject({ name: 'halo', fields: { a: { nested: true } } }, /string, number or boolean/);
+    reject({ name: 'halo', fields: {} }, /needs 1-/);
+    reject({ name: 'halo', fields: { a: 'b' }, maps: { constructor: {} } }, /must be an object/);
+
+    // Placeholders only read the ticket's own properties
+    assert.strictEqual(exporter.renderTemplate('{{constructor.name}}', exporter.view({}), {}), null);
+    assert.throws(() => exporter.export({}, 'missing'), /Unknown export format: missing/);
+});
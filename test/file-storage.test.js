@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStorage } = require('../server/file-storage.js');
+const { TicketIdScheme } = require('../js/ticket-ids.js');
+
+function temporaryFile() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'email-to-ticket-'));
+    return path.join(directory, 'state.json');
+}
+
+test('ticket ID counters carry over to the next run', () => {
+    const file = temporaryFile();
+    const scheme = { template: '{prefix}-{seq:4}', prefix: 'HD', fromMessageId: true };
+
+    const firstRun = new TicketIdScheme(new FileStorage(file));
+    firstRun.apply(scheme);
+    assert.strictEqual(firstRun.next({ messageId: '<a@example.com>' }), 'HD-0001');
+    assert.strictEqual(firstRun.next({ messageId: '<b@example.com>' }), 'HD-0002');
+    firstRun.storage.flush();
+
+    const secondRun = new TicketIdScheme(new FileStorage(file));
+    secondRun.apply(scheme);
+    assert.strictEqual(secondRun.next({ messageId: '<c@example.com>' }), 'HD-0003');
+    assert.strictEqual(secondRun.next({ messageId: '<a@example.com>' }), 'HD-0001');
+    secondRun.storage.flush();
+
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('a missing file starts empty and an invalid one is rejected', () => {
+    const file = temporaryFile();
+    assert.strictEqual(new FileStorage(file).getItem('anything'), null);
+
+    fs.writeFileSync(file, '[1, 2]');
+    assert.throws(() => new FileStorage(file), /JSON object/);
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('two processes sharing a state file never issue the same number', async () => {
+    const { spawn } = require('child_process');
+    const file = temporaryFile();
+    const script = `
+        const { FileStorage } = require(${JSON.stringify(path.resolve(__dirname, '../server/file-storage.js'))});
+        const { TicketIdScheme } = require(${JSON.stringify(path.resolve(__dirname, '../js/ticket-ids.js'))});
+        const scheme = new TicketIdScheme(new FileStorage(process.argv[1]));
+        scheme.apply({ template: 'HD-{seq:4}' });
+        const ids = [];
+        for (let i = 0; i < 40; i++) ids.push(scheme.next({}));
+        process.stdout.write(ids.join('\\n'));
+    `;
+    const run = () => new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script, file]);
+        let output = '';
+        child.stdout.on('data', chunk => { output += chunk; });
+        child.on('error', reject);
+        child.on('close', code => (code === 0 ? resolve(output.split('\n')) : reject(new Error(`exit ${code}`))));
+    });
+
+    const ids = [].concat(...await Promise.all([run(), run()]));
+
+    assert.strictEqual(ids.length, 80);
+    assert.strictEqual(new Set(ids).size, 80);
+    assert.ok(!fs.existsSync(`${file}.lock`));
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('changes made while another process saved are merged, not overwritten', () => {
+    const file = temporaryFile();
+    const first = new FileStorage(file);
+    const second = new FileStorage(file);
+
+    first.setItem('a', '1');
+    first.flush();
+    second.setItem('b', '2');
+    second.flush();
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { a: '1', b: '2' });
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
+
+test('a lock left by a crashed process is taken over once stale, a live one times out', () => {
+    const file = temporaryFile();
+    const storage = new FileStorage(file);
+    storage.lockTimeout = 50;
+
+    fs.writeFileSync(`${file}.lock`, '');
+    assert.throws(() => storage.transaction(() => storage.setItem('a', '1')), /held by another process/);
+
+    const old = new Date(Date.now() - storage.staleLockTime - 1000);
+    fs.utimesSync(`${file}.lock`, old, old);
+    storage.transaction(() => storage.setItem('a', '1'));
+
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { a: '1' });
+    assert.ok(!fs.existsSync(`${file}.lock`));
+    fs.rmSync(path.dirname(file), { recursive: true });
+});
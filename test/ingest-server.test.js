@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { EmailParser } = require('../js/parser.js');
+const { IngestServer } = require('../server/ingest-server.js');
+const { WebhookForwarder } = require('../server/forwarder.js');
+
+const raw = 'From: Dana <dana@example.com>\nTo: help@example.com\nSubject: Printer jammed\n' +
+    'Date: Mon, 12 Oct 2026 09:00:00 +0000\nMessage-ID: <m1@example.com>\n\nMy printer is jammed again.';
+
+const quiet = { log() {}, error() {} };
+
+async function start(options) {
+    const server = new IngestServer(new EmailParser(), Object.assign({ log: quiet }, options));
+    const address = await server.listen(0);
+    return { server, base: `http://127.0.0.1:${address.port}` };
+}
+
+async function request(base, method, path, body, contentType) {
+    const response = await fetch(base + path, {
+        method,
+        headers: body !== undefined ? { 'Content-Type': contentType || 'message/rfc822' } : {},
+        body
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+test('POST /parse turns a raw message into a ticket', async () => {
+    const { server, base } = await start();
+    try {
+        const result = await request(base, 'POST', '/parse', raw);
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(result.body.subject, 'Printer jammed');
+        assert.ok(result.body.ticketId);
+    } finally {
+        await server.close();
+    }
+});
+
+test('POST /batch reports bad entries next to the tickets that parsed', async () => {
+    const { server, base } = await start();
+    try {
+        const result = await request(base, 'POST', '/batch', JSON.stringify({ emails: [raw, 42] }), 'application/json');
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(result.body.tickets.length, 1);
+        assert.strictEqual(result.body.errors.length, 1);
+        assert.strictEqual(result.body.errors[0].index, 1);
+    } finally {
+        await server.close();
+    }
+});
+
+test('POST /inbound accepts a provider webhook payload', async () => {
+    const { server, base } = await start();
+    try {
+        const payload = { From: 'dana@example.com', Subject: 'Printer jammed', TextBody: 'My printer is jammed again.' };
+        const result = await request(base, 'POST', '/inbound', JSON.stringify(payload), 'application/json');
+        assert.strictEqual(result.status, 200);
+        assert.ok(result.body.ticketId);
+        assert.ok(result.body.category);
+    } finally {
+        await server.close();
+    }
+});
+
+test('POST /inbound keeps the HTML part of a Postmark payload for the phishing screen', async () => {
+    const { server, base } = await start();
+    let ticket = null;
+    server.parser.use({ name: 'capture', run: (context) => { ticket = context.result; } });
+    try {
+        const payload = {
+            From: 'alerts@example.net',
+            Subject: 'Printer driver download',
+            TextBody: 'Download the new driver from www.example.com/drivers before Friday.',
+            HtmlBody: '<p>Download the new driver from <a href="http://203.0.113.9/payload">www.example.com/drivers</a> before Friday.</p>'
+        };
+        const result = await request(base, 'POST', '/inbound', JSON.stringify(payload), 'application/json');
+
+        assert.strictEqual(result.status, 200);
+        assert.strictEqual(ticket.body, payload.TextBody);
+        const types = ticket.security.signals.map(signal => signal.type);
+        assert.ok(types.includes('link_mismatch'), types.join(', '));
+        assert.ok(types.includes('suspicious_link'), types.join(', '));
+    } finally {
+        await server.close();
+    }
+});
+
+test('a trailing slash and the wrong method give 405, unknown paths 404', async () => {
+    const { server, base } = await start();
+    try {
+        assert.strictEqual((await request(base, 'GET', '/parse/')).status, 405);
+        assert.strictEqual((await request(base, 'GET', '/parse')).status, 405);
+        assert.strictEqual((await request(base, 'POST', '/parse/', raw)).status, 200);
+        assert.strictEqual((await request(base, 'GET', '/missing')).status, 404);
+    } finally {
+        await server.close();
+    }
+});
+
+test('requests without the token are refused', async () => {
+    const { server, base } = await start({ token: 'secret-token' });
+    try {
+        assert.strictEqual((await request(base, 'POST', '/parse', raw)).status, 401);
+        assert.strictEqual((await request(base, 'POST', '/parse?token=secret-token', raw)).status, 200);
+    } finally {
+        await server.close();
+    }
+});
+
+test('forwarded tickets carry a signature that verify() accepts', async () => {
+    const received = [];
+    const receiver = http.createServer((incoming, response) => {
+        const chunks = [];
+        incoming.on('data', chunk => chunks.push(chunk));
+        incoming.on('end', () => {
+            received.push({ headers: incoming.headers, body: Buffer.concat(chunks).toString('utf8') });
+            response.end('ok');
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+
+    const forwarder = new WebhookForwarder({ url: `http://127.0.0.1:${receiver.address().port}/hook`, secret: 'shared' });
+    const { server, base } = await start({ forwarder });
+    try {
+        assert.strictEqual((await request(base, 'POST', '/parse', raw)).status, 200);
+    } finally {
+        await server.close();
+        await new Promise(resolve => receiver.close(resolve));
+    }
+
+    assert.strictEqual(received.length, 1);
+    const { headers, body } = received[0];
+    const timestamp = headers['x-ticket-timestamp'];
+    const signature = headers['x-ticket-signature'];
+    assert.strictEqual(JSON.parse(body).subject, 'Printer jammed');
+    assert.ok(WebhookForwarder.verify('shared', timestamp, body, signature));
+    assert.ok(!WebhookForwarder.verify('other', timestamp, body, signature));
+    assert.ok(!WebhookForwarder.verify('shared', timestamp, `${body} `, signature));
+    assert.ok(!WebhookForwarder.verify('shared', Number(timestamp) - 600, body, signature));
+});
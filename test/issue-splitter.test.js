@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IssueSplitter } = require('../js/issue-splitter.js');
+const { EmailParser } = require('../js/parser.js');
+
+function parse(body) {
+    return new EmailParser().parse(`From: dana@example.com\nSubject: A few things\nDate: Mon, 12 Oct 2026 09:00:00 +0000\n\n${body}`);
+}
+
+test('segments keep offsets into the body and drop connectors and greetings', () => {
+    const body = 'Hi team,\n\nMy printer is jammed, and also I need access to the Finance share.';
+    const segments = new IssueSplitter().segment(body);
+
+    assert.deepStrictEqual(segments.map(segment => segment.text), ['My printer is jammed', 'I need access to the Finance share.']);
+    for (const segment of segments) {
+        assert.strictEqual(body.substring(segment.start, segment.end), segment.text);
+    }
+});
+
+test('troubleshooting steps are context, not separate issues', () => {
+    const segments = new IssueSplitter().segment('My printer is jammed. I have already tried:\n- restarting the printer\n- reinstalling the driver');
+    assert.deepStrictEqual(segments.map(segment => segment.context), [false, true, true, true]);
+});
+
+test('"and also" splits off a child ticket with its own category and snippet', () => {
+    const ticket = parse('My printer is jammed, and also I need access to the Finance share \\\\fs01\\finance by 3pm today.');
+
+    assert.strictEqual(ticket.category, 'printer_issue');
+    assert.strictEqual(ticket.childTickets.length, 1);
+    const [child] = ticket.childTickets;
+    assert.strictEqual(child.category, 'access_request');
+    assert.strictEqual(child.snippet, 'I need access to the Finance share \\\\fs01\\finance by 3pm today.');
+    assert.strictEqual(ticket.body.substring(child.spans[0].start, child.spans[0].end), child.snippet);
+});
+
+test('a numbered list of issues becomes one primary and two children', () => {
+    const ticket = parse('Hi team,\n\n1. Outlook will not send email and my inbox is full.\n' +
+        '2. The wifi network in room 4 drops and the internet is down.\n3. My laptop screen is cracked and the keyboard is broken.');
+
+    assert.strictEqual(ticket.category, 'network_issue');
+    assert.deepStrictEqual(ticket.childTickets.map(child => [child.index, child.category]), [[1, 'email_issue'], [2, 'hardware_issue']]);
+});
+
+test('one issue described over several sentences is not split', () => {
+    assert.deepStrictEqual(parse('My printer is jammed. I have already tried:\n- restarting the printer\n- reinstalling the printer driver\nThanks.').childTickets, []);
+});
+
+test('an accepted child becomes a linked ticket with its own entities and SLA', () => {
+    const parser = new EmailParser();
+    const parent = parser.parse('From: dana@example.com\nSubject: A few things\nDate: Mon, 12 Oct 2026 09:00:00 +0000\n\n' +
+        'My printer is jammed, and also I need access to the Finance share \\\\fs01\\finance by 3pm today.');
+    const child = parser.createChildTicket(parent, parent.childTickets[0]);
+
+    assert.strictEqual(child.ticketId, `${parent.ticketId}-1`);
+    assert.strictEqual(child.parentTicketId, parent.ticketId);
+    assert.strictEqual(child.subject, 'A few things (Access Request)');
+    assert.strictEqual(child.body, parent.childTickets[0].snippet);
+    assert.deepStrictEqual(child.entities.map(entity => entity.type), ['share', 'deadline']);
+    // The 3pm deadline in the snippet tightens the child's own SLA
+    assert.strictEqual(child.priority, 'urgent');
+    assert.strictEqual(child.sla.tightenedFrom, 'medium');
+    assert.strictEqual(child.sla.requestedBy.resolved, '2026-10-12T15:00:00.000Z');
+    assert.ok(Date.parse(child.resolveBy) <= Date.parse(child.sla.requestedBy.resolved));
+    assert.strictEqual(child.insights, `🧩 Split from ${parent.ticketId} (Printer Issue)`);
+});
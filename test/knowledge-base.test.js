@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { KnowledgeBase } = require('../js/knowledge-base.js');
+const { EmailParser } = require('../js/parser.js');
+
+const articles = [
+    {
+        id: 'kb-vpn', title: 'VPN keeps disconnecting', categories: ['network_issue'], keywords: ['vpn', 'anyconnect'],
+        body: 'Reinstall the VPN client and check the home router.', reply: 'Hi {{requester.firstName}},\n\nTry reconnecting the VPN. Reference: {{ticketId}}'
+    },
+    {
+        id: 'kb-outlook-0x8004', title: 'Outlook error 0x8004010F', categories: ['email_issue'], keywords: ['outlook', 'profile'],
+        body: 'Create a new Outlook profile from Control Panel > Mail.', reply: ''
+    },
+    {
+        id: 'kb-wifi', title: 'Guest Wi-Fi password', categories: ['network_issue'], keywords: ['wifi', 'guest'],
+        body: 'The guest network password changes every Monday.'
+    }
+];
+
+test('articles are ranked by BM25 with the words that matched', () => {
+    const knowledgeBase = new KnowledgeBase().setArticles(articles);
+    const matches = knowledgeBase.search({ subject: 'VPN disconnecting', body: 'AnyConnect VPN drops every hour when I work from home.' });
+
+    assert.deepStrictEqual(matches.map(match => match.id), ['kb-vpn']);
+    assert.deepStrictEqual(matches[0].terms.slice(0, 3), ['vpn', 'disconnecting', 'anyconnect']);
+});
+
+test('a single shared word is not a match', () => {
+    const knowledgeBase = new KnowledgeBase().setArticles(articles);
+    assert.deepStrictEqual(knowledgeBase.search({ subject: '', body: 'Is the office open on Monday?' }), []);
+});
+
+test('entity values and the ticket category lift the right article', () => {
+    const knowledgeBase = new KnowledgeBase().setArticles(articles);
+    const query = { subject: 'Mail problem', body: 'I get an error when opening the program.' };
+
+    const entities = [{ type: 'software', value: 'Outlook' }, { type: 'error_code', value: '0x8004010F' }];
+    const withEntities = knowledgeBase.search(Object.assign({ entities }, query));
+    assert.strictEqual(withEntities[0].id, 'kb-outlook-0x8004');
+
+    const boosted = knowledgeBase.search(Object.assign({ entities, category: 'email_issue' }, query));
+    assert.ok(Math.abs(boosted[0].score - withEntities[0].score * knowledgeBase.categoryBoost) < 0.02);
+});
+
+test('tickets get ranked articles and a reply drafted from the best one with a reply', () => {
+    const parser = new EmailParser();
+    parser.knowledgeBase.setArticles(articles);
+    const ticket = parser.parse('From: Dana Reyes <dana.reyes@example.com>\nSubject: VPN disconnecting\n\nAnyConnect VPN drops every hour.');
+
+    assert.strictEqual(ticket.articles[0].id, 'kb-vpn');
+    assert.deepStrictEqual(ticket.suggestedReply, {
+        articleId: 'kb-vpn',
+        to: 'dana.reyes@example.com',
+        subject: `Re: VPN disconnecting [${ticket.ticketId}]`,
+        body: `Hi Dana,\n\nTry reconnecting the VPN. Reference: ${ticket.ticketId}`
+    });
+});
+
+test('without a matching reply the generic one is used', () => {
+    const parser = new EmailParser();
+    parser.knowledgeBase.setArticles(articles);
+    const ticket = parser.parse('From: Dana Reyes <dana.reyes@example.com>\nSubject: Question\n\nWhere is the cafeteria menu posted?');
+
+    assert.deepStrictEqual(ticket.articles, []);
+    assert.strictEqual(ticket.suggestedReply.articleId, null);
+    assert.ok(ticket.suggestedReply.body.startsWith('Hi Dana,\n\n'));
+    assert.ok(ticket.suggestedReply.body.includes(ticket.ticketId));
+});
+
+test('imported articles are validated and round-trip through export', () => {
+    const knowledgeBase = new KnowledgeBase();
+
+    const imported = knowledgeBase.importJSON(JSON.stringify({ articles }));
+    assert.deepStrictEqual(knowledgeBase.importJSON(knowledgeBase.exportJSON(imported)), imported);
+    assert.throws(() => knowledgeBase.importJSON('{"items": []}'), /Expected a list of articles/);
+    assert.throws(() => knowledgeBase.validate({ title: ' ' }), /needs a title/);
+    assert.throws(() => knowledgeBase.validate({ title: 'X', url: 'javascript:alert(1)' }), /http\(s\) URL/);
+    assert.throws(() => knowledgeBase.validate({ title: 'X', categories: ['Printer Issue'] }), /invalid category/);
+    assert.throws(() => knowledgeBase.validate({ title: 'X', keywords: 'vpn' }), /must be a list of strings/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LanguagePacks } = require('../js/languages.js');
+const { EmailParser } = require('../js/parser.js');
+
+// Stand-in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const german = 'Von: Jana Schmidt <jana@example.de>\nGesendet: Montag, 12. Oktober 2026 09:00\nAn: IT Support\nBetreff: Drucker druckt nicht\n\n' +
+    'Hallo,\n\nder Drucker im 2. Stock hat einen Papierstau und druckt nicht. Bitte dringend prüfen, ich kann nicht arbeiten.\n\n' +
+    'Mit freundlichen Grüßen\nJana Schmidt';
+
+const italian = {
+    code: 'it',
+    name: 'Italiano',
+    stopwords: ['il', 'di', 'che', 'non', 'per', 'la', 'una', 'sono', 'mio'],
+    headers: { from: ['Da'], subject: ['Oggetto'] },
+    signOffs: ['Cordiali saluti'],
+    urgency: ['urgente'],
+    categories: { printer_issue: [{ term: 'stampante', weight: 2 }] }
+};
+
+test('localized Outlook headers, sign-offs, keywords and urgency terms are understood', () => {
+    const ticket = new EmailParser().parse(german);
+
+    assert.strictEqual(ticket.language, 'de');
+    assert.strictEqual(ticket.from, 'Jana Schmidt <jana@example.de>');
+    assert.strictEqual(ticket.subject, 'Drucker druckt nicht');
+    assert.strictEqual(ticket.body, 'Hallo,\n\nder Drucker im 2. Stock hat einen Papierstau und druckt nicht. Bitte dringend prüfen, ich kann nicht arbeiten.');
+    assert.strictEqual(ticket.signature, 'Mit freundlichen Grüßen\nJana Schmidt');
+    assert.strictEqual(ticket.category, 'printer_issue');
+    assert.strictEqual(ticket.priority, 'urgent');
+});
+
+test('French labels with a space before the colon are headers', () => {
+    const ticket = new EmailParser().parse('De : Marie Dupont <marie@example.fr>\nObjet : Mot de passe oublié\n\n' +
+        'Bonjour,\n\nJe ne peux pas me connecter, mon mot de passe est bloqué.\n\nCordialement,\nMarie');
+
+    assert.strictEqual(ticket.language, 'fr');
+    assert.strictEqual(ticket.subject, 'Mot de passe oublié');
+    assert.strictEqual(ticket.category, 'password_reset');
+    assert.strictEqual(ticket.signature, 'Cordialement,\nMarie');
+});
+
+test('a language\'s own negators cancel its urgency terms', () => {
+    const ticket = new EmailParser().parse('Von: Jana <jana@example.de>\nBetreff: Drucker\n\n' +
+        'Hallo, das ist nicht dringend, aber der Drucker hat einen Papierstau und ich habe keine Zeit.');
+
+    assert.strictEqual(ticket.priority, 'medium');
+    assert.strictEqual(ticket.evidence.priority[0].keyword, 'dringend');
+    assert.strictEqual(ticket.evidence.priority[0].negated, true);
+});
+
+test('short or unclear text falls back to the default language', () => {
+    const packs = new LanguagePacks(null);
+    assert.strictEqual(packs.detect('ok').code, 'en');
+    assert.strictEqual(packs.detect('Drucker kaputt').code, 'en');
+    assert.strictEqual(packs.detect('der Drucker ist kaputt und ich kann nicht drucken').code, 'de');
+});
+
+test('user packs are saved, reloaded and used by the parser', () => {
+    const storage = memoryStorage();
+    new LanguagePacks(storage).save([italian]);
+
+    const parser = new EmailParser();
+    parser.languages = new LanguagePacks(storage);
+    parser.languages.apply(parser.languages.load());
+    assert.ok(parser.languages.list().some(pack => pack.code === 'it' && pack.custom));
+
+    const ticket = parser.parse('Da: Luca <luca@example.it>\nOggetto: La stampante non funziona\n\n' +
+        'La stampante di il mio ufficio non stampa per una ora. Sono fermo, urgente.\n\nCordiali saluti\nLuca');
+    assert.strictEqual(ticket.language, 'it');
+    assert.strictEqual(ticket.subject, 'La stampante non funziona');
+    assert.strictEqual(ticket.category, 'printer_issue');
+    assert.strictEqual(ticket.priority, 'urgent');
+});
+
+test('imported packs are validated field by field', () => {
+    const packs = new LanguagePacks(null);
+
+    assert.deepStrictEqual(packs.importJSON(packs.exportJSON()), []);
+    assert.strictEqual(packs.importJSON(JSON.stringify(italian))[0].code, 'it');
+    assert.throws(() => packs.importJSON('{'), /not valid JSON/);
+    assert.throws(() => packs.validate([{ code: 'Italian' }]), /needs a code/);
+    assert.throws(() => packs.validate([{ code: 'it' }, { code: 'IT' }]), /Duplicate language pack: it/);
+    assert.throws(() => packs.validate([{ code: 'it', categories: JSON.parse('{"__proto__": []}') }]), /Invalid category name/);
+    assert.throws(() => packs.validate([{ code: 'it', urgency: 'urgente' }]), /must be an array/);
+    assert.throws(() => packs.validate([{ code: 'it', categories: { printer_issue: [{ term: 'stampante', weight: 0 }] } }]), /Invalid weight/);
+});
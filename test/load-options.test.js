@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EmailParser } = require('../js/parser.js');
+const { parserOptionDefaults, readParserOption, parserOptionUsage, loadParserOptions } = require('../server/load-options.js');
+
+function temporaryDirectory() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'email-to-ticket-'));
+}
+
+test('readParserOption takes short and long flags and leaves other arguments alone', () => {
+    const options = parserOptionDefaults();
+    const argv = ['-s', 'policy.json', '--ticket-id-state', 'state.json', '--port', '80'];
+    let i = 0;
+    const value = () => argv[++i];
+
+    assert.strictEqual(readParserOption(argv[i], value, options), true);
+    i++;
+    assert.strictEqual(readParserOption(argv[i], value, options), true);
+    i++;
+    assert.strictEqual(readParserOption(argv[i], value, options), false);
+    assert.strictEqual(options.sla, 'policy.json');
+    assert.strictEqual(options.ticketIdState, 'state.json');
+    assert.strictEqual(options.taxonomy, null);
+});
+
+test('parserOptionUsage lines the descriptions up at the given column', () => {
+    for (const line of parserOptionUsage(34).split('\n')) {
+        assert.match(line.substring(0, 34), /^ {2}(?:-[a-z], | {4})--[a-z-]+ <file> *$|^ {34}$/);
+        assert.match(line.substring(34), /^\S/);
+    }
+});
+
+test('loadParserOptions applies the files and names the bad one', () => {
+    const directory = temporaryDirectory();
+    const sla = path.join(directory, 'sla.json');
+    const contacts = path.join(directory, 'contacts.csv');
+    fs.writeFileSync(sla, JSON.stringify({ timezone: 'UTC' }));
+    fs.writeFileSync(contacts, 'Name,Email\nDana Reyes,dana@acme.com\nBad Row,nope\n');
+
+    const parser = new EmailParser();
+    const warnings = [];
+    const loaded = loadParserOptions(parser, Object.assign(parserOptionDefaults(), { sla, directory: contacts }), message => warnings.push(message));
+
+    assert.strictEqual(parser.sla.config.timezone, 'UTC');
+    assert.strictEqual(parser.directory.data.contacts.length, 1);
+    assert.deepStrictEqual(warnings, [`${contacts} line 3: invalid email address "nope" - skipped`]);
+    assert.strictEqual(loaded.ticketIdState, null);
+
+    fs.writeFileSync(sla, '{');
+    assert.throws(() => loadParserOptions(new EmailParser(), Object.assign(parserOptionDefaults(), { sla }), () => {}),
+        new RegExp(`^Error: invalid SLA policy ${sla.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}: `));
+    fs.rmSync(directory, { recursive: true });
+});
+
+test('both binaries reject a bad option file with exit code 64', () => {
+    const directory = temporaryDirectory();
+    const bad = path.join(directory, 'ids.json');
+    fs.writeFileSync(bad, '[]');
+
+    for (const binary of ['email-to-ticket.js', 'email-to-ticket-server.js']) {
+        const run = spawnSync(process.execPath, [path.join(__dirname, '../bin', binary), '--ticket-ids', bad], { input: '', encoding: 'utf8', timeout: 10000 });
+        assert.strictEqual(run.status, 64, run.stderr);
+        assert.match(run.stderr, /invalid ticket ID scheme .*ids\.json: /);
+    }
+    fs.rmSync(directory, { recursive: true });
+});
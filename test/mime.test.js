@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MimeParser } = require('../js/mime.js');
+const { EmailParser } = require('../js/parser.js');
+
+const raw = [
+    'From: "Reyes, Dana" <dana@example.com>',
+    'To: help@example.com, "Ops Team" <ops@example.com>',
+    'Subject: =?UTF-8?B?RHJ1Y2tlciBrYXB1dHQg4oCTIGJpdHRlIGhlbGZlbg==?=',
+    'Date: Mon, 12 Oct 2026 09:00:00 +0200 (CEST)',
+    'Message-ID: <m1@example.com>',
+    'In-Reply-To: <m0@example.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: multipart/alternative; boundary="b1"',
+    '',
+    'This is a multi-part message.',
+    '--b1',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    'Der Drucker im 3. Stock druckt nur noch leere Seiten. Gr=C3=BC=C3=9Fe, Dana=',
+    '',
+    '--b1',
+    'Content-Type: text/html; charset=utf-8',
+    '',
+    '<p>Der Drucker im 3. Stock druckt nur noch leere Seiten.</p>',
+    '--b1--',
+    ''
+].join('\r\n');
+
+test('isRawMessage tells a header block from pasted text', () => {
+    const mime = new MimeParser();
+    assert.strictEqual(mime.isRawMessage(raw), true);
+    assert.strictEqual(mime.isRawMessage('Hi team,\n\nmy laptop will not boot.'), false);
+    assert.strictEqual(mime.isRawMessage('Note: call me back\n\nThanks'), false);
+});
+
+test('parse decodes headers, picks the text/plain alternative and decodes quoted-printable', () => {
+    const mime = new MimeParser();
+    const message = mime.parse(raw);
+
+    assert.strictEqual(message.text.type, 'text/plain');
+    assert.strictEqual(message.text.content.trim(), 'Der Drucker im 3. Stock druckt nur noch leere Seiten. Grüße, Dana');
+    assert.strictEqual(message.root.children.length, 2);
+    assert.deepStrictEqual(message.attachments, []);
+
+    assert.strictEqual(mime.decodeWords(mime.getHeader(message.headers, 'subject')), 'Drucker kaputt – bitte helfen');
+    const summary = mime.summarizeHeaders(message.headers);
+    assert.deepStrictEqual(summary.from, [{ name: 'Reyes, Dana', address: 'dana@example.com' }]);
+    assert.deepStrictEqual(summary.to.map(entry => entry.address), ['help@example.com', 'ops@example.com']);
+    assert.strictEqual(summary.date, '2026-10-12T07:00:00.000Z');
+    assert.strictEqual(summary.messageId, '<m1@example.com>');
+    assert.strictEqual(summary.inReplyTo, '<m0@example.com>');
+});
+
+test('folded headers are unfolded and RFC 2231 parameters decoded', () => {
+    const mime = new MimeParser();
+    const headers = mime.parseHeaders('Subject: a long\r\n subject line'.replace(/\r\n/g, '\n'));
+    assert.strictEqual(mime.getHeader(headers, 'subject'), 'a long subject line');
+
+    const type = mime.parseParameterizedValue("attachment; filename*=UTF-8''Pr%C3%BCfbericht%20Q3.pdf");
+    assert.strictEqual(type.value, 'attachment');
+    assert.strictEqual(type.params.filename, 'Prüfbericht Q3.pdf');
+});
+
+test('mbox files split into messages with From_ lines removed', () => {
+    const mime = new MimeParser();
+    const mbox = 'From dana@example.com Mon Oct 12 09:00:00 2026\nFrom: dana@example.com\nSubject: One\n\nFirst\n>From the start\n\n' +
+        'From sam@example.com Mon Oct 12 10:00:00 2026\nFrom: sam@example.com\nSubject: Two\n\nSecond\n';
+
+    assert.strictEqual(mime.isMbox(mbox), true);
+    const messages = mime.splitMbox(mbox);
+    assert.strictEqual(messages.length, 2);
+    assert.ok(messages[0].startsWith('From: dana@example.com'));
+    assert.ok(messages[0].includes('\nFrom the start'));
+    assert.ok(!messages[0].includes('>From'));
+});
+
+test('a hostile message is stopped at the part limit', () => {
+    const mime = new MimeParser();
+    const parts = Array.from({ length: mime.maxParts + 5 }, () => '--x\nContent-Type: text/plain\n\npart').join('\n');
+    assert.throws(() => mime.parse(`From: a@example.com\nContent-Type: multipart/mixed; boundary=x\n\n${parts}\n--x--`), /too many MIME parts/);
+});
+
+test('the parser takes subject, sender and body from the MIME layer', () => {
+    const ticket = new EmailParser().parse(raw);
+    assert.strictEqual(ticket.subject, 'Drucker kaputt – bitte helfen');
+    assert.strictEqual(ticket.headers.messageId, '<m1@example.com>');
+    assert.ok(ticket.body.startsWith('Der Drucker im 3. Stock'));
+    assert.strictEqual(ticket.category, 'printer_issue');
+});
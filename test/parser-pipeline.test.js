@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EmailParser } = require('../js/parser.js');
+
+const email = 'From: Dana <dana@example.com>\nTo: help@example.com\nSubject: Locked out\n' +
+    'Date: Mon, 12 Oct 2026 09:00:00 +0000\nMessage-ID: <m1@example.com>\n\n' +
+    'I forgot my password and I am locked out of my account. My old password is Hunter2!x if that helps.';
+
+test('generateInsights reads the stage context by name', () => {
+    const parser = new EmailParser();
+    let seen = null;
+    parser.use({ name: 'capture', before: 'insights', run: (context) => { seen = context; } });
+
+    const ticket = parser.parse(email);
+
+    assert.strictEqual(parser.generateInsights(seen), ticket.insights);
+    assert.ok(ticket.insights.includes('Redacted 1 sensitive value (Password)'));
+});
+
+test('generateInsights tolerates stages that left their fields unset', () => {
+    const parser = new EmailParser();
+    const insights = parser.generateInsights({
+        category: { name: 'network_issue', confidence: 0.8, matches: [] },
+        priorityAssessment: { priority: 'medium' },
+        body: 'The wifi drops every few minutes.'
+    });
+
+    assert.ok(insights.includes('Automatically categorized as "Network Issue"'));
+    assert.ok(insights.includes('restart router'));
+});
+
+test('use() puts plugins after assemble and before reply by default, in the order added', () => {
+    const parser = new EmailParser();
+    parser.use(function first() {}).use({ name: 'second', run() {} }).use({ name: 'early', before: 'classify', run() {} });
+
+    const names = parser.stageNames();
+    assert.deepStrictEqual(names.slice(-4), ['assemble', 'first', 'second', 'reply']);
+    assert.ok(names.indexOf('early') === names.indexOf('classify') - 1);
+});
+
+test('the reply is drafted after default plugins have changed the ticket', () => {
+    const parser = new EmailParser();
+    parser.use(function rename(context) {
+        context.result.requester = Object.assign({}, context.result.requester, { name: 'Dana Renamed' });
+    });
+    let drafted = null;
+    const draftReply = parser.draftReply.bind(parser);
+    parser.draftReply = (ticket) => {
+        drafted = ticket.requester.name;
+        return draftReply(ticket);
+    };
+
+    parser.parse(email);
+
+    assert.strictEqual(drafted, 'Dana Renamed');
+});
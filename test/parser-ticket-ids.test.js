@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EmailParser } = require('../js/parser.js');
+
+function email(index, subject) {
+    return `From: Dana <dana@example.com>\nTo: help@example.com\nSubject: ${subject}\n` +
+        `Date: Mon, 12 Oct 2026 09:00:00 +0000\nMessage-ID: <m${index}@example.com>\n\nMy printer is jammed again (${index}).`;
+}
+
+test('reissueTicketId renames the ticket and the thread it links to', () => {
+    const worker = new EmailParser();
+    const page = new EmailParser();
+    page.ticketIds.apply({ template: 'HD-{seq:4}' });
+    const renamed = new Map();
+
+    const first = worker.parse(email(1, 'Printer jammed'));
+    const reply = worker.parse(email(2, 'RE: Printer jammed').replace('\n\n', '\nIn-Reply-To: <m1@example.com>\n\n'));
+    const workerFirstId = first.ticketId;
+
+    page.reissueTicketId(first, renamed);
+    page.reissueTicketId(reply, renamed);
+
+    assert.strictEqual(first.ticketId, 'HD-0001');
+    assert.strictEqual(reply.ticketId, 'HD-0002');
+    assert.strictEqual(reply.threadId, 'HD-0001');
+    assert.ok(reply.insights.includes('Follow-up to HD-0001'));
+    assert.ok(!reply.insights.includes(workerFirstId));
+});
+
+test('reissueTicketId stays fast across a large batch', () => {
+    const worker = new EmailParser();
+    const page = new EmailParser();
+    page.ticketIds.apply({ template: 'HD-{seq:5}' });
+    const results = [];
+    for (let i = 0; i < 3000; i++) {
+        results.push(worker.parse(email(i, `Printer jammed on floor ${i}`)));
+    }
+
+    const renamed = new Map();
+    const started = Date.now();
+    results.forEach(result => page.reissueTicketId(result, renamed));
+    const elapsed = Date.now() - started;
+
+    assert.strictEqual(results[2999].ticketId, 'HD-03000');
+    assert.ok(elapsed < 2000, `took ${elapsed} ms`);
+});
+
+test('exclusive() runs the parse when ticket IDs are turned off', async () => {
+    const parser = new EmailParser();
+    parser.ticketIds = null;
+
+    const ticket = await parser.exclusive(() => parser.parse(email(1, 'Printer jammed')));
+
+    assert.match(ticket.ticketId, /^TKT-/);
+});
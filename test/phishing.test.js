@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PhishingDetector } = require('../js/phishing.js');
+
+const internalDomains = ['example.com'];
+
+function screenSender(address) {
+    return new PhishingDetector().screen({
+        from: { name: 'Sam Lee', address },
+        subject: 'Printer on floor 3',
+        body: 'The printer on floor 3 keeps jamming.',
+        internalDomains
+    });
+}
+
+for (const address of ['sam@mail.com', 'sam@ymail.com', 'sam@email.com']) {
+    test(`a sender at ${address.split('@')[1]} is not a Gmail lookalike`, () => {
+        const result = screenSender(address);
+        assert.strictEqual(result.level, 'low');
+        assert.deepStrictEqual(result.signals.filter(signal => signal.type === 'lookalike_domain'), []);
+    });
+}
+
+test('a link to ample.com is not an Apple lookalike', () => {
+    const result = new PhishingDetector().screen({
+        from: { name: 'Sam Lee', address: 'sam@example.com' },
+        links: [{ text: 'our supplier', href: 'https://ample.com/order/42' }],
+        body: 'Order details are on the supplier site.',
+        internalDomains
+    });
+    assert.deepStrictEqual(result.signals, []);
+});
+
+test('real lookalikes are still flagged', () => {
+    const detector = new PhishingDetector();
+    const protectedDomains = internalDomains.concat(...detector.brands.map(brand => brand.domains));
+    assert.strictEqual(detector.lookalike('gma1l.com', protectedDomains, internalDomains), 'gmail.com');
+    assert.strictEqual(detector.lookalike('rnicrosoft.com', protectedDomains, internalDomains), 'microsoft.com');
+    assert.strictEqual(detector.lookalike('exmaple.com', protectedDomains, internalDomains), 'example.com');
+    assert.strictEqual(detector.lookalike('apple-support.com', protectedDomains, internalDomains), 'apple.com');
+    assert.strictEqual(screenSender('it@paypa1.com').level, 'high');
+});
+
+test('an internal email quoting a phishing-style warning stays low risk', () => {
+    const result = new PhishingDetector().screen({
+        from: { name: 'Dana Smith', address: 'dana@corp.com' },
+        subject: 'Outlook warning',
+        body: 'Outlook keeps saying "Your mailbox is almost full" and when I tried to click the button nothing happened.',
+        internalDomains: ['corp.com']
+    });
+    assert.strictEqual(result.level, 'low');
+    assert.ok(result.risk < 0.4);
+    assert.deepStrictEqual(Array.from(new Set(result.signals.map(signal => signal.type))), ['credential_request']);
+});
+
+test('credential wording counts once across subject and body, whatever the case', () => {
+    const result = new PhishingDetector().screen({
+        from: { name: 'Sam Lee', address: 'sam@example.com' },
+        subject: 'Verify your account',
+        body: 'Please verify your account today. VERIFY  YOUR ACCOUNT.',
+        internalDomains
+    });
+    assert.strictEqual(result.signals.length, 1);
+    assert.strictEqual(result.signals[0].field, 'subject');
+});
+
+test('credential wording still raises the risk alongside a sender signal', () => {
+    const result = new PhishingDetector().screen({
+        from: { name: 'IT Support', address: 'helpdesk@corp-mail.net' },
+        subject: 'Mailbox notice',
+        body: 'Your mailbox is almost full. Click the button below and enter your password to keep receiving mail.',
+        internalDomains
+    });
+    assert.strictEqual(result.level, 'high');
+});
+
+test('the parse keeps the reply and suggestions for a quoted warning', () => {
+    const { EmailParser } = require('../js/parser.js');
+    const parser = new EmailParser();
+    const ticket = parser.parse('From: Dana Smith <dana@corp.com>\nTo: help@corp.com\nSubject: Mailbox full?\n' +
+        'Date: Mon, 12 Oct 2026 09:00:00 +0000\n\n' +
+        'Hi, Outlook shows "Your mailbox is almost full - click the button to upgrade". I tried to click the button ' +
+        'but nothing happens and I can\'t send email. Can you increase my quota?');
+
+    assert.strictEqual(ticket.security.suspicious, false);
+    assert.ok(!ticket.insights.includes('⛔'));
+    assert.ok(!ticket.insights.includes('🎣'));
+    assert.ok(ticket.suggestedReply);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ScoringEngine } = require('../js/scoring.js');
+const { EmailParser } = require('../js/parser.js');
+
+function fields(subject, body) {
+    return [{ name: 'subject', text: subject }, { name: 'body', text: body }];
+}
+
+test('keywords match whole words, not pieces of other words', () => {
+    const [entry] = new ScoringEngine().rank(fields('', 'I drew a blueprint and the download failed'), { printer_issue: { keywords: ['print', 'down'] } });
+    assert.strictEqual(entry.score, 0);
+    assert.deepStrictEqual(entry.matches, []);
+});
+
+test('stems match, subject matches count double and repeats add less', () => {
+    const [entry] = new ScoringEngine().rank(fields('Printing', 'printer jammed, it jams'), { printer_issue: { keywords: ['print', 'jam'] } });
+
+    assert.strictEqual(entry.score, 3.25);
+    assert.deepStrictEqual(entry.matches.map(match => [match.keyword, match.field, match.contribution]), [
+        ['print', 'subject', 2],
+        ['jam', 'body', 1],
+        ['jam', 'body', 0.25]
+    ]);
+});
+
+test('repeats stop counting after maxRepeats', () => {
+    const [entry] = new ScoringEngine().rank(fields('', 'printer printer printer printer printer'), { printer_issue: { keywords: ['printer'] } });
+    assert.strictEqual(entry.score, 1.5);
+});
+
+test('weights and negative keywords change the score', () => {
+    const engine = new ScoringEngine();
+    const text = fields('', 'take a print screen of the printer');
+
+    assert.strictEqual(engine.rank(text, { printer_issue: { keywords: [{ term: 'printer', weight: 3 }] } })[0].score, 3);
+    assert.strictEqual(engine.rank(text, { printer_issue: { keywords: ['print'], negativeKeywords: ['print screen'] } })[0].score, 0);
+});
+
+test('negated keywords do not count, but a negated failure still does', () => {
+    const matches = new ScoringEngine().matchTerms(['urgent', 'broken', 'printing'], fields('', 'This is not urgent and no longer broken, but it is not printing'));
+    assert.deepStrictEqual(matches.map(match => [match.keyword, match.negated]), [
+        ['urgent', true],
+        ['broken', true],
+        ['printing', false]
+    ]);
+});
+
+test('confidence grows with evidence and splits between tied categories', () => {
+    const engine = new ScoringEngine();
+    const categories = { printer_issue: { keywords: ['printer'] }, email_issue: { keywords: ['outlook'] } };
+
+    const tied = engine.rank(fields('', 'printer outlook'), categories);
+    assert.strictEqual(tied[0].confidence, tied[1].confidence);
+    assert.ok(tied[0].confidence < 0.5);
+
+    const [strong] = engine.rank(fields('Printer jammed', 'The printer is jammed and paper is stuck'), categories);
+    assert.strictEqual(strong.name, 'printer_issue');
+    assert.ok(strong.confidence > tied[0].confidence);
+});
+
+test('classifyIssue returns the top candidates best first', () => {
+    const category = new EmailParser().classifyIssue({
+        subject: 'Printer jammed',
+        body: 'Also my outlook email will not sync and the network is slow'
+    });
+
+    assert.strictEqual(category.name, 'printer_issue');
+    assert.deepStrictEqual(category.candidates.map(candidate => candidate.name), ['printer_issue', 'email_issue', 'network_issue']);
+    assert.ok(category.candidates.every((candidate, index) => index === 0 || candidate.score <= category.candidates[index - 1].score));
+});
+
+test('text with no evidence is other with low confidence', () => {
+    const category = new EmailParser().classifyIssue({ subject: 'Hello', body: 'Just saying hi.' });
+    assert.strictEqual(category.name, 'other');
+    assert.strictEqual(category.lowConfidence, true);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SlaCalendar } = require('../js/sla.js');
+
+// One business hour a week: Mondays 09:00-10:00 UTC
+function sparsePolicy(resolveHours, holidays) {
+    return {
+        timezone: 'UTC',
+        businessHours: { days: [1], start: '09:00', end: '10:00' },
+        holidays: holidays || [],
+        targets: {
+            '*': {
+                urgent: { respondHours: 1, resolveHours: 4, calendar: '24x7' },
+                high: { respondHours: 1, resolveHours: resolveHours, calendar: 'business' },
+                medium: { respondHours: 1, resolveHours: 2, calendar: 'business' },
+                low: { respondHours: 1, resolveHours: 2, calendar: 'business' }
+            }
+        }
+    };
+}
+
+const received = Date.UTC(2026, 0, 5, 12, 0); // Monday 5 January 2026, after closing
+
+test('business targets longer than a year of business hours are rejected', () => {
+    const sla = new SlaCalendar(null);
+    assert.throws(() => sla.apply(sparsePolicy(100)), /resolveHours for \*\/high can be at most 52 business hours/);
+    assert.throws(() => sla.apply(sparsePolicy(8760)), /use the 24x7 calendar/);
+
+    const calendar = new SlaCalendar(null);
+    calendar.apply(Object.assign(sparsePolicy(2), { targets: { '*': Object.assign({}, sparsePolicy(2).targets['*'], {
+        low: { respondHours: 1, resolveHours: 8760, calendar: '24x7' }
+    }) } }));
+    assert.strictEqual(calendar.config.targets['*'].low.resolveHours, 8760);
+});
+
+test('the longest allowed target on a sparse calendar lands on business time', () => {
+    const sla = new SlaCalendar(null);
+    sla.apply(sparsePolicy(52));
+
+    const due = sla.calculate({ category: 'other', priority: 'high', received });
+
+    // The 52nd Monday from 12 January, at the end of its business hour
+    assert.strictEqual(due.resolveBy, new Date(Date.UTC(2027, 0, 4, 10, 0)).toISOString());
+});
+
+test('a due date the calendar walk cannot reach throws instead of using wall-clock hours', () => {
+    const holidays = [];
+    // Every Monday for the next 14 months is a holiday
+    for (let day = new Date(Date.UTC(2026, 0, 12)); day < new Date(Date.UTC(2027, 2, 1)); day.setUTCDate(day.getUTCDate() + 7)) {
+        holidays.push(day.toISOString().substring(0, 10));
+    }
+    const sla = new SlaCalendar(null);
+    sla.apply(sparsePolicy(2, holidays));
+
+    assert.throws(() => sla.calculate({ category: 'other', priority: 'high', received }), /more business hours than the next 400 days/);
+});
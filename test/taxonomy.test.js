@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TaxonomyStore } = require('../js/taxonomy.js');
+const { EmailParser } = require('../js/parser.js');
+
+// Stand-in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+const config = {
+    categories: [
+        { name: 'badge_access', keywords: [' Badge ', { term: 'door', weight: 2 }, 'badge'], negativeKeywords: ['badge photo'], priority: 'high' },
+        { name: 'printer_issue', keywords: ['printer'], enabled: false }
+    ],
+    urgencyKeywords: ['Locked Out']
+};
+
+test('saved taxonomies load back cleaned up', () => {
+    const store = new TaxonomyStore(memoryStorage());
+    store.save(config);
+
+    const loaded = store.load();
+    assert.deepStrictEqual(loaded.categories[0], {
+        name: 'badge_access', keywords: ['badge', { term: 'door', weight: 2 }], negativeKeywords: ['badge photo'], priority: 'high', enabled: true
+    });
+    assert.strictEqual(loaded.categories[1].priority, 'medium');
+    assert.deepStrictEqual(loaded.urgencyKeywords, ['locked out']);
+
+    store.clear();
+    assert.strictEqual(store.load(), null);
+});
+
+test('a corrupt saved taxonomy is ignored', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = memoryStorage();
+    const store = new TaxonomyStore(storage);
+    storage.setItem(store.storageKey, '{"categories": [{"name": "__proto__", "keywords": []}]}');
+    assert.strictEqual(store.load(), null);
+});
+
+test('applied taxonomies classify with the new categories and keep disabled ones for the editor', () => {
+    const store = new TaxonomyStore(null);
+    const parser = new EmailParser();
+    store.apply(parser, config);
+
+    assert.deepStrictEqual(Object.keys(parser.categories), ['badge_access']);
+    assert.strictEqual(Object.getPrototypeOf(parser.categories), null);
+    assert.strictEqual(parser.classifyIssue({ subject: 'Door badge stopped working', body: 'My badge no longer opens the door.' }).name, 'badge_access');
+    assert.strictEqual(parser.determinePriority('I am locked out of the building', parser.categories.badge_access), 'urgent');
+
+    // Round trip through the editor puts the disabled category back in its place
+    assert.deepStrictEqual(store.fromParser(parser).categories.map(category => [category.name, category.enabled]), [
+        ['badge_access', true],
+        ['printer_issue', false]
+    ]);
+});
+
+test('imports reject files that could pollute prototypes or break the classifier', () => {
+    const store = new TaxonomyStore(null);
+    const reject = (data, pattern) => assert.throws(() => store.importJSON(JSON.stringify(data)), pattern);
+
+    assert.throws(() => store.importJSON('{not json'), /not valid JSON/);
+    reject({ categories: [{ name: 'constructor', keywords: [] }] }, /Reserved category name/);
+    reject({ categories: [{ name: 'other', keywords: [] }] }, /Reserved category name/);
+    reject({ categories: [{ name: 'Printer Issue', keywords: [] }] }, /lowercase letters/);
+    reject({ categories: [{ name: 'a', keywords: [] }, { name: 'a', keywords: [] }] }, /Duplicate category name/);
+    reject({ categories: [{ name: 'a', keywords: [], priority: 'critical' }] }, /Invalid priority/);
+    reject({ categories: [{ name: 'a', keywords: [{ term: 'x', weight: 11 }] }] }, /Invalid weight/);
+    reject({ categories: [{ name: 'a', keywords: [], negativeKeywords: [{ term: 'x' }] }] }, /must be strings/);
+    reject({ categories: [], urgencyKeywords: 'asap' }, /must be an array/);
+});
+
+test('keyword text round-trips through the editor format', () => {
+    const store = new TaxonomyStore(null);
+    const category = { keywords: ['print', { term: 'printer', weight: 2 }], negativeKeywords: ['print screen'] };
+    const text = store.formatKeywords(category);
+
+    assert.strictEqual(text, 'print, printer^2, -print screen');
+    assert.deepStrictEqual(store.parseKeywordText(text), category);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ThreadIndex } = require('../js/threading.js');
+const { EmailParser } = require('../js/parser.js');
+
+// Stand-in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+function email(headers, body) {
+    return `${headers.join('\n')}\nDate: Mon, 12 Oct 2026 09:00:00 +0000\n\n${body}`;
+}
+
+const outage = 'The VPN drops every few minutes since this morning and the whole finance team cannot reach the file server.';
+
+test('subjects lose reply, forward and external tags', () => {
+    const threads = new ThreadIndex(null);
+    assert.strictEqual(threads.normalizeSubject('RE: Fwd: [EXT]  VPN   Down'), 'vpn down');
+    assert.strictEqual(threads.normalizeSubject('AW[2]: WG: Drucker'), 'drucker');
+    assert.strictEqual(threads.isReplySubject('Re: VPN down'), true);
+    assert.strictEqual(threads.isReplySubject('Reboot needed'), false);
+});
+
+test('a reply joins the thread of the message it answers', () => {
+    const parser = new EmailParser();
+    const first = parser.parse(email(['From: dana@example.com', 'Subject: VPN down', 'Message-ID: <vpn-1@example.com>'], outage));
+    const reply = parser.parse(email([
+        'From: helpdesk@example.com', 'Subject: Re: VPN down', 'Message-ID: <vpn-2@example.com>',
+        'In-Reply-To: <vpn-1@example.com>', 'References: <vpn-1@example.com>'
+    ], 'We are looking into it.'));
+
+    assert.strictEqual(first.threadId, first.ticketId);
+    assert.strictEqual(reply.threadId, first.ticketId);
+    assert.deepStrictEqual(reply.relatedTickets.map(ticket => [ticket.ticketId, ticket.relation, ticket.reason]), [
+        [first.ticketId, 'reply', 'in-reply-to']
+    ]);
+});
+
+test('a reply without headers threads by subject', () => {
+    const parser = new EmailParser();
+    const first = parser.parse(email(['From: dana@example.com', 'Subject: VPN down'], outage));
+    const reply = parser.parse(email(['From: dana@example.com', 'Subject: RE: [EXT] VPN down'], 'Still broken after a restart.'));
+
+    assert.strictEqual(reply.threadId, first.threadId);
+    assert.strictEqual(reply.relatedTickets[0].reason, 'subject');
+});
+
+test('a colleague reporting the same outage is flagged as a duplicate, not threaded', () => {
+    const parser = new EmailParser();
+    const first = parser.parse(email(['From: dana@example.com', 'Subject: VPN down'], outage));
+    const second = parser.parse(email(['From: lee@example.com', 'Subject: VPN problem'], outage.replace('this morning', 'about nine')));
+
+    assert.strictEqual(second.threadId, second.ticketId);
+    assert.strictEqual(second.relatedTickets[0].ticketId, first.ticketId);
+    assert.strictEqual(second.relatedTickets[0].relation, 'duplicate');
+    assert.ok(second.similarity >= parser.threads.duplicateThreshold);
+
+    const unrelated = parser.parse(email(['From: sam@example.com', 'Subject: Printer jammed'], 'Paper is stuck in tray two.'));
+    assert.deepStrictEqual(unrelated.relatedTickets, []);
+    assert.strictEqual(unrelated.similarity, 0);
+});
+
+test('the index survives a reload through storage and keeps only the newest entries', () => {
+    const storage = memoryStorage();
+    const threads = new ThreadIndex(storage);
+    threads.maxEntries = 2;
+    for (const id of ['IT-1', 'IT-2', 'IT-3']) {
+        threads.link({ ticketId: id, subject: `Ticket ${id}`, body: 'Something', headers: { messageId: `${id}@example.com` } });
+    }
+
+    const reloaded = new ThreadIndex(storage);
+    assert.deepStrictEqual(reloaded.entries.map(entry => entry.ticketId), ['IT-2', 'IT-3']);
+    assert.strictEqual(reloaded.link({ ticketId: 'IT-4', subject: 'Re: x', body: '', headers: { inReplyTo: 'IT-3@example.com' } }).threadId, 'IT-3');
+
+    reloaded.clear();
+    assert.deepStrictEqual(new ThreadIndex(storage).entries, []);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TicketIdScheme } = require('../js/ticket-ids.js');
+
+// Stand-in for localStorage shared by every tab of an origin
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+}
+
+test('tabs sharing storage continue one sequence', () => {
+    const storage = memoryStorage();
+    const tabA = new TicketIdScheme(storage);
+    const tabB = new TicketIdScheme(storage);
+    tabA.save({ template: '{prefix}-{seq:4}', prefix: 'IT' });
+    tabB.apply(tabB.load());
+
+    assert.deepStrictEqual([tabA.next({}), tabB.next({}), tabA.next({})], ['IT-0001', 'IT-0002', 'IT-0003']);
+});
+
+test('exclusive() uses the Web Locks API when there is one', async () => {
+    const requested = [];
+    const original = Object.getOwnPropertyDescriptor(globalThis, 'navigator');
+    Object.defineProperty(globalThis, 'navigator', {
+        configurable: true,
+        value: { locks: { request: (name, callback) => { requested.push(name); return Promise.resolve().then(callback); } } }
+    });
+    try {
+        const scheme = new TicketIdScheme(memoryStorage());
+        scheme.apply({ template: 'T{seq}' });
+        assert.strictEqual(await scheme.exclusive(() => scheme.next({})), 'T1');
+        assert.deepStrictEqual(requested, [scheme.lockKey]);
+    } finally {
+        if (original) Object.defineProperty(globalThis, 'navigator', original);
+        else delete globalThis.navigator;
+    }
+});
+
+test('exclusive() waits for another tab holding the storage lease', async () => {
+    const storage = memoryStorage();
+    const tabA = new TicketIdScheme(storage);
+    const tabB = new TicketIdScheme(storage);
+    tabA.leaseSettle = tabB.leaseSettle = 5;
+    const order = [];
+
+    const release = await tabA.lease();
+    const waiting = tabB.exclusive(() => order.push('B'));
+    await new Promise(resolve => setTimeout(resolve, 40));
+    order.push('A done');
+    release();
+    await waiting;
+
+    assert.deepStrictEqual(order, ['A done', 'B']);
+    assert.strictEqual(storage.getItem(tabA.lockKey), null);
+});
+
+test('an email parsed again gets its ID back long after the collision window', () => {
+    const scheme = new TicketIdScheme(memoryStorage());
+    scheme.apply({ template: '{prefix}-{seq:5}', prefix: 'IT', fromMessageId: true });
+    const first = scheme.next({ messageId: '<first@example.com>' });
+    for (let i = 0; i < scheme.maxIssued + 500; i++) {
+        scheme.next({ messageId: `<filler-${i}@example.com>` });
+    }
+
+    assert.strictEqual(first, 'IT-00001');
+    assert.strictEqual(scheme.next({ messageId: '<first@example.com>' }), 'IT-00001');
+});
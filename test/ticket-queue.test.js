@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TicketQueue } = require('../js/ticket-queue.js');
+const { EmailParser } = require('../js/parser.js');
+
+function tickets() {
+    const parser = new EmailParser();
+    return [
+        parser.parse('From: Dana Reyes <dana@example.com>\nSubject: Printer jammed\n\nThe printer is jammed. My card is 4111 1111 1111 1111.'),
+        parser.parse('From: lee@example.org\nSubject: VPN down\n\nThe VPN keeps disconnecting.')
+    ];
+}
+
+test('queued tickets start as new and leave the unredacted text behind', () => {
+    const [ticket] = tickets();
+    const record = new TicketQueue().createRecord(ticket, ' Sam ');
+
+    assert.strictEqual(record.ticketId, ticket.ticketId);
+    assert.strictEqual(record.status, 'new');
+    assert.deepStrictEqual(record.history.map(entry => [entry.by, entry.field, entry.from, entry.to]), [['Sam', 'status', null, 'new']]);
+    assert.ok(ticket.original);
+    assert.ok(!('original' in record.ticket));
+    assert.ok(!JSON.stringify(record).includes('4111 1111 1111 1111'));
+});
+
+test('every change is recorded in the history without touching the old record', () => {
+    const queue = new TicketQueue();
+    const record = queue.createRecord(tickets()[0], 'Sam');
+
+    const updated = queue.applyChanges(record, {
+        status: 'triaged', assignee: 'Lee', tags: 'Floor 2, hardware, floor 2', priority: 'high',
+        category: 'hardware_issue', categoryLabel: 'Hardware Issue', note: 'Called the requester'
+    }, 'Sam');
+
+    assert.deepStrictEqual(updated.history.slice(1).map(entry => [entry.field, entry.from, entry.to]), [
+        ['status', 'new', 'triaged'],
+        ['assignee', null, 'Lee'],
+        ['tags', null, 'floor_2, hardware'],
+        ['category', 'printer_issue', 'hardware_issue'],
+        ['priority', 'medium', 'high'],
+        ['note', null, 'Called the requester']
+    ]);
+    assert.strictEqual(updated.ticket.categoryLabel, 'Hardware Issue');
+    assert.deepStrictEqual(updated.notes.map(note => [note.by, note.text]), [['Sam', 'Called the requester']]);
+
+    assert.strictEqual(record.status, 'new');
+    assert.strictEqual(record.ticket.priority, 'medium');
+    assert.strictEqual(record.history.length, 1);
+
+    // Setting the same values again records nothing
+    assert.strictEqual(queue.applyChanges(updated, { status: 'triaged', assignee: 'Lee', tags: ['floor_2', 'hardware'] }).history.length, updated.history.length);
+});
+
+test('invalid changes are rejected', () => {
+    const queue = new TicketQueue();
+    const record = queue.createRecord(tickets()[0]);
+
+    assert.throws(() => queue.applyChanges(record, { status: 'closed' }), /Status must be one of/);
+    assert.throws(() => queue.applyChanges(record, { priority: 'critical' }), /Priority must be one of/);
+    assert.throws(() => queue.applyChanges(record, { category: '__Proto__' }), /Category must be/);
+    assert.throws(() => queue.applyChanges(record, { note: '  ' }), /Note is empty/);
+    assert.throws(() => queue.applyChanges(record, { tags: Array.from({ length: 21 }, (value, index) => `t${index}`) }), /Too many tags/);
+});
+
+test('filters match status, category, priority, requester and free text', () => {
+    const queue = new TicketQueue();
+    const [printer, vpn] = tickets();
+    const records = [
+        queue.applyChanges(queue.createRecord(printer), { status: 'in_progress', assignee: 'Lee', note: 'Toner ordered' }),
+        queue.createRecord(vpn)
+    ];
+    const subjects = filters => queue.filter(records, filters).map(record => record.ticket.subject);
+
+    assert.deepStrictEqual(subjects({}), ['Printer jammed', 'VPN down']);
+    assert.deepStrictEqual(subjects({ status: 'new' }), ['VPN down']);
+    assert.deepStrictEqual(subjects({ category: 'printer_issue' }), ['Printer jammed']);
+    assert.deepStrictEqual(subjects({ requester: 'EXAMPLE.ORG' }), ['VPN down']);
+    assert.deepStrictEqual(subjects({ assignee: 'lee' }), ['Printer jammed']);
+    assert.deepStrictEqual(subjects({ text: 'toner' }), ['Printer jammed']);
+    assert.deepStrictEqual(subjects({ text: 'toner', priority: 'urgent' }), []);
+});
+
+test('storage calls fail clearly without IndexedDB', async () => {
+    await assert.rejects(new TicketQueue().add(tickets()), /IndexedDB is not available/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ToneAnalyzer } = require('../js/tone.js');
+const { ScoringEngine } = require('../js/scoring.js');
+const { EmailParser } = require('../js/parser.js');
+
+const analyzer = () => new ToneAnalyzer(new ScoringEngine());
+
+test('repeat contact, escalation threats and "unacceptable" read as high risk', () => {
+    const tone = analyzer().analyze('This is the THIRD time I am asking!!! The printer is STILL BROKEN and this is completely unacceptable. ' +
+        'I will escalate this to my manager.');
+
+    assert.strictEqual(tone.escalationRisk, 'high');
+    assert.ok(tone.sentiment < -0.5);
+    assert.ok(tone.frustration > 0.9);
+    const types = tone.signals.map(signal => signal.type);
+    for (const type of ['repeat_contact', 'escalation_threat', 'frustration_phrase', 'negative_word', 'exclamation']) {
+        assert.ok(types.includes(type), `${type} in ${types.join(', ')}`);
+    }
+});
+
+test('calm and grateful requests are low risk', () => {
+    const tone = analyzer().analyze('Hi, the printer on floor 2 is jammed. Thanks so much, really appreciate it!');
+    assert.strictEqual(tone.escalationRisk, 'low');
+    assert.strictEqual(tone.frustration, 0);
+    assert.ok(tone.sentiment > 0.5);
+});
+
+test('shouting counts, but everyday acronyms do not', () => {
+    const shouting = analyzer().analyze('MY PRINTER HAS STOPPED WORKING AGAIN AND NOBODY CARES');
+    assert.strictEqual(shouting.escalationRisk, 'medium');
+    assert.strictEqual(shouting.signals[0].type, 'caps');
+
+    assert.deepStrictEqual(analyzer().analyze({ subject: 'VPN DNS PDF', body: 'The VPN and DNS fail, see PDF for the CEO ASAP.' }).signals, []);
+});
+
+test('a manager mentioned in a normal request is not an escalation threat', () => {
+    assert.strictEqual(analyzer().analyze('My manager needs access to the finance share.').escalationRisk, 'low');
+});
+
+test('negated negative words do not count against the sender', () => {
+    const tone = analyzer().analyze('This is not terrible, thanks.');
+    assert.ok(tone.sentiment > 0);
+    assert.strictEqual(tone.frustration, 0);
+});
+
+test('an upset requester raises priority and gets a handling insight', () => {
+    const ticket = new EmailParser().parse('From: dana@example.com\nSubject: Printer jammed\n\n' +
+        'This is the third time I am asking about the jammed printer. Nobody has replied and I will escalate this to my manager.');
+
+    assert.strictEqual(ticket.tone.escalationRisk, 'high');
+    assert.strictEqual(ticket.priority, 'high');
+    const raised = ticket.evidence.priority[ticket.evidence.priority.length - 1];
+    assert.strictEqual(raised.rule, 'tone');
+    assert.match(raised.description, /raises priority from medium to high/);
+    assert.ok(ticket.evidence.priority.some(item => item.rule === 'tone' && item.keyword === 'I will escalate'));
+    assert.match(ticket.insights, /🔥 High escalation risk/);
+});